@@ -0,0 +1,69 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+ /// @notice Proxy delegating every call to the implementation stored in the ERC-1967 implementation slot
+ /// @dev Holds no upgrade logic, the implementation changes the slot itself (see `ERC20Upgradeable.upgradeTo`)
+contract ERC1967Proxy {
+
+    /// @dev Slot of the implementation address, `keccak256("eip1967.proxy.implementation") - 1`
+    bytes32 private constant _IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    /// EVENTS
+    /// @notice Trigger when the implementation behind the proxy changes
+    event Upgraded(address indexed _implementation);
+
+    /// ERRORS
+    /// @notice The implementation is not a contract
+    error InvalidImplementation(bytes32 _method);
+
+    /**
+     * @notice Set the implementation and initialize the proxy storage through it
+     * @dev Throw if `_implementation` has no code. Message: "constructor - Invalid implementation"
+     * @dev Bubble up the revert of the initialization call
+     * @param _implementation The address of the implementation
+     * @param _data The initialization call, e.g. the encoded `initialize` call. Empty to skip it
+     */
+    constructor(address _implementation, bytes memory _data) payable {
+        if (_implementation.code.length == 0) {
+            revert InvalidImplementation('constructor');
+        }
+        bytes32 _slot = _IMPLEMENTATION_SLOT;
+        assembly {
+            sstore(_slot, _implementation)
+        }
+        emit Upgraded(_implementation);
+        if (_data.length > 0) {
+            (bool _success, bytes memory _returnData) = _implementation.delegatecall(_data);
+            if (!_success) {
+                assembly {
+                    revert(add(_returnData, 32), mload(_returnData))
+                }
+            }
+        }
+    }
+
+    fallback() external payable {
+        _delegate();
+    }
+
+    receive() external payable {
+        _delegate();
+    }
+
+    function _delegate() private {
+        bytes32 _slot = _IMPLEMENTATION_SLOT;
+        assembly {
+            let _implementation := sload(_slot)
+            calldatacopy(0, 0, calldatasize())
+            let _result := delegatecall(gas(), _implementation, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch _result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
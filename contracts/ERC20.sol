@@ -1,10 +1,14 @@
 //SPDX-License-Identifier: MIT
 pragma solidity 0.8.16;
 
+import "./IERC3156.sol";
+
  /// @notice This contact follows the standard for ERC-20 fungible tokens
  /// @dev Comment follow the Ethereum ´Natural Specification´ language format (´natspec´)
  /// Referencia: https://docs.soliditylang.org/en/v0.8.16/natspec-format.html  
-contract ERC20 {
+ /// @dev Logic and storage of the token, shared by `ERC20` and `ERC20Upgradeable`. State is set by `_initialize`
+ /// instead of a constructor, so a proxy can run it through its implementation
+abstract contract ERC20Base is IERC3156FlashLender {
 
     /// STATE VARIABLES
     string public name;
@@ -12,38 +16,218 @@ contract ERC20 {
     uint8 public decimals;
     uint256 public totalSupply;
     uint256 public maxSupply;
+    /// @notice The administrator: grants and revokes roles and transfers the ownership
+    address public owner;
+    /// @notice The account that can accept the ownership, zero address if no transfer is pending
+    address public pendingOwner;
+    /// @notice Whether `transfer`, `transferFrom`, `mint`, `burn` and `flashLoan` are halted
+    bool public paused;
 
     /// STATE MAPPINGS
     mapping(address => uint256) public balanceOf;
     mapping(address => mapping(address => uint256)) public allowance;
+    /// @notice Next nonce of each owner for `permit` and `delegateBySig` signatures
+    mapping(address => uint256) public nonces;
+    /// @notice Whether an account holds a role
+    mapping(bytes32 => mapping(address => bool)) public hasRole;
+    /// @notice Ether credited by `redeem`, paid out by `withdraw`
+    mapping(address => uint256) public redeemable;
+
+    /// REENTRANCY GUARD
+    /// @dev Set while `withdraw` sends ether and while `flashLoan` calls the borrower
+    bool private _entered;
+
+    /// PRICES
+    /// @notice Token units issued by `mint` per ether (10^18 wei). `1 ether` is the parity of 1 to 1
+    uint256 public mintPrice;
+    /// @notice Token units burned by `burn` and `redeem` per ether paid back. `1 ether` is the parity of 1 to 1
+    uint256 public redemptionPrice;
+    /// @notice Sum of `redeemable`, the ether held that is already owed and cannot pay new redemptions
+    uint256 public totalRedeemable;
+
+    /// SNAPSHOTS
+    /// @dev Values recorded lazily, before the first change after a snapshot: `values[i]` is the value at snapshot
+    /// `ids[i]` and at every earlier snapshot taken after `ids[i - 1]`
+    struct Snapshots {
+        uint256[] ids;
+        uint256[] values;
+    }
+    /// @notice Id of the last snapshot taken by `snapshot`, zero if none
+    uint256 public currentSnapshotId;
+    mapping(address => Snapshots) private _balanceSnapshots;
+    Snapshots private _totalSupplySnapshots;
+
+    /// VOTES
+    /// @dev Votes of a delegate, or the total supply, from block `fromBlock` until the next checkpoint. One slot each
+    struct Checkpoint {
+        uint32 fromBlock;
+        uint224 votes;
+    }
+    /// @notice The account each account delegates its voting power to, zero address if it does not vote
+    mapping(address => address) public delegates;
+    mapping(address => Checkpoint[]) private _delegateCheckpoints;
+    Checkpoint[] private _totalSupplyCheckpoints;
+
+    /// ROLES
+    /// @notice Can call `pause` and `unpause`
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    /// @notice Can call `mint`
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    /// @notice Can call `snapshot`
+    bytes32 public constant SNAPSHOT_ROLE = keccak256("SNAPSHOT_ROLE");
+
+    /// @dev Prices are expressed per this amount of wei
+    uint256 private constant _PRICE_UNIT = 1 ether;
+
+    /// EIP-712 CONSTANTS
+    bytes32 private constant _DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant _PERMIT_TYPEHASH = keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+    bytes32 private constant _DELEGATION_TYPEHASH = keccak256("Delegation(address delegatee,uint256 nonce,uint256 expiry)");
+    bytes32 private constant _VERSION_HASH = keccak256("1");
+    /// @dev Value `onFlashLoan` returns to accept a flash loan (ERC-3156)
+    bytes32 private constant _FLASH_LOAN_CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+    /// @dev Upper bound of `s` for non malleable signatures (EIP-2)
+    uint256 private constant _MAX_SIGNATURE_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
 
     /// EVENTS
     /// @notice Trigger when tokens are transferred
     /// @dev On new tokens creation, trigger with the `from` address set to zero address
     event Transfer(address indexed _from, address indexed _to, uint256 _value);
     
-    /// @notice Trigger on any successful call to `approve` method
+    /// @notice Trigger whenever an allowance changes
+    /// @dev Fired by `approve`, `increaseAllowance`, `decreaseAllowance` and `permit`, and by `transferFrom` and `burn`
+    /// with the remaining allowance when they spend a limited one
     event Approval(address indexed _owner, address indexed _spender, uint256 _value);
 
     /// @notice Trigger on any successful call to `burn` method
     event Burn(address indexed _from, address indexed _commandedBy, uint256 _value);
 
+    /// @notice Trigger when the owner starts an ownership transfer
+    event OwnershipTransferStarted(address indexed _previousOwner, address indexed _newOwner);
+
+    /// @notice Trigger when the ownership changes
+    /// @dev On deploy, trigger with the `_previousOwner` address set to zero address
+    event OwnershipTransferred(address indexed _previousOwner, address indexed _newOwner);
+
+    /// @notice Trigger when `_account` is granted `_role`
+    event RoleGranted(bytes32 indexed _role, address indexed _account, address indexed _sender);
+
+    /// @notice Trigger when `_account` loses `_role`, either revoked by the owner or renounced
+    event RoleRevoked(bytes32 indexed _role, address indexed _account, address indexed _sender);
+
+    /// @notice Trigger when `redeem` credits ether to `_payee`
+    /// @dev Also fired by `mint` with the ether sent in excess of the cost of the issued tokens (the dust)
+    event Credited(address indexed _payee, uint256 _value);
+
+    /// @notice Trigger when `_payee` withdraws its credited ether to `_recipient`
+    event Withdrawn(address indexed _payee, address indexed _recipient, uint256 _value);
+
+    /// @notice Trigger when the prices change
+    /// @dev On deploy, trigger with both prices set to the initial price
+    event PricesUpdated(uint256 _mintPrice, uint256 _redemptionPrice);
+
+    /// @notice Trigger when `snapshot` records the balances and the total supply under `_id`
+    event Snapshot(uint256 _id);
+
+    /// @notice Trigger when `_delegator` moves its voting power from `_fromDelegate` to `_toDelegate`
+    event DelegateChanged(address indexed _delegator, address indexed _fromDelegate, address indexed _toDelegate);
+
+    /// @notice Trigger when the votes of `_delegate` change, by a delegation or a balance change of its delegators
+    event DelegateVotesChanged(address indexed _delegate, uint256 _previousVotes, uint256 _newVotes);
+
+    /// @notice Trigger when the contract is paused by `_account`
+    event Paused(address _account);
+
+    /// @notice Trigger when the contract is unpaused by `_account`
+    event Unpaused(address _account);
+
+    /// ERRORS
+    /// @dev Every error carries the name of the method that reverted. The "Message" documented on each method is the
+    /// text `lib/errors.js` decodes the error to, e.g. `InsufficientAllowance("burn")` is "burn - Insufficent allowance"
+
+    /// @notice A parameter is the zero address, zero, an empty string or out of range
+    error InvalidParameter(bytes32 _method, bytes32 _parameter);
+
+    /// @notice The recipient is the same account as the remittent
+    error InvalidRecipient(bytes32 _method);
+
+    /// @notice The account has less tokens than requested
+    error InsufficientBalance(bytes32 _method);
+
+    /// @notice The sender is not allowed to spend the requested amount
+    error InsufficientAllowance(bytes32 _method);
+
+    /// @notice The allowance would go below zero
+    error AllowanceBelowZero(bytes32 _method);
+
+    /// @notice The ether sent does not buy a single token unit
+    error InvalidEtherAmount(bytes32 _method);
+
+    /// @notice The total supply would exceed the maximum supply
+    error MaxSupplyExceeded(bytes32 _method);
+
+    /// @notice The deadline of a signature is in the past
+    error ExpiredDeadline(bytes32 _method);
+
+    /// @notice The signature was not made by the expected account
+    error InvalidSignature(bytes32 _method);
+
+    /// @notice The sender is not the owner
+    error CallerNotOwner(bytes32 _method);
+
+    /// @notice The sender is not the pending owner
+    error CallerNotPendingOwner(bytes32 _method);
+
+    /// @notice The sender does not hold `_role`
+    error MissingRole(bytes32 _method, bytes32 _role);
+
+    /// @notice The contract is paused
+    error ContractPaused(bytes32 _method);
+
+    /// @notice The contract is not paused
+    error ContractNotPaused(bytes32 _method);
+
+    /// @notice The sender has no credited ether
+    error NothingToWithdraw(bytes32 _method);
+
+    /// @notice The recipient rejected the ether
+    error EtherTransferFailed(bytes32 _method);
+
+    /// @notice The method was called again while `withdraw` was sending ether or `flashLoan` was calling the borrower
+    error ReentrantCall(bytes32 _method);
+
+    /// @notice The ether held, minus the ether owed by `redeem`, does not cover the payment
+    error InsufficientReserve(bytes32 _method);
+
+    /// @notice The borrower of a flash loan did not return the ERC-3156 success value from `onFlashLoan`
+    error InvalidFlashLoanCallback(bytes32 _method);
+
     /**
      * @notice Initialize the state of the contract
-     * @dev Throw if `_name` is empty. Message: "constructor - Invalid parameter: _name"
-     * @dev Throw if `_symbol` is empty. Message: "constructor - Invalid parameter: _symbol"
+     * @dev Throw if `_name` is empty. Message: "<_methodName> - Invalid parameter: _name"
+     * @dev Throw if `_symbol` is empty. Message: "<_methodName> - Invalid parameter: _symbol"
+     * @dev Throw if `_price` is zero. Message: "<_methodName> - Invalid parameter: _price"
      * @param _name The name of the token
      * @param _symbol The symbol of the token
      * @param _maxSupply The maximum supply of the token. Zero for unlimited emition
+     * @param _price The initial `mintPrice` and `redemptionPrice`, in token units per ether
+     * @param _owner The owner, granted `PAUSER_ROLE`, `MINTER_ROLE` and `SNAPSHOT_ROLE` too
+     * @param _methodName The public method initializing the token, for the error messages
      */
-    constructor(string memory _name, string memory _symbol, uint256 _maxSupply) {
-        string memory _methodName = 'constructor';
+    function _initialize(string memory _name, string memory _symbol, uint256 _maxSupply, uint256 _price, address _owner, bytes32 _methodName) internal {
         _isEmptyString(_name, _methodName, '_name');
         _isEmptyString(_symbol, _methodName, '_symbol');
+        _isZeroAmount(_price, _methodName, '_price');
         name = _name;
         symbol = _symbol;
         maxSupply = _maxSupply;
         decimals = 18; // Same as ether
+        owner = _owner;
+        emit OwnershipTransferred(address(0), _owner);
+        _grantRole(PAUSER_ROLE, _owner);
+        _grantRole(MINTER_ROLE, _owner);
+        _grantRole(SNAPSHOT_ROLE, _owner);
+        _setPrices(_price, _price);
     }
 
     /// EXTERNAL FUNCTIONS
@@ -54,17 +238,22 @@ contract ERC20 {
      * @dev Throw if `_to` is sender account. Message: "transfer - Invalid recipient, same as remittent"
      * @dev Throw if `_value` is zero. Message: "transfer - Invalid parameter: _value"
      * @dev Throw if remittent account has insufficient balance. Message: "transfer - Insufficient balance"
+     * @dev Throw if the contract is paused. Message: "transfer - Contract is paused"
      * @param _to It is the recipient account address
      * @param _value It is the amount of tokens to transfer.
      */
     function transfer(address _to, uint256 _value) external {
-        string memory _methodName = 'transfer';
+        bytes32 _methodName = 'transfer';
+        _isPaused(_methodName);
         _isZeroAddress(_to, _methodName, '_to');
         _isValidRecipient(msg.sender, _to, _methodName);
         _isZeroAmount(_value, _methodName, '_value');
         _hasSufficientBalance(msg.sender, _value, _methodName);
+        _updateBalanceSnapshot(msg.sender);
+        _updateBalanceSnapshot(_to);
         balanceOf[msg.sender] -= _value;
         balanceOf[_to] += _value;
+        _moveVotingPower(delegates[msg.sender], delegates[_to], _value);
         emit Transfer(msg.sender, _to, _value);
     }
 
@@ -78,143 +267,815 @@ contract ERC20 {
      * @dev Throw if `_from` account has insufficient balance. Message: "transferFrom - Insufficient balance"
      * @dev Throws if `msg.sender` is not the current owner or an approved address with permission to spend the balance of the '_from' account
      * Message: "transferFrom - Insufficent allowance"
+     * @dev The allowance of `msg.sender` is decremented by `_value`, unless it is unlimited (`type(uint256).max`)
+     * @dev Throw if the contract is paused. Message: "transferFrom - Contract is paused"
      * @param _from It is the remittent account address
      * @param _to It is the recipient account address
      * @param _value It is the amount of tokens to transfer.
      */
     function transferFrom(address _from, address _to, uint256 _value) external {
-        string memory _methodName = 'transferFrom';
+        bytes32 _methodName = 'transferFrom';
+        _isPaused(_methodName);
         _isZeroAddress(_from, _methodName, '_from');
         _isZeroAddress(_to, _methodName, '_to');
         _isValidRecipient(_from, _to, _methodName);
         _isZeroAmount(_value, _methodName, '_value');
         _hasSufficientBalance(_from, _value, _methodName);
         _isAuthorized(_from, msg.sender, _value, _methodName);
+        _spendAllowance(_from, msg.sender, _value);
+        _updateBalanceSnapshot(_from);
+        _updateBalanceSnapshot(_to);
         balanceOf[_from] -= _value;
         balanceOf[_to] += _value;
+        _moveVotingPower(delegates[_from], delegates[_to], _value);
         emit Transfer(_from, _to, _value);
     }
 
     /**
      * @notice Allows `_spender` to withdraw from sender account multiple times, up to the `_value` amount
      * On success must fire the `Approval` event.
-     * @dev If this function is called multiple times it overwrites the current allowance with `_value`
-     * @dev Throw if allowance tries to be set to a new value, higher than zero, for the same spender, 
-     * with a current allowance different that zero. Message: "approve - Invalid allowance amount. Set to zero first"
+     * @dev If this function is called multiple times it overwrites the current allowance with `_value`.
+     * Prefer `increaseAllowance` and `decreaseAllowance` to change an existing allowance
+     * @dev An allowance of `type(uint256).max` is unlimited: it is not decremented by `transferFrom` and `burn`
      * @dev Throw if `_spender` is zero address. Message: "approve - Invalid parameter: _spender"
-     * @dev Throw if `_value` exceeds the sender's balance. 
-     * Message: "approve - Insufficient balance"
      * @param _spender It is the spender account address
      * @param _value It is the allowance amount.
      */
     function approve(address _spender, uint256 _value) external {
-        string memory _methodName = 'approve';
-        uint256 currentAllowance = allowance[msg.sender][_spender];
-        if(_value > 0 && currentAllowance > 0) {
-            revert(_concatMessage(_methodName, " - Invalid allowance amount. Set to zero first", ""));
-        }
+        bytes32 _methodName = 'approve';
         _isZeroAddress(_spender, _methodName, '_spender');
-        _hasSufficientBalance(msg.sender, _value, _methodName);
-        allowance[msg.sender][_spender] = _value;
-        emit Approval(msg.sender, _spender, _value);
+        _approve(msg.sender, _spender, _value);
     }
 
     /**
-     * @notice Issues a new amount of tokens in exchange for ethers at a parity of 1 to 1
-     * @dev Throw if msg.value is zero. Message: "mint - Invalid ether amount"
+     * @notice Increases the allowance of `_spender` over sender account by `_addedValue`
+     * On success must fire the `Approval` event with the resulting allowance.
+     * @dev Throw if `_spender` is zero address. Message: "increaseAllowance - Invalid parameter: _spender"
+     * @param _spender It is the spender account address
+     * @param _addedValue It is the amount to add to the current allowance
+     */
+    function increaseAllowance(address _spender, uint256 _addedValue) external {
+        bytes32 _methodName = 'increaseAllowance';
+        _isZeroAddress(_spender, _methodName, '_spender');
+        _approve(msg.sender, _spender, allowance[msg.sender][_spender] + _addedValue);
+    }
+
+    /**
+     * @notice Decreases the allowance of `_spender` over sender account by `_subtractedValue`
+     * On success must fire the `Approval` event with the resulting allowance.
+     * @dev Throw if `_spender` is zero address. Message: "decreaseAllowance - Invalid parameter: _spender"
+     * @dev Throw if `_subtractedValue` exceeds the current allowance. Message: "decreaseAllowance - Allowance below zero"
+     * @param _spender It is the spender account address
+     * @param _subtractedValue It is the amount to subtract from the current allowance
+     */
+    function decreaseAllowance(address _spender, uint256 _subtractedValue) external {
+        bytes32 _methodName = 'decreaseAllowance';
+        _isZeroAddress(_spender, _methodName, '_spender');
+        uint256 _currentAllowance = allowance[msg.sender][_spender];
+        if (_currentAllowance < _subtractedValue) {
+            revert AllowanceBelowZero(_methodName);
+        }
+        _approve(msg.sender, _spender, _currentAllowance - _subtractedValue);
+    }
+
+    /**
+     * @notice Issues a new amount of tokens in exchange for ethers at `mintPrice` tokens per ether
+     * @dev The tokens issued are `msg.value * mintPrice / 1 ether`, rounded down. The ether sent over the cost of
+     * those tokens, rounded up, is credited to the sender as dust, to be taken with `withdraw`
+     * @dev Throw if msg.value does not buy a single token unit. Message: "mint - Invalid ether amount"
      * @dev Throw if `_recipient` is zero address. Message: "mint - Invalid parameter: _recipient"
-     * @dev Throw if total supply overcame the maximum supply. Message: "mint - Total supply exceeds maximum supply"
+     * @dev Throw if total supply overcame the maximum supply, unless it is zero (unlimited). Message: "mint - Total supply exceeds maximum supply"
+     * @dev An unlimited supply is still capped at 2^224 - 1 token units, the largest value a vote checkpoint holds
+     * @dev Throw if the contract is paused. Message: "mint - Contract is paused"
+     * @dev Throw if sender does not hold `MINTER_ROLE`. Message: "mint - Missing role"
      * @param _recipient It is the recipient account for the new tokens
      */
     function mint(address _recipient) external payable {
-        string memory _methodName = 'mint';
-        _isZeroValue(_methodName);
+        bytes32 _methodName = 'mint';
+        _isPaused(_methodName);
+        _isRoleMember(MINTER_ROLE, _methodName);
+        uint256 _value = msg.value * mintPrice / _PRICE_UNIT;
+        _isZeroValue(_value, _methodName);
         _isZeroAddress(_recipient, _methodName, '_recipient');
-        _isMaxSupply(_methodName);
-        balanceOf[_recipient] += msg.value;
-        totalSupply += msg.value;
-        emit Transfer(address(0), _recipient, msg.value);
+        _isMaxSupply(_value, _methodName);
+        _mint(_recipient, _value);
+        uint256 _dust = msg.value - _ceilDiv(_value * _PRICE_UNIT, mintPrice);
+        if (_dust != 0) {
+            _credit(msg.sender, _dust);
+        }
     }
 
     /**
-     * @notice Returns ethers in exchange for burning an amount of tokens from '_from' account, at a parity of 1 to 1
+     * @notice Returns ethers in exchange for burning an amount of tokens from '_from' account, at `redemptionPrice`
+     * tokens per ether
+     * @dev The ether paid is `_value * 1 ether / redemptionPrice`, rounded down
      * @dev Throw if `_from` is zero address. Message: "burn - Invalid parameter: _from"
-     * @dev Throw if `_value` is zero. Message: "burn - Invalid parameter: _value"
+     * @dev Throw if `_value` is zero or does not pay a single wei. Message: "burn - Invalid parameter: _value"
+     * @dev Throw if the ether not owed by `redeem` does not cover the payment. Message: "burn - Insufficient reserve"
      * @dev Throw if `_from` account has insufficient tokens to burn. Message: "burn - Insufficient balance"
      * @dev Throw if sender is not allowed to spend balance from `_from` account.
      * Message: "burn - Insufficent allowance"
+     * @dev The allowance of `msg.sender` is decremented by `_value`, unless it is unlimited (`type(uint256).max`)
+     * @dev Throw if the contract is paused. Message: "burn - Contract is paused"
+     * @dev The ether is sent with `transfer`, which forwards 2300 gas: contract accounts with a non trivial `receive`
+     * cannot burn, they should `redeem` instead
      * @param _from It is the address of the account from which tokens will be burned
      * @param _value It is the number of new tokens to be burned
      */
     function burn(address _from, uint256 _value) external {
-        string memory _methodName = 'burn';
+        payable(_from).transfer(_burn(_from, _value, 'burn'));
+    }
+
+    /**
+     * @notice Burns an amount of tokens from `_from` account and credits the ethers to the sender, at `redemptionPrice`
+     * tokens per ether. The sender withdraws them with `withdraw`
+     * @dev Same checks as `burn`, with "redeem" as the method of the messages, e.g. "redeem - Insufficient balance"
+     * @dev The sender, who spent its balance or its allowance, is credited instead of `_from`
+     * @param _from It is the address of the account from which tokens will be burned
+     * @param _value It is the number of tokens to be burned
+     */
+    function redeem(address _from, uint256 _value) external {
+        _credit(msg.sender, _burn(_from, _value, 'redeem'));
+    }
+
+    /**
+     * @notice Sends all the ethers credited to the sender by `redeem` and `mint` to `_recipient`
+     * @dev Throw if `_recipient` is zero address. Message: "withdraw - Invalid parameter: _recipient"
+     * @dev Throw if the sender has no credited ethers. Message: "withdraw - Nothing to withdraw"
+     * @dev Throw if `_recipient` rejects the ethers. Message: "withdraw - Ether transfer failed"
+     * @dev Throw if called again from the recipient while sending. Message: "withdraw - Reentrant call"
+     * @dev All the gas left is forwarded to `_recipient`. Allowed while paused, the ethers are already owed
+     * @param _recipient It is the account receiving the ethers
+     */
+    function withdraw(address _recipient) external {
+        bytes32 _methodName = 'withdraw';
+        _isNotEntered(_methodName);
+        _isZeroAddress(_recipient, _methodName, '_recipient');
+        uint256 _value = redeemable[msg.sender];
+        if (_value == 0) {
+            revert NothingToWithdraw(_methodName);
+        }
+        redeemable[msg.sender] = 0;
+        totalRedeemable -= _value;
+        emit Withdrawn(msg.sender, _recipient, _value);
+        _entered = true;
+        (bool _success, ) = payable(_recipient).call{value: _value}("");
+        _entered = false;
+        if (!_success) {
+            revert EtherTransferFailed(_methodName);
+        }
+    }
+
+    /**
+     * @notice Sets the allowance of `_spender` over `_owner` account to `_value`, given a signature of `_owner`.
+     * On success must fire the `Approval` event.
+     * @dev Follows EIP-2612. The signed message is the EIP-712 typed data
+     * `Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)` under the domain
+     * returned by `DOMAIN_SEPARATOR`. Like in EIP-2612, the allowance is overwritten with `_value`
+     * @dev Throw if `_owner` is zero address. Message: "permit - Invalid parameter: _owner"
+     * @dev Throw if `_spender` is zero address. Message: "permit - Invalid parameter: _spender"
+     * @dev Throw if `_deadline` is in the past. Message: "permit - Expired deadline"
+     * @dev Throw if the signature was not made by `_owner` with its current nonce. Message: "permit - Invalid signature"
+     * @param _owner It is the account that signed the permit
+     * @param _spender It is the spender account address
+     * @param _value It is the allowance amount
+     * @param _deadline It is the last timestamp at which the signature is valid
+     * @param _v It is the recovery id of the signature
+     * @param _r It is the `r` value of the signature
+     * @param _s It is the `s` value of the signature
+     */
+    function permit(address _owner, address _spender, uint256 _value, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) external {
+        bytes32 _methodName = 'permit';
+        _isZeroAddress(_owner, _methodName, '_owner');
+        _isZeroAddress(_spender, _methodName, '_spender');
+        _isExpired(_deadline, _methodName);
+        bytes32 _structHash = keccak256(abi.encode(_PERMIT_TYPEHASH, _owner, _spender, _value, nonces[_owner], _deadline));
+        _isValidSignature(_owner, _hashTypedData(_structHash), _v, _r, _s, _methodName);
+        nonces[_owner] += 1;
+        _approve(_owner, _spender, _value);
+    }
+
+    /**
+     * @notice Grants `_role` to `_account`. On success must fire the `RoleGranted` event, unless `_account` already had it
+     * @dev Throw if sender is not the owner. Message: "grantRole - Caller is not the owner"
+     * @dev Throw if `_account` is zero address. Message: "grantRole - Invalid parameter: _account"
+     * @param _role It is the role, `PAUSER_ROLE`, `MINTER_ROLE` or `SNAPSHOT_ROLE`
+     * @param _account It is the account that receives the role
+     */
+    function grantRole(bytes32 _role, address _account) external {
+        bytes32 _methodName = 'grantRole';
+        _isOwner(_methodName);
+        _isZeroAddress(_account, _methodName, '_account');
+        _grantRole(_role, _account);
+    }
+
+    /**
+     * @notice Revokes `_role` from `_account`. On success must fire the `RoleRevoked` event, unless `_account` did not have it
+     * @dev Throw if sender is not the owner. Message: "revokeRole - Caller is not the owner"
+     * @param _role It is the role, `PAUSER_ROLE`, `MINTER_ROLE` or `SNAPSHOT_ROLE`
+     * @param _account It is the account that loses the role
+     */
+    function revokeRole(bytes32 _role, address _account) external {
+        _isOwner('revokeRole');
+        _revokeRole(_role, _account);
+    }
+
+    /**
+     * @notice Revokes `_role` from the sender account, for example if the account is compromised
+     * On success must fire the `RoleRevoked` event, unless the sender did not have the role
+     * @param _role It is the role to give up
+     */
+    function renounceRole(bytes32 _role) external {
+        _revokeRole(_role, msg.sender);
+    }
+
+    /**
+     * @notice Starts the transfer of the ownership to `_newOwner`, who must call `acceptOwnership` to complete it.
+     * On success must fire the `OwnershipTransferStarted` event.
+     * @dev A new call replaces the pending owner. Zero address cancels the pending transfer
+     * @dev Throw if sender is not the owner. Message: "transferOwnership - Caller is not the owner"
+     * @param _newOwner It is the account proposed as owner
+     */
+    function transferOwnership(address _newOwner) external {
+        _isOwner('transferOwnership');
+        pendingOwner = _newOwner;
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    /**
+     * @notice Completes the ownership transfer started by `transferOwnership`. On success must fire the `OwnershipTransferred` event.
+     * @dev Roles are not moved: the new owner grants itself the roles it needs
+     * @dev Throw if sender is not the pending owner. Message: "acceptOwnership - Caller is not the pending owner"
+     */
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner) {
+            revert CallerNotPendingOwner('acceptOwnership');
+        }
+        address _previousOwner = owner;
+        owner = msg.sender;
+        pendingOwner = address(0);
+        emit OwnershipTransferred(_previousOwner, msg.sender);
+    }
+
+    /**
+     * @notice Changes the prices of `mint` and `redeem`. On success must fire the `PricesUpdated` event.
+     * @dev A `_redemptionPrice` below `_mintPrice` pays back more ether than minting took: redemptions are then
+     * limited by the reserve, see `burn`
+     * @dev Throw if sender is not the owner. Message: "setPrices - Caller is not the owner"
+     * @dev Throw if `_mintPrice` is zero. Message: "setPrices - Invalid parameter: _mintPrice"
+     * @dev Throw if `_redemptionPrice` is zero. Message: "setPrices - Invalid parameter: _redemptionPrice"
+     * @param _mintPrice It is the new `mintPrice`, in token units per ether
+     * @param _redemptionPrice It is the new `redemptionPrice`, in token units per ether
+     */
+    function setPrices(uint256 _mintPrice, uint256 _redemptionPrice) external {
+        bytes32 _methodName = 'setPrices';
+        _isOwner(_methodName);
+        _isZeroAmount(_mintPrice, _methodName, '_mintPrice');
+        _isZeroAmount(_redemptionPrice, _methodName, '_redemptionPrice');
+        _setPrices(_mintPrice, _redemptionPrice);
+    }
+
+    /**
+     * @notice Records the balances and the total supply under a new snapshot id, e.g. to pay dividends or count votes
+     * as of now. On success must fire the `Snapshot` event.
+     * @dev Nothing is copied: `transfer`, `transferFrom`, `mint`, `burn` and `redeem` record the previous value of
+     * what they change the first time they change it after a snapshot
+     * @dev Throw if sender does not hold `SNAPSHOT_ROLE`. Message: "snapshot - Missing role"
+     * @return The id of the snapshot, starting at 1
+     */
+    function snapshot() external returns (uint256) {
+        _isRoleMember(SNAPSHOT_ROLE, 'snapshot');
+        currentSnapshotId += 1;
+        emit Snapshot(currentSnapshotId);
+        return currentSnapshotId;
+    }
+
+    /**
+     * @notice The balance of `_account` when the snapshot `_snapshotId` was taken
+     * @dev Throw if `_snapshotId` is zero or was not taken yet. Message: "balanceOfAt - Invalid parameter: _snapshotId"
+     * @param _account It is the account to query
+     * @param _snapshotId It is the id returned by `snapshot`
+     */
+    function balanceOfAt(address _account, uint256 _snapshotId) external view returns (uint256) {
+        (bool _recorded, uint256 _value) = _valueAt(_balanceSnapshots[_account], _snapshotId, 'balanceOfAt');
+        return _recorded ? _value : balanceOf[_account];
+    }
+
+    /**
+     * @notice The total supply when the snapshot `_snapshotId` was taken
+     * @dev Throw if `_snapshotId` is zero or was not taken yet. Message: "totalSupplyAt - Invalid parameter: _snapshotId"
+     * @param _snapshotId It is the id returned by `snapshot`
+     */
+    function totalSupplyAt(uint256 _snapshotId) external view returns (uint256) {
+        (bool _recorded, uint256 _value) = _valueAt(_totalSupplySnapshots, _snapshotId, 'totalSupplyAt');
+        return _recorded ? _value : totalSupply;
+    }
+
+    /**
+     * @notice Delegates the voting power of the sender, its whole balance, to `_delegatee`.
+     * On success must fire the `DelegateChanged` event, and `DelegateVotesChanged` for each delegate whose votes change.
+     * @dev Balances do not vote until delegated: an account votes with its own balance by delegating to itself.
+     * Zero address stops counting the balance of the sender as votes
+     * @dev The delegation follows the balance: `transfer`, `transferFrom`, `mint`, `burn` and `redeem` move the votes
+     * between the delegates of the accounts involved
+     * @param _delegatee It is the account that votes with the balance of the sender
+     */
+    function delegate(address _delegatee) external {
+        _delegate(msg.sender, _delegatee);
+    }
+
+    /**
+     * @notice Delegates the voting power of the signer to `_delegatee`, given a signature of the signer.
+     * On success must fire the `DelegateChanged` event.
+     * @dev The signed message is the EIP-712 typed data `Delegation(address delegatee,uint256 nonce,uint256 expiry)`
+     * under the domain returned by `DOMAIN_SEPARATOR`. The nonce is shared with `permit`
+     * @dev Throw if `_expiry` is in the past. Message: "delegateBySig - Expired deadline"
+     * @dev Throw if the signature is malformed or `_nonce` is not the current nonce of the signer.
+     * Message: "delegateBySig - Invalid signature"
+     * @param _delegatee It is the account that votes with the balance of the signer
+     * @param _nonce It is the current nonce of the signer, see `nonces`
+     * @param _expiry It is the last timestamp at which the signature is valid
+     * @param _v It is the recovery id of the signature
+     * @param _r It is the `r` value of the signature
+     * @param _s It is the `s` value of the signature
+     */
+    function delegateBySig(address _delegatee, uint256 _nonce, uint256 _expiry, uint8 _v, bytes32 _r, bytes32 _s) external {
+        bytes32 _methodName = 'delegateBySig';
+        _isExpired(_expiry, _methodName);
+        bytes32 _structHash = keccak256(abi.encode(_DELEGATION_TYPEHASH, _delegatee, _nonce, _expiry));
+        address _signer = _recoverSigner(_hashTypedData(_structHash), _v, _r, _s, _methodName);
+        if (_nonce != nonces[_signer]) {
+            revert InvalidSignature(_methodName);
+        }
+        nonces[_signer] += 1;
+        _delegate(_signer, _delegatee);
+    }
+
+    /**
+     * @notice The current votes of `_account`: the balances of the accounts delegating to it
+     * @param _account It is the delegate to query
+     */
+    function getVotes(address _account) external view returns (uint256) {
+        Checkpoint[] storage _checkpoints = _delegateCheckpoints[_account];
+        return _checkpoints.length == 0 ? 0 : _checkpoints[_checkpoints.length - 1].votes;
+    }
+
+    /**
+     * @notice The votes of `_account` at the end of block `_blockNumber`
+     * @dev Throw if `_blockNumber` is not mined yet. Message: "getPastVotes - Invalid parameter: _blockNumber"
+     * @param _account It is the delegate to query
+     * @param _blockNumber It is a block before the current one
+     */
+    function getPastVotes(address _account, uint256 _blockNumber) external view returns (uint256) {
+        _isPastBlock(_blockNumber, 'getPastVotes');
+        return _checkpointAt(_delegateCheckpoints[_account], _blockNumber);
+    }
+
+    /**
+     * @notice The total supply at the end of block `_blockNumber`, delegated or not
+     * @dev Throw if `_blockNumber` is not mined yet. Message: "getPastTotalSupply - Invalid parameter: _blockNumber"
+     * @param _blockNumber It is a block before the current one
+     */
+    function getPastTotalSupply(uint256 _blockNumber) external view returns (uint256) {
+        _isPastBlock(_blockNumber, 'getPastTotalSupply');
+        return _checkpointAt(_totalSupplyCheckpoints, _blockNumber);
+    }
+
+    /**
+     * @notice The number of checkpoints of `_account`. Several changes in one block share a checkpoint
+     * @param _account It is the delegate to query
+     */
+    function numCheckpoints(address _account) external view returns (uint256) {
+        return _delegateCheckpoints[_account].length;
+    }
+
+    /**
+     * @notice The checkpoint of `_account` at `_position`, from 0 to `numCheckpoints(_account) - 1`
+     * @param _account It is the delegate to query
+     * @param _position It is the index of the checkpoint
+     */
+    function checkpoints(address _account, uint256 _position) external view returns (Checkpoint memory) {
+        return _delegateCheckpoints[_account][_position];
+    }
+
+    /**
+     * @notice The amount of tokens `flashLoan` can lend: what `mint` could still issue under the maximum supply
+     * @dev Zero if `_token` is not this token, while paused or during a flash loan
+     * @param _token It is the token to borrow
+     */
+    function maxFlashLoan(address _token) external view returns (uint256) {
+        if (_token != address(this) || paused || _entered) {
+            return 0;
+        }
+        uint256 _cap = maxSupply == 0 || maxSupply > type(uint224).max ? type(uint224).max : maxSupply;
+        return _cap - totalSupply;
+    }
+
+    /**
+     * @notice The fee charged on top of a flash loan. Loans are free, the fee is always zero
+     * @dev Throw if `_token` is not this token. Message: "flashFee - Invalid parameter: _token"
+     * @param _token It is the token to borrow
+     */
+    function flashFee(address _token, uint256) public view returns (uint256) {
+        _isFlashLoanToken(_token, 'flashFee');
+        return 0;
+    }
+
+    /**
+     * @notice Mints `_amount` tokens to `_receiver`, calls its `onFlashLoan` and burns them back from it (ERC-3156).
+     * On success must fire the `Transfer` event of the loan and the `Burn` event of the repayment, leaving
+     * `totalSupply` unchanged
+     * @dev The receiver repays by approving this contract for `_amount` plus the fee before returning. The loan is
+     * minted and burned in the same block, so vote checkpoints and snapshots only record the supply before and after
+     * @dev Throw if the contract is paused. Message: "flashLoan - Contract is paused"
+     * @dev Throw if called again during the callback, or from a recipient of `withdraw`. Message: "flashLoan - Reentrant call"
+     * @dev Throw if `_receiver` is zero address. Message: "flashLoan - Invalid parameter: _receiver"
+     * @dev Throw if `_token` is not this token. Message: "flashLoan - Invalid parameter: _token"
+     * @dev Throw if `_amount` is zero. Message: "flashLoan - Invalid parameter: _amount"
+     * @dev Throw if the loan exceeds `maxFlashLoan`. Message: "flashLoan - Total supply exceeds maximum supply"
+     * @dev Throw if `onFlashLoan` does not return `keccak256("ERC3156FlashBorrower.onFlashLoan")`.
+     * Message: "flashLoan - Invalid flash loan callback"
+     * @dev Throw if the receiver no longer holds the repayment. Message: "flashLoan - Insufficient balance"
+     * @dev Throw if the receiver did not approve the repayment. Message: "flashLoan - Insufficent allowance"
+     * @param _receiver It is the contract receiving the tokens and the callback
+     * @param _token It is the token to borrow, this contract
+     * @param _amount It is the amount of tokens to borrow
+     * @param _data It is passed to `onFlashLoan` unchanged
+     */
+    function flashLoan(IERC3156FlashBorrower _receiver, address _token, uint256 _amount, bytes calldata _data) external returns (bool) {
+        bytes32 _methodName = 'flashLoan';
+        _isPaused(_methodName);
+        _isNotEntered(_methodName);
+        _isZeroAddress(address(_receiver), _methodName, '_receiver');
+        _isFlashLoanToken(_token, _methodName);
+        uint256 _fee = flashFee(_token, _amount);
+        _isZeroAmount(_amount, _methodName, '_amount');
+        _isMaxSupply(_amount, _methodName);
+        _mint(address(_receiver), _amount);
+        _entered = true;
+        bytes32 _result = _receiver.onFlashLoan(msg.sender, _token, _amount, _fee, _data);
+        _entered = false;
+        if (_result != _FLASH_LOAN_CALLBACK_SUCCESS) {
+            revert InvalidFlashLoanCallback(_methodName);
+        }
+        uint256 _repayment = _amount + _fee;
+        _hasSufficientBalance(address(_receiver), _repayment, _methodName);
+        _isAuthorized(address(_receiver), address(this), _repayment, _methodName);
+        _spendAllowance(address(_receiver), address(this), _repayment);
+        _destroy(address(_receiver), _repayment);
+        return true;
+    }
+
+    /**
+     * @notice Halts `transfer`, `transferFrom`, `mint`, `burn` and `flashLoan` (emergency stop). On success must fire the `Paused` event.
+     * @dev Throw if sender does not hold `PAUSER_ROLE`. Message: "pause - Missing role"
+     * @dev Throw if the contract is already paused. Message: "pause - Contract is paused"
+     */
+    function pause() external {
+        bytes32 _methodName = 'pause';
+        _isRoleMember(PAUSER_ROLE, _methodName);
+        _isPaused(_methodName);
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @notice Resumes the operations halted by `pause`. On success must fire the `Unpaused` event.
+     * @dev Throw if sender does not hold `PAUSER_ROLE`. Message: "unpause - Missing role"
+     * @dev Throw if the contract is not paused. Message: "unpause - Contract is not paused"
+     */
+    function unpause() external {
+        bytes32 _methodName = 'unpause';
+        _isRoleMember(PAUSER_ROLE, _methodName);
+        if (!paused) {
+            revert ContractNotPaused(_methodName);
+        }
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /**
+     * @notice Returns the EIP-712 domain separator used by `permit` signatures
+     * @dev Domain fields: `name` of the token, version "1", the current chain id and this contract address
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparator();
+    }
+
+    function _domainSeparator() private view returns (bytes32) {
+        return keccak256(abi.encode(_DOMAIN_TYPEHASH, keccak256(bytes(name)), _VERSION_HASH, block.chainid, address(this)));
+    }
+
+    function _hashTypedData(bytes32 _structHash) private view returns (bytes32) {
+        return keccak256(abi.encodePacked("\x19\x01", _domainSeparator(), _structHash));
+    }
+
+    /// @dev Burn `_value` tokens and return the ether they pay at `redemptionPrice`, which the caller sends or credits
+    function _burn(address _from, uint256 _value, bytes32 _methodName) private returns (uint256) {
+        _isPaused(_methodName);
         _isZeroAddress(_from, _methodName, '_from');
-        _isZeroAmount(_value, _methodName, '_value');
+        uint256 _payment = _value * _PRICE_UNIT / redemptionPrice;
+        _isZeroAmount(_payment, _methodName, '_value');
         _hasSufficientBalance(_from, _value, _methodName);
         _isAuthorized(_from, msg.sender, _value, _methodName);
+        _hasSufficientReserve(_payment, _methodName);
+        _spendAllowance(_from, msg.sender, _value);
+        _destroy(_from, _value);
+        return _payment;
+    }
+
+    /// @dev Issue `_value` tokens to `_recipient`, recording snapshots and checkpoints. Callers check the supply cap
+    function _mint(address _recipient, uint256 _value) private {
+        _updateBalanceSnapshot(_recipient);
+        _updateTotalSupplySnapshot();
+        balanceOf[_recipient] += _value;
+        totalSupply += _value;
+        _moveVotingPower(address(0), delegates[_recipient], _value);
+        _writeCheckpoint(_totalSupplyCheckpoints, 0, _value);
+        emit Transfer(address(0), _recipient, _value);
+    }
+
+    /// @dev Remove `_value` tokens of `_from` from the supply, recording snapshots and checkpoints. Callers check the
+    /// balance and spend the allowance
+    function _destroy(address _from, uint256 _value) private {
+        _updateBalanceSnapshot(_from);
+        _updateTotalSupplySnapshot();
         balanceOf[_from] -= _value;
         totalSupply -= _value;
+        _moveVotingPower(delegates[_from], address(0), _value);
+        _writeCheckpoint(_totalSupplyCheckpoints, _value, 0);
         emit Burn(_from, msg.sender, _value);
-        payable(_from).transfer(_value);
     }
 
-    function _concatMessage(string memory _methodName, string memory _message, string memory _parameterName) private pure returns(string memory) {
-        return string.concat(_methodName, _message, _parameterName);
+    function _credit(address _payee, uint256 _value) private {
+        redeemable[_payee] += _value;
+        totalRedeemable += _value;
+        emit Credited(_payee, _value);
+    }
+
+    function _setPrices(uint256 _mintPrice, uint256 _redemptionPrice) private {
+        mintPrice = _mintPrice;
+        redemptionPrice = _redemptionPrice;
+        emit PricesUpdated(_mintPrice, _redemptionPrice);
+    }
+
+    function _updateBalanceSnapshot(address _account) private {
+        _updateSnapshot(_balanceSnapshots[_account], balanceOf[_account]);
+    }
+
+    function _updateTotalSupplySnapshot() private {
+        _updateSnapshot(_totalSupplySnapshots, totalSupply);
+    }
+
+    /// @dev Record `_currentValue` under the current snapshot, unless it was already recorded since the snapshot
+    function _updateSnapshot(Snapshots storage _snapshots, uint256 _currentValue) private {
+        uint256 _snapshotId = currentSnapshotId;
+        if (_snapshotId == 0) {
+            return;
+        }
+        uint256 _length = _snapshots.ids.length;
+        if (_length == 0 || _snapshots.ids[_length - 1] < _snapshotId) {
+            _snapshots.ids.push(_snapshotId);
+            _snapshots.values.push(_currentValue);
+        }
+    }
+
+    /// @dev The first value recorded at or after `_snapshotId`. Not recorded means unchanged since the snapshot
+    function _valueAt(Snapshots storage _snapshots, uint256 _snapshotId, bytes32 _methodName) private view returns (bool, uint256) {
+        if (_snapshotId == 0 || _snapshotId > currentSnapshotId) {
+            revert InvalidParameter(_methodName, '_snapshotId');
+        }
+        uint256 _low = 0;
+        uint256 _high = _snapshots.ids.length;
+        while (_low < _high) {
+            uint256 _middle = (_low + _high) / 2;
+            if (_snapshots.ids[_middle] < _snapshotId) {
+                _low = _middle + 1;
+            } else {
+                _high = _middle;
+            }
+        }
+        if (_low == _snapshots.ids.length) {
+            return (false, 0);
+        }
+        return (true, _snapshots.values[_low]);
+    }
+
+    function _delegate(address _delegator, address _delegatee) private {
+        address _currentDelegate = delegates[_delegator];
+        delegates[_delegator] = _delegatee;
+        emit DelegateChanged(_delegator, _currentDelegate, _delegatee);
+        _moveVotingPower(_currentDelegate, _delegatee, balanceOf[_delegator]);
     }
 
-    function _isEmptyString(string memory _value, string memory _methodName, string memory _parameterName) private pure {
+    /// @dev Move `_value` votes between delegates. Zero address stands for tokens minted, burned or not delegated
+    function _moveVotingPower(address _from, address _to, uint256 _value) private {
+        if (_from == _to || _value == 0) {
+            return;
+        }
+        if (_from != address(0)) {
+            (uint256 _previousVotes, uint256 _newVotes) = _writeCheckpoint(_delegateCheckpoints[_from], _value, 0);
+            emit DelegateVotesChanged(_from, _previousVotes, _newVotes);
+        }
+        if (_to != address(0)) {
+            (uint256 _previousVotes, uint256 _newVotes) = _writeCheckpoint(_delegateCheckpoints[_to], 0, _value);
+            emit DelegateVotesChanged(_to, _previousVotes, _newVotes);
+        }
+    }
+
+    /// @dev Subtract `_removed` and add `_added` to the last value. Changes in the block of the last checkpoint
+    /// overwrite it, so a checkpoint holds the value at the end of its block
+    function _writeCheckpoint(Checkpoint[] storage _checkpoints, uint256 _removed, uint256 _added) private returns (uint256, uint256) {
+        uint256 _length = _checkpoints.length;
+        uint256 _previousValue = _length == 0 ? 0 : _checkpoints[_length - 1].votes;
+        // Fits: votes and the total supply are capped at type(uint224).max by `_isMaxSupply`
+        uint224 _newValue = uint224(_previousValue - _removed + _added);
+        if (_length != 0 && _checkpoints[_length - 1].fromBlock == block.number) {
+            _checkpoints[_length - 1].votes = _newValue;
+        } else {
+            _checkpoints.push(Checkpoint({ fromBlock: uint32(block.number), votes: _newValue }));
+        }
+        return (_previousValue, _newValue);
+    }
+
+    /// @dev The value of the last checkpoint at or before `_blockNumber`, zero if none
+    function _checkpointAt(Checkpoint[] storage _checkpoints, uint256 _blockNumber) private view returns (uint256) {
+        uint256 _low = 0;
+        uint256 _high = _checkpoints.length;
+        while (_low < _high) {
+            uint256 _middle = (_low + _high) / 2;
+            if (_checkpoints[_middle].fromBlock > _blockNumber) {
+                _high = _middle;
+            } else {
+                _low = _middle + 1;
+            }
+        }
+        return _low == 0 ? 0 : _checkpoints[_low - 1].votes;
+    }
+
+    function _ceilDiv(uint256 _a, uint256 _b) private pure returns (uint256) {
+        return _a == 0 ? 0 : (_a - 1) / _b + 1;
+    }
+
+    function _approve(address _owner, address _spender, uint256 _value) private {
+        allowance[_owner][_spender] = _value;
+        emit Approval(_owner, _spender, _value);
+    }
+
+    /// @dev Decrement the allowance used by `_spender`, unless it spends its own balance or the allowance is unlimited
+    function _spendAllowance(address _owner, address _spender, uint256 _value) private {
+        uint256 _currentAllowance = allowance[_owner][_spender];
+        if (_owner != _spender && _currentAllowance != type(uint256).max) {
+            _approve(_owner, _spender, _currentAllowance - _value);
+        }
+    }
+
+    function _grantRole(bytes32 _role, address _account) private {
+        if (!hasRole[_role][_account]) {
+            hasRole[_role][_account] = true;
+            emit RoleGranted(_role, _account, msg.sender);
+        }
+    }
+
+    function _revokeRole(bytes32 _role, address _account) private {
+        if (hasRole[_role][_account]) {
+            hasRole[_role][_account] = false;
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
+    }
+
+    function _isEmptyString(string memory _value, bytes32 _methodName, bytes32 _parameterName) private pure {
         if (bytes(_value).length == 0) {
-            string memory _message = _concatMessage(_methodName, " - Invalid parameter: ", _parameterName);
-            revert(_message);
+            revert InvalidParameter(_methodName, _parameterName);
         }
     }
 
-    function _isZeroAddress(address _address, string memory _methodName, string memory _parameterName) private pure {
+    function _isZeroAddress(address _address, bytes32 _methodName, bytes32 _parameterName) private pure {
         if (_address == address(0)) {
-            string memory _message = _concatMessage(_methodName, " - Invalid parameter: ", _parameterName);
-            revert(_message);
+            revert InvalidParameter(_methodName, _parameterName);
         }
     }
 
-    function _isZeroAmount(uint256 _value, string memory _methodName, string memory _parameterName) private pure {
+    function _isZeroAmount(uint256 _value, bytes32 _methodName, bytes32 _parameterName) private pure {
         if (_value == 0) {
-            string memory _message = _concatMessage(_methodName, " - Invalid parameter: ", _parameterName);
-            revert(_message);
+            revert InvalidParameter(_methodName, _parameterName);
         }
     }
 
-    function _hasSufficientBalance(address _address, uint256 _value, string memory _methodName) private view {
+    function _hasSufficientBalance(address _address, uint256 _value, bytes32 _methodName) private view {
         if (balanceOf[_address] < _value) {
-            string memory _message = _concatMessage(_methodName, " - Insufficient balance", "");
-            revert(_message);
+            revert InsufficientBalance(_methodName);
         }
     }
 
-    function _isAuthorized(address _owner, address _spender, uint256 _value, string memory _methodName) private view {
+    function _isAuthorized(address _owner, address _spender, uint256 _value, bytes32 _methodName) private view {
         if (_owner != _spender && allowance[_owner][_spender] < _value) {
-            string memory _message = _concatMessage(_methodName, " - Insufficent allowance", "");
-            revert(_message);
+            revert InsufficientAllowance(_methodName);
         }
     }
 
-    function _isValidRecipient(address _remittent, address _recipient, string memory _methodName) private pure {
+    function _isValidRecipient(address _remittent, address _recipient, bytes32 _methodName) private pure {
         if (_recipient == _remittent) {
-            string memory _message = _concatMessage(_methodName, " - Invalid recipient, same as remittent", "");
-            revert(_message);
+            revert InvalidRecipient(_methodName);
+        }
+    }
+
+    function _isZeroValue(uint256 _value, bytes32 _methodName) private pure {
+        if(_value == 0) {
+            revert InvalidEtherAmount(_methodName);
+        }
+    }
+
+    function _isMaxSupply(uint256 _value, bytes32 _methodName) private view {
+        uint256 _newSupply = totalSupply + _value;
+        if ((maxSupply != 0 && _newSupply > maxSupply) || _newSupply > type(uint224).max) {
+            revert MaxSupplyExceeded(_methodName);
+        }
+    }
+
+    /// @dev The ether held, minus the ether owed by `redeem` and the dust of `mint`, backs the payment
+    function _hasSufficientReserve(uint256 _payment, bytes32 _methodName) private view {
+        if (address(this).balance - totalRedeemable < _payment) {
+            revert InsufficientReserve(_methodName);
         }
     }
 
-    function _isZeroValue(string memory _methodName) private {
-        if(msg.value == 0) {
-            string memory _message = _concatMessage(_methodName, " - Invalid ether amount", "");
-            revert(_message);
+    function _isOwner(bytes32 _methodName) internal view {
+        if (msg.sender != owner) {
+            revert CallerNotOwner(_methodName);
         }
     }
 
-    function _isMaxSupply(string memory _methodName) private view {
-        if (totalSupply + msg.value > maxSupply) {
-            string memory _message = _concatMessage(_methodName, " - Total supply exceeds maximum supply", "");
-            revert(_message);
+    function _isRoleMember(bytes32 _role, bytes32 _methodName) private view {
+        if (!hasRole[_role][msg.sender]) {
+            revert MissingRole(_methodName, _role);
         }
     }
-}
\ No newline at end of file
+
+    function _isPaused(bytes32 _methodName) private view {
+        if (paused) {
+            revert ContractPaused(_methodName);
+        }
+    }
+
+    function _isNotEntered(bytes32 _methodName) private view {
+        if (_entered) {
+            revert ReentrantCall(_methodName);
+        }
+    }
+
+    function _isFlashLoanToken(address _token, bytes32 _methodName) private view {
+        if (_token != address(this)) {
+            revert InvalidParameter(_methodName, '_token');
+        }
+    }
+
+    function _isExpired(uint256 _deadline, bytes32 _methodName) private view {
+        if (block.timestamp > _deadline) {
+            revert ExpiredDeadline(_methodName);
+        }
+    }
+
+    function _isPastBlock(uint256 _blockNumber, bytes32 _methodName) private view {
+        if (_blockNumber >= block.number) {
+            revert InvalidParameter(_methodName, '_blockNumber');
+        }
+    }
+
+    function _isValidSignature(address _owner, bytes32 _digest, uint8 _v, bytes32 _r, bytes32 _s, bytes32 _methodName) private pure {
+        if (_recoverSigner(_digest, _v, _r, _s, _methodName) != _owner) {
+            revert InvalidSignature(_methodName);
+        }
+    }
+
+    /// @dev The signer of `_digest`. Reverts on malleable or unrecoverable signatures instead of returning zero address
+    function _recoverSigner(bytes32 _digest, uint8 _v, bytes32 _r, bytes32 _s, bytes32 _methodName) private pure returns (address) {
+        address _signer = address(0);
+        if (uint256(_s) <= _MAX_SIGNATURE_S) {
+            _signer = ecrecover(_digest, _v, _r, _s);
+        }
+        if (_signer == address(0)) {
+            revert InvalidSignature(_methodName);
+        }
+        return _signer;
+    }
+}
+
+/// @notice Non upgradeable token. For the upgradeable variant see `ERC20Upgradeable`
+contract ERC20 is ERC20Base {
+
+    /**
+     * @notice Initialize the state of the contract
+     * @dev Throw if `_name` is empty. Message: "constructor - Invalid parameter: _name"
+     * @dev Throw if `_symbol` is empty. Message: "constructor - Invalid parameter: _symbol"
+     * @dev Throw if `_price` is zero. Message: "constructor - Invalid parameter: _price"
+     * @param _name The name of the token
+     * @param _symbol The symbol of the token
+     * @param _maxSupply The maximum supply of the token. Zero for unlimited emition
+     * @param _price The initial `mintPrice` and `redemptionPrice`, in token units per ether. `1 ether` for a parity of 1 to 1
+     * @dev The deployer becomes the owner and is granted `PAUSER_ROLE`, `MINTER_ROLE` and `SNAPSHOT_ROLE`
+     */
+    constructor(string memory _name, string memory _symbol, uint256 _maxSupply, uint256 _price) {
+        _initialize(_name, _symbol, _maxSupply, _price, msg.sender, 'constructor');
+    }
+}
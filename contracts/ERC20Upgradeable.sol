@@ -0,0 +1,129 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "./ERC20.sol";
+
+ /// @notice Upgradeable variant of `ERC20`, deployed behind an `ERC1967Proxy`
+ /// @dev Follows the UUPS pattern (EIP-1822): the upgrade logic lives in the implementation and the proxy only delegates.
+ /// `initialize` replaces the constructor. New versions must inherit this contract and only append state variables,
+ /// `lib/storage-layout.js` refuses upgrades that reorder or retype the existing ones
+contract ERC20Upgradeable is ERC20Base {
+
+    /// ERC-1967 SLOTS
+    /// @dev Slot of the implementation address, `keccak256("eip1967.proxy.implementation") - 1`
+    bytes32 internal constant _IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    /// @dev Slot of the initialized flag. Kept out of the sequential layout so versions can append variables freely
+    bytes32 private constant _INITIALIZED_SLOT = bytes32(uint256(keccak256("erc20upgradeable.initialized")) - 1);
+
+    /// @dev Address of the implementation itself, to tell calls through the proxy from direct calls
+    address private immutable _self = address(this);
+
+    /// EVENTS
+    /// @notice Trigger when the implementation behind the proxy changes
+    event Upgraded(address indexed _implementation);
+
+    /// ERRORS
+    /// @notice The contract has already been initialized
+    error AlreadyInitialized(bytes32 _method);
+
+    /// @notice The new implementation is not an `ERC20Upgradeable`
+    error InvalidImplementation(bytes32 _method);
+
+    /// @notice The method was called on the implementation instead of through the proxy, or the other way around
+    error UnauthorizedCallContext(bytes32 _method);
+
+    /**
+     * @notice Lock the implementation, only the proxy storage can be initialized
+     */
+    constructor() {
+        _setInitialized();
+    }
+
+    /**
+     * @notice Initialize the state of the proxy, in place of the constructor of `ERC20`
+     * @dev Throw if already initialized. Message: "initialize - Already initialized"
+     * @dev Throw if `_name` is empty. Message: "initialize - Invalid parameter: _name"
+     * @dev Throw if `_symbol` is empty. Message: "initialize - Invalid parameter: _symbol"
+     * @dev Throw if `_price` is zero. Message: "initialize - Invalid parameter: _price"
+     * @param _name The name of the token
+     * @param _symbol The symbol of the token
+     * @param _maxSupply The maximum supply of the token. Zero for unlimited emition
+     * @param _price The initial `mintPrice` and `redemptionPrice`, in token units per ether. `1 ether` for a parity of 1 to 1
+     * @dev The sender becomes the owner and is granted `PAUSER_ROLE`, `MINTER_ROLE` and `SNAPSHOT_ROLE`
+     */
+    function initialize(string memory _name, string memory _symbol, uint256 _maxSupply, uint256 _price) external {
+        bytes32 _methodName = 'initialize';
+        _isInitialized(_methodName);
+        _setInitialized();
+        _initialize(_name, _symbol, _maxSupply, _price, msg.sender, _methodName);
+    }
+
+    /**
+     * @notice Replace the implementation behind the proxy
+     * @dev Throw if not called through the proxy. Message: "upgradeTo - Unauthorized call context"
+     * @dev Throw if sender is not the owner. Message: "upgradeTo - Caller is not the owner"
+     * @dev Throw if `_newImplementation` does not implement `proxiableUUID`. Message: "upgradeTo - Invalid implementation"
+     * @param _newImplementation The address of the new implementation
+     */
+    function upgradeTo(address _newImplementation) external {
+        bytes32 _methodName = 'upgradeTo';
+        _isProxied(_methodName);
+        _isOwner(_methodName);
+        _isValidImplementation(_newImplementation, _methodName);
+        bytes32 _slot = _IMPLEMENTATION_SLOT;
+        assembly {
+            sstore(_slot, _newImplementation)
+        }
+        emit Upgraded(_newImplementation);
+    }
+
+    /**
+     * @notice The storage slot of the implementation address, as required by EIP-1822
+     * @dev Throw if called through the proxy, so a proxy cannot be set as the implementation of another one.
+     * Message: "proxiableUUID - Unauthorized call context"
+     */
+    function proxiableUUID() external view returns (bytes32) {
+        if (address(this) != _self) {
+            revert UnauthorizedCallContext('proxiableUUID');
+        }
+        return _IMPLEMENTATION_SLOT;
+    }
+
+    function _setInitialized() private {
+        bytes32 _slot = _INITIALIZED_SLOT;
+        assembly {
+            sstore(_slot, 1)
+        }
+    }
+
+    function _isInitialized(bytes32 _methodName) private view {
+        bytes32 _slot = _INITIALIZED_SLOT;
+        uint256 _initialized;
+        assembly {
+            _initialized := sload(_slot)
+        }
+        if (_initialized != 0) {
+            revert AlreadyInitialized(_methodName);
+        }
+    }
+
+    function _isProxied(bytes32 _methodName) private view {
+        if (address(this) == _self) {
+            revert UnauthorizedCallContext(_methodName);
+        }
+    }
+
+    function _isValidImplementation(address _implementation, bytes32 _methodName) private view {
+        // Without code the return data could not be decoded, which `catch` does not handle
+        if (_implementation.code.length == 0) {
+            revert InvalidImplementation(_methodName);
+        }
+        try ERC20Upgradeable(_implementation).proxiableUUID() returns (bytes32 _slot) {
+            if (_slot != _IMPLEMENTATION_SLOT) {
+                revert InvalidImplementation(_methodName);
+            }
+        } catch {
+            revert InvalidImplementation(_methodName);
+        }
+    }
+}
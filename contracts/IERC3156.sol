@@ -0,0 +1,38 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+ /// @notice Receiver of an ERC-3156 flash loan
+ /// Referencia: https://eips.ethereum.org/EIPS/eip-3156
+interface IERC3156FlashBorrower {
+
+    /**
+     * @notice Called by the lender once `_amount` tokens are sent to the receiver. Before returning, the receiver
+     * approves the lender to take back `_amount + _fee`
+     * @param _initiator It is the account that called `flashLoan`
+     * @param _token It is the loaned token
+     * @param _amount It is the amount of tokens loaned
+     * @param _fee It is the additional amount of tokens to repay
+     * @param _data It is the data given to `flashLoan`, passed through unchanged
+     * @return `keccak256("ERC3156FlashBorrower.onFlashLoan")`, any other value aborts the loan
+     */
+    function onFlashLoan(address _initiator, address _token, uint256 _amount, uint256 _fee, bytes calldata _data) external returns (bytes32);
+}
+
+ /// @notice Lender of ERC-3156 flash loans
+interface IERC3156FlashLender {
+
+    /**
+     * @notice The amount of `_token` available to be lent, zero if `_token` is not supported
+     */
+    function maxFlashLoan(address _token) external view returns (uint256);
+
+    /**
+     * @notice The fee charged on top of a loan of `_amount` tokens of `_token`
+     */
+    function flashFee(address _token, uint256 _amount) external view returns (uint256);
+
+    /**
+     * @notice Lends `_amount` tokens of `_token` to `_receiver` for the duration of its `onFlashLoan` callback
+     */
+    function flashLoan(IERC3156FlashBorrower _receiver, address _token, uint256 _amount, bytes calldata _data) external returns (bool);
+}
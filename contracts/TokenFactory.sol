@@ -0,0 +1,130 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "./ERC20.sol";
+
+ /// @notice Deploys `ERC20` tokens and keeps an enumerable registry of them
+ /// @dev The factory deploys the token, so it starts as its owner. It grants `PAUSER_ROLE`, `MINTER_ROLE` and
+ /// `SNAPSHOT_ROLE` to the creator, renounces its own roles and starts the ownership transfer, which the creator
+ /// completes with `acceptOwnership` on the token
+contract TokenFactory {
+
+    /// STATE VARIABLES
+    /// @notice The tokens deployed by the factory, in creation order
+    address[] public tokens;
+
+    /// STATE MAPPINGS
+    /// @notice The account that created a token, zero address if the token was not deployed by the factory
+    mapping(address => address) public creatorOf;
+
+    /// EVENTS
+    /// @notice Trigger when a token is deployed
+    /// @dev `_salt` is zero for tokens deployed with `createToken`
+    event TokenCreated(address indexed _token, address indexed _creator, string _name, string _symbol, uint256 _maxSupply, uint256 _price, bytes32 _salt);
+
+    /// ERRORS
+    /// @notice A token was already deployed with the same salt and parameters
+    error TokenAlreadyExists(bytes32 _method);
+
+    /**
+     * @notice Deploy a token with CREATE, at an address that depends on the factory nonce
+     * @dev Throw if `_name` is empty. Message: "constructor - Invalid parameter: _name"
+     * @dev Throw if `_symbol` is empty. Message: "constructor - Invalid parameter: _symbol"
+     * @dev Throw if `_price` is zero. Message: "constructor - Invalid parameter: _price"
+     * @param _name The name of the token
+     * @param _symbol The symbol of the token
+     * @param _maxSupply The maximum supply of the token. Zero for unlimited emition
+     * @param _price The initial mint and redemption price of the token, in token units per ether
+     * @return The address of the token
+     */
+    function createToken(string memory _name, string memory _symbol, uint256 _maxSupply, uint256 _price) external returns (address) {
+        ERC20 _token = new ERC20(_name, _symbol, _maxSupply, _price);
+        _register(_token, _name, _symbol, _maxSupply, _price, bytes32(0));
+        return address(_token);
+    }
+
+    /**
+     * @notice Deploy a token with CREATE2, at the address returned by `predictTokenAddress`
+     * @dev The salt is combined with the sender, so other accounts cannot take the address of a salt
+     * @dev Throw if the sender already deployed a token with the same salt and parameters. Message: "createTokenDeterministic - Token already exists"
+     * @dev Throw if `_name` is empty. Message: "constructor - Invalid parameter: _name"
+     * @dev Throw if `_symbol` is empty. Message: "constructor - Invalid parameter: _symbol"
+     * @dev Throw if `_price` is zero. Message: "constructor - Invalid parameter: _price"
+     * @param _name The name of the token
+     * @param _symbol The symbol of the token
+     * @param _maxSupply The maximum supply of the token. Zero for unlimited emition
+     * @param _price The initial mint and redemption price of the token, in token units per ether
+     * @param _salt Any value chosen by the creator
+     * @return The address of the token
+     */
+    function createTokenDeterministic(string memory _name, string memory _symbol, uint256 _maxSupply, uint256 _price, bytes32 _salt) external returns (address) {
+        bytes32 _methodName = 'createTokenDeterministic';
+        _isDeployed(predictTokenAddress(_name, _symbol, _maxSupply, _price, _salt, msg.sender), _methodName);
+        ERC20 _token = new ERC20{salt: _getSalt(msg.sender, _salt)}(_name, _symbol, _maxSupply, _price);
+        _register(_token, _name, _symbol, _maxSupply, _price, _salt);
+        return address(_token);
+    }
+
+    /**
+     * @notice The address of the token `_creator` would deploy with `createTokenDeterministic`
+     * @param _name The name of the token
+     * @param _symbol The symbol of the token
+     * @param _maxSupply The maximum supply of the token
+     * @param _price The initial price of the token
+     * @param _salt The salt chosen by the creator
+     * @param _creator The account calling `createTokenDeterministic`
+     */
+    function predictTokenAddress(string memory _name, string memory _symbol, uint256 _maxSupply, uint256 _price, bytes32 _salt, address _creator) public view returns (address) {
+        bytes32 _initCodeHash = keccak256(abi.encodePacked(type(ERC20).creationCode, abi.encode(_name, _symbol, _maxSupply, _price)));
+        bytes32 _hash = keccak256(abi.encodePacked(bytes1(0xff), address(this), _getSalt(_creator, _salt), _initCodeHash));
+        return address(uint160(uint256(_hash)));
+    }
+
+    /**
+     * @notice Number of tokens deployed by the factory
+     */
+    function tokenCount() external view returns (uint256) {
+        return tokens.length;
+    }
+
+    /**
+     * @notice A page of the registry
+     * @param _offset The index of the first token
+     * @param _limit The maximum number of tokens to return, `type(uint256).max` for all of them
+     * @return _page The tokens from `_offset`, empty if `_offset` is past the end
+     */
+    function getTokens(uint256 _offset, uint256 _limit) external view returns (address[] memory _page) {
+        if (_offset >= tokens.length) {
+            return new address[](0);
+        }
+        // Compared against the tokens left, `_offset + _limit` would overflow for a large `_limit`
+        uint256 _end = _limit > tokens.length - _offset ? tokens.length : _offset + _limit;
+        _page = new address[](_end - _offset);
+        for (uint256 _index = _offset; _index < _end; _index++) {
+            _page[_index - _offset] = tokens[_index];
+        }
+    }
+
+    function _register(ERC20 _token, string memory _name, string memory _symbol, uint256 _maxSupply, uint256 _price, bytes32 _salt) private {
+        _token.grantRole(_token.PAUSER_ROLE(), msg.sender);
+        _token.grantRole(_token.MINTER_ROLE(), msg.sender);
+        _token.grantRole(_token.SNAPSHOT_ROLE(), msg.sender);
+        _token.renounceRole(_token.PAUSER_ROLE());
+        _token.renounceRole(_token.MINTER_ROLE());
+        _token.renounceRole(_token.SNAPSHOT_ROLE());
+        _token.transferOwnership(msg.sender);
+        creatorOf[address(_token)] = msg.sender;
+        tokens.push(address(_token));
+        emit TokenCreated(address(_token), msg.sender, _name, _symbol, _maxSupply, _price, _salt);
+    }
+
+    function _getSalt(address _creator, bytes32 _salt) private pure returns (bytes32) {
+        return keccak256(abi.encode(_creator, _salt));
+    }
+
+    function _isDeployed(address _token, bytes32 _methodName) private view {
+        if (_token.code.length != 0) {
+            revert TokenAlreadyExists(_methodName);
+        }
+    }
+}
@@ -0,0 +1,207 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "./ERC20.sol";
+
+ /// @notice Holds `ERC20` tokens for beneficiaries and releases them on a vesting schedule: nothing before the cliff,
+ /// then linearly from the start until the end of the duration
+ /// @dev A schedule with a cliff as long as its duration is a timelock, all of it unlocks at the end. The owner funds
+ /// each schedule with `transferFrom`, so it approves the contract for the amount first. One schedule per beneficiary
+contract TokenVesting {
+
+    /// STATE VARIABLES
+    /// @notice The vested token, an `ERC20` or an `ERC20Upgradeable` proxy
+    ERC20Base public immutable token;
+    /// @notice Creates and revokes schedules, and receives the unvested tokens of revoked schedules
+    address public immutable owner;
+    /// @notice Tokens held for the schedules and not released yet
+    uint256 public totalVesting;
+    /// @notice The beneficiaries, in creation order
+    address[] public beneficiaries;
+
+    /// @dev Times are unix timestamps and durations in seconds, `cliff` and `duration` count from `start`
+    struct Schedule {
+        uint256 amount;
+        uint256 released;
+        uint64 start;
+        uint64 cliff;
+        uint64 duration;
+        bool revocable;
+        bool revoked;
+    }
+
+    /// STATE MAPPINGS
+    /// @notice The schedule of each beneficiary. After a revocation `amount` is what had vested by then
+    mapping(address => Schedule) public schedules;
+
+    /// EVENTS
+    /// @notice Trigger when the owner funds the schedule of `_beneficiary`
+    event VestingCreated(address indexed _beneficiary, uint256 _amount, uint64 _start, uint64 _cliff, uint64 _duration, bool _revocable);
+
+    /// @notice Trigger when vested tokens are sent to `_beneficiary`
+    event TokensReleased(address indexed _beneficiary, uint256 _value);
+
+    /// @notice Trigger when the owner revokes the schedule of `_beneficiary`
+    /// @dev `_vested` stays releasable by the beneficiary, `_refund` is sent back to the owner
+    event VestingRevoked(address indexed _beneficiary, uint256 _vested, uint256 _refund);
+
+    /// ERRORS
+    /// @dev Same errors as `ERC20` where they mean the same, decoded by `lib/errors.js`
+
+    /// @notice A parameter is the zero address, zero or out of range
+    error InvalidParameter(bytes32 _method, bytes32 _parameter);
+
+    /// @notice The sender is not the owner
+    error CallerNotOwner(bytes32 _method);
+
+    /// @notice The beneficiary already has a schedule
+    error VestingAlreadyExists(bytes32 _method);
+
+    /// @notice No vested tokens are waiting to be released
+    error NothingToRelease(bytes32 _method);
+
+    /// @notice The schedule was created without the revocable flag, or is already revoked
+    error VestingNotRevocable(bytes32 _method);
+
+    /**
+     * @notice Initialize the state of the contract. The deployer becomes the owner
+     * @dev Throw if `_token` is zero address. Message: "constructor - Invalid parameter: _token"
+     * @param _token The vested token
+     */
+    constructor(ERC20Base _token) {
+        _isZeroAddress(address(_token), 'constructor', '_token');
+        token = _token;
+        owner = msg.sender;
+    }
+
+    /**
+     * @notice Creates the schedule of `_beneficiary` and takes `_amount` tokens from the owner.
+     * On success must fire the `VestingCreated` event.
+     * @dev Throw if sender is not the owner. Message: "createVesting - Caller is not the owner"
+     * @dev Throw if `_beneficiary` is zero address. Message: "createVesting - Invalid parameter: _beneficiary"
+     * @dev Throw if `_amount` is zero. Message: "createVesting - Invalid parameter: _amount"
+     * @dev Throw if `_duration` is zero. Message: "createVesting - Invalid parameter: _duration"
+     * @dev Throw if `_cliff` is longer than `_duration`. Message: "createVesting - Invalid parameter: _cliff"
+     * @dev Throw if `_beneficiary` already has a schedule, revoked ones included. Message: "createVesting - Vesting already exists"
+     * @dev Throw if the owner did not approve `_amount` or does not hold it, with the messages of `transferFrom`
+     * @param _beneficiary It is the account that receives the tokens
+     * @param _amount It is the amount of tokens vested
+     * @param _start It is the timestamp the vesting starts at, in the past or in the future
+     * @param _cliff It is the time after `_start` before which nothing is released
+     * @param _duration It is the time after `_start` at which everything is released
+     * @param _revocable It is whether the owner can take back the tokens not vested yet
+     */
+    function createVesting(address _beneficiary, uint256 _amount, uint64 _start, uint64 _cliff, uint64 _duration, bool _revocable) external {
+        bytes32 _methodName = 'createVesting';
+        _isOwner(_methodName);
+        _isZeroAddress(_beneficiary, _methodName, '_beneficiary');
+        _isZeroAmount(_amount, _methodName, '_amount');
+        _isZeroAmount(_duration, _methodName, '_duration');
+        if (_cliff > _duration) {
+            revert InvalidParameter(_methodName, '_cliff');
+        }
+        // Not `amount`, revoking before the cliff leaves it at zero and the beneficiary would be listed twice
+        if (schedules[_beneficiary].duration != 0) {
+            revert VestingAlreadyExists(_methodName);
+        }
+        schedules[_beneficiary] = Schedule(_amount, 0, _start, _cliff, _duration, _revocable, false);
+        beneficiaries.push(_beneficiary);
+        totalVesting += _amount;
+        emit VestingCreated(_beneficiary, _amount, _start, _cliff, _duration, _revocable);
+        token.transferFrom(msg.sender, address(this), _amount);
+    }
+
+    /**
+     * @notice Sends the vested tokens of `_beneficiary` not released yet. Anyone can call it.
+     * On success must fire the `TokensReleased` event.
+     * @dev Throw if nothing is releasable, e.g. before the cliff. Message: "release - Nothing to release"
+     * @dev Throw if the token is paused, with the messages of `transfer`
+     * @param _beneficiary It is the account that receives the tokens
+     */
+    function release(address _beneficiary) external {
+        uint256 _value = releasable(_beneficiary);
+        if (_value == 0) {
+            revert NothingToRelease('release');
+        }
+        schedules[_beneficiary].released += _value;
+        totalVesting -= _value;
+        emit TokensReleased(_beneficiary, _value);
+        token.transfer(_beneficiary, _value);
+    }
+
+    /**
+     * @notice Ends the schedule of `_beneficiary`: what vested so far stays releasable by the beneficiary and the rest
+     * is sent back to the owner. On success must fire the `VestingRevoked` event.
+     * @dev Throw if sender is not the owner. Message: "revoke - Caller is not the owner"
+     * @dev Throw if the schedule is not revocable, already revoked or does not exist. Message: "revoke - Vesting not revocable"
+     * @param _beneficiary It is the account whose schedule is revoked
+     */
+    function revoke(address _beneficiary) external {
+        bytes32 _methodName = 'revoke';
+        _isOwner(_methodName);
+        Schedule storage _schedule = schedules[_beneficiary];
+        if (!_schedule.revocable || _schedule.revoked) {
+            revert VestingNotRevocable(_methodName);
+        }
+        uint256 _vested = vestedAmount(_beneficiary, block.timestamp);
+        uint256 _refund = _schedule.amount - _vested;
+        _schedule.amount = _vested;
+        _schedule.revoked = true;
+        totalVesting -= _refund;
+        emit VestingRevoked(_beneficiary, _vested, _refund);
+        if (_refund != 0) {
+            token.transfer(msg.sender, _refund);
+        }
+    }
+
+    /**
+     * @notice The tokens of `_beneficiary` vested and not released yet
+     * @param _beneficiary It is the account to query
+     */
+    function releasable(address _beneficiary) public view returns (uint256) {
+        return vestedAmount(_beneficiary, block.timestamp) - schedules[_beneficiary].released;
+    }
+
+    /**
+     * @notice The tokens of `_beneficiary` vested at `_timestamp`, released or not
+     * @dev Zero before the cliff, then `amount * (_timestamp - start) / duration` rounded down, then `amount`.
+     * A revoked schedule stays at what had vested at the revocation
+     * @param _beneficiary It is the account to query
+     * @param _timestamp It is the time to compute the vested tokens at
+     */
+    function vestedAmount(address _beneficiary, uint256 _timestamp) public view returns (uint256) {
+        Schedule storage _schedule = schedules[_beneficiary];
+        if (_schedule.revoked || _timestamp >= uint256(_schedule.start) + _schedule.duration) {
+            return _schedule.amount;
+        }
+        if (_timestamp < uint256(_schedule.start) + _schedule.cliff) {
+            return 0;
+        }
+        return _schedule.amount * (_timestamp - _schedule.start) / _schedule.duration;
+    }
+
+    /**
+     * @notice Number of beneficiaries with a schedule
+     */
+    function beneficiaryCount() external view returns (uint256) {
+        return beneficiaries.length;
+    }
+
+    function _isOwner(bytes32 _methodName) private view {
+        if (msg.sender != owner) {
+            revert CallerNotOwner(_methodName);
+        }
+    }
+
+    function _isZeroAddress(address _address, bytes32 _methodName, bytes32 _parameterName) private pure {
+        if (_address == address(0)) {
+            revert InvalidParameter(_methodName, _parameterName);
+        }
+    }
+
+    function _isZeroAmount(uint256 _value, bytes32 _methodName, bytes32 _parameterName) private pure {
+        if (_value == 0) {
+            revert InvalidParameter(_methodName, _parameterName);
+        }
+    }
+}
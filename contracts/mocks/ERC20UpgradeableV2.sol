@@ -0,0 +1,26 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "../ERC20Upgradeable.sol";
+
+ /// @notice Second version of `ERC20Upgradeable` for the upgrade tests, appends a state variable
+contract ERC20UpgradeableV2 is ERC20Upgradeable {
+
+    /// @notice Appended after the variables of `ERC20Base`, a compatible layout
+    uint256 public upgradedAt;
+
+    /**
+     * @notice Version of the implementation
+     */
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    /**
+     * @notice Record the block of the upgrade, to check that appended variables are writable through the proxy
+     */
+    function setUpgradedAt() external {
+        _isOwner('setUpgradedAt');
+        upgradedAt = block.number;
+    }
+}
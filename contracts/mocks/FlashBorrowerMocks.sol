@@ -0,0 +1,92 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "../ERC20.sol";
+
+ /// @notice ERC-3156 borrower for the flash loan tests: records what it sees during the loan and then does what
+ /// `action` says instead of, or before, repaying
+contract FlashBorrowerMock is IERC3156FlashBorrower {
+
+    enum Action {
+        Repay,
+        SkipApproval,
+        WrongReturnValue,
+        TransferLoan,
+        BurnLoan,
+        FlashLoanAgain,
+        Withdraw
+    }
+
+    bytes32 private constant _CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    ERC20Base public immutable token;
+    Action public action;
+    /// @notice Recipient of `TransferLoan`
+    address public recipient;
+
+    /// @notice Values seen by the last `onFlashLoan`
+    address public initiator;
+    uint256 public fee;
+    bytes public data;
+    uint256 public balanceDuringLoan;
+    uint256 public totalSupplyDuringLoan;
+    uint256 public maxFlashLoanDuringLoan;
+    /// @notice Revert data of the reentrant call of `FlashLoanAgain` and `Withdraw`
+    bytes public reentryError;
+
+    error UntrustedLender();
+
+    constructor(ERC20Base _token) {
+        token = _token;
+    }
+
+    function setAction(Action _action, address _recipient) external {
+        action = _action;
+        recipient = _recipient;
+    }
+
+    function delegate(address _delegatee) external {
+        token.delegate(_delegatee);
+    }
+
+    /// @notice Borrow with this contract as initiator and receiver
+    function flashBorrow(uint256 _amount, bytes calldata _data) external returns (bool) {
+        return token.flashLoan(this, address(token), _amount, _data);
+    }
+
+    function onFlashLoan(address _initiator, address _token, uint256 _amount, uint256 _fee, bytes calldata _data) external returns (bytes32) {
+        if (msg.sender != address(token) || _token != address(token)) {
+            revert UntrustedLender();
+        }
+        initiator = _initiator;
+        fee = _fee;
+        data = _data;
+        balanceDuringLoan = token.balanceOf(address(this));
+        totalSupplyDuringLoan = token.totalSupply();
+        maxFlashLoanDuringLoan = token.maxFlashLoan(address(token));
+
+        if (action == Action.TransferLoan) {
+            token.transfer(recipient, _amount);
+        } else if (action == Action.BurnLoan) {
+            token.burn(address(this), _amount);
+        } else if (action == Action.FlashLoanAgain) {
+            try token.flashLoan(this, address(token), _amount, _data) {
+            } catch (bytes memory _error) {
+                reentryError = _error;
+            }
+        } else if (action == Action.Withdraw) {
+            try token.withdraw(address(this)) {
+            } catch (bytes memory _error) {
+                reentryError = _error;
+            }
+        }
+
+        if (action != Action.SkipApproval) {
+            token.approve(address(token), _amount + _fee);
+        }
+        return action == Action.WrongReturnValue ? bytes32(0) : _CALLBACK_SUCCESS;
+    }
+
+    /// @dev Receives the ether of `BurnLoan`
+    receive() external payable {}
+}
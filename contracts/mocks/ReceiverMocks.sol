@@ -0,0 +1,71 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.16;
+
+import "../ERC20.sol";
+
+ /// @notice Contract account holding tokens, like a multisig or a smart wallet, for the redemption tests
+contract WalletMock {
+
+    ERC20Base public immutable token;
+
+    constructor(ERC20Base _token) {
+        token = _token;
+    }
+
+    function burn(uint256 _value) external {
+        token.burn(address(this), _value);
+    }
+
+    function redeem(uint256 _value) external {
+        token.redeem(address(this), _value);
+    }
+
+    function withdraw(address _recipient) external {
+        token.withdraw(_recipient);
+    }
+
+    receive() external payable virtual {}
+}
+
+ /// @notice Spends more than the 2300 gas forwarded by `transfer` when receiving ether, e.g. to keep accounting
+contract GasConsumingReceiverMock is WalletMock {
+
+    uint256 public received;
+    uint256 public deposits;
+
+    constructor(ERC20Base _token) WalletMock(_token) {}
+
+    receive() external payable override {
+        received += msg.value;
+        deposits++;
+    }
+}
+
+ /// @notice Rejects every ether transfer
+contract RevertingReceiverMock is WalletMock {
+
+    constructor(ERC20Base _token) WalletMock(_token) {}
+
+    receive() external payable override {
+        revert();
+    }
+}
+
+ /// @notice Calls `withdraw` again when receiving ether, keeping the revert data of the reentrant call
+contract ReentrantReceiverMock is WalletMock {
+
+    bool public reentered;
+    bytes public reentryError;
+
+    constructor(ERC20Base _token) WalletMock(_token) {}
+
+    receive() external payable override {
+        if (!reentered) {
+            reentered = true;
+            try token.withdraw(address(this)) {
+            } catch (bytes memory _error) {
+                reentryError = _error;
+            }
+        }
+    }
+}
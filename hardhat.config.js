@@ -2,35 +2,48 @@ require('dotenv').config();
 require('@nomiclabs/hardhat-ethers');
 require('solidity-coverage');
 require('hardhat-contract-sizer');
+const { getHardhatNetworks } = require('./lib/networks');
+require('./tasks/token');
+require('./tasks/deploy');
+require('./tasks/verify');
+require('./tasks/indexer');
+require('./tasks/holders');
+require('./tasks/airdrop');
+require('./tasks/admin');
+require('./tasks/networks');
+require('./tasks/upgrades');
+require('./tasks/factory');
+require('./tasks/vesting');
+require('./tasks/devnet');
 
 /**
  * @type import('hardhat/config').HardhatUserConfig
  */
 module.exports = {
-  solidity: "0.8.16",
+  solidity: {
+    version: "0.8.16",
+    settings: {
+      // TokenFactory embeds the creation code of ERC20. With the balance snapshots ERC20 grew enough for the
+      // unoptimized factory to reach 24.2 KiB, over the 24 KiB code size limit (EIP-170), 22.1 KiB before them.
+      // Changes every bytecodeHash and the gas baseline, redeploy recorded deployments with --force
+      optimizer: {
+        enabled: true,
+        runs: 200
+      },
+      // Read by lib/storage-layout.js to check upgrades of ERC20Upgradeable
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
+      }
+    }
+  },
   paths: {
     sources: "./contracts",
     tests: "./test",
     cache: "./cache",
     artifacts: "./artifacts"
   },
-  networks: {
-    ganache: {
-      chainId: 1337,
-      url: process.env.GANACHE_ACCESSPOINT_URL,
-      from: process.env.GANACHE_ACCOUNT,
-      accounts: [process.env.GANACHE_PRIVATE_KEY]
-    },
-
-    rinkeby: {
-        chainId:  4,
-        timeout:  20000,
-        gasPrice: 8000000000,
-        gas:      "auto",
-        name:     "Rinkeby",		
-        url:      process.env.RINKEBY_ACCESSPOINT_URL,
-        from:     process.env.RINKEBY_ACCOUNT,
-        accounts: [process.env.RINKEBY_PRIVATE_KEY]
-	  }
-  }
+  // Declared in networks.config.json, enabled only when their variables are set
+  networks: getHardhatNetworks(process.env)
 };
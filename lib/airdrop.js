@@ -0,0 +1,225 @@
+const fs = require('fs');
+const { ethers } = require("ethers");
+
+/**
+ * Batch payouts through `transfer`, one transaction per recipient.
+ *
+ * Progress is written to a checkpoint file before and after every transaction: the nonce before
+ * sending, the hash once broadcast and the block once confirmed. A resumed run reconciles entries
+ * left pending by a crash against the chain before sending anything, so no recipient is paid twice.
+ */
+
+/**
+ * @notice Parse a CSV of `address,amount` lines. A header line, blank lines and `#` comments are skipped
+ * @param text The CSV content
+ * @param decimals The token decimals used to convert the human readable amounts
+ * @return Array of `{ line, account, amount }`
+ */
+function parseRecipients(text, decimals) {
+    const recipients = [];
+    const errors = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = index + 1;
+        const content = raw.trim();
+        if (content === "" || content.startsWith("#") || (line === 1 && /^address\s*,/i.test(content))) {
+            return;
+        }
+        const [account, amount, ...rest] = content.split(",").map(value => value.trim());
+        if (amount === undefined || rest.length > 0) {
+            errors.push(`line ${line}: expected "address,amount"`);
+            return;
+        }
+        try {
+            recipients.push({ line, account, amount: ethers.utils.parseUnits(amount, decimals) });
+        } catch (error) {
+            errors.push(`line ${line}: invalid amount ${amount}`);
+        }
+    });
+    if (errors.length > 0) {
+        throw new Error(`Invalid recipients file\n  - ${errors.join("\n  - ")}`);
+    }
+    return recipients;
+}
+
+/**
+ * @notice Check the recipients against the rules `transfer` enforces, before sending anything
+ * @dev Duplicated recipients are rejected too, since they usually mean a mistake in the file
+ * @param recipients As returned by `parseRecipients`
+ * @param sender The paying account
+ * @param balance The token balance available to pay the recipients still pending
+ * @param paid Lines already confirmed in a previous run, excluded from the balance check
+ */
+function validateRecipients(recipients, sender, balance, paid = new Set()) {
+    const errors = [];
+    const seen = new Map();
+    let total = ethers.constants.Zero;
+    for (const { line, account, amount } of recipients) {
+        if (!ethers.utils.isAddress(account)) {
+            errors.push(`line ${line}: invalid address ${account}`);
+            continue;
+        }
+        const address = ethers.utils.getAddress(account);
+        if (address === ethers.constants.AddressZero) {
+            errors.push(`line ${line}: recipient is the zero address`);
+        }
+        if (address === ethers.utils.getAddress(sender)) {
+            errors.push(`line ${line}: recipient is the sender`);
+        }
+        if (amount.isZero()) {
+            errors.push(`line ${line}: amount is zero`);
+        }
+        if (seen.has(address)) {
+            errors.push(`line ${line}: duplicated recipient, first seen at line ${seen.get(address)}`);
+        }
+        seen.set(address, line);
+        if (!paid.has(line)) {
+            total = total.add(amount);
+        }
+    }
+    if (total.gt(balance)) {
+        errors.push(`insufficient balance: ${total.toString()} needed, ${balance.toString()} available`);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid recipients\n  - ${errors.join("\n  - ")}`);
+    }
+    return total;
+}
+
+function readCheckpoint(checkpointPath, token, sender) {
+    if (!fs.existsSync(checkpointPath)) {
+        return { token, sender, entries: {} };
+    }
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+    if (checkpoint.token.toLowerCase() !== token.toLowerCase() || checkpoint.sender.toLowerCase() !== sender.toLowerCase()) {
+        throw new Error(`Checkpoint ${checkpointPath} belongs to a payout of ${checkpoint.token} from ${checkpoint.sender}`);
+    }
+    return checkpoint;
+}
+
+function writeCheckpoint(checkpointPath, checkpoint) {
+    const tmpPath = `${checkpointPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(checkpoint, null, 4) + "\n");
+    fs.renameSync(tmpPath, checkpointPath);
+}
+
+/**
+ * @notice Estimate the gas of every transfer without sending them
+ * @return Per recipient estimates and their total
+ */
+async function estimateAirdrop(contract, recipients) {
+    const estimates = [];
+    let total = ethers.constants.Zero;
+    for (const { line, account, amount } of recipients) {
+        const gas = await contract.estimateGas.transfer(account, amount);
+        estimates.push({ line, account, amount, gas });
+        total = total.add(gas);
+    }
+    return { estimates, total };
+}
+
+/**
+ * @notice Settle an entry left pending by a previous run
+ * @dev Throws if the transaction with the nonce of the entry is neither mined nor dropped within `waitTimeout`
+ * @return True if the transfer is known to be on chain, false if it must be sent (again)
+ */
+async function reconcile(contract, sender, entry, recipient, { pollInterval, waitTimeout }) {
+    const { provider } = contract;
+    // Wait for the nonce to be mined before looking for the payment
+    const deadline = Date.now() + waitTimeout;
+    while (await provider.getTransactionCount(sender, "latest") <= entry.nonce) {
+        // Nothing with this nonce is known to the node: the transfer was never sent or was dropped from the mempool
+        if (await provider.getTransactionCount(sender, "pending") <= entry.nonce) {
+            return false;
+        }
+        if (Date.now() >= deadline) {
+            throw new Error(`The transaction with nonce ${entry.nonce} of line ${recipient.line} is still pending after ${waitTimeout / 1000}s. Run again once it is mined or dropped`);
+        }
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+    if (entry.transactionHash !== undefined) {
+        const receipt = await provider.getTransactionReceipt(entry.transactionHash);
+        if (receipt !== null) {
+            entry.blockNumber = receipt.blockNumber;
+            return receipt.status === 1;
+        }
+    }
+    // Crashed before the hash was recorded, or replaced: look for the payment since the entry was created
+    const events = await contract.queryFilter(contract.filters.Transfer(sender, recipient.account), entry.startBlock);
+    const payment = events.find(event => event.args._value.eq(recipient.amount));
+    if (payment === undefined) {
+        return false;
+    }
+    entry.transactionHash = payment.transactionHash;
+    entry.blockNumber = payment.blockNumber;
+    return true;
+}
+
+/**
+ * @notice Pay every recipient not yet confirmed in the checkpoint file
+ * @param contract An ethers contract attached to the token, connected to the paying signer
+ * @param recipients As returned by `parseRecipients`
+ * @param checkpointPath The file that records the progress of the payout
+ * @param options.onProgress Called with `(recipient, entry)` after each confirmed transfer
+ * @param options.pollInterval Milliseconds between checks while waiting for a pending nonce
+ * @param options.waitTimeout Milliseconds to wait for a pending nonce before giving up
+ * @return The checkpoint with an entry per line
+ */
+async function runAirdrop(contract, recipients, checkpointPath, { onProgress = () => {}, pollInterval = 4000, waitTimeout = 600000 } = {}) {
+    const { provider, signer } = contract;
+    const sender = await signer.getAddress();
+    const checkpoint = readCheckpoint(checkpointPath, contract.address, sender);
+
+    const paid = new Set();
+    for (const recipient of recipients) {
+        const entry = checkpoint.entries[recipient.line];
+        if (entry === undefined) {
+            continue;
+        }
+        if (entry.account !== recipient.account || entry.amount !== recipient.amount.toString()) {
+            throw new Error(`Line ${recipient.line} does not match checkpoint ${checkpointPath}, the recipients file changed since the last run`);
+        }
+        if (entry.status === "pending" && await reconcile(contract, sender, entry, recipient, { pollInterval, waitTimeout })) {
+            entry.status = "confirmed";
+            writeCheckpoint(checkpointPath, checkpoint);
+        }
+        if (entry.status === "confirmed") {
+            paid.add(recipient.line);
+        }
+    }
+    validateRecipients(recipients, sender, await contract.balanceOf(sender), paid);
+
+    let nonce = await provider.getTransactionCount(sender, "pending");
+    for (const recipient of recipients) {
+        if (paid.has(recipient.line)) {
+            continue;
+        }
+        const entry = {
+            account: recipient.account,
+            amount: recipient.amount.toString(),
+            status: "pending",
+            nonce,
+            startBlock: await provider.getBlockNumber()
+        };
+        checkpoint.entries[recipient.line] = entry;
+        writeCheckpoint(checkpointPath, checkpoint);
+
+        const tx = await contract.transfer(recipient.account, recipient.amount, { nonce });
+        entry.transactionHash = tx.hash;
+        writeCheckpoint(checkpointPath, checkpoint);
+        nonce += 1;
+
+        const receipt = await tx.wait();
+        entry.status = "confirmed";
+        entry.blockNumber = receipt.blockNumber;
+        writeCheckpoint(checkpointPath, checkpoint);
+        onProgress(recipient, entry);
+    }
+    return checkpoint;
+}
+
+module.exports = {
+    parseRecipients,
+    validateRecipients,
+    estimateAirdrop,
+    runAirdrop
+};
@@ -0,0 +1,45 @@
+/**
+ * @notice Remove the CBOR encoded metadata appended by solc to the runtime bytecode
+ * @dev The last two bytes hold the length of the metadata section. The metadata hash changes with
+ * comments and file paths, so it is not part of the code comparison
+ * @param bytecode Hex string of runtime bytecode
+ */
+function stripMetadata(bytecode) {
+    const code = bytecode.startsWith("0x") ? bytecode.slice(2) : bytecode;
+    if (code.length < 4) {
+        return "0x" + code;
+    }
+    const metadataLength = parseInt(code.slice(-4), 16);
+    const totalLength = (metadataLength + 2) * 2;
+    if (totalLength > code.length) {
+        return "0x" + code;
+    }
+    return "0x" + code.slice(0, code.length - totalLength);
+}
+
+/**
+ * @notice Compare two runtime bytecodes ignoring their metadata
+ * @return `match` and, on mismatch, the sizes and the offset of the first different byte
+ */
+function compareBytecode(actual, expected) {
+    const actualCode = stripMetadata(actual).toLowerCase();
+    const expectedCode = stripMetadata(expected).toLowerCase();
+    if (actualCode === expectedCode) {
+        return { match: true };
+    }
+    let offset = 2;
+    while (offset < actualCode.length && offset < expectedCode.length && actualCode.slice(offset, offset + 2) === expectedCode.slice(offset, offset + 2)) {
+        offset += 2;
+    }
+    return {
+        match: false,
+        actualSize: (actualCode.length - 2) / 2,
+        expectedSize: (expectedCode.length - 2) / 2,
+        firstDifference: (offset - 2) / 2
+    };
+}
+
+module.exports = {
+    stripMetadata,
+    compareBytecode
+};
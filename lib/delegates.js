@@ -0,0 +1,55 @@
+const { ethers } = require("ethers");
+
+/**
+ * @notice Votes of every account that was delegated to, as of `blockTag`, sorted by votes
+ * @dev The delegate set is every `_toDelegate` of a `DelegateChanged` event up to `blockTag`. Votes are read with
+ * `getPastVotes`, which any node serves, so `blockTag` must be mined: before the latest block. Without `blockTag`
+ * the current votes are read with `getVotes` at the latest block
+ * @param contract An ethers contract attached to the token
+ * @param options.fromBlock First block to scan for delegations, usually the deployment block
+ * @param options.blockTag The block to take the votes at. Defaults to the latest block
+ * @param options.batchSize How many blocks to query per `eth_getLogs` call
+ * @param options.limit How many delegates to return. Defaults to all of them
+ * @return `{ blockNumber, totalSupply, delegates }` with delegates as `{ account, votes }` sorted by votes, then by
+ * address, zero votes excluded
+ */
+async function getTopDelegates(contract, { fromBlock = 0, blockTag, batchSize = 2000, limit } = {}) {
+    const latestBlock = await contract.provider.getBlockNumber();
+    const blockNumber = blockTag === undefined ? latestBlock : blockTag;
+    if (blockNumber > latestBlock || (blockTag !== undefined && blockNumber === latestBlock)) {
+        throw new Error(`Block ${blockNumber} is not mined yet, votes are known up to block ${latestBlock - 1}`);
+    }
+
+    const accounts = new Set();
+    for (let start = fromBlock; start <= blockNumber; start += batchSize) {
+        const end = Math.min(start + batchSize - 1, blockNumber);
+        const events = await contract.queryFilter(contract.filters.DelegateChanged(), start, end);
+        events.forEach(event => accounts.add(event.args._toDelegate));
+    }
+    accounts.delete(ethers.constants.AddressZero);
+
+    const delegates = [];
+    for (const account of accounts) {
+        const votes = blockTag === undefined
+            ? await contract.getVotes(account, { blockTag: blockNumber })
+            : await contract.getPastVotes(account, blockNumber);
+        if (!votes.isZero()) {
+            delegates.push({ account, votes });
+        }
+    }
+    delegates.sort((a, b) => {
+        if (!a.votes.eq(b.votes)) {
+            return a.votes.gt(b.votes) ? -1 : 1;
+        }
+        return a.account.toLowerCase().localeCompare(b.account.toLowerCase());
+    });
+
+    const totalSupply = blockTag === undefined
+        ? await contract.totalSupply({ blockTag: blockNumber })
+        : await contract.getPastTotalSupply(blockNumber);
+    return { blockNumber, totalSupply, delegates: limit === undefined ? delegates : delegates.slice(0, limit) };
+}
+
+module.exports = {
+    getTopDelegates
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+
+const rootPath = path.join(__dirname, "..");
+const configPath = path.join(rootPath, "deploy.config.json");
+
+// Networks whose state is discarded when the process ends, nothing to record for them
+const ephemeralNetworks = ["hardhat"];
+
+/**
+ * @notice Resolve the constructor parameters of the token for a network
+ * @dev Values are taken from the `default` entry of `deploy.config.json`, then the entry named
+ * after the network, then `overrides`. `maxSupply` is expressed in whole tokens and `price` in whole
+ * tokens per ether.
+ * @param networkName The name of the network to deploy to
+ * @param overrides Parameters that take precedence over the config file (e.g. from CLI args)
+ */
+function loadDeployConfig(networkName, overrides = {}) {
+    const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, "utf8")) : {};
+    const params = { ...config.default, ...config[networkName] };
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== undefined) {
+            params[key] = value;
+        }
+    }
+    for (const key of ["name", "symbol", "maxSupply", "price"]) {
+        if (params[key] === undefined) {
+            throw new Error(`Missing deploy parameter "${key}" for network ${networkName}`);
+        }
+    }
+    return params;
+}
+
+/// The directory of the manifests. `DEPLOYMENTS_PATH` moves it, e.g. to a temporary one in the tests
+function getDeploymentsPath() {
+    return process.env.DEPLOYMENTS_PATH || path.join(rootPath, "deployments");
+}
+
+function getManifestPath(networkName) {
+    return path.join(getDeploymentsPath(), `${networkName}.json`);
+}
+
+/**
+ * @notice Read the deployment manifest of a network. Returns an empty manifest if there is none
+ */
+function readManifest(networkName) {
+    const manifestPath = getManifestPath(networkName);
+    if (!fs.existsSync(manifestPath)) {
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+function writeManifest(networkName, manifest) {
+    fs.mkdirSync(getDeploymentsPath(), { recursive: true });
+    fs.writeFileSync(getManifestPath(networkName), JSON.stringify(manifest, null, 4) + "\n");
+}
+
+/**
+ * @notice Hash of the creation bytecode of an artifact, used to detect contract changes between deploys
+ */
+function getBytecodeHash(ethers, artifact) {
+    return ethers.utils.keccak256(artifact.bytecode);
+}
+
+/**
+ * @notice Deploy a contract unless the manifest already records a matching deployment
+ * @dev A recorded deployment matches when the chain id, artifact bytecode hash and constructor args
+ * are the same and there is still code at the recorded address
+ * @param hre The Hardhat runtime environment
+ * @param key The entry of the manifest to record the deployment under
+ * @param contractPath The fully qualified name of the contract
+ * @param args The constructor arguments
+ * @param options.signer The deployer account. Defaults to the first signer
+ * @param options.force Deploy even if a matching deployment exists
+ * @return The manifest entry and whether a new deployment happened
+ */
+async function deployContract(hre, key, contractPath, args, options = {}) {
+    const { ethers, network, artifacts } = hre;
+    const signer = options.signer || (await ethers.getSigners())[0];
+    const artifact = await artifacts.readArtifact(contractPath);
+    const bytecodeHash = getBytecodeHash(ethers, artifact);
+    const { chainId } = await ethers.provider.getNetwork();
+    const serializedArgs = args.map(arg => (ethers.BigNumber.isBigNumber(arg) ? arg.toString() : arg));
+
+    const manifest = readManifest(network.name);
+    const existing = manifest[key];
+    if (existing !== undefined && !options.force && await isSameDeployment(ethers, existing, chainId, bytecodeHash, serializedArgs)) {
+        return { deployment: existing, deployed: false };
+    }
+
+    const contractFactory = await ethers.getContractFactory(contractPath, signer);
+    const contractInstance = await contractFactory.deploy(...args);
+    const receipt = await contractInstance.deployTransaction.wait();
+
+    const deployment = {
+        contract: contractPath,
+        address: contractInstance.address,
+        args: serializedArgs,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        deployer: signer.address,
+        chainId,
+        bytecodeHash
+    };
+    if (!ephemeralNetworks.includes(network.name)) {
+        manifest[key] = deployment;
+        writeManifest(network.name, manifest);
+    }
+    return { deployment, deployed: true };
+}
+
+async function isSameDeployment(ethers, deployment, chainId, bytecodeHash, args) {
+    if (deployment.chainId !== chainId || deployment.bytecodeHash !== bytecodeHash) {
+        return false;
+    }
+    if (JSON.stringify(deployment.args) !== JSON.stringify(args)) {
+        return false;
+    }
+    const code = await ethers.provider.getCode(deployment.address);
+    return code !== "0x";
+}
+
+/**
+ * @notice Deploy the `ERC20` token with the parameters resolved by `loadDeployConfig`
+ */
+async function deployToken(hre, params, options = {}) {
+    const maxSupply = hre.ethers.utils.parseEther(String(params.maxSupply));
+    const price = hre.ethers.utils.parseEther(String(params.price));
+    return deployContract(hre, "ERC20", "contracts/ERC20.sol:ERC20", [params.name, params.symbol, maxSupply, price], options);
+}
+
+module.exports = {
+    ephemeralNetworks,
+    loadDeployConfig,
+    readManifest,
+    writeManifest,
+    getBytecodeHash,
+    deployContract,
+    deployToken
+};
@@ -0,0 +1,197 @@
+const { ethers } = require("ethers");
+const { quoteMintCost } = require("./pricing");
+
+/**
+ * Local devnet bootstrap: the seed file with the balances and allowances of the default accounts, minting and
+ * approving them on a freshly deployed token, and the files other apps read the devnet from.
+ *
+ * A seed file is JSON. `token` overrides the parameters of `deploy.config.json`, `balances` maps accounts to the
+ * whole tokens minted to them and `allowances` lists approvals, `amount` being whole tokens or "unlimited":
+ *
+ *     { "token": { "name": "Devnet Token", "symbol": "DEV", "maxSupply": "1000000", "price": "1000" },
+ *       "balances": { "0": "10000", "1": "5000", "0x...": "100" },
+ *       "allowances": [{ "owner": 1, "spender": 2, "amount": "500" }] }
+ *
+ * An account is the index of a default account of the node or an address. Allowance owners must be default
+ * accounts, they sign the approvals.
+ */
+
+// The token has the decimals of ether
+const decimals = 18;
+
+/**
+ * @notice Resolve an account of the seed file: the index of one of `addresses` or an address
+ * @return `{ address, index }`, `index` undefined for an address outside `addresses`
+ */
+function resolveAccount(value, addresses) {
+    if (/^\d+$/.test(String(value).trim())) {
+        const index = Number(value);
+        if (index >= addresses.length) {
+            throw new Error(`no default account ${index}, the node has ${addresses.length}`);
+        }
+        return { address: addresses[index], index };
+    }
+    if (typeof value !== "string" || !ethers.utils.isAddress(value) || ethers.utils.getAddress(value) === ethers.constants.AddressZero) {
+        throw new Error(`invalid account ${value}`);
+    }
+    const address = ethers.utils.getAddress(value);
+    const index = addresses.indexOf(address);
+    return { address, index: index === -1 ? undefined : index };
+}
+
+function parseTokens(value, { unlimited = false } = {}) {
+    if (unlimited && value === "unlimited") {
+        return ethers.constants.MaxUint256;
+    }
+    let parsed;
+    try {
+        parsed = ethers.utils.parseUnits(String(value), decimals);
+    } catch (error) {
+        throw new Error(`invalid amount ${value}`);
+    }
+    if (parsed.isZero()) {
+        throw new Error("amount is zero");
+    }
+    return parsed;
+}
+
+/**
+ * @notice Parse and check a seed file before deploying anything
+ * @param text The JSON content of the file
+ * @param addresses The default accounts of the node, in order
+ * @return `{ token, balances, allowances }`: the token parameters found, `[{ address, index, amount }]` and
+ * `[{ owner, ownerIndex, spender, amount }]`, amounts in token units
+ */
+function parseSeed(text, addresses) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid seed file: ${error.message}`);
+    }
+    if (file === null || typeof file !== "object" || Array.isArray(file)) {
+        throw new Error("Invalid seed file: expected an object");
+    }
+    const { token = {}, balances = {}, allowances = [] } = file;
+    if (typeof token !== "object" || typeof balances !== "object" || Array.isArray(balances) || !Array.isArray(allowances)) {
+        throw new Error("Invalid seed file: \"token\" and \"balances\" must be objects and \"allowances\" an array");
+    }
+
+    const errors = [];
+    const parse = (label, parser) => {
+        try {
+            return parser();
+        } catch (error) {
+            errors.push(`${label}: ${error.message}`);
+            return undefined;
+        }
+    };
+
+    const seen = new Map();
+    const parsedBalances = [];
+    for (const [account, value] of Object.entries(balances)) {
+        const resolved = parse(`balance of ${account}`, () => resolveAccount(account, addresses));
+        const amount = parse(`balance of ${account}`, () => parseTokens(value));
+        if (resolved === undefined || amount === undefined) {
+            continue;
+        }
+        if (seen.has(resolved.address)) {
+            errors.push(`balance of ${account}: same account as ${seen.get(resolved.address)}`);
+            continue;
+        }
+        seen.set(resolved.address, account);
+        parsedBalances.push({ ...resolved, amount });
+    }
+
+    const parsedAllowances = [];
+    allowances.forEach((allowance, index) => {
+        const label = `allowance ${index + 1}`;
+        if (allowance === null || typeof allowance !== "object") {
+            errors.push(`${label}: expected an object`);
+            return;
+        }
+        const owner = parse(label, () => resolveAccount(allowance.owner, addresses));
+        const spender = parse(label, () => resolveAccount(allowance.spender, addresses));
+        const amount = parse(label, () => parseTokens(allowance.amount, { unlimited: true }));
+        if (owner !== undefined && owner.index === undefined) {
+            errors.push(`${label}: owner ${allowance.owner} is not a default account, it could not sign the approval`);
+            return;
+        }
+        if (owner !== undefined && spender !== undefined && owner.address === spender.address) {
+            errors.push(`${label}: owner and spender are the same account`);
+            return;
+        }
+        if (owner !== undefined && spender !== undefined && amount !== undefined) {
+            parsedAllowances.push({ owner: owner.address, ownerIndex: owner.index, spender: spender.address, amount });
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid seed file\n  - ${errors.join("\n  - ")}`);
+    }
+    return { token, balances: parsedBalances, allowances: parsedAllowances };
+}
+
+/**
+ * @notice Mint the balances of `seed` from the minter paying the ether, then send the approvals of `seed`
+ * @param token The token, connected to an account holding `MINTER_ROLE`
+ * @param seed As returned by `parseSeed`
+ * @param signers The default accounts of the node, in order
+ */
+async function seedToken(token, seed, signers) {
+    const [mintPrice, maxSupply, totalSupply] = await Promise.all([token.mintPrice(), token.maxSupply(), token.totalSupply()]);
+    const minted = seed.balances.reduce((total, { amount }) => total.add(amount), ethers.constants.Zero);
+    if (!maxSupply.isZero() && totalSupply.add(minted).gt(maxSupply)) {
+        throw new Error(`The seed mints ${ethers.utils.formatUnits(minted, decimals)} tokens, over the maximum supply of ${ethers.utils.formatUnits(maxSupply, decimals)}`);
+    }
+    for (const { address, amount } of seed.balances) {
+        await (await token.mint(address, { value: quoteMintCost(amount, mintPrice) })).wait();
+    }
+    for (const { ownerIndex, spender, amount } of seed.allowances) {
+        await (await token.connect(signers[ownerIndex]).approve(spender, amount)).wait();
+    }
+}
+
+/**
+ * @notice The private keys of the default accounts of a Hardhat network config
+ * @dev Only for an HD accounts config, the default of the in-process network. Returns undefined otherwise
+ */
+function getDefaultPrivateKeys(accountsConfig) {
+    if (Array.isArray(accountsConfig)) {
+        return accountsConfig.map(account => account.privateKey);
+    }
+    if (accountsConfig === null || typeof accountsConfig !== "object" || accountsConfig.mnemonic === undefined) {
+        return undefined;
+    }
+    const { mnemonic, path, initialIndex = 0, count, passphrase = "" } = accountsConfig;
+    const root = ethers.utils.HDNode.fromMnemonic(mnemonic, passphrase);
+    return Array.from({ length: count }, (_, index) => root.derivePath(`${path}/${initialIndex + index}`).privateKey);
+}
+
+/**
+ * @notice Render the devnet description as a dotenv file
+ * @param devnet As written to `devnet.json` by the `devnet` task
+ * @param prefix Prepended to every variable, e.g. "VITE_" for the apps that only expose prefixed variables
+ */
+function formatEnv(devnet, prefix = "DEVNET_") {
+    const variables = {
+        RPC_URL: devnet.rpcUrl,
+        CHAIN_ID: devnet.chainId,
+        TOKEN_ADDRESS: devnet.token.address,
+        TOKEN_DEPLOY_BLOCK: devnet.token.deployBlock,
+        TOKEN_ABI: `'${JSON.stringify(devnet.token.abi)}'`
+    };
+    const lines = ["# Written by `npx hardhat devnet`, regenerated on every bootstrap"];
+    for (const [name, value] of Object.entries(variables)) {
+        lines.push(`${prefix}${name}=${value}`);
+    }
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    resolveAccount,
+    parseSeed,
+    seedToken,
+    getDefaultPrivateKeys,
+    formatEnv
+};
@@ -0,0 +1,330 @@
+const { ethers } = require("ethers");
+
+/**
+ * Error layer for the reverts of `contracts/ERC20.sol` and the contracts built on it (`ERC20Upgradeable`,
+ * `TokenFactory`, `TokenVesting`).
+ *
+ * The guards of the contract revert with custom errors carrying the method name, which these helpers decode
+ * back to the "<method> - <reason>" messages earlier versions reverted with. Both forms are turned into one
+ * of the classes below, carrying a stable `code`, the `method` that reverted and the `parameter` that failed
+ * the check.
+ */
+
+class TokenError extends Error {
+    constructor(message, method, parameter) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = this.constructor.code;
+        this.method = method;
+        this.parameter = parameter;
+    }
+}
+
+/// Thrown by `_isEmptyString`, `_isZeroAddress` and `_isZeroAmount`
+class InvalidParameterError extends TokenError {}
+InvalidParameterError.code = "INVALID_PARAMETER";
+
+/// Thrown by `_isValidRecipient`
+class InvalidRecipientError extends TokenError {}
+InvalidRecipientError.code = "INVALID_RECIPIENT";
+
+/// Thrown by `_hasSufficientBalance`
+class InsufficientBalanceError extends TokenError {}
+InsufficientBalanceError.code = "INSUFFICIENT_BALANCE";
+
+/// Thrown by `_isAuthorized`
+class InsufficientAllowanceError extends TokenError {}
+InsufficientAllowanceError.code = "INSUFFICIENT_ALLOWANCE";
+
+/// Thrown by `_isZeroValue`
+class InvalidEtherAmountError extends TokenError {}
+InvalidEtherAmountError.code = "INVALID_ETHER_AMOUNT";
+
+/// Thrown by `_isMaxSupply`
+class MaxSupplyExceededError extends TokenError {}
+MaxSupplyExceededError.code = "MAX_SUPPLY_EXCEEDED";
+
+/// Thrown by `decreaseAllowance` when subtracting more than the current allowance
+class AllowanceBelowZeroError extends TokenError {}
+AllowanceBelowZeroError.code = "ALLOWANCE_BELOW_ZERO";
+
+/// Thrown by `_isExpired`
+class ExpiredDeadlineError extends TokenError {}
+ExpiredDeadlineError.code = "EXPIRED_DEADLINE";
+
+/// Thrown by `_isValidSignature`
+class InvalidSignatureError extends TokenError {}
+InvalidSignatureError.code = "INVALID_SIGNATURE";
+
+/// Thrown by `_isOwner` and by `acceptOwnership` when the sender is not the pending owner
+class NotOwnerError extends TokenError {}
+NotOwnerError.code = "NOT_OWNER";
+
+/// Thrown by `_isRoleMember`
+class MissingRoleError extends TokenError {}
+MissingRoleError.code = "MISSING_ROLE";
+
+/// Thrown by `_isPaused`
+class ContractPausedError extends TokenError {}
+ContractPausedError.code = "CONTRACT_PAUSED";
+
+/// Thrown by `unpause` when the contract is not paused
+class ContractNotPausedError extends TokenError {}
+ContractNotPausedError.code = "CONTRACT_NOT_PAUSED";
+
+/// Thrown by `withdraw` when the sender has no ether credited by `redeem`
+class NothingToWithdrawError extends TokenError {}
+NothingToWithdrawError.code = "NOTHING_TO_WITHDRAW";
+
+/// Thrown by `withdraw` when the recipient rejects the ether
+class EtherTransferFailedError extends TokenError {}
+EtherTransferFailedError.code = "ETHER_TRANSFER_FAILED";
+
+/// Thrown by `_isNotEntered`
+class ReentrantCallError extends TokenError {}
+ReentrantCallError.code = "REENTRANT_CALL";
+
+/// Thrown by `_hasSufficientReserve` when the ether not owed by `redeem` cannot pay a redemption
+class InsufficientReserveError extends TokenError {}
+InsufficientReserveError.code = "INSUFFICIENT_RESERVE";
+
+/// Thrown by `flashLoan` when the borrower does not return the ERC-3156 success value
+class InvalidFlashLoanCallbackError extends TokenError {}
+InvalidFlashLoanCallbackError.code = "INVALID_FLASH_LOAN_CALLBACK";
+
+/// Thrown by `ERC20Upgradeable.initialize` once the proxy is initialized
+class AlreadyInitializedError extends TokenError {}
+AlreadyInitializedError.code = "ALREADY_INITIALIZED";
+
+/// Thrown by `ERC20Upgradeable.upgradeTo` and the `ERC1967Proxy` constructor when the implementation is not valid
+class InvalidImplementationError extends TokenError {}
+InvalidImplementationError.code = "INVALID_IMPLEMENTATION";
+
+/// Thrown by `ERC20Upgradeable` when a method of the proxy is called on the implementation, or the other way around
+class UnauthorizedCallContextError extends TokenError {}
+UnauthorizedCallContextError.code = "UNAUTHORIZED_CALL_CONTEXT";
+
+/// Thrown by `TokenFactory.createTokenDeterministic` when the salt was already used with the same parameters
+class TokenAlreadyExistsError extends TokenError {}
+TokenAlreadyExistsError.code = "TOKEN_ALREADY_EXISTS";
+
+/// Thrown by `TokenVesting.createVesting` when the beneficiary already has a schedule
+class VestingAlreadyExistsError extends TokenError {}
+VestingAlreadyExistsError.code = "VESTING_ALREADY_EXISTS";
+
+/// Thrown by `TokenVesting.release` when no vested tokens are waiting to be released
+class NothingToReleaseError extends TokenError {}
+NothingToReleaseError.code = "NOTHING_TO_RELEASE";
+
+/// Thrown by `TokenVesting.revoke` when the schedule is not revocable or already revoked
+class VestingNotRevocableError extends TokenError {}
+VestingNotRevocableError.code = "VESTING_NOT_REVOCABLE";
+
+// Custom errors of the contract and the legacy reason suffix each one decodes to
+const customErrors = [
+    { signature: "InvalidParameter(bytes32 _method, bytes32 _parameter)", reason: ([, parameter]) => `Invalid parameter: ${parameter}` },
+    { signature: "InvalidRecipient(bytes32 _method)", reason: () => "Invalid recipient, same as remittent" },
+    { signature: "InsufficientBalance(bytes32 _method)", reason: () => "Insufficient balance" },
+    { signature: "InsufficientAllowance(bytes32 _method)", reason: () => "Insufficent allowance" },
+    { signature: "AllowanceBelowZero(bytes32 _method)", reason: () => "Allowance below zero" },
+    { signature: "InvalidEtherAmount(bytes32 _method)", reason: () => "Invalid ether amount" },
+    { signature: "MaxSupplyExceeded(bytes32 _method)", reason: () => "Total supply exceeds maximum supply" },
+    { signature: "ExpiredDeadline(bytes32 _method)", reason: () => "Expired deadline" },
+    { signature: "InvalidSignature(bytes32 _method)", reason: () => "Invalid signature" },
+    { signature: "CallerNotOwner(bytes32 _method)", reason: () => "Caller is not the owner" },
+    { signature: "CallerNotPendingOwner(bytes32 _method)", reason: () => "Caller is not the pending owner" },
+    { signature: "MissingRole(bytes32 _method, bytes32 _role)", reason: () => "Missing role" },
+    { signature: "ContractPaused(bytes32 _method)", reason: () => "Contract is paused" },
+    { signature: "ContractNotPaused(bytes32 _method)", reason: () => "Contract is not paused" },
+    { signature: "NothingToWithdraw(bytes32 _method)", reason: () => "Nothing to withdraw" },
+    { signature: "EtherTransferFailed(bytes32 _method)", reason: () => "Ether transfer failed" },
+    { signature: "ReentrantCall(bytes32 _method)", reason: () => "Reentrant call" },
+    { signature: "InsufficientReserve(bytes32 _method)", reason: () => "Insufficient reserve" },
+    { signature: "InvalidFlashLoanCallback(bytes32 _method)", reason: () => "Invalid flash loan callback" },
+    { signature: "AlreadyInitialized(bytes32 _method)", reason: () => "Already initialized" },
+    { signature: "InvalidImplementation(bytes32 _method)", reason: () => "Invalid implementation" },
+    { signature: "UnauthorizedCallContext(bytes32 _method)", reason: () => "Unauthorized call context" },
+    { signature: "TokenAlreadyExists(bytes32 _method)", reason: () => "Token already exists" },
+    { signature: "VestingAlreadyExists(bytes32 _method)", reason: () => "Vesting already exists" },
+    { signature: "NothingToRelease(bytes32 _method)", reason: () => "Nothing to release" },
+    { signature: "VestingNotRevocable(bytes32 _method)", reason: () => "Vesting not revocable" }
+];
+
+const errorsInterface = new ethers.utils.Interface(customErrors.map(({ signature }) => `error ${signature}`));
+
+// Reason suffixes of the legacy messages, with the parameter each guard checks. `methods` names it for the
+// methods that pass the guard another argument, e.g. `flashLoan` checks the repayment of `_receiver`
+const reasons = [
+    { pattern: /^Invalid parameter: (\w+)$/, errorClass: InvalidParameterError },
+    { pattern: /^Invalid recipient, same as remittent$/, errorClass: InvalidRecipientError, parameter: "_to" },
+    { pattern: /^Insufficient balance$/, errorClass: InsufficientBalanceError, parameter: "_value", methods: { flashLoan: "_receiver" } },
+    { pattern: /^Insufficent allowance$/, errorClass: InsufficientAllowanceError, parameter: "_value", methods: { flashLoan: "_receiver" } },
+    { pattern: /^Invalid ether amount$/, errorClass: InvalidEtherAmountError, parameter: "msg.value" },
+    { pattern: /^Total supply exceeds maximum supply$/, errorClass: MaxSupplyExceededError, parameter: "_value", methods: { flashLoan: "_amount" } },
+    { pattern: /^Allowance below zero$/, errorClass: AllowanceBelowZeroError, parameter: "_subtractedValue" },
+    { pattern: /^Expired deadline$/, errorClass: ExpiredDeadlineError, parameter: "_deadline" },
+    { pattern: /^Invalid signature$/, errorClass: InvalidSignatureError, parameter: "_owner" },
+    { pattern: /^Caller is not the (?:pending )?owner$/, errorClass: NotOwnerError, parameter: "msg.sender" },
+    { pattern: /^Missing role$/, errorClass: MissingRoleError, parameter: "msg.sender" },
+    { pattern: /^Contract is paused$/, errorClass: ContractPausedError },
+    { pattern: /^Contract is not paused$/, errorClass: ContractNotPausedError },
+    { pattern: /^Nothing to withdraw$/, errorClass: NothingToWithdrawError, parameter: "msg.sender" },
+    { pattern: /^Ether transfer failed$/, errorClass: EtherTransferFailedError, parameter: "_recipient" },
+    { pattern: /^Reentrant call$/, errorClass: ReentrantCallError },
+    { pattern: /^Insufficient reserve$/, errorClass: InsufficientReserveError, parameter: "_value" },
+    { pattern: /^Invalid flash loan callback$/, errorClass: InvalidFlashLoanCallbackError, parameter: "_receiver" },
+    { pattern: /^Already initialized$/, errorClass: AlreadyInitializedError },
+    { pattern: /^Invalid implementation$/, errorClass: InvalidImplementationError, parameter: "_newImplementation" },
+    { pattern: /^Unauthorized call context$/, errorClass: UnauthorizedCallContextError },
+    { pattern: /^Token already exists$/, errorClass: TokenAlreadyExistsError, parameter: "_salt" },
+    { pattern: /^Vesting already exists$/, errorClass: VestingAlreadyExistsError, parameter: "_beneficiary" },
+    { pattern: /^Nothing to release$/, errorClass: NothingToReleaseError, parameter: "_beneficiary" },
+    { pattern: /^Vesting not revocable$/, errorClass: VestingNotRevocableError, parameter: "_beneficiary" }
+];
+
+/**
+ * @notice Decode the revert data of a custom error of the contract
+ * @param data The hex revert data, selector included
+ * @return `{ name, args, message }` where `message` is the legacy "<method> - <reason>" string, or undefined
+ * if `data` is not one of the errors of the contract
+ */
+function decodeCustomError(data) {
+    let parsed;
+    try {
+        parsed = errorsInterface.parseError(data);
+    } catch (error) {
+        return undefined;
+    }
+    // Method and parameter names are short strings, other arguments (the role hash) stay as they are
+    const args = parsed.errorFragment.inputs.map((input, index) => ["_method", "_parameter"].includes(input.name)
+        ? ethers.utils.parseBytes32String(parsed.args[index])
+        : parsed.args[index]);
+    const { reason } = customErrors.find(({ signature }) => signature.startsWith(`${parsed.name}(`));
+    return { name: parsed.name, args, message: `${args[0]} - ${reason(args)}` };
+}
+
+/**
+ * @notice Find the revert data in a provider error
+ * @dev The in-process network sets `data` on the error, a JSON-RPC node nests it in `data.data` or in the
+ * JSON `body` of the response
+ */
+function getRevertData(error) {
+    const isData = value => typeof value === "string" && ethers.utils.isHexString(value) && value.length >= 10;
+    let current = error;
+    while (current !== undefined && current !== null) {
+        if (isData(current.data)) {
+            return current.data;
+        }
+        if (current.data && isData(current.data.data)) {
+            return current.data.data;
+        }
+        if (typeof current.body === "string") {
+            try {
+                const body = JSON.parse(current.body);
+                if (body.error && isData(body.error.data)) {
+                    return body.error.data;
+                }
+            } catch (parseError) {
+                // Not a JSON-RPC response
+            }
+        }
+        current = current.error || current.parent;
+    }
+    return undefined;
+}
+
+/**
+ * @notice Extract the revert message from a provider error
+ * @dev Custom errors are decoded to the message of `decodeCustomError`, so callers see the same text as for
+ * contracts deployed before the migration, which reverted with strings
+ * @return The revert message, or undefined if `error` is not a revert of the contract or a revert with reason
+ */
+function getRevertReason(error) {
+    const data = getRevertData(error);
+    const decoded = data === undefined ? undefined : decodeCustomError(data);
+    if (decoded !== undefined) {
+        return decoded.message;
+    }
+    const reasonPattern = /reverted with reason string '(.*)'/;
+    let current = error;
+    while (current !== undefined && current !== null) {
+        const match = typeof current.message === "string" ? current.message.match(reasonPattern) : null;
+        if (match) {
+            return match[1];
+        }
+        if (current.code === "CALL_EXCEPTION" && typeof current.reason === "string") {
+            return current.reason;
+        }
+        current = current.error;
+    }
+    return undefined;
+}
+
+/**
+ * @notice Build the typed error for a "<method> - <reason>" revert string
+ * @return A `TokenError` subclass, or undefined if the message does not come from the contract
+ */
+function parseRevertReason(reason) {
+    const separator = reason.indexOf(" - ");
+    if (separator === -1) {
+        return undefined;
+    }
+    const method = reason.slice(0, separator);
+    const detail = reason.slice(separator + 3);
+    for (const { pattern, errorClass, parameter, methods = {} } of reasons) {
+        const match = detail.match(pattern);
+        if (match) {
+            // Own keys only, "constructor" is a method name too
+            const methodParameter = Object.prototype.hasOwnProperty.call(methods, method) ? methods[method] : undefined;
+            return new errorClass(reason, method, methodParameter || parameter || match[1]);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * @notice Convert a provider error into a typed `TokenError`
+ * @return The typed error, or undefined if `error` is not a revert of the contract
+ */
+function parseTokenError(error) {
+    if (error instanceof TokenError) {
+        return error;
+    }
+    const reason = getRevertReason(error);
+    return reason === undefined ? undefined : parseRevertReason(reason);
+}
+
+module.exports = {
+    TokenError,
+    InvalidParameterError,
+    InvalidRecipientError,
+    InsufficientBalanceError,
+    InsufficientAllowanceError,
+    InvalidEtherAmountError,
+    MaxSupplyExceededError,
+    AllowanceBelowZeroError,
+    ExpiredDeadlineError,
+    InvalidSignatureError,
+    NotOwnerError,
+    MissingRoleError,
+    ContractPausedError,
+    ContractNotPausedError,
+    NothingToWithdrawError,
+    EtherTransferFailedError,
+    ReentrantCallError,
+    InsufficientReserveError,
+    InvalidFlashLoanCallbackError,
+    AlreadyInitializedError,
+    InvalidImplementationError,
+    UnauthorizedCallContextError,
+    TokenAlreadyExistsError,
+    VestingAlreadyExistsError,
+    NothingToReleaseError,
+    VestingNotRevocableError,
+    customErrors,
+    decodeCustomError,
+    getRevertData,
+    getRevertReason,
+    parseRevertReason,
+    parseTokenError
+};
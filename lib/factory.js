@@ -0,0 +1,70 @@
+/**
+ * Helpers for `contracts/TokenFactory.sol`: CREATE2 address prediction and registry listing.
+ */
+
+const tokenContractPath = "contracts/ERC20.sol:ERC20";
+
+/**
+ * @notice The bytes32 salt of a human readable salt
+ * @dev A 32 bytes hex string is used as is, any other string is hashed, e.g. "sprint-42" is `id("sprint-42")`
+ */
+function parseSalt(ethers, salt) {
+    if (ethers.utils.isHexString(salt, 32)) {
+        return salt;
+    }
+    return ethers.utils.id(salt);
+}
+
+/**
+ * @notice The address `TokenFactory.createTokenDeterministic` deploys a token at, computed without a node
+ * @dev Mirrors `TokenFactory.predictTokenAddress`: the CREATE2 salt is `keccak256(abi.encode(creator, salt))`
+ * @param ethers The ethers library
+ * @param bytecode The creation bytecode of `ERC20`, from its artifact
+ * @param factoryAddress The address of the factory
+ * @param creator The account calling `createTokenDeterministic`
+ * @param params `{ name, symbol, maxSupply, price }`, `maxSupply` and `price` in token units
+ * @param salt The bytes32 salt chosen by the creator
+ */
+function predictTokenAddress(ethers, bytecode, factoryAddress, creator, params, salt) {
+    const { defaultAbiCoder, keccak256, hexConcat, getCreate2Address } = ethers.utils;
+    const constructorArgs = defaultAbiCoder.encode(["string", "string", "uint256", "uint256"], [params.name, params.symbol, params.maxSupply, params.price]);
+    const create2Salt = keccak256(defaultAbiCoder.encode(["address", "bytes32"], [creator, salt]));
+    return getCreate2Address(factoryAddress, create2Salt, keccak256(hexConcat([bytecode, constructorArgs])));
+}
+
+/**
+ * @notice Read the registry of a factory with the state of each token
+ * @param ethers The ethers library of the Hardhat runtime environment
+ * @param factory The `TokenFactory` contract
+ * @param options.pageSize Number of tokens read per `getTokens` call
+ * @return `[{ index, address, creator, owner, name, symbol, maxSupply, totalSupply }]` in creation order
+ */
+async function listTokens(ethers, factory, options = {}) {
+    const pageSize = options.pageSize || 100;
+    const count = (await factory.tokenCount()).toNumber();
+    const addresses = [];
+    for (let offset = 0; offset < count; offset += pageSize) {
+        addresses.push(...await factory.getTokens(offset, pageSize));
+    }
+    const tokens = [];
+    for (const [index, address] of addresses.entries()) {
+        const token = await ethers.getContractAt(tokenContractPath, address);
+        tokens.push({
+            index,
+            address,
+            creator: await factory.creatorOf(address),
+            owner: await token.owner(),
+            name: await token.name(),
+            symbol: await token.symbol(),
+            maxSupply: await token.maxSupply(),
+            totalSupply: await token.totalSupply()
+        });
+    }
+    return tokens;
+}
+
+module.exports = {
+    parseSalt,
+    predictTokenAddress,
+    listTokens
+};
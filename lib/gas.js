@@ -0,0 +1,365 @@
+const { signPermit, signDelegation } = require("./permit");
+
+/**
+ * Gas benchmark of the external functions of `contracts/ERC20.sol`.
+ *
+ * Every scenario runs against a fresh deploy, so the storage slots it touches start in a known state
+ * (a zero to non-zero write costs far more than a non-zero to non-zero one).
+ */
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const borrowerContractPath = "contracts/mocks/FlashBorrowerMocks.sol:FlashBorrowerMock";
+
+const amount = (ethers, value) => ethers.utils.parseEther(String(value));
+
+/// Deploy a borrower that repays its flash loans and keep it in the scenario context
+const deployBorrower = async (context) => {
+    const factory = await context.ethers.getContractFactory(borrowerContractPath, context.accounts[0]);
+    context.borrower = await factory.deploy(context.token.address);
+    return context.borrower.deployTransaction;
+};
+
+const scenarios = [
+    {
+        method: "deploy",
+        scenario: "constructor",
+        run: async ({ token }) => token.deployTransaction
+    },
+    {
+        method: "mint",
+        scenario: "first-time recipient",
+        run: async ({ ethers, token, accounts }) => token.mint(accounts[1].address, { value: amount(ethers, 10) })
+    },
+    {
+        method: "mint",
+        scenario: "existing recipient",
+        setup: async ({ ethers, token, accounts }) => token.mint(accounts[1].address, { value: amount(ethers, 10) }),
+        run: async ({ ethers, token, accounts }) => token.mint(accounts[1].address, { value: amount(ethers, 10) })
+    },
+    {
+        method: "mint",
+        scenario: "with dust",
+        // 10 ether and 1 wei buy 3 tokens at 0.3 tokens per ether, the wei is credited back
+        setup: async ({ ethers, token }) => token.setPrices(amount(ethers, 0.3), amount(ethers, 0.3)),
+        run: async ({ ethers, token, accounts }) => token.mint(accounts[1].address, { value: amount(ethers, 10).add(1) })
+    },
+    {
+        method: "transfer",
+        scenario: "first-time recipient",
+        setup: async ({ fund }) => fund(0, 10),
+        run: async ({ ethers, token, accounts }) => token.transfer(accounts[1].address, amount(ethers, 1))
+    },
+    {
+        method: "transfer",
+        scenario: "existing recipient",
+        setup: async ({ fund }) => { await fund(0, 10); await fund(1, 10); },
+        run: async ({ ethers, token, accounts }) => token.transfer(accounts[1].address, amount(ethers, 1))
+    },
+    {
+        method: "transfer",
+        scenario: "whole balance",
+        setup: async ({ fund }) => { await fund(0, 10); await fund(1, 10); },
+        run: async ({ ethers, token, accounts }) => token.transfer(accounts[1].address, amount(ethers, 10))
+    },
+    {
+        method: "transfer",
+        scenario: "after a snapshot",
+        // Records the balances of both accounts the first time they change after the snapshot
+        setup: async ({ token, fund }) => { await fund(0, 10); await fund(1, 10); await token.snapshot(); },
+        run: async ({ ethers, token, accounts }) => token.transfer(accounts[1].address, amount(ethers, 1))
+    },
+    {
+        method: "transfer",
+        scenario: "between delegates",
+        // Both senders vote with their own balance, so both delegates get a new checkpoint
+        setup: async ({ token, accounts, fund }) => {
+            await fund(0, 10);
+            await fund(1, 10);
+            await token.delegate(accounts[0].address);
+            return token.connect(accounts[1]).delegate(accounts[1].address);
+        },
+        run: async ({ ethers, token, accounts }) => token.transfer(accounts[1].address, amount(ethers, 1))
+    },
+    {
+        method: "approve",
+        scenario: "new allowance",
+        run: async ({ ethers, token, accounts }) => token.approve(accounts[1].address, amount(ethers, 5))
+    },
+    {
+        method: "approve",
+        scenario: "replace allowance",
+        setup: async ({ ethers, token, accounts }) => token.approve(accounts[1].address, amount(ethers, 5)),
+        run: async ({ ethers, token, accounts }) => token.approve(accounts[1].address, amount(ethers, 3))
+    },
+    {
+        method: "approve",
+        scenario: "unlimited allowance",
+        run: async ({ ethers, token, accounts }) => token.approve(accounts[1].address, ethers.constants.MaxUint256)
+    },
+    {
+        method: "increaseAllowance",
+        scenario: "existing allowance",
+        setup: async ({ ethers, token, accounts }) => token.approve(accounts[1].address, amount(ethers, 5)),
+        run: async ({ ethers, token, accounts }) => token.increaseAllowance(accounts[1].address, amount(ethers, 1))
+    },
+    {
+        method: "decreaseAllowance",
+        scenario: "partial decrease",
+        setup: async ({ ethers, token, accounts }) => token.approve(accounts[1].address, amount(ethers, 5)),
+        run: async ({ ethers, token, accounts }) => token.decreaseAllowance(accounts[1].address, amount(ethers, 1))
+    },
+    {
+        method: "transferFrom",
+        scenario: "partial allowance, first-time recipient",
+        setup: async ({ ethers, token, accounts, fund }) => { await fund(0, 10); await token.approve(accounts[1].address, amount(ethers, 5)); },
+        run: async ({ ethers, token, accounts }) => token.connect(accounts[1]).transferFrom(accounts[0].address, accounts[2].address, amount(ethers, 1))
+    },
+    {
+        method: "transferFrom",
+        scenario: "partial allowance, existing recipient",
+        setup: async ({ ethers, token, accounts, fund }) => { await fund(0, 10); await fund(2, 10); await token.approve(accounts[1].address, amount(ethers, 5)); },
+        run: async ({ ethers, token, accounts }) => token.connect(accounts[1]).transferFrom(accounts[0].address, accounts[2].address, amount(ethers, 1))
+    },
+    {
+        method: "transferFrom",
+        scenario: "full allowance",
+        setup: async ({ ethers, token, accounts, fund }) => { await fund(0, 10); await fund(2, 10); await token.approve(accounts[1].address, amount(ethers, 5)); },
+        run: async ({ ethers, token, accounts }) => token.connect(accounts[1]).transferFrom(accounts[0].address, accounts[2].address, amount(ethers, 5))
+    },
+    {
+        method: "transferFrom",
+        scenario: "unlimited allowance",
+        setup: async ({ ethers, token, accounts, fund }) => { await fund(0, 10); await fund(2, 10); await token.approve(accounts[1].address, ethers.constants.MaxUint256); },
+        run: async ({ ethers, token, accounts }) => token.connect(accounts[1]).transferFrom(accounts[0].address, accounts[2].address, amount(ethers, 1))
+    },
+    {
+        method: "burn",
+        scenario: "own balance",
+        setup: async ({ fund }) => fund(0, 10),
+        run: async ({ ethers, token, accounts }) => token.burn(accounts[0].address, amount(ethers, 1))
+    },
+    {
+        method: "burn",
+        scenario: "partial allowance",
+        setup: async ({ ethers, token, accounts, fund }) => { await fund(0, 10); await token.approve(accounts[1].address, amount(ethers, 5)); },
+        run: async ({ ethers, token, accounts }) => token.connect(accounts[1]).burn(accounts[0].address, amount(ethers, 1))
+    },
+    {
+        method: "burn",
+        scenario: "full allowance",
+        setup: async ({ ethers, token, accounts, fund }) => { await fund(0, 10); await token.approve(accounts[1].address, amount(ethers, 5)); },
+        run: async ({ ethers, token, accounts }) => token.connect(accounts[1]).burn(accounts[0].address, amount(ethers, 5))
+    },
+    {
+        method: "redeem",
+        scenario: "own balance",
+        setup: async ({ fund }) => fund(0, 10),
+        run: async ({ ethers, token, accounts }) => token.redeem(accounts[0].address, amount(ethers, 1))
+    },
+    {
+        method: "redeem",
+        scenario: "partial allowance",
+        setup: async ({ ethers, token, accounts, fund }) => { await fund(0, 10); await token.approve(accounts[1].address, amount(ethers, 5)); },
+        run: async ({ ethers, token, accounts }) => token.connect(accounts[1]).redeem(accounts[0].address, amount(ethers, 1))
+    },
+    {
+        method: "withdraw",
+        scenario: "to an account",
+        setup: async ({ ethers, token, accounts, fund }) => { await fund(0, 10); await token.redeem(accounts[0].address, amount(ethers, 1)); },
+        run: async ({ token, accounts }) => token.withdraw(accounts[2].address)
+    },
+    {
+        method: "flashLoan",
+        scenario: "repaid by the receiver",
+        setup: async (context) => { await context.fund(0, 10); return deployBorrower(context); },
+        run: async ({ ethers, token, borrower }) => token.flashLoan(borrower.address, token.address, amount(ethers, 100), "0x")
+    },
+    {
+        method: "flashLoan",
+        scenario: "delegated receiver",
+        // The loan and the repayment overwrite the checkpoint of the delegate in the same block
+        setup: async (context) => {
+            await context.fund(0, 10);
+            await (await deployBorrower(context)).wait();
+            return context.borrower.delegate(context.accounts[1].address);
+        },
+        run: async ({ ethers, token, borrower }) => token.flashLoan(borrower.address, token.address, amount(ethers, 100), "0x")
+    },
+    {
+        method: "permit",
+        scenario: "new allowance",
+        run: async ({ ethers, token, accounts }) => {
+            // A fixed deadline keeps the calldata, and so its gas, the same on every run
+            const permit = await signPermit(accounts[0], token, { spender: accounts[1].address, value: amount(ethers, 5), deadline: ethers.constants.MaxUint256 });
+            return token.connect(accounts[1]).permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+        }
+    },
+    {
+        method: "delegate",
+        scenario: "self, first checkpoint",
+        setup: async ({ fund }) => fund(0, 10),
+        run: async ({ token, accounts }) => token.delegate(accounts[0].address)
+    },
+    {
+        method: "delegate",
+        scenario: "redelegation",
+        setup: async ({ token, accounts, fund }) => { await fund(0, 10); await token.delegate(accounts[0].address); },
+        run: async ({ token, accounts }) => token.delegate(accounts[1].address)
+    },
+    {
+        method: "delegateBySig",
+        scenario: "self, first checkpoint",
+        setup: async ({ fund }) => fund(0, 10),
+        run: async ({ ethers, token, accounts }) => {
+            const delegation = await signDelegation(accounts[0], token, { delegatee: accounts[0].address, expiry: ethers.constants.MaxUint256 });
+            return token.connect(accounts[1]).delegateBySig(delegation.delegatee, delegation.nonce, delegation.expiry, delegation.v, delegation.r, delegation.s);
+        }
+    },
+    {
+        method: "grantRole",
+        scenario: "new member",
+        run: async ({ token, accounts }) => token.grantRole(await token.MINTER_ROLE(), accounts[1].address)
+    },
+    {
+        method: "revokeRole",
+        scenario: "existing member",
+        run: async ({ token, accounts }) => token.revokeRole(await token.MINTER_ROLE(), accounts[0].address)
+    },
+    {
+        method: "renounceRole",
+        scenario: "existing member",
+        run: async ({ token }) => token.renounceRole(await token.PAUSER_ROLE())
+    },
+    {
+        method: "transferOwnership",
+        scenario: "start transfer",
+        run: async ({ token, accounts }) => token.transferOwnership(accounts[1].address)
+    },
+    {
+        method: "acceptOwnership",
+        scenario: "pending owner",
+        setup: async ({ token, accounts }) => token.transferOwnership(accounts[1].address),
+        run: async ({ token, accounts }) => token.connect(accounts[1]).acceptOwnership()
+    },
+    {
+        method: "setPrices",
+        scenario: "new prices",
+        run: async ({ ethers, token }) => token.setPrices(amount(ethers, 2), amount(ethers, 3))
+    },
+    {
+        method: "snapshot",
+        scenario: "first snapshot",
+        run: async ({ token }) => token.snapshot()
+    },
+    {
+        method: "pause",
+        scenario: "unpaused",
+        run: async ({ token }) => token.pause()
+    },
+    {
+        method: "unpause",
+        scenario: "paused",
+        setup: async ({ token }) => token.pause(),
+        run: async ({ token }) => token.unpause()
+    }
+];
+
+/**
+ * @notice Run every scenario and measure the gas used by its transaction
+ * @param ethers The ethers object of the Hardhat runtime environment
+ * @param deployArgs The constructor arguments of the token
+ * @return `{ <method>: { <scenario>: gasUsed } }`
+ */
+async function runBenchmark(ethers, deployArgs) {
+    const accounts = await ethers.getSigners();
+    const factory = await ethers.getContractFactory(contractPath, accounts[0]);
+    const results = {};
+    for (const { method, scenario, setup, run } of scenarios) {
+        const token = await factory.deploy(...deployArgs);
+        await token.deployed();
+        const fund = async (index, value) => (await token.mint(accounts[index].address, { value: amount(ethers, value) })).wait();
+        const context = { ethers, token, accounts, fund };
+        if (setup) {
+            const tx = await setup(context);
+            if (tx && tx.wait) {
+                await tx.wait();
+            }
+        }
+        const receipt = await (await run(context)).wait();
+        results[method] = results[method] || {};
+        results[method][scenario] = receipt.gasUsed.toNumber();
+    }
+    return results;
+}
+
+/**
+ * @notice The external functions of `abi` that change state, which the benchmark must cover
+ * @dev The constructor is reported as "deploy"
+ */
+function getBenchmarkedMethods(abi) {
+    return abi
+        .filter(fragment => fragment.type === "constructor" || (fragment.type === "function" && !["view", "pure"].includes(fragment.stateMutability)))
+        .map(fragment => fragment.type === "constructor" ? "deploy" : fragment.name);
+}
+
+/**
+ * @notice Compare the measured gas with a baseline
+ * @param threshold The allowed increase in percent, e.g. 1 for 1%
+ * @return One row per scenario, `status` one of "regression", "improvement", "unchanged", "new" or "removed"
+ */
+function compareGas(baseline, results, threshold) {
+    const rows = [];
+    const methods = new Set([...Object.keys(baseline), ...Object.keys(results)]);
+    for (const method of methods) {
+        const scenarioNames = new Set([...Object.keys(baseline[method] || {}), ...Object.keys(results[method] || {})]);
+        for (const scenario of scenarioNames) {
+            const before = (baseline[method] || {})[scenario];
+            const current = (results[method] || {})[scenario];
+            let status;
+            if (before === undefined) {
+                status = "new";
+            } else if (current === undefined) {
+                status = "removed";
+            } else if (current > before * (1 + threshold / 100)) {
+                status = "regression";
+            } else if (current < before) {
+                status = "improvement";
+            } else {
+                status = "unchanged";
+            }
+            const delta = before !== undefined && current !== undefined ? current - before : undefined;
+            const percent = delta !== undefined ? (delta / before) * 100 : undefined;
+            rows.push({ method, scenario, baseline: before, current, delta, percent, status });
+        }
+    }
+    return rows;
+}
+
+/**
+ * @notice Render the comparison rows as a markdown table
+ */
+function formatMarkdown(rows, threshold) {
+    const print = value => value === undefined ? "-" : String(value);
+    const lines = [
+        "# Gas report",
+        "",
+        `Regression threshold: ${threshold}%`,
+        "",
+        "| Method | Scenario | Baseline | Current | Delta | % | Status |",
+        "| --- | --- | ---: | ---: | ---: | ---: | --- |"
+    ];
+    for (const row of rows) {
+        const delta = row.delta === undefined ? "-" : (row.delta > 0 ? `+${row.delta}` : String(row.delta));
+        const percent = row.percent === undefined ? "-" : `${row.percent.toFixed(2)}%`;
+        lines.push(`| ${row.method} | ${row.scenario} | ${print(row.baseline)} | ${print(row.current)} | ${delta} | ${percent} | ${row.status} |`);
+    }
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    scenarios,
+    runBenchmark,
+    getBenchmarkedMethods,
+    compareGas,
+    formatMarkdown
+};
@@ -0,0 +1,36 @@
+/**
+ * @notice Balances of every account that held tokens, as of `blockTag` or as of a snapshot of the token
+ * @dev The holder set is every recipient of a `Transfer` event up to `blockTag`; balances are then
+ * read with `balanceOf` at that block, so the node must serve historical state for it. With `snapshotId` they are
+ * read with `balanceOfAt` instead, which any node serves: `blockTag` must then be at or after the snapshot
+ * @param contract An ethers contract attached to the token
+ * @param options.fromBlock First block to scan for transfers, usually the deployment block
+ * @param options.blockTag The block to take the balances at. Defaults to the latest block
+ * @param options.batchSize How many blocks to query per `eth_getLogs` call
+ * @param options.snapshotId The snapshot to take the balances at, instead of `blockTag`
+ * @return `{ blockNumber, holders }` with holders as `{ account, balance }` sorted by address, zero balances excluded
+ */
+async function getHolderBalances(contract, { fromBlock = 0, blockTag, batchSize = 2000, snapshotId } = {}) {
+    const blockNumber = blockTag === undefined ? await contract.provider.getBlockNumber() : blockTag;
+    const accounts = new Set();
+    for (let start = fromBlock; start <= blockNumber; start += batchSize) {
+        const end = Math.min(start + batchSize - 1, blockNumber);
+        const events = await contract.queryFilter(contract.filters.Transfer(), start, end);
+        events.forEach(event => accounts.add(event.args._to));
+    }
+
+    const holders = [];
+    for (const account of [...accounts].sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))) {
+        const balance = snapshotId === undefined
+            ? await contract.balanceOf(account, { blockTag: blockNumber })
+            : await contract.balanceOfAt(account, snapshotId);
+        if (!balance.isZero()) {
+            holders.push({ account, balance });
+        }
+    }
+    return { blockNumber, holders };
+}
+
+module.exports = {
+    getHolderBalances
+};
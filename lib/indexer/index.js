@@ -0,0 +1,216 @@
+const { ethers } = require("ethers");
+const { FileStore } = require("./store");
+
+// Events of `contracts/ERC20.sol` the indexer consumes
+const abi = [
+    "event Transfer(address indexed _from, address indexed _to, uint256 _value)",
+    "event Approval(address indexed _owner, address indexed _spender, uint256 _value)",
+    "event Burn(address indexed _from, address indexed _commandedBy, uint256 _value)",
+    "function balanceOf(address) view returns (uint256)",
+    "function totalSupply() view returns (uint256)"
+];
+
+/**
+ * Rebuilds balances, allowances, supply and per-holder history of an `ERC20` token from its events.
+ *
+ * State is persisted to a `FileStore` after every batch of blocks, so a restarted indexer resumes
+ * from its last checkpoint. When the last indexed block is no longer part of the canonical chain,
+ * the state is rolled back `reorgDepth` blocks and indexed again from there.
+ */
+class TokenIndexer {
+    /**
+     * @param options.provider An ethers provider
+     * @param options.address The address of the token
+     * @param options.storePath The file to persist the state to
+     * @param options.startBlock The block to start indexing from, usually the deployment block
+     * @param options.reorgDepth How many blocks a reorg can reach back. Defaults to 12
+     * @param options.batchSize How many blocks to query per `eth_getLogs` call. Defaults to 2000
+     */
+    constructor({ provider, address, storePath, startBlock = 0, reorgDepth = 12, batchSize = 2000 }) {
+        this.provider = provider;
+        this.contract = new ethers.Contract(address, abi, provider);
+        this.store = FileStore.load(storePath, address, startBlock);
+        this.reorgDepth = reorgDepth;
+        this.batchSize = batchSize;
+    }
+
+    /**
+     * @notice Index every block up to the current head
+     * @return The number of the last indexed block
+     */
+    async sync() {
+        await this._handleReorg();
+        const head = await this.provider.getBlockNumber();
+        let fromBlock = this._nextBlock();
+        while (fromBlock <= head) {
+            const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+            const logs = await this.provider.getLogs({
+                address: this.contract.address,
+                fromBlock,
+                toBlock
+            });
+            for (const log of logs) {
+                this._apply(log);
+            }
+            const block = await this.provider.getBlock(toBlock);
+            this.store.setLastBlock(block.number, block.hash);
+            this.store.prune(block.number - this.reorgDepth);
+            this.store.save();
+            fromBlock = toBlock + 1;
+        }
+        return this.store.lastBlock && this.store.lastBlock.number;
+    }
+
+    /**
+     * @notice Keep indexing new blocks every `interval` milliseconds until `stop` is called
+     */
+    async watch(interval = 4000, onSync = () => {}) {
+        this._watching = true;
+        while (this._watching) {
+            onSync(await this.sync());
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+    }
+
+    stop() {
+        this._watching = false;
+    }
+
+    /// QUERIES
+
+    holders() {
+        return Object.keys(this.store.state.balances);
+    }
+
+    holderCount() {
+        return this.holders().length;
+    }
+
+    balanceOf(account) {
+        return this.store.getBalance(ethers.utils.getAddress(account));
+    }
+
+    allowance(owner, spender) {
+        return this.store.getAllowance(ethers.utils.getAddress(owner), ethers.utils.getAddress(spender));
+    }
+
+    totalSupply() {
+        return this.store.getTotalSupply();
+    }
+
+    /**
+     * @notice Every event that changed the balance or allowances of `account`, oldest first
+     */
+    historyOf(account) {
+        const address = ethers.utils.getAddress(account);
+        return this.store.state.history.filter(entry =>
+            [entry.from, entry.to, entry.owner, entry.spender, entry.commandedBy].includes(address)
+        );
+    }
+
+    burns() {
+        return this.store.state.history.filter(entry => entry.event === "Burn");
+    }
+
+    /**
+     * @notice Compare the derived balances and total supply with the chain at the last indexed block
+     * @return The list of mismatches, empty when the index is consistent
+     */
+    async crossCheck() {
+        const lastBlock = this.store.lastBlock;
+        if (lastBlock === null) {
+            return [];
+        }
+        const blockTag = lastBlock.number;
+        const mismatches = [];
+        const onChainSupply = await this.contract.totalSupply({ blockTag });
+        if (!onChainSupply.eq(this.totalSupply())) {
+            mismatches.push({ key: "totalSupply", indexed: this.totalSupply().toString(), onChain: onChainSupply.toString() });
+        }
+        const accounts = new Set(this.holders());
+        for (const entry of this.store.state.history) {
+            [entry.from, entry.to].filter(account => account && account !== ethers.constants.AddressZero).forEach(account => accounts.add(account));
+        }
+        for (const account of accounts) {
+            const onChain = await this.contract.balanceOf(account, { blockTag });
+            if (!onChain.eq(this.balanceOf(account))) {
+                mismatches.push({ key: `balanceOf(${account})`, indexed: this.balanceOf(account).toString(), onChain: onChain.toString() });
+            }
+        }
+        return mismatches;
+    }
+
+    /// PRIVATE HELPERS
+
+    _nextBlock() {
+        const lastBlock = this.store.lastBlock;
+        return lastBlock === null ? this.store.state.startBlock : lastBlock.number + 1;
+    }
+
+    /**
+     * @notice Roll the state back `reorgDepth` blocks if the last indexed block was reorganized
+     */
+    async _handleReorg() {
+        const lastBlock = this.store.lastBlock;
+        if (lastBlock === null) {
+            return;
+        }
+        const block = await this.provider.getBlock(lastBlock.number);
+        if (block !== null && block.hash === lastBlock.hash) {
+            return;
+        }
+        const safeBlock = Math.max(lastBlock.number - this.reorgDepth, this.store.state.startBlock - 1);
+        this.store.rollback(safeBlock);
+        if (safeBlock < this.store.state.startBlock) {
+            this.store.state.lastBlock = null;
+        } else {
+            const canonical = await this.provider.getBlock(safeBlock);
+            this.store.setLastBlock(canonical.number, canonical.hash);
+        }
+        this.store.save();
+    }
+
+    _apply(log) {
+        let parsed;
+        try {
+            parsed = this.contract.interface.parseLog(log);
+        } catch (error) {
+            // Not an event the indexer tracks
+            return;
+        }
+        const { store } = this;
+        store.beginBlock(log.blockNumber, log.blockHash);
+        const entry = {
+            event: parsed.name,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.logIndex,
+            value: parsed.args._value.toString()
+        };
+
+        if (parsed.name === "Transfer") {
+            const { _from, _to, _value } = parsed.args;
+            if (_from === ethers.constants.AddressZero) {
+                store.setTotalSupply(store.getTotalSupply().add(_value));
+            } else {
+                store.setBalance(_from, store.getBalance(_from).sub(_value));
+            }
+            store.setBalance(_to, store.getBalance(_to).add(_value));
+            Object.assign(entry, { from: _from, to: _to });
+        } else if (parsed.name === "Burn") {
+            const { _from, _commandedBy, _value } = parsed.args;
+            store.setBalance(_from, store.getBalance(_from).sub(_value));
+            store.setTotalSupply(store.getTotalSupply().sub(_value));
+            Object.assign(entry, { from: _from, commandedBy: _commandedBy });
+        } else if (parsed.name === "Approval") {
+            const { _owner, _spender, _value } = parsed.args;
+            store.setAllowance(_owner, _spender, _value);
+            Object.assign(entry, { owner: _owner, spender: _spender });
+        }
+        store.addHistory(entry);
+    }
+}
+
+module.exports = {
+    TokenIndexer
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { BigNumber } = require("ethers");
+
+const storeVersion = 1;
+
+/**
+ * File backed state of the indexer.
+ *
+ * Balances, allowances and supply are kept as decimal strings. Every block applied through
+ * `beginBlock` records the previous value of each key it touches in a journal, so the state can be
+ * rolled back block by block when the chain reorganizes. Journal entries older than the reorg depth
+ * are pruned by the indexer.
+ */
+class FileStore {
+    constructor(filePath, state) {
+        this.filePath = filePath;
+        this.state = state;
+        this._current = undefined;
+    }
+
+    /**
+     * @notice Load the store at `filePath`, or create an empty one for `address`
+     * @dev Throw if the file indexes a different token
+     */
+    static load(filePath, address, startBlock) {
+        if (fs.existsSync(filePath)) {
+            const state = JSON.parse(fs.readFileSync(filePath, "utf8"));
+            if (state.address.toLowerCase() !== address.toLowerCase()) {
+                throw new Error(`Store ${filePath} indexes ${state.address}, not ${address}`);
+            }
+            return new FileStore(filePath, state);
+        }
+        return new FileStore(filePath, {
+            version: storeVersion,
+            address,
+            startBlock,
+            lastBlock: null,
+            totalSupply: "0",
+            balances: {},
+            allowances: {},
+            history: [],
+            journal: []
+        });
+    }
+
+    /**
+     * @notice Persist the state. The file is replaced atomically so a crash never leaves it half written
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.state));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    get lastBlock() {
+        return this.state.lastBlock;
+    }
+
+    setLastBlock(number, hash) {
+        this.state.lastBlock = { number, hash };
+    }
+
+    /// READS
+
+    getBalance(account) {
+        return BigNumber.from(this.state.balances[account] || 0);
+    }
+
+    getAllowance(owner, spender) {
+        const allowances = this.state.allowances[owner] || {};
+        return BigNumber.from(allowances[spender] || 0);
+    }
+
+    getTotalSupply() {
+        return BigNumber.from(this.state.totalSupply);
+    }
+
+    /// WRITES, journaled against the block opened with `beginBlock`
+
+    beginBlock(number, hash) {
+        const last = this.state.journal[this.state.journal.length - 1];
+        if (last !== undefined && last.number === number) {
+            this._current = last;
+            return;
+        }
+        this._current = {
+            number,
+            hash,
+            historyLength: this.state.history.length,
+            totalSupply: this.state.totalSupply,
+            balances: {},
+            allowances: {}
+        };
+        this.state.journal.push(this._current);
+    }
+
+    setBalance(account, value) {
+        if (!(account in this._current.balances)) {
+            this._current.balances[account] = this.state.balances[account] || null;
+        }
+        if (value.isZero()) {
+            delete this.state.balances[account];
+        } else {
+            this.state.balances[account] = value.toString();
+        }
+    }
+
+    setAllowance(owner, spender, value) {
+        const key = `${owner}:${spender}`;
+        if (!(key in this._current.allowances)) {
+            this._current.allowances[key] = this.getAllowance(owner, spender).toString();
+        }
+        this.state.allowances[owner] = this.state.allowances[owner] || {};
+        this.state.allowances[owner][spender] = value.toString();
+    }
+
+    setTotalSupply(value) {
+        this.state.totalSupply = value.toString();
+    }
+
+    addHistory(entry) {
+        this.state.history.push(entry);
+    }
+
+    /// REORG HANDLING
+
+    /**
+     * @notice Undo every journaled block after `blockNumber`, newest first
+     */
+    rollback(blockNumber) {
+        const journal = this.state.journal;
+        while (journal.length > 0 && journal[journal.length - 1].number > blockNumber) {
+            const entry = journal.pop();
+            for (const [account, previous] of Object.entries(entry.balances)) {
+                if (previous === null) {
+                    delete this.state.balances[account];
+                } else {
+                    this.state.balances[account] = previous;
+                }
+            }
+            for (const [key, previous] of Object.entries(entry.allowances)) {
+                const [owner, spender] = key.split(":");
+                this.state.allowances[owner][spender] = previous;
+            }
+            this.state.totalSupply = entry.totalSupply;
+            this.state.history.length = entry.historyLength;
+        }
+        this._current = undefined;
+    }
+
+    /**
+     * @notice Drop journal entries at or below `blockNumber`, they can no longer be reorganized
+     */
+    prune(blockNumber) {
+        this.state.journal = this.state.journal.filter(entry => entry.number > blockNumber);
+    }
+}
+
+module.exports = {
+    FileStore
+};
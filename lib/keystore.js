@@ -0,0 +1,76 @@
+const fs = require('fs');
+const readline = require('readline');
+const { ethers } = require("ethers");
+
+/**
+ * Signing with encrypted JSON keystores (the format of geth, Clef and `ethers.Wallet.encrypt`), so no raw
+ * private key has to be stored in `.env`.
+ */
+
+/**
+ * @notice Ask a question on the terminal without echoing the answer
+ */
+function promptHidden(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error(`Cannot prompt "${question.trim()}" without a terminal, set KEYSTORE_PASSWORD`));
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (text) => {
+        if (text === question) {
+            rl.output.write(text);
+        }
+    };
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            process.stdout.write("\n");
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * @notice The keystore password from `KEYSTORE_PASSWORD`, prompted if unset
+ */
+async function getKeystorePassword(env = process.env, prompt = promptHidden) {
+    if (env.KEYSTORE_PASSWORD !== undefined && env.KEYSTORE_PASSWORD !== "") {
+        return env.KEYSTORE_PASSWORD;
+    }
+    return prompt("Keystore password: ");
+}
+
+/**
+ * @notice Decrypt a keystore into a wallet connected to `provider`
+ * @param keystorePath The path of the encrypted JSON keystore
+ * @param password Defaults to `getKeystorePassword()`
+ */
+async function loadKeystoreSigner(keystorePath, provider, password) {
+    if (!fs.existsSync(keystorePath)) {
+        throw new Error(`Keystore file not found: ${keystorePath}`);
+    }
+    const json = fs.readFileSync(keystorePath, "utf8");
+    const keystorePassword = password === undefined ? await getKeystorePassword() : password;
+    let wallet;
+    try {
+        wallet = await ethers.Wallet.fromEncryptedJson(json, keystorePassword);
+    } catch (error) {
+        throw new Error(`Cannot decrypt keystore ${keystorePath}: ${error.reason || error.message}`);
+    }
+    return provider === undefined ? wallet : wallet.connect(provider);
+}
+
+/**
+ * @notice Encrypt a private key into a JSON keystore
+ * @param options Passed to `Wallet.encrypt`, e.g. `{ scrypt: { N } }` for a faster (weaker) key derivation
+ */
+async function createKeystore(privateKey, password, options) {
+    const wallet = new ethers.Wallet(privateKey);
+    return { address: wallet.address, json: await wallet.encrypt(password, options) };
+}
+
+module.exports = {
+    promptHidden,
+    getKeystorePassword,
+    loadKeystoreSigner,
+    createKeystore
+};
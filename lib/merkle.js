@@ -0,0 +1,68 @@
+const { ethers } = require("ethers");
+
+/**
+ * Merkle tree over (address, amount) leaves for airdrop claims.
+ *
+ * Leaves are `keccak256(abi.encodePacked(account, amount))` and pairs are hashed sorted, which is
+ * what OpenZeppelin's `MerkleProof.verify` expects, so a claim contract can check a proof with:
+ * `MerkleProof.verify(proof, root, keccak256(abi.encodePacked(msg.sender, amount)))`
+ */
+
+function getLeaf(account, amount) {
+    return ethers.utils.solidityKeccak256(["address", "uint256"], [account, amount]);
+}
+
+function hashPair(a, b) {
+    const [first, second] = ethers.BigNumber.from(a).lte(b) ? [a, b] : [b, a];
+    return ethers.utils.keccak256(ethers.utils.concat([first, second]));
+}
+
+/**
+ * @notice Build the tree for `entries` and the proof of every account
+ * @param entries Array of `{ account, amount }`, amounts as BigNumber or decimal strings
+ * @return The root and a map from account to `{ amount, leaf, proof }`
+ */
+function buildMerkleTree(entries) {
+    if (entries.length === 0) {
+        throw new Error("Cannot build a Merkle tree without leaves");
+    }
+    const leaves = entries.map(({ account, amount }) => getLeaf(account, amount));
+    const layers = [leaves];
+    while (layers[layers.length - 1].length > 1) {
+        const layer = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            // An odd node is promoted to the next layer as is
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layers.push(next);
+    }
+
+    const claims = {};
+    entries.forEach(({ account, amount }, index) => {
+        const proof = [];
+        let position = index;
+        for (const layer of layers.slice(0, -1)) {
+            const sibling = position % 2 === 0 ? position + 1 : position - 1;
+            if (sibling < layer.length) {
+                proof.push(layer[sibling]);
+            }
+            position = Math.floor(position / 2);
+        }
+        claims[account] = { amount: amount.toString(), leaf: leaves[index], proof };
+    });
+    return { root: layers[layers.length - 1][0], claims };
+}
+
+/**
+ * @notice Check a proof the same way `MerkleProof.verify` does on chain
+ */
+function verifyProof(proof, root, leaf) {
+    return proof.reduce((computed, sibling) => hashPair(computed, sibling), leaf) === root;
+}
+
+module.exports = {
+    getLeaf,
+    buildMerkleTree,
+    verifyProof
+};
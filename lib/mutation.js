@@ -0,0 +1,355 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+/**
+ * Mutation testing of a Solidity source, `contracts/ERC20.sol` by default.
+ *
+ * Each mutant is one small change of the source. The test suite runs against it in a copy of the repository: a
+ * failing suite kills the mutant, a passing one lets it survive, which points at a check no test depends on.
+ * Line coverage cannot tell them apart, both run the same lines.
+ */
+
+const operators = ["comparison", "drop-guard", "swap-assignment", "remove-emit"];
+
+// Replacements of each comparison: the negation, then the boundary change (an off by one)
+const comparisonReplacements = {
+    ">=": ["<", ">"],
+    "<=": [">", "<"],
+    ">": ["<=", ">="],
+    "<": [">=", "<="],
+    "==": ["!="],
+    "!=": ["=="]
+};
+
+// Statements calling `require` or a private guard helper (`_isPaused`, `_hasSufficientBalance`, ...)
+const guardPattern = /\b(require|_is[A-Z]\w*|_has[A-Z]\w*)\s*\(/g;
+const emitPattern = /\bemit\s+\w/g;
+const comparisonPattern = /(?<![<>=!])(>=|<=|==|!=)(?!=)|(?<![<>=!])([<>])(?![<>=])/g;
+const assignmentPattern = /(?<![+\-*/%&|^<>=!])([+-]=)(?!=)/g;
+
+/**
+ * @notice Blank out comments and string literals, keeping the offsets and the line breaks
+ * @dev The patterns run on the masked source, so `=>` in a comment or a `>` in a message is never mutated
+ */
+function maskSource(source) {
+    const chars = source.split("");
+    let index = 0;
+    const blank = (from, to) => {
+        for (let position = from; position < to; position++) {
+            if (chars[position] !== "\n") {
+                chars[position] = " ";
+            }
+        }
+    };
+    while (index < source.length) {
+        if (source.startsWith("//", index)) {
+            const end = source.indexOf("\n", index);
+            const to = end === -1 ? source.length : end;
+            blank(index, to);
+            index = to;
+        } else if (source.startsWith("/*", index)) {
+            const end = source.indexOf("*/", index + 2);
+            const to = end === -1 ? source.length : end + 2;
+            blank(index, to);
+            index = to;
+        } else if (source[index] === "\"" || source[index] === "'") {
+            const quote = source[index];
+            let end = index + 1;
+            while (end < source.length && source[end] !== quote && source[end] !== "\n") {
+                end += source[end] === "\\" ? 2 : 1;
+            }
+            // Keep the quotes, an empty string stays a string
+            blank(index + 1, end);
+            index = end + 1;
+        } else {
+            index++;
+        }
+    }
+    return chars.join("");
+}
+
+/// The 1-based line and column of `offset`
+function getLocation(source, offset) {
+    const before = source.slice(0, offset);
+    const line = before.split("\n").length;
+    return { line, column: offset - before.lastIndexOf("\n") };
+}
+
+/// Whether the code before `offset` ends a statement or opens a block, i.e. `offset` starts a statement
+function startsStatement(masked, offset) {
+    const previous = masked.slice(0, offset).trimEnd();
+    return previous === "" || [";", "{", "}"].includes(previous[previous.length - 1]);
+}
+
+/// The offset after the `;` ending the statement at `offset`, skipping the ones inside parentheses
+function getStatementEnd(masked, offset) {
+    let depth = 0;
+    for (let index = offset; index < masked.length; index++) {
+        if (masked[index] === "(") {
+            depth++;
+        } else if (masked[index] === ")") {
+            depth--;
+        } else if (masked[index] === ";" && depth === 0) {
+            return index + 1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * @notice Every mutant of `source`
+ * @param source The Solidity source
+ * @param options.operators The operators to apply, all of `operators` by default
+ * @return Mutants sorted by position: `{ id, operator, description, start, end, line, column, code, original, replacement }`,
+ * `start` and `end` being the offsets of `original` in `source` and `code` the line it starts at
+ */
+function generateMutants(source, { operators: selected = operators } = {}) {
+    const unknown = selected.filter(operator => !operators.includes(operator));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown mutation operators: ${unknown.join(", ")}. Known: ${operators.join(", ")}`);
+    }
+    const masked = maskSource(source);
+    const found = [];
+    const add = (operator, start, end, replacement, description) => {
+        found.push({ operator, description, start, end, original: source.slice(start, end), replacement });
+    };
+    const matches = pattern => [...masked.matchAll(pattern)];
+    const isDirective = offset => /^\s*(pragma|import)\b/.test(masked.slice(masked.lastIndexOf("\n", offset) + 1, offset + 1));
+
+    if (selected.includes("comparison")) {
+        for (const match of matches(comparisonPattern)) {
+            if (isDirective(match.index)) {
+                continue;
+            }
+            for (const replacement of comparisonReplacements[match[0]]) {
+                add("comparison", match.index, match.index + match[0].length, replacement, `Replace "${match[0]}" with "${replacement}"`);
+            }
+        }
+    }
+    if (selected.includes("drop-guard")) {
+        for (const match of matches(guardPattern)) {
+            const end = getStatementEnd(masked, match.index);
+            if (startsStatement(masked, match.index) && end !== -1) {
+                add("drop-guard", match.index, end, "", `Remove the call to ${match[1]}`);
+            }
+        }
+    }
+    if (selected.includes("swap-assignment")) {
+        for (const match of matches(assignmentPattern)) {
+            const replacement = match[0] === "+=" ? "-=" : "+=";
+            add("swap-assignment", match.index, match.index + 2, replacement, `Replace "${match[0]}" with "${replacement}"`);
+        }
+    }
+    if (selected.includes("remove-emit")) {
+        for (const match of matches(emitPattern)) {
+            const end = getStatementEnd(masked, match.index);
+            if (startsStatement(masked, match.index) && end !== -1) {
+                const event = source.slice(match.index, end).match(/^emit\s+(\w+)/)[1];
+                add("remove-emit", match.index, end, "", `Remove the ${event} event`);
+            }
+        }
+    }
+
+    found.sort((a, b) => a.start - b.start || a.end - b.end);
+    const lines = source.split("\n");
+    return found.map((mutant, index) => {
+        const location = getLocation(source, mutant.start);
+        return { id: index + 1, ...mutant, ...location, code: lines[location.line - 1].trim() };
+    });
+}
+
+/// The source with `mutant` applied
+function applyMutant(source, mutant) {
+    return source.slice(0, mutant.start) + mutant.replacement + source.slice(mutant.end);
+}
+
+/// Copy the directory `source` into `target` but the paths of `excluded`. `fs.cpSync` is missing before Node 16.7
+function copyDirectory(source, target, excluded) {
+    fs.mkdirSync(target, { recursive: true });
+    for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+        const from = path.join(source, entry.name);
+        const to = path.join(target, entry.name);
+        if (excluded.has(from)) {
+            continue;
+        }
+        if (entry.isDirectory()) {
+            copyDirectory(from, to, excluded);
+        } else if (entry.isFile()) {
+            fs.copyFileSync(from, to);
+        }
+    }
+}
+
+/**
+ * @notice Copy the repository to a temporary directory the mutants are written to
+ * @dev `node_modules` is linked, not copied. Build outputs, reports and the git history stay out
+ * @param root The repository root
+ * @return The path of the workspace, removed with `removeWorkspace`
+ */
+function createWorkspace(root) {
+    const excluded = new Set(["node_modules", ".git", "artifacts", "cache", "coverage", "coverage.json", "mutation", "index"].map(entry => path.join(root, entry)));
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "mutation-"));
+    copyDirectory(root, workspace, excluded);
+    // A junction needs no privileges on Windows, the type is ignored elsewhere
+    fs.symlinkSync(path.join(root, "node_modules"), path.join(workspace, "node_modules"), "junction");
+    return workspace;
+}
+
+function removeWorkspace(workspace) {
+    // Unlinked first, so the removal never walks into the node_modules of the repository
+    const modules = path.join(workspace, "node_modules");
+    if (fs.existsSync(modules)) {
+        fs.unlinkSync(modules);
+    }
+    fs.rmSync(workspace, { recursive: true, force: true });
+}
+
+/// Run a Hardhat task in `workspace`, killed after `timeout` milliseconds
+function runHardhat(workspace, args, timeout) {
+    const started = Date.now();
+    // The script of the package, `.bin/hardhat` is a shell or cmd wrapper on Windows
+    const cli = require.resolve("hardhat/internal/cli/cli.js", { paths: [workspace] });
+    const result = spawnSync(process.execPath, [cli, ...args], {
+        cwd: workspace,
+        encoding: "utf8",
+        timeout,
+        maxBuffer: 64 * 1024 * 1024,
+        env: { ...process.env, FORCE_COLOR: "0", HARDHAT_NETWORK: "hardhat" }
+    });
+    const output = `${result.stdout || ""}${result.stderr || ""}`;
+    const timedOut = result.error !== undefined && result.error.code === "ETIMEDOUT";
+    return { passed: result.status === 0, timedOut, output, duration: Date.now() - started };
+}
+
+/**
+ * @notice Compile and run the tests in `workspace`, stopping at the first failing test
+ * @param options.tests Test files to run, the whole suite by default
+ * @param options.timeout Milliseconds the tests may run
+ * @return `{ status, duration, failedTest, output }`, `status` one of "passed", "failed", "timeout" or "invalid" (does not compile)
+ */
+function runTests(workspace, { tests = [], timeout }) {
+    const compiled = runHardhat(workspace, ["compile", "--quiet"], timeout);
+    if (!compiled.passed) {
+        return { status: compiled.timedOut ? "timeout" : "invalid", duration: compiled.duration, output: compiled.output };
+    }
+    const tested = runHardhat(workspace, ["test", "--no-compile", "--bail", ...tests], timeout);
+    const duration = compiled.duration + tested.duration;
+    if (tested.timedOut) {
+        return { status: "timeout", duration, output: tested.output };
+    }
+    if (tested.passed) {
+        return { status: "passed", duration, output: tested.output };
+    }
+    return { status: "failed", duration, failedTest: parseFailedTest(tested.output), output: tested.output };
+}
+
+/**
+ * @notice Test `mutant` of the file `sourcePath` of `workspace`, restoring the file afterwards
+ * @return `{ status, duration, killedBy }`, `status` one of "killed", "survived", "timeout" or "invalid"
+ */
+function testMutant(workspace, sourcePath, mutant, options) {
+    const file = path.join(workspace, sourcePath);
+    const original = fs.readFileSync(file, "utf8");
+    try {
+        fs.writeFileSync(file, applyMutant(original, mutant));
+        const { status, duration, failedTest } = runTests(workspace, options);
+        const statuses = { passed: "survived", failed: "killed", timeout: "timeout", invalid: "invalid" };
+        return { status: statuses[status], duration, killedBy: failedTest };
+    } finally {
+        fs.writeFileSync(file, original);
+    }
+}
+
+/// The full title of the first failing test in the output of mocha, e.g. "Contract tests > ERC20 > Burn > ..."
+function parseFailedTest(output) {
+    const lines = output.split("\n");
+    // The titles are repeated with the error after the "N failing" line
+    const failing = lines.findIndex(line => /^\s*\d+ failing/.test(line));
+    const first = failing === -1 ? -1 : lines.findIndex((line, index) => index > failing && /^\s*1\) /.test(line));
+    if (first === -1) {
+        return undefined;
+    }
+    const titles = [lines[first].replace(/^\s*1\) /, "").trim()];
+    for (let index = first + 1; index < lines.length && !titles[titles.length - 1].endsWith(":"); index++) {
+        titles.push(lines[index].trim());
+    }
+    return titles.join(" > ").replace(/:$/, "");
+}
+
+/**
+ * @notice Count the mutants by status
+ * @dev The score is the percentage of killed or timed out mutants, not counting the ones that do not compile
+ */
+function summarize(mutants) {
+    const count = status => mutants.filter(mutant => mutant.status === status).length;
+    const summary = { total: mutants.length, killed: count("killed"), survived: count("survived"), timeout: count("timeout"), invalid: count("invalid") };
+    const valid = summary.total - summary.invalid;
+    summary.score = valid === 0 ? 0 : Number((((summary.killed + summary.timeout) / valid) * 100).toFixed(2));
+    return summary;
+}
+
+const escapeHtml = value => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * @notice Render a report as a standalone HTML page
+ * @param report As written to `mutation/report.json`: `{ source, tests, summary, mutants }`
+ */
+function formatHtml(report) {
+    const { summary } = report;
+    const rows = report.mutants.map(mutant => [
+        `<tr class="${escapeHtml(mutant.status || "pending")}">`,
+        `<td>${mutant.id}</td>`,
+        `<td>${escapeHtml(mutant.status || "pending")}</td>`,
+        `<td>${escapeHtml(report.source)}:${mutant.line}:${mutant.column}</td>`,
+        `<td>${escapeHtml(mutant.operator)}</td>`,
+        `<td><code>${escapeHtml(mutant.code)}</code><br>${escapeHtml(mutant.description)}</td>`,
+        `<td>${escapeHtml(mutant.killedBy || "")}</td>`,
+        "</tr>"
+    ].join(""));
+    return [
+        "<!DOCTYPE html>",
+        "<html>",
+        "<head>",
+        "<meta charset=\"utf-8\">",
+        `<title>Mutation report - ${escapeHtml(report.source)}</title>`,
+        "<style>",
+        "body { font-family: sans-serif; margin: 2em; }",
+        "table { border-collapse: collapse; width: 100%; }",
+        "th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }",
+        "tr.killed td:nth-child(2), tr.timeout td:nth-child(2) { background: #d4edda; }",
+        "tr.survived td:nth-child(2) { background: #f8d7da; }",
+        "tr.invalid td:nth-child(2), tr.pending td:nth-child(2) { background: #eee; }",
+        "</style>",
+        "</head>",
+        "<body>",
+        `<h1>Mutation report - ${escapeHtml(report.source)}</h1>`,
+        `<p>Tests: ${escapeHtml(report.tests.length > 0 ? report.tests.join(", ") : "whole suite")}</p>`,
+        `<p>Score: <strong>${summary.score}%</strong> - ${summary.total} mutants, ${summary.killed} killed, ${summary.survived} survived, ${summary.timeout} timed out, ${summary.invalid} invalid</p>`,
+        "<table>",
+        "<tr><th>#</th><th>Status</th><th>Location</th><th>Operator</th><th>Mutation</th><th>Killed by</th></tr>",
+        ...rows,
+        "</table>",
+        "</body>",
+        "</html>"
+    ].join("\n") + "\n";
+}
+
+module.exports = {
+    operators,
+    maskSource,
+    generateMutants,
+    applyMutant,
+    createWorkspace,
+    removeWorkspace,
+    runTests,
+    testMutant,
+    parseFailedTest,
+    summarize,
+    formatHtml
+};
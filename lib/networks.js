@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+const defaultConfigPath = path.join(__dirname, "..", "networks.config.json");
+
+// `${NAME}` references to environment variables in the values of the config file
+const variablePattern = /\$\{(\w+)\}/g;
+
+/**
+ * @notice Read the network declarations. `NETWORKS_CONFIG` points to another file, e.g. for a local node
+ */
+function readNetworksConfig(configPath = process.env.NETWORKS_CONFIG || defaultConfigPath) {
+    if (!fs.existsSync(configPath)) {
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(configPath, "utf8"));
+}
+
+/**
+ * @notice Replace the `${NAME}` references of a value with the variables of `env`
+ * @return `{ value, missing }`, `missing` lists the referenced variables that are unset or empty
+ */
+function interpolate(value, env) {
+    if (typeof value !== "string") {
+        return { value, missing: [] };
+    }
+    const missing = [];
+    const result = value.replace(variablePattern, (match, name) => {
+        const variable = env[name];
+        if (variable === undefined || variable.trim() === "") {
+            missing.push(name);
+            return "";
+        }
+        return variable.trim();
+    });
+    return { value: result, missing };
+}
+
+/**
+ * @notice Build the Hardhat network configs of the declared networks
+ * @dev A network is enabled only when every variable it references is set. `privateKey` becomes the only
+ * account of the network. `keystore` is the path of an encrypted JSON keystore, the network keeps the
+ * default accounts and the signer is decrypted when a task asks for it (see `tasks/networks.js`)
+ * @param declarations The content of `networks.config.json`
+ * @param env The environment variables, usually `process.env`
+ * @return `{ networks, disabled }`, `disabled` maps each disabled network to its missing variables
+ */
+function resolveNetworks(declarations, env) {
+    const networks = {};
+    const disabled = {};
+    for (const [name, declaration] of Object.entries(declarations)) {
+        const config = {};
+        const missing = [];
+        for (const [key, rawValue] of Object.entries(declaration)) {
+            const { value, missing: missingVariables } = interpolate(rawValue, env);
+            config[key] = value;
+            missing.push(...missingVariables);
+        }
+        if (config.url === undefined) {
+            throw new Error(`Network ${name} of the networks config has no url`);
+        }
+        if (config.privateKey !== undefined && config.keystore !== undefined) {
+            throw new Error(`Network ${name} of the networks config sets both privateKey and keystore, use one`);
+        }
+        if (missing.length > 0) {
+            disabled[name] = [...new Set(missing)];
+            continue;
+        }
+        const { privateKey, ...networkConfig } = config;
+        if (privateKey !== undefined) {
+            networkConfig.accounts = [privateKey];
+        }
+        networks[name] = networkConfig;
+    }
+    return { networks, disabled };
+}
+
+/**
+ * @notice The `networks` entry of the Hardhat config
+ * @dev Disabled networks are declared too, with the list of missing variables, so selecting one fails with
+ * `getMissingVariablesMessage` (see `tasks/networks.js`) instead of Hardhat's "network doesn't exist"
+ */
+function getHardhatNetworks(env, configPath) {
+    const { networks, disabled } = resolveNetworks(readNetworksConfig(configPath), env);
+    for (const [name, missing] of Object.entries(disabled)) {
+        networks[name] = { url: "http://127.0.0.1", missingVariables: missing };
+    }
+    return networks;
+}
+
+/**
+ * @notice Message of the error shown when a disabled network is selected
+ */
+function getMissingVariablesMessage(name, missing) {
+    return `Network ${name} is disabled, set these variables in .env or in the environment: ${missing.join(", ")}`;
+}
+
+module.exports = {
+    readNetworksConfig,
+    interpolate,
+    resolveNetworks,
+    getHardhatNetworks,
+    getMissingVariablesMessage
+};
@@ -0,0 +1,102 @@
+const { ethers } = require("ethers");
+
+/**
+ * EIP-712 helpers: build and sign the typed data `permit` (EIP-2612) and `delegateBySig` of `contracts/ERC20.sol` expect.
+ */
+
+const permitTypes = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+const delegationTypes = {
+    Delegation: [
+        { name: "delegatee", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" }
+    ]
+};
+
+/**
+ * @notice The EIP-712 domain of a token, as hashed by its `DOMAIN_SEPARATOR`
+ * @param token An ethers contract attached to the token
+ */
+async function getPermitDomain(token) {
+    const [name, { chainId }] = await Promise.all([token.name(), token.provider.getNetwork()]);
+    return { name, version: "1", chainId, verifyingContract: token.address };
+}
+
+/**
+ * @notice Build the typed data of a permit. The nonce defaults to the current `nonces(owner)`
+ * @return `{ domain, types, message }` ready for `signer._signTypedData` or `eth_signTypedData_v4`
+ */
+async function buildPermitTypedData(token, { owner, spender, value, deadline, nonce }) {
+    const domain = await getPermitDomain(token);
+    const message = {
+        owner,
+        spender,
+        value: ethers.BigNumber.from(value).toString(),
+        nonce: (nonce === undefined ? await token.nonces(owner) : ethers.BigNumber.from(nonce)).toString(),
+        deadline: ethers.BigNumber.from(deadline).toString()
+    };
+    return { domain, types: permitTypes, message };
+}
+
+/**
+ * @notice Sign a permit with an ethers signer
+ * @param signer The owner of the tokens
+ * @param token An ethers contract attached to the token
+ * @param permit `{ spender, value, deadline, nonce? }`
+ * @return The permit fields plus the split signature `{ v, r, s }`, the arguments of `permit`
+ */
+async function signPermit(signer, token, { spender, value, deadline, nonce }) {
+    const owner = await signer.getAddress();
+    const { domain, types, message } = await buildPermitTypedData(token, { owner, spender, value, deadline, nonce });
+    const signature = await signer._signTypedData(domain, types, message);
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { owner, spender, value: message.value, deadline: message.deadline, nonce: message.nonce, v, r, s };
+}
+
+/**
+ * @notice Build the typed data of a delegation. The nonce defaults to the current `nonces(signer)`, shared with permits
+ * @return `{ domain, types, message }` ready for `signer._signTypedData` or `eth_signTypedData_v4`
+ */
+async function buildDelegationTypedData(token, { signer, delegatee, expiry, nonce }) {
+    const domain = await getPermitDomain(token);
+    const message = {
+        delegatee,
+        nonce: (nonce === undefined ? await token.nonces(signer) : ethers.BigNumber.from(nonce)).toString(),
+        expiry: ethers.BigNumber.from(expiry).toString()
+    };
+    return { domain, types: delegationTypes, message };
+}
+
+/**
+ * @notice Sign a delegation of the voting power of `signer` with an ethers signer
+ * @param signer The delegator
+ * @param token An ethers contract attached to the token
+ * @param delegation `{ delegatee, expiry, nonce? }`
+ * @return The delegation fields plus the split signature `{ v, r, s }`, the arguments of `delegateBySig`
+ */
+async function signDelegation(signer, token, { delegatee, expiry, nonce }) {
+    const delegator = await signer.getAddress();
+    const { domain, types, message } = await buildDelegationTypedData(token, { signer: delegator, delegatee, expiry, nonce });
+    const signature = await signer._signTypedData(domain, types, message);
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { delegator, delegatee, nonce: message.nonce, expiry: message.expiry, v, r, s };
+}
+
+module.exports = {
+    permitTypes,
+    delegationTypes,
+    getPermitDomain,
+    buildPermitTypedData,
+    buildDelegationTypedData,
+    signPermit,
+    signDelegation
+};
@@ -0,0 +1,55 @@
+const { ethers } = require("ethers");
+
+/**
+ * Quotes of `mint`, `burn` and `redeem` of `contracts/ERC20.sol`, computed off-chain with the same rounding.
+ *
+ * Prices are token units per ether (10^18 wei), so `parseEther("1")` is the parity of 1 to 1. Mint rounds the
+ * tokens down and their cost up, returning the rest of the ether as dust; redemptions round the ether down.
+ */
+
+const priceUnit = ethers.constants.WeiPerEther;
+
+function ceilDiv(a, b) {
+    return a.isZero() ? a : a.sub(1).div(b).add(1);
+}
+
+/**
+ * @notice What `mint` does with `value` wei at `mintPrice`
+ * @return `{ tokens, cost, dust }`: the tokens issued, the wei they cost and the wei credited back to the sender.
+ * `tokens` is zero when `value` does not buy a single token unit, which `mint` rejects
+ */
+function quoteMint(value, mintPrice) {
+    const tokens = ethers.BigNumber.from(value).mul(mintPrice).div(priceUnit);
+    const cost = ceilDiv(tokens.mul(priceUnit), ethers.BigNumber.from(mintPrice));
+    return { tokens, cost, dust: ethers.BigNumber.from(value).sub(cost) };
+}
+
+/**
+ * @notice The least wei `mint` takes to issue at least `tokens` at `mintPrice`, so no dust is left
+ * @dev Above one token unit per wei, a wei buys several units and the mint may issue more than `tokens`
+ */
+function quoteMintCost(tokens, mintPrice) {
+    return ceilDiv(ethers.BigNumber.from(tokens).mul(priceUnit), ethers.BigNumber.from(mintPrice));
+}
+
+/**
+ * @notice The wei `burn` pays, or `redeem` credits, for `tokens` at `redemptionPrice`
+ */
+function quoteRedeem(tokens, redemptionPrice) {
+    return ethers.BigNumber.from(tokens).mul(priceUnit).div(redemptionPrice);
+}
+
+/**
+ * @notice The least tokens to `burn` or `redeem` to be paid at least `value` wei at `redemptionPrice`
+ */
+function quoteRedeemAmount(value, redemptionPrice) {
+    return ceilDiv(ethers.BigNumber.from(value).mul(redemptionPrice), priceUnit);
+}
+
+module.exports = {
+    priceUnit,
+    quoteMint,
+    quoteMintCost,
+    quoteRedeem,
+    quoteRedeemAmount
+};
@@ -0,0 +1,136 @@
+/**
+ * Storage layout checks for the upgrades of `contracts/ERC20Upgradeable.sol`.
+ *
+ * A proxy keeps its state while the implementation changes, so the new implementation must read every existing
+ * variable from the same slot and with the same type. The layouts come from the `storageLayout` output of the
+ * compiler, enabled in `hardhat.config.js`.
+ */
+
+/**
+ * @notice Canonical description of a type of the compiler output
+ * @dev Type ids embed AST ids (e.g. `t_struct(Checkpoint)123_storage`), which change between compilations, so
+ * types are described by their labels, structs by their members and mappings by their key and value
+ */
+function describeType(types, typeId) {
+    const type = types[typeId];
+    if (type === undefined) {
+        return typeId;
+    }
+    if (type.encoding === "mapping") {
+        return `mapping(${describeType(types, type.key)} => ${describeType(types, type.value)})`;
+    }
+    if (type.members !== undefined) {
+        const members = type.members.map(member => `${member.label}: ${describeType(types, member.type)}`);
+        return `${type.label} { ${members.join("; ")} }`;
+    }
+    if (type.base !== undefined) {
+        return type.label.replace(types[type.base].label, describeType(types, type.base));
+    }
+    return type.label;
+}
+
+/**
+ * @notice Normalize the `storageLayout` compiler output of a contract
+ * @return The state variables in declaration order as `{ label, slot, offset, type, numberOfBytes, contract }`,
+ * serializable in the deployment manifest
+ */
+function normalizeStorageLayout(storageLayout) {
+    const types = storageLayout.types || {};
+    return storageLayout.storage.map(variable => ({
+        label: variable.label,
+        slot: Number(variable.slot),
+        offset: variable.offset,
+        type: describeType(types, variable.type),
+        numberOfBytes: Number(types[variable.type] ? types[variable.type].numberOfBytes : 32),
+        contract: variable.contract
+    }));
+}
+
+/**
+ * @notice Read the storage layout of a compiled contract from its build info
+ * @param hre The Hardhat runtime environment
+ * @param contractPath The fully qualified name of the contract, e.g. "contracts/ERC20Upgradeable.sol:ERC20Upgradeable"
+ */
+async function getStorageLayout(hre, contractPath) {
+    const buildInfo = await hre.artifacts.getBuildInfo(contractPath);
+    if (buildInfo === undefined) {
+        throw new Error(`No build info for ${contractPath}, compile the contracts first`);
+    }
+    const separator = contractPath.lastIndexOf(":");
+    const contractOutput = buildInfo.output.contracts[contractPath.slice(0, separator)][contractPath.slice(separator + 1)];
+    if (contractOutput.storageLayout === undefined) {
+        throw new Error(`No storage layout for ${contractPath}, enable the "storageLayout" output in hardhat.config.js`);
+    }
+    return normalizeStorageLayout(contractOutput.storageLayout);
+}
+
+// Position of a variable in bytes from the start of the storage, to order variables across slots
+function getPosition(variable) {
+    return variable.slot * 32 + variable.offset;
+}
+
+/**
+ * @notice Compare the layout of a new implementation with the layout of the deployed one
+ * @dev Every previous variable must keep its name, slot, offset and type. New variables may only be appended
+ * after the last previous one. Each problem is one of:
+ * - `moved`: the variable is declared at another position, e.g. reordered
+ * - `retyped`: the variable keeps its position with another type
+ * - `renamed`: another variable takes the position of the variable
+ * - `removed`: the variable is no longer declared
+ * - `inserted`: a new variable is declared before the end of the previous layout
+ * @param previous The normalized layout of the deployed implementation
+ * @param next The normalized layout of the new implementation
+ * @return `{ compatible, problems, appended }`, `problems` as `{ kind, label, message }` and `appended` the
+ * labels of the new variables
+ */
+function compareStorageLayouts(previous, next) {
+    const problems = [];
+    const problem = (kind, label, message) => problems.push({ kind, label, message });
+    const describe = variable => `${variable.type} at slot ${variable.slot}, offset ${variable.offset}`;
+    // New variables already reported as replacing a previous one
+    const replacing = new Set();
+
+    for (const variable of previous) {
+        const sameLabel = next.find(candidate => candidate.label === variable.label);
+        const samePosition = next.find(candidate => candidate.slot === variable.slot && candidate.offset === variable.offset);
+        if (sameLabel === undefined && samePosition === undefined) {
+            problem("removed", variable.label, `${variable.label} (${describe(variable)}) is no longer declared`);
+        } else if (sameLabel !== undefined && sameLabel !== samePosition) {
+            problem("moved", variable.label, `${variable.label} moved from slot ${variable.slot}, offset ${variable.offset} to slot ${sameLabel.slot}, offset ${sameLabel.offset}`);
+        } else if (sameLabel === undefined) {
+            problem("renamed", variable.label, `${variable.label} (${describe(variable)}) is replaced by ${samePosition.label}`);
+            replacing.add(samePosition.label);
+        } else if (sameLabel.type !== variable.type || sameLabel.numberOfBytes !== variable.numberOfBytes) {
+            problem("retyped", variable.label, `${variable.label} changed type from ${variable.type} to ${sameLabel.type}`);
+        }
+    }
+
+    const previousLabels = previous.map(variable => variable.label);
+    const end = Math.max(0, ...previous.map(variable => getPosition(variable) + variable.numberOfBytes));
+    const appended = [];
+    for (const variable of next.filter(candidate => !previousLabels.includes(candidate.label))) {
+        if (getPosition(variable) < end) {
+            if (!replacing.has(variable.label)) {
+                problem("inserted", variable.label, `${variable.label} (${describe(variable)}) is inserted before the end of the previous layout`);
+            }
+        } else {
+            appended.push(variable.label);
+        }
+    }
+    return { compatible: problems.length === 0, problems, appended };
+}
+
+/**
+ * @notice Human readable report of `compareStorageLayouts`
+ */
+function formatLayoutProblems(problems) {
+    return problems.map(({ kind, message }) => `  - ${kind}: ${message}`).join("\n");
+}
+
+module.exports = {
+    describeType,
+    normalizeStorageLayout,
+    getStorageLayout,
+    compareStorageLayouts,
+    formatLayoutProblems
+};
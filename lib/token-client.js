@@ -0,0 +1,431 @@
+const { ethers } = require("ethers");
+const { parseTokenError } = require("./errors");
+const { quoteMint, quoteMintCost, quoteRedeem } = require("./pricing");
+
+const artifactPath = "../artifacts/contracts/ERC20.sol/ERC20.json";
+
+/// Role hashes of the contract by name
+const roles = {
+    pauser: ethers.utils.id("PAUSER_ROLE"),
+    minter: ethers.utils.id("MINTER_ROLE"),
+    snapshot: ethers.utils.id("SNAPSHOT_ROLE")
+};
+
+/**
+ * @notice Resolve a role name of `roles` into its hash. Hashes are returned as is
+ */
+function getRoleHash(role) {
+    if (ethers.utils.isHexString(role, 32)) {
+        return role;
+    }
+    const hash = roles[String(role).toLowerCase()];
+    if (hash === undefined) {
+        throw new Error(`Unknown role "${role}", expected one of: ${Object.keys(roles).join(", ")}`);
+    }
+    return hash;
+}
+
+/**
+ * Client for a deployed `ERC20` token.
+ *
+ * Amounts are accepted either as BigNumber token units or as human readable strings (e.g. "1.5"),
+ * converted with the token `decimals`. Reverts are rethrown as the typed errors of `./errors`.
+ */
+class TokenClient {
+    /**
+     * @param contract An ethers contract attached to the token, connected to a signer for writes
+     */
+    constructor(contract) {
+        this.contract = contract;
+        this._decimals = undefined;
+    }
+
+    /**
+     * @notice Attach a client to the token at `address`
+     * @param abi Defaults to the ABI of the Hardhat artifact, so the contract must be compiled
+     */
+    static attach(address, signerOrProvider, abi) {
+        const contractAbi = abi || require(artifactPath).abi;
+        return new TokenClient(new ethers.Contract(address, contractAbi, signerOrProvider));
+    }
+
+    get address() {
+        return this.contract.address;
+    }
+
+    /**
+     * @notice Return a client for the same token that signs with `signer`
+     */
+    connect(signer) {
+        const client = new TokenClient(this.contract.connect(signer));
+        client._decimals = this._decimals;
+        return client;
+    }
+
+    /// READ HELPERS
+
+    async name() {
+        return this._call("name");
+    }
+
+    async symbol() {
+        return this._call("symbol");
+    }
+
+    async decimals() {
+        if (this._decimals === undefined) {
+            this._decimals = await this._call("decimals");
+        }
+        return this._decimals;
+    }
+
+    async totalSupply() {
+        return this._call("totalSupply");
+    }
+
+    async maxSupply() {
+        return this._call("maxSupply");
+    }
+
+    async balanceOf(account) {
+        return this._call("balanceOf", account);
+    }
+
+    async allowance(owner, spender) {
+        return this._call("allowance", owner, spender);
+    }
+
+    async nonces(owner) {
+        return this._call("nonces", owner);
+    }
+
+    /**
+     * @notice Wei credited to `account` by `redeem` and the dust of `mint`, not withdrawn yet
+     */
+    async redeemable(account) {
+        return this._call("redeemable", account);
+    }
+
+    async totalRedeemable() {
+        return this._call("totalRedeemable");
+    }
+
+    /**
+     * @notice Token units issued per ether by `mint`
+     */
+    async mintPrice() {
+        return this._call("mintPrice");
+    }
+
+    /**
+     * @notice Token units burned per ether paid back by `burn` and `redeem`
+     */
+    async redemptionPrice() {
+        return this._call("redemptionPrice");
+    }
+
+    async currentSnapshotId() {
+        return this._call("currentSnapshotId");
+    }
+
+    /**
+     * @notice Balance of `account` when the snapshot `snapshotId` was taken
+     */
+    async balanceOfAt(account, snapshotId) {
+        return this._call("balanceOfAt", account, snapshotId);
+    }
+
+    async totalSupplyAt(snapshotId) {
+        return this._call("totalSupplyAt", snapshotId);
+    }
+
+    /**
+     * @notice The account `account` delegates its voting power to, zero address if none
+     */
+    async delegates(account) {
+        return this._call("delegates", account);
+    }
+
+    /**
+     * @notice Current votes of `account`, the balances delegated to it
+     */
+    async getVotes(account) {
+        return this._call("getVotes", account);
+    }
+
+    /**
+     * @notice Votes of `account` at the end of `blockNumber`, which must be mined
+     */
+    async getPastVotes(account, blockNumber) {
+        return this._call("getPastVotes", account, blockNumber);
+    }
+
+    async getPastTotalSupply(blockNumber) {
+        return this._call("getPastTotalSupply", blockNumber);
+    }
+
+    /**
+     * @notice Token units `flashLoan` can lend now, zero while paused
+     */
+    async maxFlashLoan() {
+        return this._call("maxFlashLoan", this.address);
+    }
+
+    async flashFee(amount) {
+        return this._call("flashFee", this.address, await this.parseAmount(amount));
+    }
+
+    async owner() {
+        return this._call("owner");
+    }
+
+    async pendingOwner() {
+        return this._call("pendingOwner");
+    }
+
+    async paused() {
+        return this._call("paused");
+    }
+
+    /**
+     * @param role A role hash, or a name of `roles` such as "minter"
+     */
+    async hasRole(role, account) {
+        return this._call("hasRole", getRoleHash(role), account);
+    }
+
+    /**
+     * @notice Read the token metadata and supply in one go
+     */
+    async info() {
+        const [name, symbol, decimals, totalSupply, maxSupply] = await Promise.all([
+            this.name(),
+            this.symbol(),
+            this.decimals(),
+            this.totalSupply(),
+            this.maxSupply()
+        ]);
+        return { address: this.address, name, symbol, decimals, totalSupply, maxSupply };
+    }
+
+    /// QUOTES
+
+    /**
+     * @notice What `mint` would issue for `etherAmount`, at the current `mintPrice`
+     * @param etherAmount Wei as a BigNumber, or ether as a human readable string
+     * @return `{ tokens, cost, dust }` in token units and wei, see `quoteMint` of `./pricing`
+     */
+    async quoteMint(etherAmount) {
+        const value = ethers.BigNumber.isBigNumber(etherAmount) ? etherAmount : ethers.utils.parseEther(String(etherAmount));
+        return quoteMint(value, await this.mintPrice());
+    }
+
+    /**
+     * @notice The wei `mint` takes to issue `amount` tokens, at the current `mintPrice`
+     */
+    async quoteMintCost(amount) {
+        return quoteMintCost(await this.parseAmount(amount), await this.mintPrice());
+    }
+
+    /**
+     * @notice The wei `burn` and `redeem` pay for `amount` tokens, at the current `redemptionPrice`
+     */
+    async quoteRedeem(amount) {
+        return quoteRedeem(await this.parseAmount(amount), await this.redemptionPrice());
+    }
+
+    /// AMOUNT FORMATTING
+
+    /**
+     * @notice Convert a human readable amount into token units. BigNumbers are returned as is
+     */
+    async parseAmount(amount) {
+        if (ethers.BigNumber.isBigNumber(amount)) {
+            return amount;
+        }
+        return ethers.utils.parseUnits(String(amount), await this.decimals());
+    }
+
+    /**
+     * @notice Convert token units into a human readable amount
+     */
+    async formatAmount(value) {
+        return ethers.utils.formatUnits(value, await this.decimals());
+    }
+
+    /// WRITE HELPERS
+
+    async transfer(to, amount) {
+        return this._send("transfer", [to, await this.parseAmount(amount)]);
+    }
+
+    async transferFrom(from, to, amount) {
+        return this._send("transferFrom", [from, to, await this.parseAmount(amount)]);
+    }
+
+    async approve(spender, amount) {
+        return this._send("approve", [spender, await this.parseAmount(amount)]);
+    }
+
+    async increaseAllowance(spender, amount) {
+        return this._send("increaseAllowance", [spender, await this.parseAmount(amount)]);
+    }
+
+    async decreaseAllowance(spender, amount) {
+        return this._send("decreaseAllowance", [spender, await this.parseAmount(amount)]);
+    }
+
+    /**
+     * @notice Mint `amount` tokens to `recipient`, paying the wei quoted by `quoteMintCost`
+     */
+    async mint(recipient, amount) {
+        return this._send("mint", [recipient], { value: await this.quoteMintCost(amount) });
+    }
+
+    async burn(from, amount) {
+        return this._send("burn", [from, await this.parseAmount(amount)]);
+    }
+
+    /**
+     * @notice Burn `amount` tokens of `from` and credit the wei to the signer, paid out by `withdraw`
+     */
+    async redeem(from, amount) {
+        return this._send("redeem", [from, await this.parseAmount(amount)]);
+    }
+
+    /**
+     * @notice Send all the wei credited to the signer to `recipient`
+     */
+    async withdraw(recipient) {
+        return this._send("withdraw", [recipient]);
+    }
+
+    /**
+     * @notice Submit a permit signed with `signPermit` of `./permit`. Any account can send it
+     */
+    async permit({ owner, spender, value, deadline, v, r, s }) {
+        return this._send("permit", [owner, spender, value, deadline, v, r, s]);
+    }
+
+    /**
+     * @notice Delegate the voting power of the signer to `delegatee`, itself to vote with its own balance
+     */
+    async delegate(delegatee) {
+        return this._send("delegate", [delegatee]);
+    }
+
+    /**
+     * @notice Submit a delegation signed with `signDelegation` of `./permit`. Any account can send it
+     */
+    async delegateBySig({ delegatee, nonce, expiry, v, r, s }) {
+        return this._send("delegateBySig", [delegatee, nonce, expiry, v, r, s]);
+    }
+
+    /**
+     * @notice Lend `amount` to the ERC-3156 borrower contract `receiver`, which must repay it within its `onFlashLoan`
+     * @param data Bytes passed to `onFlashLoan` unchanged
+     */
+    async flashLoan(receiver, amount, data = "0x") {
+        return this._send("flashLoan", [receiver, this.address, await this.parseAmount(amount), data]);
+    }
+
+    /// ADMINISTRATION
+
+    async grantRole(role, account) {
+        return this._send("grantRole", [getRoleHash(role), account]);
+    }
+
+    async revokeRole(role, account) {
+        return this._send("revokeRole", [getRoleHash(role), account]);
+    }
+
+    async renounceRole(role) {
+        return this._send("renounceRole", [getRoleHash(role)]);
+    }
+
+    /**
+     * @notice Start a two-step ownership transfer, completed when `newOwner` calls `acceptOwnership`
+     */
+    async transferOwnership(newOwner) {
+        return this._send("transferOwnership", [newOwner]);
+    }
+
+    async acceptOwnership() {
+        return this._send("acceptOwnership", []);
+    }
+
+    /**
+     * @param mintPrice The new `mintPrice`, in tokens per ether
+     * @param redemptionPrice The new `redemptionPrice`, in tokens per ether
+     */
+    async setPrices(mintPrice, redemptionPrice) {
+        return this._send("setPrices", [await this.parseAmount(mintPrice), await this.parseAmount(redemptionPrice)]);
+    }
+
+    /**
+     * @notice Take a snapshot. The id is the `_id` of the `Snapshot` event of the receipt
+     */
+    async snapshot() {
+        return this._send("snapshot", []);
+    }
+
+    async pause() {
+        return this._send("pause", []);
+    }
+
+    async unpause() {
+        return this._send("unpause", []);
+    }
+
+    /// PRIVATE HELPERS
+
+    async _call(method, ...args) {
+        try {
+            return await this.contract[method](...args);
+        } catch (error) {
+            throw parseTokenError(error) || error;
+        }
+    }
+
+    /**
+     * @notice Send a transaction and wait for its receipt
+     * @return The receipt fields plus the decoded events of the token
+     */
+    async _send(method, args, overrides = {}) {
+        let receipt;
+        try {
+            const tx = await this.contract[method](...args, overrides);
+            receipt = await tx.wait();
+        } catch (error) {
+            throw parseTokenError(error) || error;
+        }
+        return this._parseReceipt(receipt);
+    }
+
+    _parseReceipt(receipt) {
+        const events = [];
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.address.toLowerCase()) {
+                continue;
+            }
+            const parsed = this.contract.interface.parseLog(log);
+            const args = {};
+            parsed.eventFragment.inputs.forEach((input, index) => {
+                args[input.name] = parsed.args[index];
+            });
+            events.push({ name: parsed.name, args });
+        }
+        return {
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed,
+            events
+        };
+    }
+}
+
+module.exports = {
+    TokenClient,
+    roles,
+    getRoleHash
+};
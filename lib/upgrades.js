@@ -0,0 +1,184 @@
+const { ephemeralNetworks, readManifest, writeManifest, getBytecodeHash } = require("./deployments");
+const { getStorageLayout, compareStorageLayouts, formatLayoutProblems } = require("./storage-layout");
+
+/**
+ * Deployment and upgrades of `contracts/ERC20Upgradeable.sol` behind `contracts/ERC1967Proxy.sol`.
+ *
+ * The `ERC20Upgradeable` entry of `deployments/<network>.json` records the proxy, the current implementation and
+ * its storage layout, which the next upgrade is checked against.
+ */
+
+const manifestKey = "ERC20Upgradeable";
+const implementationContractPath = "contracts/ERC20Upgradeable.sol:ERC20Upgradeable";
+const proxyContractPath = "contracts/ERC1967Proxy.sol:ERC1967Proxy";
+// `keccak256("eip1967.proxy.implementation") - 1`
+const implementationSlot = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * @notice The implementation address stored in the ERC-1967 slot of a proxy
+ */
+async function getImplementationAddress(ethers, proxyAddress) {
+    const value = await ethers.provider.getStorageAt(proxyAddress, implementationSlot);
+    return ethers.utils.getAddress(ethers.utils.hexDataSlice(value, 12));
+}
+
+async function deployImplementation(hre, contractPath, signer) {
+    const { ethers, artifacts } = hre;
+    const artifact = await artifacts.readArtifact(contractPath);
+    const storageLayout = await getStorageLayout(hre, contractPath);
+    const contractFactory = await ethers.getContractFactory(contractPath, signer);
+    const contractInstance = await contractFactory.deploy();
+    const receipt = await contractInstance.deployTransaction.wait();
+    return {
+        contractInstance,
+        address: contractInstance.address,
+        transactionHash: receipt.transactionHash,
+        bytecodeHash: getBytecodeHash(ethers, artifact),
+        storageLayout
+    };
+}
+
+function recordDeployment(network, deployment) {
+    if (!ephemeralNetworks.includes(network.name)) {
+        const manifest = readManifest(network.name);
+        manifest[manifestKey] = deployment;
+        writeManifest(network.name, manifest);
+    }
+}
+
+/**
+ * @notice Deploy an implementation and a proxy initialized with the parameters resolved by `loadDeployConfig`
+ * @dev Skipped when the manifest records a proxy with code on the same chain: redeploying would start a new
+ * token with no holders, upgrade the recorded one instead
+ * @param hre The Hardhat runtime environment
+ * @param params `{ name, symbol, maxSupply, price }`, `maxSupply` in whole tokens, `price` in whole tokens per ether
+ * @param options.contract The implementation to deploy. Defaults to `ERC20Upgradeable`
+ * @param options.signer The deployer account, owner of the token. Defaults to the first signer
+ * @param options.force Deploy a new proxy even if one is recorded
+ * @return The manifest entry and whether a new deployment happened
+ */
+async function deployProxy(hre, params, options = {}) {
+    const { ethers, network } = hre;
+    const contractPath = options.contract || implementationContractPath;
+    const signer = options.signer || (await ethers.getSigners())[0];
+    const { chainId } = await ethers.provider.getNetwork();
+    const args = [
+        params.name,
+        params.symbol,
+        ethers.utils.parseEther(String(params.maxSupply)).toString(),
+        ethers.utils.parseEther(String(params.price)).toString()
+    ];
+
+    const existing = readManifest(network.name)[manifestKey];
+    if (existing !== undefined && !options.force && existing.chainId === chainId && await ethers.provider.getCode(existing.proxy) !== "0x") {
+        return { deployment: existing, deployed: false };
+    }
+
+    const implementation = await deployImplementation(hre, contractPath, signer);
+    const initializeData = implementation.contractInstance.interface.encodeFunctionData("initialize", args);
+    const proxyFactory = await ethers.getContractFactory(proxyContractPath, signer);
+    const proxyInstance = await proxyFactory.deploy(implementation.address, initializeData);
+    const receipt = await proxyInstance.deployTransaction.wait();
+
+    const deployment = {
+        contract: contractPath,
+        proxy: proxyInstance.address,
+        implementation: implementation.address,
+        args,
+        transactionHash: receipt.transactionHash,
+        implementationTransactionHash: implementation.transactionHash,
+        blockNumber: receipt.blockNumber,
+        deployer: signer.address,
+        chainId,
+        bytecodeHash: implementation.bytecodeHash,
+        storageLayout: implementation.storageLayout,
+        upgrades: []
+    };
+    recordDeployment(network, deployment);
+    return { deployment, deployed: true };
+}
+
+/**
+ * @notice The recorded proxy deployment of a network
+ * @dev Throw if there is none, or if the proxy no longer points to the recorded implementation, in which case
+ * the recorded storage layout cannot be trusted
+ */
+async function getProxyDeployment(hre) {
+    const { ethers, network } = hre;
+    const deployment = readManifest(network.name)[manifestKey];
+    if (deployment === undefined) {
+        throw new Error(`No ${manifestKey} proxy recorded for network ${network.name}, deploy one first`);
+    }
+    const implementation = await getImplementationAddress(ethers, deployment.proxy);
+    if (implementation.toLowerCase() !== deployment.implementation.toLowerCase()) {
+        throw new Error(`Proxy ${deployment.proxy} points to ${implementation}, the manifest records ${deployment.implementation}`);
+    }
+    return deployment;
+}
+
+/**
+ * @notice Compare the storage layout of a compiled contract with the recorded implementation of a proxy
+ * @return The result of `compareStorageLayouts`
+ */
+async function checkUpgrade(hre, contractPath, deployment) {
+    const storageLayout = await getStorageLayout(hre, contractPath);
+    return compareStorageLayouts(deployment.storageLayout, storageLayout);
+}
+
+/**
+ * @notice Upgrade a proxy to a new implementation, refusing incompatible storage layouts
+ * @dev Skipped when the compiled contract is the recorded implementation. The previous implementation is kept in
+ * the `upgrades` history of the manifest entry
+ * @param hre The Hardhat runtime environment
+ * @param contractPath The fully qualified name of the new implementation
+ * @param options.deployment The proxy deployment. Defaults to the one of the network manifest
+ * @param options.signer The owner of the token. Defaults to the first signer
+ * @param options.force Upgrade even if the bytecode did not change
+ * @return The updated manifest entry and whether an upgrade happened
+ */
+async function upgradeProxy(hre, contractPath, options = {}) {
+    const { ethers, network, artifacts } = hre;
+    const signer = options.signer || (await ethers.getSigners())[0];
+    const deployment = options.deployment || await getProxyDeployment(hre);
+
+    const { compatible, problems } = await checkUpgrade(hre, contractPath, deployment);
+    if (!compatible) {
+        throw new Error(`Storage layout of ${contractPath} is incompatible with the implementation of proxy ${deployment.proxy}\n${formatLayoutProblems(problems)}`);
+    }
+    const bytecodeHash = getBytecodeHash(ethers, await artifacts.readArtifact(contractPath));
+    if (bytecodeHash === deployment.bytecodeHash && !options.force) {
+        return { deployment, upgraded: false };
+    }
+
+    const implementation = await deployImplementation(hre, contractPath, signer);
+    const proxyInstance = await ethers.getContractAt(implementationContractPath, deployment.proxy, signer);
+    const receipt = await (await proxyInstance.upgradeTo(implementation.address)).wait();
+
+    const upgraded = {
+        ...deployment,
+        contract: contractPath,
+        implementation: implementation.address,
+        implementationTransactionHash: implementation.transactionHash,
+        bytecodeHash,
+        storageLayout: implementation.storageLayout,
+        upgrades: [...deployment.upgrades, {
+            contract: contractPath,
+            previousImplementation: deployment.implementation,
+            implementation: implementation.address,
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber
+        }]
+    };
+    recordDeployment(network, upgraded);
+    return { deployment: upgraded, upgraded: true };
+}
+
+module.exports = {
+    manifestKey,
+    implementationContractPath,
+    getImplementationAddress,
+    deployProxy,
+    getProxyDeployment,
+    checkUpgrade,
+    upgradeProxy
+};
@@ -0,0 +1,259 @@
+const { ethers } = require("ethers");
+
+/**
+ * Schedules of `contracts/TokenVesting.sol`: parsing of schedule files, the vesting curve computed off-chain with
+ * the same rounding as `vestedAmount`, and funding through `approve` + `createVesting`.
+ *
+ * A schedule file is JSON with a `schedules` array and optional `defaults` every entry inherits:
+ *
+ *     { "defaults": { "start": "2025-01-01T00:00:00Z", "cliff": "1y", "duration": "4y", "revocable": true },
+ *       "schedules": [{ "beneficiary": "0x...", "amount": "1000" }] }
+ *
+ * `start` is a unix timestamp or an ISO 8601 date, `cliff` and `duration` are seconds or a number with one of the
+ * units of `durationUnits`, counted from `start`, and `amount` is in whole tokens.
+ */
+
+/// Seconds per unit of the durations of a schedule file. A month is 30 days and a year 365 days
+const durationUnits = {
+    s: 1,
+    m: 60,
+    h: 3600,
+    d: 86400,
+    w: 7 * 86400,
+    mo: 30 * 86400,
+    y: 365 * 86400
+};
+
+/**
+ * @notice Convert a duration such as 3600, "90d" or "4y" into seconds
+ */
+function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+)\s*(s|m|h|d|w|mo|y)?$/);
+    if (match === null) {
+        throw new Error(`invalid duration ${value}`);
+    }
+    return Number(match[1]) * durationUnits[match[2] || "s"];
+}
+
+/**
+ * @notice Convert a unix timestamp in seconds or an ISO 8601 date into a unix timestamp
+ */
+function parseTimestamp(value) {
+    if (/^\d+$/.test(String(value).trim())) {
+        return Number(value);
+    }
+    const milliseconds = typeof value === "string" ? Date.parse(value) : NaN;
+    if (Number.isNaN(milliseconds)) {
+        throw new Error(`invalid start ${value}`);
+    }
+    return Math.floor(milliseconds / 1000);
+}
+
+/**
+ * @notice Parse and check a schedule file against the rules `createVesting` enforces, before sending anything
+ * @dev Duplicated beneficiaries are rejected, the contract holds one schedule per beneficiary
+ * @param text The JSON content of the file
+ * @param decimals The token decimals used to convert the human readable amounts
+ * @return Array of `{ entry, beneficiary, amount, start, cliff, duration, revocable }`, `entry` counting from 1
+ */
+function parseSchedules(text, decimals) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid schedule file: ${error.message}`);
+    }
+    if (file === null || !Array.isArray(file.schedules)) {
+        throw new Error("Invalid schedule file: expected a \"schedules\" array");
+    }
+
+    const schedules = [];
+    const errors = [];
+    const seen = new Map();
+    file.schedules.forEach((raw, index) => {
+        const entry = index + 1;
+        const fields = { revocable: false, ...file.defaults, ...raw };
+        const entryErrors = [];
+        const parse = (name, parser) => {
+            if (fields[name] === undefined) {
+                entryErrors.push(`missing ${name}`);
+                return undefined;
+            }
+            try {
+                return parser(fields[name]);
+            } catch (error) {
+                entryErrors.push(error.message);
+                return undefined;
+            }
+        };
+
+        const beneficiary = parse("beneficiary", value => {
+            if (!ethers.utils.isAddress(value) || ethers.utils.getAddress(value) === ethers.constants.AddressZero) {
+                throw new Error(`invalid beneficiary ${value}`);
+            }
+            return ethers.utils.getAddress(value);
+        });
+        const amount = parse("amount", value => {
+            let parsed;
+            try {
+                parsed = ethers.utils.parseUnits(String(value), decimals);
+            } catch (error) {
+                throw new Error(`invalid amount ${value}`);
+            }
+            if (parsed.isZero()) {
+                throw new Error("amount is zero");
+            }
+            return parsed;
+        });
+        const start = parse("start", parseTimestamp);
+        const cliff = parse("cliff", parseDuration);
+        const duration = parse("duration", parseDuration);
+        if (duration === 0) {
+            entryErrors.push("duration is zero");
+        }
+        if (cliff !== undefined && duration !== undefined && cliff > duration) {
+            entryErrors.push("cliff is longer than the duration");
+        }
+        if (typeof fields.revocable !== "boolean") {
+            entryErrors.push(`invalid revocable ${fields.revocable}`);
+        }
+        if (beneficiary !== undefined) {
+            if (seen.has(beneficiary)) {
+                entryErrors.push(`duplicated beneficiary, first seen at schedule ${seen.get(beneficiary)}`);
+            }
+            seen.set(beneficiary, entry);
+        }
+
+        if (entryErrors.length > 0) {
+            errors.push(...entryErrors.map(message => `schedule ${entry}: ${message}`));
+            return;
+        }
+        schedules.push({ entry, beneficiary, amount, start, cliff, duration, revocable: fields.revocable });
+    });
+    if (errors.length > 0) {
+        throw new Error(`Invalid schedule file\n  - ${errors.join("\n  - ")}`);
+    }
+    return schedules;
+}
+
+/**
+ * @notice The tokens of `schedule` vested at `timestamp`, as `TokenVesting.vestedAmount` computes them
+ * @param schedule `{ amount, start, cliff, duration, revoked? }`
+ */
+function vestedAmount(schedule, timestamp) {
+    const amount = ethers.BigNumber.from(schedule.amount);
+    const start = Number(schedule.start);
+    if (schedule.revoked || timestamp >= start + Number(schedule.duration)) {
+        return amount;
+    }
+    if (timestamp < start + Number(schedule.cliff)) {
+        return ethers.constants.Zero;
+    }
+    return amount.mul(timestamp - start).div(schedule.duration);
+}
+
+/**
+ * @notice The unlocks of `schedule`: at the cliff, then every `interval` seconds from the start, and at the end
+ * @return Array of `{ timestamp, vested }`, `vested` being the total unlocked by then
+ */
+function getUnlockTimeline(schedule, interval) {
+    const start = Number(schedule.start);
+    const cliffEnd = start + Number(schedule.cliff);
+    const end = start + Number(schedule.duration);
+    const timestamps = [];
+    if (Number(schedule.cliff) > 0) {
+        timestamps.push(cliffEnd);
+    }
+    for (let timestamp = start + interval; timestamp < end; timestamp += interval) {
+        if (timestamp > cliffEnd) {
+            timestamps.push(timestamp);
+        }
+    }
+    if (timestamps[timestamps.length - 1] !== end) {
+        timestamps.push(end);
+    }
+    return timestamps.map(timestamp => ({ timestamp, vested: vestedAmount(schedule, timestamp) }));
+}
+
+/**
+ * @notice Read every schedule of a vesting contract
+ * @param vesting An ethers contract attached to the `TokenVesting`
+ * @return Array of `{ beneficiary, amount, released, start, cliff, duration, revocable, revoked }` in creation order
+ */
+async function readSchedules(vesting) {
+    const count = (await vesting.beneficiaryCount()).toNumber();
+    const schedules = [];
+    for (let index = 0; index < count; index++) {
+        const beneficiary = await vesting.beneficiaries(index);
+        const { amount, released, start, cliff, duration, revocable, revoked } = await vesting.schedules(beneficiary);
+        schedules.push({ beneficiary, amount, released, start: start.toNumber(), cliff: cliff.toNumber(), duration: duration.toNumber(), revocable, revoked });
+    }
+    return schedules;
+}
+
+/**
+ * @notice Create the schedules not created yet: approve their total and call `createVesting` for each one
+ * @dev Schedules already on-chain with the same parameters are skipped, so a failed run can be run again. A
+ * beneficiary whose on-chain schedule differs is an error, nothing is sent then
+ * @param token The token, connected to the owner of the vesting contract
+ * @param vesting The `TokenVesting`, connected to its owner
+ * @param schedules As returned by `parseSchedules`
+ * @param options.onProgress Called with each schedule and the receipt of its `createVesting`
+ * @return `{ created, skipped }` lists of schedules
+ */
+async function fundVesting(token, vesting, schedules, { onProgress } = {}) {
+    const owner = await vesting.signer.getAddress();
+    if (await vesting.owner() !== owner) {
+        throw new Error(`${owner} is not the owner of the vesting contract ${vesting.address}`);
+    }
+
+    const created = [];
+    const skipped = [];
+    const errors = [];
+    for (const schedule of schedules) {
+        const existing = await vesting.schedules(schedule.beneficiary);
+        // As the contract, a schedule revoked before the cliff keeps its duration but not its amount
+        if (existing.duration.isZero()) {
+            created.push(schedule);
+            continue;
+        }
+        const same = existing.amount.eq(schedule.amount) && existing.start.eq(schedule.start) && existing.cliff.eq(schedule.cliff)
+            && existing.duration.eq(schedule.duration) && existing.revocable === schedule.revocable;
+        if (same) {
+            skipped.push(schedule);
+        } else {
+            errors.push(`schedule ${schedule.entry}: ${schedule.beneficiary} already has a different schedule`);
+        }
+    }
+    const total = created.reduce((sum, { amount }) => sum.add(amount), ethers.constants.Zero);
+    const balance = await token.balanceOf(owner);
+    if (total.gt(balance)) {
+        errors.push(`insufficient balance: ${total.toString()} needed, ${balance.toString()} available`);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Cannot fund the vesting contract\n  - ${errors.join("\n  - ")}`);
+    }
+
+    if (created.length > 0 && (await token.allowance(owner, vesting.address)).lt(total)) {
+        await (await token.approve(vesting.address, total)).wait();
+    }
+    for (const schedule of created) {
+        const { beneficiary, amount, start, cliff, duration, revocable } = schedule;
+        const receipt = await (await vesting.createVesting(beneficiary, amount, start, cliff, duration, revocable)).wait();
+        if (onProgress) {
+            onProgress(schedule, receipt);
+        }
+    }
+    return { created, skipped };
+}
+
+module.exports = {
+    durationUnits,
+    parseDuration,
+    parseTimestamp,
+    parseSchedules,
+    vestedAmount,
+    getUnlockTimeline,
+    readSchedules,
+    fundVesting
+};
@@ -0,0 +1,42 @@
+const hre = require("hardhat");
+const { loadDeployConfig } = require("../lib/deployments");
+const { deployProxy } = require("../lib/upgrades");
+
+async function main() {
+
+    console.log("---------------------------------------------------------------------------------------");
+    console.log("-- Deploy upgradeable contracts process start...");
+    console.log("---------------------------------------------------------------------------------------");
+
+    // Same parameters as `scripts/deploy.js`, passed to `initialize` instead of the constructor
+    const params = loadDeployConfig(hre.network.name, {
+        name: process.env.TOKEN_NAME,
+        symbol: process.env.TOKEN_SYMBOL,
+        maxSupply: process.env.TOKEN_MAX_SUPPLY,
+        price: process.env.TOKEN_PRICE
+    });
+    const force = process.env.DEPLOY_FORCE === "true";
+
+    console.log("-- Network:", hre.network.name);
+    console.log("-- Parameters:", params.name, params.symbol, params.maxSupply, params.price);
+
+    const { deployment, deployed } = await deployProxy(hre, params, { force });
+
+    /// --------------------------------------------------------------------------------------------------
+    if (!deployed) {
+        console.log("-- Proxy already deployed, skipping. Run scripts/upgrade.js to upgrade it, or set DEPLOY_FORCE=true to deploy a new one");
+    }
+    console.log("-- Proxy Address:", deployment.proxy);
+    console.log("-- Implementation Address:", deployment.implementation);
+    console.log("-- Transaction hash:", deployment.transactionHash);
+    console.log("---------------------------------------------------------------------------------------");
+    console.log("-- Contracts have been successfully deployed");
+    console.log("---------------------------------------------------------------------------------------");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -1,7 +1,5 @@
-const { ethers } = require("hardhat");
-
-// Contract to deploy
-const contractPath = "contracts/ERC20.sol:ERC20";
+const hre = require("hardhat");
+const { loadDeployConfig, deployToken } = require("../lib/deployments");
 
 async function main() {
 
@@ -9,19 +7,26 @@ async function main() {
     console.log("-- Deploy contracts process start...");
     console.log("---------------------------------------------------------------------------------------");
 
-    // Get Signer
-    const [signer] = await ethers.getSigners();
+    // Deploy parameters from `deploy.config.json`, overridable through environment variables
+    const params = loadDeployConfig(hre.network.name, {
+        name: process.env.TOKEN_NAME,
+        symbol: process.env.TOKEN_SYMBOL,
+        maxSupply: process.env.TOKEN_MAX_SUPPLY,
+        price: process.env.TOKEN_PRICE
+    });
+    const force = process.env.DEPLOY_FORCE === "true";
+
+    console.log("-- Network:", hre.network.name);
+    console.log("-- Parameters:", params.name, params.symbol, params.maxSupply, params.price);
 
-    const name = "MyERC-20_Token";
-    const symbol = "PCIB";
-    const maxSupply = ethers.utils.parseEther("1000000");
-   
-    // Deploy student contract
-    const contractFactory = await ethers.getContractFactory(contractPath, signer);
-    const contractInstance = await contractFactory.deploy(name, symbol, maxSupply);
+    const { deployment, deployed } = await deployToken(hre, params, { force });
 
     /// --------------------------------------------------------------------------------------------------
-    console.log("-- Contract Address:", contractInstance.address);
+    if (!deployed) {
+        console.log("-- Matching deployment found, skipping. Set DEPLOY_FORCE=true to redeploy");
+    }
+    console.log("-- Contract Address:", deployment.address);
+    console.log("-- Transaction hash:", deployment.transactionHash);
     console.log("---------------------------------------------------------------------------------------");
     console.log("-- Contracts have been successfully deployed");
     console.log("---------------------------------------------------------------------------------------");
@@ -32,4 +37,4 @@ main()
     .catch(error => {
         console.error(error);
         process.exit(1);
-    });
\ No newline at end of file
+    });
@@ -0,0 +1,72 @@
+const hre = require("hardhat");
+const fs = require('fs');
+const path = require('path');
+const { runBenchmark, getBenchmarkedMethods, compareGas, formatMarkdown } = require("../lib/gas");
+
+const gasDir = path.join(__dirname, "..", "gas");
+const deployArgs = ["MyERC-20_Token", "PCIB", hre.ethers.utils.parseEther("1000000"), hre.ethers.utils.parseEther("1")];
+
+async function main() {
+
+    console.log("---------------------------------------------------------------------------------------");
+    console.log("-- Gas benchmark start...");
+    console.log("---------------------------------------------------------------------------------------");
+
+    // Gas depends on the network rules, so only the in-process network gives comparable numbers
+    if (hre.network.name !== "hardhat") {
+        throw new Error(`The benchmark runs on the in-process hardhat network, not on ${hre.network.name}`);
+    }
+
+    const baselinePath = process.env.GAS_BASELINE || path.join(gasDir, "baseline.json");
+    const threshold = Number(process.env.GAS_THRESHOLD || 1);
+    const updateBaseline = process.env.GAS_UPDATE_BASELINE === "true";
+    if (Number.isNaN(threshold) || threshold < 0) {
+        throw new Error(`Invalid GAS_THRESHOLD: ${process.env.GAS_THRESHOLD}`);
+    }
+
+    await hre.run("compile", { quiet: true });
+    const results = await runBenchmark(hre.ethers, deployArgs);
+
+    const { abi } = await hre.artifacts.readArtifact("ERC20");
+    const missing = getBenchmarkedMethods(abi).filter(method => results[method] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`No benchmark scenario for: ${missing.join(", ")}. Add them to lib/gas.js`);
+    }
+
+    if (updateBaseline) {
+        fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+        fs.writeFileSync(baselinePath, JSON.stringify(results, null, 2) + "\n");
+        console.log("-- Baseline written to", baselinePath);
+    }
+    if (!fs.existsSync(baselinePath)) {
+        throw new Error(`No baseline at ${baselinePath}. Run with GAS_UPDATE_BASELINE=true to create it`);
+    }
+
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, "utf8"));
+    const rows = compareGas(baseline, results, threshold);
+    const markdown = formatMarkdown(rows, threshold);
+
+    fs.mkdirSync(gasDir, { recursive: true });
+    fs.writeFileSync(path.join(gasDir, "report.json"), JSON.stringify({ threshold, results, comparison: rows }, null, 2) + "\n");
+    fs.writeFileSync(path.join(gasDir, "report.md"), markdown);
+    console.log(markdown);
+
+    /// --------------------------------------------------------------------------------------------------
+    const regressions = rows.filter(row => row.status === "regression");
+    if (regressions.length > 0) {
+        for (const row of regressions) {
+            console.log(`-- Regression: ${row.method} (${row.scenario}) ${row.baseline} -> ${row.current}`);
+        }
+        throw new Error(`${regressions.length} scenario(s) regressed more than ${threshold}%`);
+    }
+    console.log("---------------------------------------------------------------------------------------");
+    console.log("-- No gas regressions, reports written to", gasDir);
+    console.log("---------------------------------------------------------------------------------------");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { operators, generateMutants, createWorkspace, removeWorkspace, runTests, testMutant, summarize, formatHtml } = require("../lib/mutation");
+
+const root = path.join(__dirname, "..");
+const reportDir = path.join(root, "mutation");
+
+/// Parse MUTATION_LINES, e.g. "240-300"
+function parseLines(value) {
+    if (!value) {
+        return undefined;
+    }
+    const match = value.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+        throw new Error(`Invalid MUTATION_LINES: ${value}. Use a line or a range, e.g. 240-300`);
+    }
+    return { from: Number(match[1]), to: Number(match[2] || match[1]) };
+}
+
+function parsePositive(name, fallback) {
+    if (process.env[name] === undefined) {
+        return fallback;
+    }
+    const value = Number(process.env[name]);
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`Invalid ${name}: ${process.env[name]}`);
+    }
+    return value;
+}
+
+function writeReports(report) {
+    fs.mkdirSync(reportDir, { recursive: true });
+    report.summary = summarize(report.mutants);
+    fs.writeFileSync(path.join(reportDir, "report.json"), JSON.stringify(report, null, 2) + "\n");
+    fs.writeFileSync(path.join(reportDir, "report.html"), formatHtml(report));
+}
+
+async function main() {
+
+    console.log("---------------------------------------------------------------------------------------");
+    console.log("-- Mutation testing start...");
+    console.log("---------------------------------------------------------------------------------------");
+
+    const source = process.env.MUTATION_SOURCE || "contracts/ERC20.sol";
+    const selected = process.env.MUTATION_OPERATORS ? process.env.MUTATION_OPERATORS.split(",").map(operator => operator.trim()) : operators;
+    const lines = parseLines(process.env.MUTATION_LINES);
+    const limit = parsePositive("MUTATION_LIMIT", Infinity);
+    const tests = process.env.MUTATION_TESTS ? process.env.MUTATION_TESTS.split(",").map(test => test.trim()) : [];
+    const threshold = process.env.MUTATION_THRESHOLD === undefined ? undefined : Number(process.env.MUTATION_THRESHOLD);
+    if (threshold !== undefined && (Number.isNaN(threshold) || threshold < 0 || threshold > 100)) {
+        throw new Error(`Invalid MUTATION_THRESHOLD: ${process.env.MUTATION_THRESHOLD}`);
+    }
+    if (!fs.existsSync(path.join(root, source))) {
+        throw new Error(`No source at ${source}`);
+    }
+
+    const mutants = generateMutants(fs.readFileSync(path.join(root, source), "utf8"), { operators: selected })
+        .filter(mutant => lines === undefined || (mutant.line >= lines.from && mutant.line <= lines.to))
+        .slice(0, limit);
+    if (mutants.length === 0) {
+        throw new Error(`No mutants of ${source} with the selected operators and lines`);
+    }
+    console.log(`-- ${mutants.length} mutants of ${source}, tests: ${tests.length > 0 ? tests.join(", ") : "whole suite"}`);
+
+    const workspace = createWorkspace(root);
+    console.log("-- Workspace:", workspace);
+    try {
+        // Every mutant would be "killed" by a suite that already fails
+        const baseline = runTests(workspace, { tests, timeout: parsePositive("MUTATION_TIMEOUT", 3600) * 1000 });
+        if (baseline.status !== "passed") {
+            console.log(baseline.output);
+            throw new Error(`The tests do not pass without mutants (${baseline.status}), fix them first`);
+        }
+        // A mutant can turn a loop endless, stop it after some multiple of the normal run
+        const timeout = parsePositive("MUTATION_TIMEOUT", Math.max(60, Math.ceil(baseline.duration * 3 / 1000))) * 1000;
+        console.log(`-- Tests pass in ${(baseline.duration / 1000).toFixed(1)}s, timeout per mutant ${timeout / 1000}s`);
+
+        const report = { source, tests, timeout, mutants: mutants.map(({ start, end, ...mutant }) => mutant) };
+        for (const [index, mutant] of mutants.entries()) {
+            const result = testMutant(workspace, source, mutant, { tests, timeout });
+            Object.assign(report.mutants[index], result);
+            // Written after each mutant, an interrupted run keeps its results
+            writeReports(report);
+            const killedBy = result.killedBy ? ` by "${result.killedBy}"` : "";
+            console.log(`-- [${index + 1}/${mutants.length}] ${source}:${mutant.line}:${mutant.column} ${mutant.description}: ${result.status}${killedBy}`);
+        }
+
+        /// --------------------------------------------------------------------------------------------------
+        const { summary } = report;
+        for (const mutant of report.mutants.filter(({ status }) => status === "survived")) {
+            console.log(`-- Survived: ${source}:${mutant.line}:${mutant.column} ${mutant.description} | ${mutant.code}`);
+        }
+        console.log("---------------------------------------------------------------------------------------");
+        console.log(`-- Score ${summary.score}%: ${summary.killed} killed, ${summary.survived} survived, ${summary.timeout} timed out, ${summary.invalid} invalid`);
+        console.log("-- Reports written to", reportDir);
+        console.log("---------------------------------------------------------------------------------------");
+        if (threshold !== undefined && summary.score < threshold) {
+            throw new Error(`Mutation score ${summary.score}% is below MUTATION_THRESHOLD ${threshold}%`);
+        }
+    } finally {
+        if (process.env.MUTATION_KEEP_WORKSPACE !== "true") {
+            removeWorkspace(workspace);
+        }
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,35 @@
+const hre = require("hardhat");
+const { implementationContractPath, upgradeProxy } = require("../lib/upgrades");
+
+async function main() {
+
+    console.log("---------------------------------------------------------------------------------------");
+    console.log("-- Upgrade contracts process start...");
+    console.log("---------------------------------------------------------------------------------------");
+
+    // The new implementation, refused if its storage layout is incompatible with the recorded one
+    const contractPath = process.env.UPGRADE_CONTRACT || implementationContractPath;
+    const force = process.env.UPGRADE_FORCE === "true";
+
+    console.log("-- Network:", hre.network.name);
+    console.log("-- Implementation:", contractPath);
+
+    const { deployment, upgraded } = await upgradeProxy(hre, contractPath, { force });
+
+    /// --------------------------------------------------------------------------------------------------
+    if (!upgraded) {
+        console.log("-- Implementation unchanged, skipping. Set UPGRADE_FORCE=true to upgrade anyway");
+    }
+    console.log("-- Proxy Address:", deployment.proxy);
+    console.log("-- Implementation Address:", deployment.implementation);
+    console.log("---------------------------------------------------------------------------------------");
+    console.log("-- Contracts have been successfully upgraded");
+    console.log("---------------------------------------------------------------------------------------");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,96 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { roles, getRoleHash } = require("../lib/token-client");
+const { getToken, checkAddress, sendTransaction } = require("./token");
+
+const pluginName = "token";
+
+/**
+ * @notice Resolve a role name ("pauser", "minter", "snapshot") or hash, as a clean CLI error when unknown
+ */
+function parseRole(role) {
+    try {
+        return getRoleHash(role);
+    } catch (error) {
+        throw new HardhatPluginError(pluginName, error.message);
+    }
+}
+
+task("token:roles", "Prints the owner, the pause state and the roles of an account")
+    .addParam("address", "The address of the token")
+    .addOptionalParam("account", "The account whose roles are printed")
+    .setAction(async ({ address, account }, hre) => {
+        const { contract } = await getToken(hre, address, 0);
+        const pendingOwner = await contract.pendingOwner();
+        console.log("-- Owner:", await contract.owner());
+        console.log("-- Pending owner:", pendingOwner === hre.ethers.constants.AddressZero ? "none" : pendingOwner);
+        console.log("-- Paused:", await contract.paused());
+        if (account !== undefined) {
+            checkAddress(hre, account, "account");
+            for (const [name, hash] of Object.entries(roles)) {
+                console.log(`-- ${name}:`, await contract.hasRole(hash, account));
+            }
+        }
+    });
+
+task("token:grant-role", "Grants a role to an account. Only the owner")
+    .addParam("address", "The address of the token")
+    .addParam("role", `The role: ${Object.keys(roles).join(", ")}`)
+    .addParam("account", "The account that receives the role")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, role, account, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "grantRole", [parseRole(role), checkAddress(hre, account, "account")]);
+    });
+
+task("token:revoke-role", "Revokes a role from an account. Only the owner")
+    .addParam("address", "The address of the token")
+    .addParam("role", `The role: ${Object.keys(roles).join(", ")}`)
+    .addParam("account", "The account that loses the role")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, role, account, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "revokeRole", [parseRole(role), checkAddress(hre, account, "account")]);
+    });
+
+task("token:renounce-role", "Gives up a role of the signing account")
+    .addParam("address", "The address of the token")
+    .addParam("role", `The role: ${Object.keys(roles).join(", ")}`)
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, role, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "renounceRole", [parseRole(role)]);
+    });
+
+task("token:transfer-ownership", "Proposes a new owner, who must accept with token:accept-ownership")
+    .addParam("address", "The address of the token")
+    .addParam("newOwner", "The proposed owner. Zero address cancels a pending transfer")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, newOwner, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "transferOwnership", [checkAddress(hre, newOwner, "new-owner")]);
+    });
+
+task("token:accept-ownership", "Accepts a pending ownership transfer with the signing account")
+    .addParam("address", "The address of the token")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "acceptOwnership", []);
+    });
+
+task("token:pause", "Halts transfer, transferFrom, mint and burn. Only pausers")
+    .addParam("address", "The address of the token")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "pause", []);
+    });
+
+task("token:unpause", "Resumes a paused token. Only pausers")
+    .addParam("address", "The address of the token")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "unpause", []);
+    });
@@ -0,0 +1,57 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const fs = require('fs');
+const { parseRecipients, validateRecipients, estimateAirdrop, runAirdrop } = require("../lib/airdrop");
+const { parseTokenError } = require("../lib/errors");
+const { getToken } = require("./token");
+
+const pluginName = "token:airdrop";
+
+task("token:airdrop", "Transfers tokens to every recipient of a CSV file, resuming from a checkpoint file")
+    .addParam("address", "The address of the token")
+    .addParam("csv", "The recipients file, one \"address,amount\" per line")
+    .addOptionalParam("checkpoint", "The progress file. Defaults to <csv>.checkpoint.json")
+    .addOptionalParam("signer", "The index of the paying account", 0, types.int)
+    .addFlag("dryRun", "Validate the file and estimate gas without sending transactions")
+    .setAction(async (args, hre) => {
+        const { contract, signer, decimals } = await getToken(hre, args.address, args.signer);
+        const checkpointPath = args.checkpoint || `${args.csv}.checkpoint.json`;
+
+        let recipients;
+        try {
+            recipients = parseRecipients(fs.readFileSync(args.csv, "utf8"), decimals);
+        } catch (error) {
+            throw new HardhatPluginError(pluginName, error.message);
+        }
+        console.log(`-- ${recipients.length} recipients in ${args.csv}`);
+
+        if (args.dryRun) {
+            let total;
+            try {
+                total = validateRecipients(recipients, signer.address, await contract.balanceOf(signer.address));
+            } catch (error) {
+                throw new HardhatPluginError(pluginName, error.message);
+            }
+            const estimate = await estimateAirdrop(contract, recipients);
+            const gasPrice = await hre.ethers.provider.getGasPrice();
+            for (const { line, account, amount, gas } of estimate.estimates) {
+                console.log(`-- Line ${line}: ${account} ${hre.ethers.utils.formatUnits(amount, decimals)} (${gas.toString()} gas)`);
+            }
+            console.log("-- Total amount:", hre.ethers.utils.formatUnits(total, decimals));
+            console.log("-- Total gas:", estimate.total.toString());
+            console.log("-- Estimated cost:", hre.ethers.utils.formatEther(estimate.total.mul(gasPrice)), "ether");
+            return;
+        }
+
+        try {
+            await runAirdrop(contract, recipients, checkpointPath, {
+                onProgress: (recipient, entry) => {
+                    console.log(`-- Line ${recipient.line}: paid ${hre.ethers.utils.formatUnits(recipient.amount, decimals)} to ${recipient.account} (${entry.transactionHash})`);
+                }
+            });
+        } catch (error) {
+            const tokenError = parseTokenError(error);
+            throw new HardhatPluginError(pluginName, `${tokenError ? tokenError.message : error.message}\nProgress saved to ${checkpointPath}, run again to resume`);
+        }
+        console.log("-- All recipients paid. Checkpoint:", checkpointPath);
+    });
@@ -0,0 +1,20 @@
+const { task, types } = require("hardhat/config");
+const { loadDeployConfig, deployToken } = require("../lib/deployments");
+
+task("token:deploy", "Deploys the token unless a matching deployment is recorded in deployments/<network>.json")
+    .addOptionalParam("name", "The name of the token. Defaults to deploy.config.json")
+    .addOptionalParam("symbol", "The symbol of the token. Defaults to deploy.config.json")
+    .addOptionalParam("maxSupply", "The maximum supply in whole tokens, zero for unlimited. Defaults to deploy.config.json")
+    .addOptionalParam("price", "The initial mint and redemption price in whole tokens per ether. Defaults to deploy.config.json")
+    .addFlag("force", "Deploy even if a matching deployment exists")
+    .setAction(async ({ name, symbol, maxSupply, price, force }, hre) => {
+        const params = loadDeployConfig(hre.network.name, { name, symbol, maxSupply, price });
+        const { deployment, deployed } = await deployToken(hre, params, { force });
+        if (!deployed) {
+            console.log("-- Matching deployment found, skipping. Use --force to redeploy");
+        }
+        console.log("-- Contract Address:", deployment.address);
+        console.log("-- Transaction hash:", deployment.transactionHash);
+        console.log("-- Block number:", deployment.blockNumber);
+        return deployment;
+    });
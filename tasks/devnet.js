@@ -0,0 +1,152 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+const fs = require('fs');
+const path = require('path');
+const { loadDeployConfig, deployToken, readManifest, writeManifest } = require("../lib/deployments");
+const { parseTokenError } = require("../lib/errors");
+const { parseSeed, seedToken, getDefaultPrivateKeys, formatEnv } = require("../lib/devnet");
+const { formatAmount } = require("./token");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const pluginName = "devnet";
+
+// Chain ids of Hardhat and Ganache. The seed mints with the ether of the deployer, never on a public network
+const localChainIds = [31337, 1337];
+
+function readSeedFile(seedPath, addresses) {
+    if (!fs.existsSync(seedPath)) {
+        throw new HardhatPluginError(pluginName, `No seed file at ${seedPath}`);
+    }
+    try {
+        return parseSeed(fs.readFileSync(seedPath, "utf8"), addresses);
+    } catch (error) {
+        throw new HardhatPluginError(pluginName, error.message);
+    }
+}
+
+/**
+ * @notice The balances, ether and private keys of the default accounts, for `devnet.json`
+ */
+async function getAccounts(hre, token, signers, privateKeys) {
+    return Promise.all(signers.map(async (signer, index) => ({
+        index,
+        address: signer.address,
+        ...(privateKeys !== undefined ? { privateKey: privateKeys[index] } : {}),
+        ether: hre.ethers.utils.formatEther(await signer.getBalance()),
+        tokens: formatAmount(hre, await token.balanceOf(signer.address), 18)
+    })));
+}
+
+/**
+ * @notice Start a local node, or attach to the one of `--network`, deploy and seed the token and write
+ * devnet.json and devnet.env
+ * @param hre The Hardhat runtime environment
+ * @param args The params of the `devnet` task
+ * @return The description written to devnet.json and the started node, undefined when attached to one
+ */
+async function startDevnet(hre, args) {
+    const { ethers, network } = hre;
+    const signers = await ethers.getSigners();
+    const seed = readSeedFile(args.seed, signers.map(signer => signer.address));
+    const overrides = { ...seed.token };
+    for (const key of ["name", "symbol", "maxSupply", "price"]) {
+        if (args[key] !== undefined) {
+            overrides[key] = args[key];
+        }
+    }
+    const params = loadDeployConfig(network.name, overrides);
+    await hre.run("compile", { quiet: true });
+
+    // Without --network the in-process network is served over JSON-RPC, as `npx hardhat node` does
+    let server;
+    let rpcUrl = network.config.url;
+    if (network.name === "hardhat") {
+        server = await hre.run(TASK_NODE_CREATE_SERVER, { hostname: args.hostname, port: args.port, provider: network.provider });
+        const { address, port } = await server.listen();
+        rpcUrl = `http://${address}:${port}`;
+    }
+    const { chainId } = await ethers.provider.getNetwork();
+    if (!localChainIds.includes(chainId)) {
+        throw new HardhatPluginError(pluginName, `Network ${network.name} has chain id ${chainId}, devnet only attaches to a local node (${localChainIds.join(", ")})`);
+    }
+
+    const { deployment } = await deployToken(hre, params, { force: true });
+    // Lets the token:* tasks find the token with --network localhost
+    if (server !== undefined && rpcUrl === hre.config.networks.localhost.url) {
+        writeManifest("localhost", { ...readManifest("localhost"), ERC20: deployment });
+    }
+    const token = await ethers.getContractAt(contractPath, deployment.address, signers[0]);
+    try {
+        await seedToken(token, seed, signers);
+    } catch (error) {
+        const tokenError = parseTokenError(error);
+        throw new HardhatPluginError(pluginName, tokenError ? tokenError.message : error.message);
+    }
+
+    const { abi } = await hre.artifacts.readArtifact(contractPath);
+    const privateKeys = server !== undefined ? getDefaultPrivateKeys(hre.config.networks.hardhat.accounts) : undefined;
+    const devnet = {
+        network: network.name,
+        chainId,
+        rpcUrl,
+        token: {
+            address: deployment.address,
+            name: await token.name(),
+            symbol: await token.symbol(),
+            decimals: await token.decimals(),
+            maxSupply: formatAmount(hre, await token.maxSupply(), 18),
+            mintPrice: formatAmount(hre, await token.mintPrice(), 18),
+            redemptionPrice: formatAmount(hre, await token.redemptionPrice(), 18),
+            deployBlock: deployment.blockNumber,
+            transactionHash: deployment.transactionHash,
+            abi
+        },
+        accounts: await getAccounts(hre, token, signers, privateKeys),
+        allowances: seed.allowances.map(({ owner, spender, amount }) => ({
+            owner,
+            spender,
+            amount: amount.eq(ethers.constants.MaxUint256) ? "unlimited" : formatAmount(hre, amount, 18)
+        }))
+    };
+
+    fs.mkdirSync(args.out, { recursive: true });
+    fs.writeFileSync(path.join(args.out, "devnet.json"), JSON.stringify(devnet, null, 2) + "\n");
+    fs.writeFileSync(path.join(args.out, "devnet.env"), formatEnv(devnet, args.envPrefix));
+
+    console.log("-- RPC URL:", rpcUrl);
+    console.log("-- Chain id:", chainId);
+    console.log("-- Token Address:", deployment.address);
+    for (const account of devnet.accounts.filter(({ tokens }) => tokens !== "0.0")) {
+        console.log(`-- Account ${account.index} ${account.address}: ${account.tokens} ${devnet.token.symbol}`);
+    }
+    for (const { owner, spender, amount } of devnet.allowances) {
+        console.log(`-- Allowance ${owner} -> ${spender}: ${amount}`);
+    }
+    console.log("-- Written", path.join(args.out, "devnet.json"), "and", path.join(args.out, "devnet.env"));
+
+    return { devnet, server };
+}
+
+task("devnet", "Starts a local node, or attaches to one with --network, deploys the token and seeds the default accounts")
+    .addOptionalParam("seed", "The seed file, see lib/devnet.js", "devnet.seed.json")
+    .addOptionalParam("out", "The directory devnet.json and devnet.env are written to", "devnet")
+    .addOptionalParam("envPrefix", "The prefix of the variables of devnet.env, e.g. VITE_", "DEVNET_")
+    .addOptionalParam("hostname", "The host the started node listens on", "127.0.0.1")
+    .addOptionalParam("port", "The port the started node listens on", 8545, types.int)
+    .addOptionalParam("name", "The name of the token. Defaults to the seed file, then deploy.config.json")
+    .addOptionalParam("symbol", "The symbol of the token. Defaults to the seed file, then deploy.config.json")
+    .addOptionalParam("maxSupply", "The maximum supply in whole tokens, zero for unlimited. Defaults to the seed file, then deploy.config.json")
+    .addOptionalParam("price", "The initial mint and redemption price in whole tokens per ether. Defaults to the seed file, then deploy.config.json")
+    .setAction(async (args, hre) => {
+        const { devnet, server } = await startDevnet(hre, args);
+        if (server !== undefined) {
+            console.log("-- Devnet running, press Ctrl+C to stop");
+            await server.waitUntilClosed();
+        }
+        return devnet;
+    });
+
+module.exports = {
+    startDevnet
+};
@@ -0,0 +1,114 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest, deployContract } = require("../lib/deployments");
+const { parseSalt, predictTokenAddress, listTokens } = require("../lib/factory");
+const { checkAddress, formatAmount, sendTransaction } = require("./token");
+
+const contractPath = "contracts/TokenFactory.sol:TokenFactory";
+const tokenContractPath = "contracts/ERC20.sol:ERC20";
+const pluginName = "factory";
+
+/**
+ * @notice Attach to the factory given by `--factory`, or to the `TokenFactory` entry of the network manifest
+ */
+async function getFactory(hre, address, signerIndex = 0) {
+    const { ethers } = hre;
+    const deployment = readManifest(hre.network.name).TokenFactory;
+    const target = address || (deployment && deployment.address);
+    if (target === undefined) {
+        throw new HardhatPluginError(pluginName, `No factory given and no TokenFactory recorded for network ${hre.network.name}, run factory:deploy first`);
+    }
+    checkAddress(hre, target, "factory");
+    if (await ethers.provider.getCode(target) === "0x") {
+        throw new HardhatPluginError(pluginName, `No contract deployed at ${target} on network ${hre.network.name}`);
+    }
+    const signer = (await ethers.getSigners())[signerIndex];
+    if (signer === undefined) {
+        throw new HardhatPluginError(pluginName, `No account configured at index ${signerIndex}`);
+    }
+    return ethers.getContractAt(contractPath, target, signer);
+}
+
+function parseTokens(hre, value, paramName) {
+    try {
+        return hre.ethers.utils.parseEther(value);
+    } catch (error) {
+        throw new HardhatPluginError(pluginName, `Invalid ${paramName}: ${value}`);
+    }
+}
+
+task("factory:deploy", "Deploys the token factory unless it is recorded in deployments/<network>.json")
+    .addFlag("force", "Deploy even if a matching deployment exists")
+    .setAction(async ({ force }, hre) => {
+        const { deployment, deployed } = await deployContract(hre, "TokenFactory", contractPath, [], { force });
+        if (!deployed) {
+            console.log("-- Matching deployment found, skipping. Use --force to redeploy");
+        }
+        console.log("-- Factory Address:", deployment.address);
+        console.log("-- Transaction hash:", deployment.transactionHash);
+        return deployment;
+    });
+
+task("factory:create", "Deploys a token through the factory and accepts its ownership")
+    .addParam("name", "The name of the token")
+    .addParam("symbol", "The symbol of the token")
+    .addParam("maxSupply", "The maximum supply in whole tokens, zero for unlimited")
+    .addOptionalParam("price", "The initial mint and redemption price in whole tokens per ether", "1")
+    .addOptionalParam("salt", "Deploy with CREATE2 at the address predicted for this salt (32 bytes hex or any text)")
+    .addOptionalParam("factory", "The address of the factory. Defaults to deployments/<network>.json")
+    .addOptionalParam("signer", "The index of the signing account, creator and owner of the token", 0, types.int)
+    .setAction(async ({ name, symbol, maxSupply, price, salt, factory: factoryAddress, signer }, hre) => {
+        const factory = await getFactory(hre, factoryAddress, signer);
+        const args = [name, symbol, parseTokens(hre, maxSupply, "maxSupply"), parseTokens(hre, price, "price")];
+        const receipt = salt === undefined
+            ? await sendTransaction(hre, factory, 18, "createToken", args)
+            : await sendTransaction(hre, factory, 18, "createTokenDeterministic", [...args, parseSalt(hre.ethers, salt)]);
+        const created = receipt.logs
+            .filter(log => log.address === factory.address)
+            .map(log => factory.interface.parseLog(log))
+            .find(parsed => parsed.name === "TokenCreated");
+
+        // The factory starts the ownership transfer, the creator completes it
+        const token = await hre.ethers.getContractAt(tokenContractPath, created.args._token, factory.signer);
+        await sendTransaction(hre, token, 18, "acceptOwnership", []);
+        console.log("-- Token Address:", token.address);
+        return token.address;
+    });
+
+task("factory:predict", "Computes the address of a token created with a salt, without sending a transaction")
+    .addParam("name", "The name of the token")
+    .addParam("symbol", "The symbol of the token")
+    .addParam("maxSupply", "The maximum supply in whole tokens, zero for unlimited")
+    .addOptionalParam("price", "The initial mint and redemption price in whole tokens per ether", "1")
+    .addParam("salt", "The salt, 32 bytes hex or any text")
+    .addOptionalParam("creator", "The account that will create the token. Defaults to the first signer")
+    .addOptionalParam("factory", "The address of the factory. Defaults to deployments/<network>.json")
+    .setAction(async ({ name, symbol, maxSupply, price, salt, creator, factory: factoryAddress }, hre) => {
+        const { ethers, artifacts } = hre;
+        const factory = await getFactory(hre, factoryAddress);
+        const account = creator !== undefined ? checkAddress(hre, creator, "creator") : factory.signer.address;
+        const { bytecode } = await artifacts.readArtifact(tokenContractPath);
+        const params = { name, symbol, maxSupply: parseTokens(hre, maxSupply, "maxSupply"), price: parseTokens(hre, price, "price") };
+        const address = predictTokenAddress(ethers, bytecode, factory.address, account, params, parseSalt(ethers, salt));
+        console.log("-- Creator:", account);
+        console.log("-- Token Address:", address);
+        if (await ethers.provider.getCode(address) !== "0x") {
+            console.log("-- Already deployed");
+        }
+        return address;
+    });
+
+task("factory:list", "Lists the tokens deployed by the factory")
+    .addOptionalParam("factory", "The address of the factory. Defaults to deployments/<network>.json")
+    .setAction(async ({ factory: factoryAddress }, hre) => {
+        const factory = await getFactory(hre, factoryAddress);
+        const tokens = await listTokens(hre.ethers, factory);
+        console.log("-- Factory:", factory.address);
+        console.log("-- Tokens:", tokens.length);
+        for (const token of tokens) {
+            const maxSupply = token.maxSupply.isZero() ? "unlimited" : formatAmount(hre, token.maxSupply, 18);
+            const pending = token.owner === token.creator ? "" : " (ownership not accepted)";
+            console.log(`-- #${token.index} ${token.address} ${token.name} (${token.symbol}) supply ${formatAmount(hre, token.totalSupply, 18)}/${maxSupply} creator ${token.creator}${pending}`);
+        }
+        return tokens;
+    });
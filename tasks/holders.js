@@ -0,0 +1,145 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const fs = require('fs');
+const { readManifest } = require("../lib/deployments");
+const { getHolderBalances } = require("../lib/holders");
+const { getTopDelegates } = require("../lib/delegates");
+const { buildMerkleTree } = require("../lib/merkle");
+const { getToken, sendTransaction, formatAmount } = require("./token");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const pluginName = "token:holders";
+
+function toCsv(hre, holders, decimals) {
+    const lines = holders.map(({ account, balance }) => `${account},${balance.toString()},${hre.ethers.utils.formatUnits(balance, decimals)}`);
+    return ["address,balance,formatted", ...lines].join("\n") + "\n";
+}
+
+function toJson(hre, token, blockNumber, holders, decimals, snapshotId) {
+    return JSON.stringify({
+        token,
+        blockNumber,
+        ...(snapshotId === undefined ? {} : { snapshotId }),
+        holders: holders.map(({ account, balance }) => ({
+            address: account,
+            balance: balance.toString(),
+            formatted: hre.ethers.utils.formatUnits(balance, decimals)
+        }))
+    }, null, 4) + "\n";
+}
+
+/**
+ * @notice Resolve the token of `--address` or of the network manifest, and the first block to scan for events
+ */
+function resolveToken(hre, args) {
+    const deployment = readManifest(hre.network.name).ERC20;
+    const address = args.address || (deployment && deployment.address);
+    if (address === undefined) {
+        throw new HardhatPluginError(pluginName, `No address given and no deployment recorded for network ${hre.network.name}`);
+    }
+    let fromBlock = args.fromBlock;
+    if (fromBlock === undefined) {
+        fromBlock = deployment && deployment.address.toLowerCase() === address.toLowerCase() ? deployment.blockNumber : 0;
+    }
+    return { address, fromBlock };
+}
+
+function checkFormat(format) {
+    if (!["json", "csv"].includes(format)) {
+        throw new HardhatPluginError(pluginName, `Invalid format: ${format}`);
+    }
+}
+
+function writeHolders(hre, args, { address, blockNumber, holders, decimals, snapshotId }) {
+    const output = args.format === "csv" ? toCsv(hre, holders, decimals) : toJson(hre, address, blockNumber, holders, decimals, snapshotId);
+    if (args.out === undefined) {
+        process.stdout.write(output);
+    } else {
+        fs.writeFileSync(args.out, output);
+        const at = snapshotId === undefined ? `block ${blockNumber}` : `snapshot ${snapshotId}`;
+        console.log(`-- ${holders.length} holders at ${at} written to ${args.out}`);
+    }
+}
+
+task("token:holders", "Exports the balances of all holders at a block, optionally with a Merkle airdrop tree")
+    .addOptionalParam("address", "The address of the token. Defaults to deployments/<network>.json")
+    .addOptionalParam("block", "The block to take the balances at. Defaults to the latest block", undefined, types.int)
+    .addOptionalParam("fromBlock", "The first block to scan for transfers. Defaults to the deployment block", undefined, types.int)
+    .addOptionalParam("format", "Output format: json or csv", "json")
+    .addOptionalParam("out", "The file to write the holders to. Defaults to stdout")
+    .addOptionalParam("merkle", "The file to write the Merkle root and per-address proofs to")
+    .setAction(async (args, hre) => {
+        checkFormat(args.format);
+        const { address, fromBlock } = resolveToken(hre, args);
+        const contract = await hre.ethers.getContractAt(contractPath, address);
+        const decimals = await contract.decimals();
+        const { blockNumber, holders } = await getHolderBalances(contract, { fromBlock, blockTag: args.block });
+        writeHolders(hre, args, { address, blockNumber, holders, decimals });
+
+        if (args.merkle !== undefined) {
+            if (holders.length === 0) {
+                throw new HardhatPluginError(pluginName, `No holders at block ${blockNumber}, nothing to build a Merkle tree from`);
+            }
+            const { root, claims } = buildMerkleTree(holders.map(({ account, balance }) => ({ account, amount: balance })));
+            fs.writeFileSync(args.merkle, JSON.stringify({ token: address, blockNumber, root, claims }, null, 4) + "\n");
+            console.log("-- Merkle root:", root);
+            console.log("-- Proofs written to", args.merkle);
+        }
+    });
+
+task("token:snapshot", "Takes a snapshot of the token and exports the balances of all holders at it")
+    .addOptionalParam("address", "The address of the token. Defaults to deployments/<network>.json")
+    .addOptionalParam("id", "Export this existing snapshot instead of taking a new one", undefined, types.int)
+    .addOptionalParam("fromBlock", "The first block to scan for transfers. Defaults to the deployment block", undefined, types.int)
+    .addOptionalParam("format", "Output format: json or csv", "json")
+    .addParam("out", "The file to write the holders to")
+    .addOptionalParam("signer", "The index of the signing account, which must hold the snapshot role", 0, types.int)
+    .setAction(async (args, hre) => {
+        checkFormat(args.format);
+        const { address, fromBlock } = resolveToken(hre, args);
+        const { contract, decimals } = await getToken(hre, address, args.signer);
+
+        let snapshotId = args.id;
+        let blockNumber;
+        if (snapshotId === undefined) {
+            const receipt = await sendTransaction(hre, contract, decimals, "snapshot", []);
+            const event = receipt.logs
+                .filter(log => log.address === contract.address)
+                .map(log => contract.interface.parseLog(log))
+                .find(parsed => parsed.name === "Snapshot");
+            snapshotId = event.args._id.toNumber();
+            blockNumber = receipt.blockNumber;
+        } else if (snapshotId < 1 || snapshotId > (await contract.currentSnapshotId()).toNumber()) {
+            throw new HardhatPluginError(pluginName, `Snapshot ${snapshotId} was not taken yet`);
+        }
+
+        // Holders that received tokens after the snapshot read a zero balance at it and are left out
+        const result = await getHolderBalances(contract, { fromBlock, blockTag: blockNumber, snapshotId });
+        writeHolders(hre, args, { address, blockNumber: result.blockNumber, holders: result.holders, decimals, snapshotId });
+        return { snapshotId, holders: result.holders };
+    });
+
+task("token:delegates", "Prints the delegates with the most votes at a block")
+    .addOptionalParam("address", "The address of the token. Defaults to deployments/<network>.json")
+    .addOptionalParam("block", "The block to take the votes at, before the latest one. Defaults to the current votes", undefined, types.int)
+    .addOptionalParam("fromBlock", "The first block to scan for delegations. Defaults to the deployment block", undefined, types.int)
+    .addOptionalParam("top", "How many delegates to print", 10, types.int)
+    .setAction(async (args, hre) => {
+        const { address, fromBlock } = resolveToken(hre, args);
+        const contract = await hre.ethers.getContractAt(contractPath, address);
+        const decimals = await contract.decimals();
+        let result;
+        try {
+            result = await getTopDelegates(contract, { fromBlock, blockTag: args.block, limit: args.top });
+        } catch (error) {
+            throw new HardhatPluginError(pluginName, error.message);
+        }
+        const { blockNumber, totalSupply, delegates } = result;
+
+        console.log(`-- Top ${delegates.length} delegates at block ${blockNumber}, total supply ${formatAmount(hre, totalSupply, decimals)}`);
+        delegates.forEach(({ account, votes }, index) => {
+            const share = totalSupply.isZero() ? "0.00" : (votes.mul(10000).div(totalSupply).toNumber() / 100).toFixed(2);
+            console.log(`${index + 1}. ${account} ${formatAmount(hre, votes, decimals)} (${share}%)`);
+        });
+        return result;
+    });
@@ -0,0 +1,55 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const path = require('path');
+const { TokenIndexer } = require("../lib/indexer");
+const { readManifest } = require("../lib/deployments");
+
+const pluginName = "token:index";
+
+task("token:index", "Indexes Transfer, Approval and Burn events of a token into a local file")
+    .addOptionalParam("address", "The address of the token. Defaults to deployments/<network>.json")
+    .addOptionalParam("startBlock", "The block to start indexing from. Defaults to the deployment block", undefined, types.int)
+    .addOptionalParam("store", "The file to persist the index to. Defaults to index/<network>-<address>.json")
+    .addOptionalParam("reorgDepth", "How many blocks to roll back when a reorg is detected", 12, types.int)
+    .addFlag("watch", "Keep indexing new blocks")
+    .addFlag("check", "Cross-check derived balances and total supply against the chain")
+    .setAction(async (args, hre) => {
+        const deployment = readManifest(hre.network.name).ERC20;
+        const address = args.address || (deployment && deployment.address);
+        if (address === undefined) {
+            throw new HardhatPluginError(pluginName, `No address given and no deployment recorded for network ${hre.network.name}`);
+        }
+        let startBlock = args.startBlock;
+        if (startBlock === undefined) {
+            startBlock = deployment && deployment.address.toLowerCase() === address.toLowerCase() ? deployment.blockNumber : 0;
+        }
+        const storePath = args.store || path.join(hre.config.paths.root, "index", `${hre.network.name}-${address}.json`);
+
+        const indexer = new TokenIndexer({
+            provider: hre.ethers.provider,
+            address,
+            storePath,
+            startBlock,
+            reorgDepth: args.reorgDepth
+        });
+        const printStatus = lastBlock => {
+            console.log(`-- Indexed up to block ${lastBlock}: ${indexer.holderCount()} holders, total supply ${hre.ethers.utils.formatEther(indexer.totalSupply())}`);
+        };
+
+        if (args.watch) {
+            process.on("SIGINT", () => indexer.stop());
+            await indexer.watch(4000, printStatus);
+            return;
+        }
+        printStatus(await indexer.sync());
+        console.log("-- Store:", storePath);
+
+        if (args.check) {
+            const mismatches = await indexer.crossCheck();
+            if (mismatches.length > 0) {
+                const lines = mismatches.map(({ key, indexed, onChain }) => `${key}: indexed ${indexed}, on-chain ${onChain}`);
+                throw new HardhatPluginError(pluginName, `Index does not match the chain\n  - ${lines.join("\n  - ")}`);
+            }
+            console.log("-- Cross-check passed");
+        }
+    });
@@ -0,0 +1,65 @@
+const { extendEnvironment, task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const fs = require('fs');
+const { readNetworksConfig, resolveNetworks, getMissingVariablesMessage } = require("../lib/networks");
+const { promptHidden, getKeystorePassword, loadKeystoreSigner, createKeystore } = require("../lib/keystore");
+
+const pluginName = "networks";
+
+// Fail early on disabled networks and sign with the keystore of the selected network
+extendEnvironment((hre) => {
+    const { missingVariables, keystore } = hre.network.config;
+    if (missingVariables !== undefined) {
+        throw new HardhatPluginError(pluginName, getMissingVariablesMessage(hre.network.name, missingVariables));
+    }
+    if (keystore === undefined) {
+        return;
+    }
+    // The keystore account replaces the accounts of the node, decrypted on first use
+    let signer;
+    hre.ethers.getSigners = async () => {
+        if (signer === undefined) {
+            try {
+                signer = await loadKeystoreSigner(keystore, hre.ethers.provider);
+            } catch (error) {
+                throw new HardhatPluginError(pluginName, error.message);
+            }
+        }
+        return [signer];
+    };
+});
+
+task("networks", "Lists the networks of networks.config.json and the variables missing to enable them")
+    .setAction(async () => {
+        const { networks, disabled } = resolveNetworks(readNetworksConfig(), process.env);
+        for (const [name, config] of Object.entries(networks)) {
+            const signing = config.keystore !== undefined ? `keystore ${config.keystore}` : "private key";
+            console.log(`-- ${name}: enabled (chainId ${config.chainId}, ${signing})`);
+        }
+        for (const [name, missing] of Object.entries(disabled)) {
+            console.log(`-- ${name}: disabled, missing ${missing.join(", ")}`);
+        }
+    });
+
+task("keystore:create", "Encrypts a private key into a JSON keystore")
+    .addParam("out", "The keystore file to write")
+    .addFlag("force", "Overwrite an existing file")
+    .addOptionalParam("scryptN", "The scrypt cost parameter, lower is faster and weaker", 131072, types.int)
+    .setAction(async ({ out, force, scryptN }) => {
+        if (fs.existsSync(out) && !force) {
+            throw new HardhatPluginError(pluginName, `${out} already exists, use --force to overwrite it`);
+        }
+        const privateKey = process.env.KEYSTORE_PRIVATE_KEY || await promptHidden("Private key: ");
+        const password = await getKeystorePassword();
+        if (password === "") {
+            throw new HardhatPluginError(pluginName, "The keystore password cannot be empty");
+        }
+        let keystore;
+        try {
+            keystore = await createKeystore(privateKey, password, { scrypt: { N: scryptN } });
+        } catch (error) {
+            throw new HardhatPluginError(pluginName, `Invalid private key: ${error.reason || error.message}`);
+        }
+        fs.writeFileSync(out, keystore.json + "\n", { mode: 0o600 });
+        console.log("-- Keystore of", keystore.address, "written to", out);
+    });
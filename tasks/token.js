@@ -0,0 +1,281 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { getRevertReason } = require("../lib/errors");
+const { quoteMint, quoteMintCost, quoteRedeem, quoteRedeemAmount } = require("../lib/pricing");
+
+// Contract to operate
+const contractPath = "contracts/ERC20.sol:ERC20";
+const pluginName = "token";
+
+/**
+ * @notice Attach to a deployed token, connected to the signer at `signerIndex`
+ * @param hre The Hardhat runtime environment
+ * @param address The address of the deployed token
+ * @param signerIndex The index of the account that signs the transactions
+ */
+async function getToken(hre, address, signerIndex) {
+    const { ethers } = hre;
+    checkAddress(hre, address, "address");
+    const code = await ethers.provider.getCode(address);
+    if (code === "0x") {
+        throw new HardhatPluginError(pluginName, `No contract deployed at ${address} on network ${hre.network.name}`);
+    }
+    const signers = await ethers.getSigners();
+    const signer = signers[signerIndex];
+    if (signer === undefined) {
+        throw new HardhatPluginError(pluginName, `No account configured at index ${signerIndex}`);
+    }
+    const contract = await ethers.getContractAt(contractPath, address, signer);
+    const decimals = await contract.decimals();
+    return { contract, signer, decimals };
+}
+
+/**
+ * @notice Throw a clean CLI error when `value` is not a valid (checksummed if mixed case) address
+ */
+function checkAddress(hre, value, paramName) {
+    if (!hre.ethers.utils.isAddress(value)) {
+        throw new HardhatPluginError(pluginName, `Invalid parameter: ${paramName} (${value})`);
+    }
+    return value;
+}
+
+/**
+ * @notice Convert a human readable amount (e.g. "1.5") into token units using the token `decimals`
+ */
+function parseAmount(hre, amount, decimals) {
+    try {
+        return hre.ethers.utils.parseUnits(amount, decimals);
+    } catch (error) {
+        throw new HardhatPluginError(pluginName, `Invalid amount: ${amount}`);
+    }
+}
+
+function formatAmount(hre, value, decimals) {
+    return hre.ethers.utils.formatUnits(value, decimals);
+}
+
+/**
+ * @notice Send a transaction, wait for it and print the decoded events of the receipt
+ * @dev Reverts are re-thrown as plugin errors so the CLI shows the contract message without a stack trace
+ */
+async function sendTransaction(hre, contract, decimals, method, args, overrides = {}) {
+    let receipt;
+    try {
+        const tx = await contract[method](...args, overrides);
+        console.log("-- Transaction hash:", tx.hash);
+        receipt = await tx.wait();
+    } catch (error) {
+        const reason = getRevertReason(error);
+        if (reason !== undefined) {
+            throw new HardhatPluginError(pluginName, reason);
+        }
+        throw error;
+    }
+    console.log("-- Block number:", receipt.blockNumber);
+    console.log("-- Gas used:", receipt.gasUsed.toString());
+    printEvents(hre, contract, decimals, receipt);
+    return receipt;
+}
+
+function printEvents(hre, contract, decimals, receipt) {
+    for (const log of receipt.logs) {
+        let parsed;
+        try {
+            parsed = contract.interface.parseLog(log);
+        } catch (error) {
+            continue;
+        }
+        const params = parsed.eventFragment.inputs.map((input, index) => {
+            const value = parsed.args[index];
+            // Ids, such as the one of `Snapshot`, are counters rather than amounts
+            const isAmount = input.type === "uint256" && !/(^_?id|Id)$/.test(input.name);
+            const printed = isAmount ? formatAmount(hre, value, decimals) : value;
+            return `${input.name}=${printed}`;
+        });
+        console.log(`-- Event ${parsed.name}(${params.join(", ")})`);
+    }
+}
+
+task("token:info", "Prints the state of a deployed token")
+    .addParam("address", "The address of the token")
+    .setAction(async ({ address }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, 0);
+        const maxSupply = await contract.maxSupply();
+        console.log("-- Address:", contract.address);
+        console.log("-- Name:", await contract.name());
+        console.log("-- Symbol:", await contract.symbol());
+        console.log("-- Decimals:", decimals);
+        console.log("-- Total supply:", formatAmount(hre, await contract.totalSupply(), decimals));
+        console.log("-- Max supply:", maxSupply.isZero() ? "unlimited" : formatAmount(hre, maxSupply, decimals));
+        console.log("-- Mint price:", formatAmount(hre, await contract.mintPrice(), decimals), "per ether");
+        console.log("-- Redemption price:", formatAmount(hre, await contract.redemptionPrice(), decimals), "per ether");
+        console.log("-- Ether balance:", hre.ethers.utils.formatEther(await hre.ethers.provider.getBalance(contract.address)));
+        console.log("-- Ether owed by redeem:", hre.ethers.utils.formatEther(await contract.totalRedeemable()));
+    });
+
+task("token:balance", "Prints the token balance of an account")
+    .addParam("address", "The address of the token")
+    .addParam("account", "The account to query")
+    .setAction(async ({ address, account }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, 0);
+        const balance = await contract.balanceOf(checkAddress(hre, account, "account"));
+        const delegate = await contract.delegates(account);
+        console.log(`-- Balance of ${account}:`, formatAmount(hre, balance, decimals), await contract.symbol());
+        console.log("-- Delegates its votes to:", delegate === hre.ethers.constants.AddressZero ? "nobody" : delegate);
+        console.log("-- Votes:", formatAmount(hre, await contract.getVotes(account), decimals));
+    });
+
+task("token:mint", "Mints tokens in exchange for ether at the mint price")
+    .addParam("address", "The address of the token")
+    .addParam("to", "The recipient of the new tokens")
+    .addParam("amount", "The amount of tokens to mint")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, to, amount, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        const value = quoteMintCost(parseAmount(hre, amount, decimals), await contract.mintPrice());
+        console.log("-- Cost:", hre.ethers.utils.formatEther(value), "ether");
+        await sendTransaction(hre, contract, decimals, "mint", [checkAddress(hre, to, "to")], { value });
+    });
+
+task("token:transfer", "Transfers tokens from the signing account")
+    .addParam("address", "The address of the token")
+    .addParam("to", "The recipient account")
+    .addParam("amount", "The amount of tokens to transfer")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, to, amount, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "transfer", [checkAddress(hre, to, "to"), parseAmount(hre, amount, decimals)]);
+    });
+
+task("token:approve", "Sets the allowance of a spender over the signing account")
+    .addParam("address", "The address of the token")
+    .addParam("spender", "The spender account")
+    .addParam("amount", "The allowance amount, or \"unlimited\" for an allowance that is never decremented")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, spender, amount, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        const value = amount === "unlimited" ? hre.ethers.constants.MaxUint256 : parseAmount(hre, amount, decimals);
+        await sendTransaction(hre, contract, decimals, "approve", [checkAddress(hre, spender, "spender"), value]);
+    });
+
+task("token:increase-allowance", "Increases the allowance of a spender over the signing account")
+    .addParam("address", "The address of the token")
+    .addParam("spender", "The spender account")
+    .addParam("amount", "The amount to add to the allowance")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, spender, amount, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "increaseAllowance", [checkAddress(hre, spender, "spender"), parseAmount(hre, amount, decimals)]);
+    });
+
+task("token:decrease-allowance", "Decreases the allowance of a spender over the signing account")
+    .addParam("address", "The address of the token")
+    .addParam("spender", "The spender account")
+    .addParam("amount", "The amount to subtract from the allowance")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, spender, amount, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "decreaseAllowance", [checkAddress(hre, spender, "spender"), parseAmount(hre, amount, decimals)]);
+    });
+
+task("token:transfer-from", "Transfers tokens on behalf of another account")
+    .addParam("address", "The address of the token")
+    .addParam("from", "The remittent account")
+    .addParam("to", "The recipient account")
+    .addParam("amount", "The amount of tokens to transfer")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, from, to, amount, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "transferFrom", [checkAddress(hre, from, "from"), checkAddress(hre, to, "to"), parseAmount(hre, amount, decimals)]);
+    });
+
+task("token:burn", "Burns tokens from an account in exchange for ether")
+    .addParam("address", "The address of the token")
+    .addParam("from", "The account whose tokens are burned")
+    .addParam("amount", "The amount of tokens to burn")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, from, amount, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "burn", [checkAddress(hre, from, "from"), parseAmount(hre, amount, decimals)]);
+    });
+
+task("token:redeem", "Burns tokens from an account and credits the ether to the signing account, to withdraw later")
+    .addParam("address", "The address of the token")
+    .addParam("from", "The account whose tokens are burned")
+    .addParam("amount", "The amount of tokens to redeem")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, from, amount, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        await sendTransaction(hre, contract, decimals, "redeem", [checkAddress(hre, from, "from"), parseAmount(hre, amount, decimals)]);
+    });
+
+task("token:withdraw", "Sends the ether credited to the signing account by token:redeem to a recipient")
+    .addParam("address", "The address of the token")
+    .addOptionalParam("to", "The recipient of the ether. Defaults to the signing account")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, to, signer }, hre) => {
+        const { contract, decimals, signer: account } = await getToken(hre, address, signer);
+        const recipient = to === undefined ? account.address : checkAddress(hre, to, "to");
+        console.log("-- Redeemable:", hre.ethers.utils.formatEther(await contract.redeemable(account.address)), "ether");
+        await sendTransaction(hre, contract, decimals, "withdraw", [recipient]);
+    });
+
+task("token:quote", "Quotes the tokens an ether amount mints, or the ether a token amount costs and redeems")
+    .addParam("address", "The address of the token")
+    .addOptionalParam("ether", "The amount of ether to mint with")
+    .addOptionalParam("tokens", "The amount of tokens to mint or redeem")
+    .setAction(async ({ address, ether, tokens }, hre) => {
+        if ((ether === undefined) === (tokens === undefined)) {
+            throw new HardhatPluginError(pluginName, "Pass either --ether or --tokens");
+        }
+        const { formatEther } = hre.ethers.utils;
+        const { contract, decimals } = await getToken(hre, address, 0);
+        const [mintPrice, redemptionPrice] = await Promise.all([contract.mintPrice(), contract.redemptionPrice()]);
+        console.log("-- Mint price:", formatAmount(hre, mintPrice, decimals), "per ether");
+        console.log("-- Redemption price:", formatAmount(hre, redemptionPrice, decimals), "per ether");
+        if (ether !== undefined) {
+            const value = parseAmount(hre, ether, 18);
+            const quote = quoteMint(value, mintPrice);
+            console.log(`-- Minting with ${formatEther(value)} ether issues:`, formatAmount(hre, quote.tokens, decimals), "tokens");
+            console.log("-- Cost:", formatEther(quote.cost), "ether");
+            console.log("-- Dust credited back:", formatEther(quote.dust), "ether");
+            console.log(`-- Tokens to redeem for ${formatEther(value)} ether:`, formatAmount(hre, quoteRedeemAmount(value, redemptionPrice), decimals));
+            return { ...quote, redeemAmount: quoteRedeemAmount(value, redemptionPrice) };
+        }
+        const amount = parseAmount(hre, tokens, decimals);
+        const cost = quoteMintCost(amount, mintPrice);
+        const payment = quoteRedeem(amount, redemptionPrice);
+        console.log(`-- Minting ${formatAmount(hre, amount, decimals)} tokens costs:`, formatEther(cost), "ether");
+        console.log(`-- Redeeming ${formatAmount(hre, amount, decimals)} tokens pays:`, formatEther(payment), "ether");
+        return { cost, payment };
+    });
+
+task("token:set-prices", "Changes the mint and redemption prices, owner only")
+    .addParam("address", "The address of the token")
+    .addParam("mintPrice", "The tokens issued per ether by mint")
+    .addOptionalParam("redemptionPrice", "The tokens burned per ether paid back by burn and redeem. Defaults to the mint price")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, mintPrice, redemptionPrice, signer }, hre) => {
+        const { contract, decimals } = await getToken(hre, address, signer);
+        const prices = [parseAmount(hre, mintPrice, decimals), parseAmount(hre, redemptionPrice || mintPrice, decimals)];
+        await sendTransaction(hre, contract, decimals, "setPrices", prices);
+    });
+
+task("token:delegate", "Delegates the voting power of the signing account")
+    .addParam("address", "The address of the token")
+    .addOptionalParam("delegatee", "The account that votes with the balance of the signing account. Defaults to itself")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ address, delegatee, signer }, hre) => {
+        const { contract, decimals, signer: account } = await getToken(hre, address, signer);
+        const to = delegatee === undefined ? account.address : checkAddress(hre, delegatee, "delegatee");
+        await sendTransaction(hre, contract, decimals, "delegate", [to]);
+    });
+
+module.exports = {
+    getToken,
+    checkAddress,
+    parseAmount,
+    formatAmount,
+    sendTransaction
+};
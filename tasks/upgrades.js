@@ -0,0 +1,74 @@
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { loadDeployConfig } = require("../lib/deployments");
+const { implementationContractPath, deployProxy, getProxyDeployment, checkUpgrade, upgradeProxy } = require("../lib/upgrades");
+const { formatLayoutProblems } = require("../lib/storage-layout");
+
+const pluginName = "upgrades";
+
+async function getDeployment(hre) {
+    try {
+        return await getProxyDeployment(hre);
+    } catch (error) {
+        throw new HardhatPluginError(pluginName, error.message);
+    }
+}
+
+/**
+ * @notice Throw if the storage layout of `contractPath` is incompatible with the implementation of the proxy
+ * @return The variables appended by the new implementation
+ */
+async function checkLayout(hre, contractPath, deployment) {
+    const { compatible, problems, appended } = await checkUpgrade(hre, contractPath, deployment);
+    if (!compatible) {
+        throw new HardhatPluginError(pluginName, `Storage layout of ${contractPath} is incompatible with the implementation of proxy ${deployment.proxy}\n${formatLayoutProblems(problems)}`);
+    }
+    return appended;
+}
+
+task("token:deploy-proxy", "Deploys ERC20Upgradeable behind a proxy unless a proxy is recorded in deployments/<network>.json")
+    .addOptionalParam("name", "The name of the token. Defaults to deploy.config.json")
+    .addOptionalParam("symbol", "The symbol of the token. Defaults to deploy.config.json")
+    .addOptionalParam("maxSupply", "The maximum supply in whole tokens, zero for unlimited. Defaults to deploy.config.json")
+    .addOptionalParam("price", "The initial mint and redemption price in whole tokens per ether. Defaults to deploy.config.json")
+    .addFlag("force", "Deploy a new proxy even if one is recorded")
+    .setAction(async ({ name, symbol, maxSupply, price, force }, hre) => {
+        await hre.run("compile", { quiet: true });
+        const params = loadDeployConfig(hre.network.name, { name, symbol, maxSupply, price });
+        const { deployment, deployed } = await deployProxy(hre, params, { force });
+        if (!deployed) {
+            console.log("-- Proxy already deployed, upgrade it with token:upgrade. Use --force to deploy a new one");
+        }
+        console.log("-- Proxy Address:", deployment.proxy);
+        console.log("-- Implementation Address:", deployment.implementation);
+        console.log("-- Transaction hash:", deployment.transactionHash);
+        return deployment;
+    });
+
+task("token:check-upgrade", "Compares the storage layout of a contract with the implementation of the recorded proxy")
+    .addOptionalParam("contract", "The fully qualified name of the new implementation", implementationContractPath)
+    .setAction(async ({ contract }, hre) => {
+        await hre.run("compile", { quiet: true });
+        const deployment = await getDeployment(hre);
+        const appended = await checkLayout(hre, contract, deployment);
+        console.log("-- Storage layout of", contract, "is compatible with", deployment.implementation);
+        if (appended.length > 0) {
+            console.log("-- Appended variables:", appended.join(", "));
+        }
+    });
+
+task("token:upgrade", "Upgrades the recorded proxy to a new implementation with a compatible storage layout")
+    .addOptionalParam("contract", "The fully qualified name of the new implementation", implementationContractPath)
+    .addFlag("force", "Upgrade even if the bytecode did not change")
+    .setAction(async ({ contract, force }, hre) => {
+        await hre.run("compile", { quiet: true });
+        const deployment = await getDeployment(hre);
+        await checkLayout(hre, contract, deployment);
+        const result = await upgradeProxy(hre, contract, { deployment, force });
+        if (!result.upgraded) {
+            console.log("-- Implementation unchanged, skipping. Use --force to upgrade anyway");
+        }
+        console.log("-- Proxy Address:", result.deployment.proxy);
+        console.log("-- Implementation Address:", result.deployment.implementation);
+        return result.deployment;
+    });
@@ -0,0 +1,103 @@
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../lib/deployments");
+const { compareBytecode } = require("../lib/bytecode");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const pluginName = "token:verify";
+
+/**
+ * @notice Resolve the address to verify and the constructor args it is expected to hold
+ * @dev Explicit task params take precedence over the `ERC20` entry of the network manifest. `maxSupply` and `price`
+ * params are whole tokens, returned as `{ tokens }` to be converted with the decimals of the token
+ */
+function getExpectedDeployment(hre, { address, name, symbol, maxSupply, price }) {
+    const deployment = readManifest(hre.network.name).ERC20;
+    const target = address || (deployment && deployment.address);
+    if (target === undefined) {
+        throw new HardhatPluginError(pluginName, `No address given and no deployment recorded for network ${hre.network.name}`);
+    }
+    const recorded = deployment && deployment.address.toLowerCase() === target.toLowerCase() ? deployment.args : [];
+    const expected = {
+        name: name !== undefined ? name : recorded[0],
+        symbol: symbol !== undefined ? symbol : recorded[1],
+        maxSupply: maxSupply !== undefined ? { tokens: maxSupply } : recorded[2],
+        price: price !== undefined ? { tokens: price } : recorded[3]
+    };
+    for (const [key, value] of Object.entries(expected)) {
+        if (value === undefined) {
+            throw new HardhatPluginError(pluginName, `Unknown expected ${key}: no matching deployment recorded, pass it as a parameter`);
+        }
+    }
+    return { address: target, expected };
+}
+
+function toUnits(hre, key, value, decimals) {
+    if (value.tokens === undefined) {
+        return value;
+    }
+    try {
+        return hre.ethers.utils.parseUnits(value.tokens, decimals).toString();
+    } catch (error) {
+        throw new HardhatPluginError(pluginName, `Invalid parameter: ${key} (${value.tokens})`);
+    }
+}
+
+task("token:verify", "Checks that the code and state at an address match the compiled ERC20 and its constructor args")
+    .addOptionalParam("address", "The address of the token. Defaults to deployments/<network>.json")
+    .addOptionalParam("name", "The expected name. Defaults to the recorded constructor args")
+    .addOptionalParam("symbol", "The expected symbol. Defaults to the recorded constructor args")
+    .addOptionalParam("maxSupply", "The expected maximum supply in whole tokens. Defaults to the recorded constructor args")
+    .addOptionalParam("price", "The expected initial price in whole tokens per ether. Defaults to the recorded constructor args")
+    .setAction(async (args, hre) => {
+        const { ethers, artifacts } = hre;
+        const { address, expected } = getExpectedDeployment(hre, args);
+
+        await hre.run("compile", { quiet: true });
+        const artifact = await artifacts.readArtifact(contractPath);
+        const code = await ethers.provider.getCode(address);
+        if (code === "0x") {
+            throw new HardhatPluginError(pluginName, `No contract deployed at ${address} on network ${hre.network.name}`);
+        }
+
+        const differences = [];
+        const comparison = compareBytecode(code, artifact.deployedBytecode);
+        if (!comparison.match) {
+            differences.push(`runtime bytecode: on-chain ${comparison.actualSize} bytes, artifact ${comparison.expectedSize} bytes, first difference at byte ${comparison.firstDifference}`);
+        }
+
+        const contract = await ethers.getContractAt(contractPath, address);
+        // Another contract at the address may not have the getters, reported as a difference instead of a call exception
+        const read = getter => contract[getter]().then(value => value.toString(), () => undefined);
+        // The runtime bytecode fixes the decimals, they only convert the whole tokens of the params
+        const decimals = await read("decimals");
+        let values;
+        if (decimals === undefined) {
+            differences.push("decimals: not readable on-chain, not a token");
+        } else {
+            // The constructor sets both prices to `_price`, a later `setPrices` shows up as a difference
+            const price = toUnits(hre, "price", expected.price, decimals);
+            values = {
+                name: expected.name,
+                symbol: expected.symbol,
+                maxSupply: toUnits(hre, "maxSupply", expected.maxSupply, decimals),
+                mintPrice: price,
+                redemptionPrice: price
+            };
+            for (const [key, value] of Object.entries(values)) {
+                const actual = await read(key);
+                if (actual === undefined) {
+                    differences.push(`${key}: not readable on-chain, expected ${JSON.stringify(value)}`);
+                } else if (actual !== value) {
+                    differences.push(`${key}: on-chain ${JSON.stringify(actual)}, expected ${JSON.stringify(value)}`);
+                }
+            }
+        }
+
+        console.log("-- Address:", address);
+        if (differences.length > 0) {
+            throw new HardhatPluginError(pluginName, `Deployment does not match ${contractPath}\n  - ${differences.join("\n  - ")}`);
+        }
+        console.log("-- Runtime bytecode matches", contractPath);
+        console.log("-- Constructor args match:", values.name, values.symbol, values.maxSupply, values.mintPrice);
+    });
@@ -0,0 +1,163 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const fs = require('fs');
+const { readManifest, deployContract } = require("../lib/deployments");
+const { parseTokenError } = require("../lib/errors");
+const { parseDuration, parseSchedules, getUnlockTimeline, readSchedules, fundVesting } = require("../lib/vesting");
+const { checkAddress, formatAmount, sendTransaction } = require("./token");
+
+const contractPath = "contracts/TokenVesting.sol:TokenVesting";
+const tokenContractPath = "contracts/ERC20.sol:ERC20";
+const pluginName = "vesting";
+
+/**
+ * @notice Attach to the vesting contract given by `--vesting`, or to the `TokenVesting` entry of the network manifest,
+ * and to its token
+ */
+async function getVesting(hre, address, signerIndex = 0) {
+    const { ethers } = hre;
+    const deployment = readManifest(hre.network.name).TokenVesting;
+    const target = address || (deployment && deployment.address);
+    if (target === undefined) {
+        throw new HardhatPluginError(pluginName, `No vesting contract given and no TokenVesting recorded for network ${hre.network.name}, run vesting:deploy first`);
+    }
+    checkAddress(hre, target, "vesting");
+    if (await ethers.provider.getCode(target) === "0x") {
+        throw new HardhatPluginError(pluginName, `No contract deployed at ${target} on network ${hre.network.name}`);
+    }
+    const signer = (await ethers.getSigners())[signerIndex];
+    if (signer === undefined) {
+        throw new HardhatPluginError(pluginName, `No account configured at index ${signerIndex}`);
+    }
+    const vesting = await ethers.getContractAt(contractPath, target, signer);
+    const token = await ethers.getContractAt(tokenContractPath, await vesting.token(), signer);
+    return { vesting, token, signer, decimals: await token.decimals() };
+}
+
+function parseInterval(interval) {
+    try {
+        const seconds = parseDuration(interval);
+        if (seconds > 0) {
+            return seconds;
+        }
+    } catch (error) {
+        // Reported below
+    }
+    throw new HardhatPluginError(pluginName, `Invalid interval: ${interval}`);
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp * 1000).toISOString().replace(".000Z", "Z");
+}
+
+function printTimeline(hre, schedule, decimals, interval) {
+    const { beneficiary, amount, start, cliff, duration, revocable, revoked, released } = schedule;
+    const flags = [revocable ? "revocable" : "not revocable", ...(revoked ? ["revoked"] : [])];
+    console.log(`-- ${beneficiary}: ${formatAmount(hre, amount, decimals)} from ${formatDate(start)}, cliff ${formatDate(start + cliff)}, end ${formatDate(start + duration)} (${flags.join(", ")})`);
+    if (released !== undefined) {
+        console.log(`   released ${formatAmount(hre, released, decimals)}`);
+    }
+    if (revoked) {
+        return;
+    }
+    for (const { timestamp, vested } of getUnlockTimeline(schedule, interval)) {
+        const share = amount.isZero() ? "0.00" : (vested.mul(10000).div(amount).toNumber() / 100).toFixed(2);
+        console.log(`   ${formatDate(timestamp)} ${formatAmount(hre, vested, decimals)} (${share}%)`);
+    }
+}
+
+function readScheduleFile(path, decimals) {
+    try {
+        return parseSchedules(fs.readFileSync(path, "utf8"), decimals);
+    } catch (error) {
+        throw new HardhatPluginError(pluginName, error.message);
+    }
+}
+
+task("vesting:deploy", "Deploys the vesting contract of a token unless it is recorded in deployments/<network>.json")
+    .addOptionalParam("token", "The address of the token. Defaults to the ERC20 of deployments/<network>.json")
+    .addFlag("force", "Deploy even if a matching deployment exists")
+    .setAction(async ({ token, force }, hre) => {
+        const recorded = readManifest(hre.network.name).ERC20;
+        const tokenAddress = token || (recorded && recorded.address);
+        if (tokenAddress === undefined) {
+            throw new HardhatPluginError(pluginName, `No token given and no ERC20 recorded for network ${hre.network.name}`);
+        }
+        checkAddress(hre, tokenAddress, "token");
+        const { deployment, deployed } = await deployContract(hre, "TokenVesting", contractPath, [tokenAddress], { force });
+        if (!deployed) {
+            console.log("-- Matching deployment found, skipping. Use --force to redeploy");
+        }
+        console.log("-- Vesting Address:", deployment.address);
+        console.log("-- Token Address:", tokenAddress);
+        return deployment;
+    });
+
+task("vesting:fund", "Creates the schedules of a file, funding them with approve + transferFrom, and prints their unlocks")
+    .addParam("schedule", "The schedule file, see lib/vesting.js")
+    .addOptionalParam("vesting", "The address of the vesting contract. Defaults to deployments/<network>.json")
+    .addOptionalParam("interval", "The time between the printed unlocks, e.g. 30d or 1y", "30d")
+    .addOptionalParam("signer", "The index of the owner of the vesting contract", 0, types.int)
+    .setAction(async (args, hre) => {
+        const interval = parseInterval(args.interval);
+        const { vesting, token, decimals } = await getVesting(hre, args.vesting, args.signer);
+        const schedules = readScheduleFile(args.schedule, decimals);
+        console.log(`-- ${schedules.length} schedules in ${args.schedule}`);
+
+        let result;
+        try {
+            result = await fundVesting(token, vesting, schedules, {
+                onProgress: ({ entry, beneficiary, amount }, receipt) => {
+                    console.log(`-- Schedule ${entry}: vested ${formatAmount(hre, amount, decimals)} to ${beneficiary} (${receipt.transactionHash})`);
+                }
+            });
+        } catch (error) {
+            const tokenError = parseTokenError(error);
+            throw new HardhatPluginError(pluginName, tokenError ? tokenError.message : error.message);
+        }
+        result.skipped.forEach(({ entry, beneficiary }) => console.log(`-- Schedule ${entry}: ${beneficiary} already funded, skipped`));
+
+        for (const schedule of schedules) {
+            printTimeline(hre, schedule, decimals, interval);
+        }
+        return result;
+    });
+
+task("vesting:timeline", "Prints the unlocks of every schedule of the vesting contract, or of a schedule file")
+    .addOptionalParam("vesting", "The address of the vesting contract. Defaults to deployments/<network>.json")
+    .addOptionalParam("schedule", "Print the schedules of this file instead, without reading the contract")
+    .addOptionalParam("interval", "The time between the printed unlocks, e.g. 30d or 1y", "30d")
+    .setAction(async (args, hre) => {
+        const interval = parseInterval(args.interval);
+        if (args.schedule !== undefined) {
+            readScheduleFile(args.schedule, 18).forEach(schedule => printTimeline(hre, schedule, 18, interval));
+            return;
+        }
+        const { vesting, decimals } = await getVesting(hre, args.vesting);
+        const schedules = await readSchedules(vesting);
+        console.log("-- Vesting:", vesting.address);
+        console.log("-- Total vesting:", formatAmount(hre, await vesting.totalVesting(), decimals));
+        for (const schedule of schedules) {
+            printTimeline(hre, schedule, decimals, interval);
+            console.log(`   releasable now ${formatAmount(hre, await vesting.releasable(schedule.beneficiary), decimals)}`);
+        }
+        return schedules;
+    });
+
+task("vesting:release", "Sends the vested tokens of a beneficiary. Any account can send it")
+    .addParam("beneficiary", "The beneficiary of the schedule")
+    .addOptionalParam("vesting", "The address of the vesting contract. Defaults to deployments/<network>.json")
+    .addOptionalParam("signer", "The index of the signing account", 0, types.int)
+    .setAction(async ({ beneficiary, vesting: address, signer }, hre) => {
+        const { vesting, decimals } = await getVesting(hre, address, signer);
+        await sendTransaction(hre, vesting, decimals, "release", [checkAddress(hre, beneficiary, "beneficiary")]);
+    });
+
+task("vesting:revoke", "Revokes a revocable schedule, returning the tokens not vested yet to the owner")
+    .addParam("beneficiary", "The beneficiary of the schedule")
+    .addOptionalParam("vesting", "The address of the vesting contract. Defaults to deployments/<network>.json")
+    .addOptionalParam("signer", "The index of the owner of the vesting contract", 0, types.int)
+    .setAction(async ({ beneficiary, vesting: address, signer }, hre) => {
+        const { vesting, decimals } = await getVesting(hre, address, signer);
+        await sendTransaction(hre, vesting, decimals, "revoke", [checkAddress(hre, beneficiary, "beneficiary")]);
+    });
@@ -0,0 +1,198 @@
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+chai.use(solidity);
+const { expect } = chai;
+
+const { parseRecipients, validateRecipients, estimateAirdrop, runAirdrop } = require("../lib/airdrop");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const maxSupply = ethers.utils.parseEther("1000");
+const price = ethers.utils.parseEther("1");
+
+describe("Airdrop tests", () => {
+    let signer, account1, account2, account3;
+    let contractInstance, workDir;
+
+    const writeCheckpoint = (checkpointPath, entries) => {
+        fs.writeFileSync(checkpointPath, JSON.stringify({ token: contractInstance.address, sender: signer.address, entries }));
+    };
+
+    before(async () => {
+        [signer, account1, account2, account3] = await ethers.getSigners();
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-"));
+    });
+
+    beforeEach(async () => {
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        contractInstance = await contractFactory.deploy("MyERC-20_Token", "PCIB", maxSupply, price);
+        await contractInstance.mint(signer.address, { value: ethers.utils.parseEther("10") });
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    describe("Validation", () => {
+        it("Parses human readable amounts and skips header and comments", async () => {
+            const recipients = parseRecipients(`address,amount\n# team\n${account1.address},1.5\n\n${account2.address}, 2\n`, 18);
+            expect(recipients).to.have.lengthOf(2);
+            expect(recipients[0].line).to.be.equals(3);
+            expect(recipients[0].amount).to.be.equals(ethers.utils.parseEther("1.5"));
+            expect(recipients[1].account).to.be.equals(account2.address);
+        });
+
+        it("Rejects malformed lines", async () => {
+            expect(() => parseRecipients(`${account1.address}\n${account2.address},abc\n`, 18)).to.throw(/line 1.*\n.*line 2: invalid amount/);
+        });
+
+        it("Rejects the rules transfer enforces", async () => {
+            const text = [
+                `${ethers.constants.AddressZero},1`,
+                `${signer.address},1`,
+                `${account1.address},0`,
+                `${account2.address},1`,
+                `${account2.address},1`
+            ].join("\n");
+            const recipients = parseRecipients(text, 18);
+            expect(() => validateRecipients(recipients, signer.address, ethers.utils.parseEther("10"))).to.throw(
+                /line 1: recipient is the zero address\n.*line 2: recipient is the sender\n.*line 3: amount is zero\n.*line 5: duplicated recipient/
+            );
+        });
+
+        it("Rejects a total above the sender balance", async () => {
+            const recipients = parseRecipients(`${account1.address},6\n${account2.address},5\n`, 18);
+            expect(() => validateRecipients(recipients, signer.address, ethers.utils.parseEther("10"))).to.throw(/insufficient balance/);
+        });
+
+        it("Dry run estimates gas without transferring", async () => {
+            const recipients = parseRecipients(`${account1.address},1\n${account2.address},2\n`, 18);
+            const { estimates, total } = await estimateAirdrop(contractInstance, recipients);
+            expect(estimates).to.have.lengthOf(2);
+            expect(total).to.be.equals(estimates[0].gas.add(estimates[1].gas));
+            expect(await contractInstance.balanceOf(signer.address)).to.be.equals(ethers.utils.parseEther("10"));
+        });
+    });
+
+    describe("Payout", () => {
+        it("Pays every recipient once and records the checkpoint", async () => {
+            const checkpointPath = path.join(workDir, "full.json");
+            const recipients = parseRecipients(`${account1.address},1\n${account2.address},2\n`, 18);
+
+            const checkpoint = await runAirdrop(contractInstance, recipients, checkpointPath);
+            expect(checkpoint.entries[1].status).to.be.equals("confirmed");
+            expect(checkpoint.entries[2].status).to.be.equals("confirmed");
+            expect(await contractInstance.balanceOf(account2.address)).to.be.equals(ethers.utils.parseEther("2"));
+
+            // A second run finds everything confirmed
+            await runAirdrop(contractInstance, recipients, checkpointPath);
+            expect(await contractInstance.balanceOf(account1.address)).to.be.equals(ethers.utils.parseEther("1"));
+            expect(await contractInstance.balanceOf(account2.address)).to.be.equals(ethers.utils.parseEther("2"));
+        });
+
+        it("Does not pay again a transfer mined before the crash recorded its hash", async () => {
+            const checkpointPath = path.join(workDir, "crash.json");
+            const recipients = parseRecipients(`${account1.address},1\n${account2.address},2\n`, 18);
+            const amount = ethers.utils.parseEther("1");
+
+            const startBlock = await ethers.provider.getBlockNumber();
+            const nonce = await signer.getTransactionCount();
+            writeCheckpoint(checkpointPath, {
+                1: { account: account1.address, amount: amount.toString(), status: "pending", nonce, startBlock }
+            });
+            await contractInstance.transfer(account1.address, amount, { nonce });
+
+            const checkpoint = await runAirdrop(contractInstance, recipients, checkpointPath);
+            expect(checkpoint.entries[1].status).to.be.equals("confirmed");
+            expect(checkpoint.entries[1].transactionHash).to.not.be.undefined;
+            expect(await contractInstance.balanceOf(account1.address)).to.be.equals(amount);
+            expect(await contractInstance.balanceOf(account2.address)).to.be.equals(ethers.utils.parseEther("2"));
+        });
+
+        it("Sends again a transfer whose nonce was never used", async () => {
+            const checkpointPath = path.join(workDir, "unsent.json");
+            const recipients = parseRecipients(`${account3.address},1\n`, 18);
+            writeCheckpoint(checkpointPath, {
+                1: {
+                    account: account3.address,
+                    amount: ethers.utils.parseEther("1").toString(),
+                    status: "pending",
+                    nonce: await signer.getTransactionCount(),
+                    startBlock: await ethers.provider.getBlockNumber()
+                }
+            });
+
+            await runAirdrop(contractInstance, recipients, checkpointPath);
+            expect(await contractInstance.balanceOf(account3.address)).to.be.equals(ethers.utils.parseEther("1"));
+        });
+
+        describe("With a transfer still in the mempool", () => {
+            let checkpointPath, recipients, tx;
+
+            beforeEach(async () => {
+                checkpointPath = path.join(workDir, `mempool-${Date.now()}.json`);
+                recipients = parseRecipients(`${account1.address},1\n`, 18);
+                const nonce = await signer.getTransactionCount();
+                const startBlock = await ethers.provider.getBlockNumber();
+                await ethers.provider.send("evm_setAutomine", [false]);
+                tx = await contractInstance.transfer(account1.address, recipients[0].amount, { nonce });
+                writeCheckpoint(checkpointPath, {
+                    1: { account: account1.address, amount: recipients[0].amount.toString(), status: "pending", nonce, startBlock, transactionHash: tx.hash }
+                });
+            });
+
+            afterEach(async () => {
+                if (await ethers.provider.getTransactionReceipt(tx.hash) === null) {
+                    await ethers.provider.send("hardhat_dropTransaction", [tx.hash]);
+                }
+                await ethers.provider.send("evm_setAutomine", [true]);
+            });
+
+            it("Waits for it to be mined", async () => {
+                setTimeout(async () => {
+                    await ethers.provider.send("evm_mine", []);
+                    await ethers.provider.send("evm_setAutomine", [true]);
+                }, 50);
+                const checkpoint = await runAirdrop(contractInstance, recipients, checkpointPath, { pollInterval: 10 });
+                expect(checkpoint.entries[1]).to.include({ status: "confirmed", transactionHash: tx.hash });
+                expect(await contractInstance.balanceOf(account1.address)).to.be.equals(recipients[0].amount);
+            });
+
+            it("Sends it again once the node drops it", async () => {
+                setTimeout(async () => {
+                    await ethers.provider.send("hardhat_dropTransaction", [tx.hash]);
+                    await ethers.provider.send("evm_setAutomine", [true]);
+                }, 50);
+                const checkpoint = await runAirdrop(contractInstance, recipients, checkpointPath, { pollInterval: 10 });
+                // Dropped, it is only mined if sent again. Same nonce and fields, so the same hash
+                const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+                expect(receipt.status).to.be.equals(1);
+                expect(checkpoint.entries[1]).to.include({ status: "confirmed", blockNumber: receipt.blockNumber });
+                expect(await contractInstance.balanceOf(account1.address)).to.be.equals(recipients[0].amount);
+            });
+
+            it("Try resume while it stays pending", async () => {
+                const error = await runAirdrop(contractInstance, recipients, checkpointPath, { pollInterval: 10, waitTimeout: 100 }).catch(error => error);
+                expect(error.message).to.be.equals(`The transaction with nonce ${tx.nonce} of line 1 is still pending after 0.1s. Run again once it is mined or dropped`);
+                expect(JSON.parse(fs.readFileSync(checkpointPath, "utf8")).entries[1].status).to.be.equals("pending");
+                expect(await contractInstance.balanceOf(account1.address)).to.be.equals(0);
+            });
+        });
+
+        it("Refuses to resume when the recipients file changed", async () => {
+            const checkpointPath = path.join(workDir, "changed.json");
+            await runAirdrop(contractInstance, parseRecipients(`${account1.address},1\n`, 18), checkpointPath);
+
+            let thrown;
+            await runAirdrop(contractInstance, parseRecipients(`${account2.address},1\n`, 18), checkpointPath).catch(error => {
+                thrown = error;
+            });
+            expect(thrown.message).to.match(/Line 1 does not match checkpoint/);
+            expect(await contractInstance.balanceOf(account2.address)).to.be.equals(0);
+        });
+    });
+});
@@ -0,0 +1,132 @@
+const { ethers } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+chai.use(solidity);
+const { expect } = chai;
+
+const { loadFixture } = require("../helpers/fixtures");
+
+/**
+ * @notice Checks every ERC-20 token must pass (EIP-20): balances, transfers, allowances and their events
+ * @dev Only the standard functions are called and reverts are not matched by message, so the checks hold for any
+ * implementation. Return values are not checked: `transfer`, `transferFrom` and `approve` of this project return
+ * nothing. Amounts are relative to the balance of the holder and results are checked as changes, so the fixture
+ * may be a token already in use
+ * @param fixture As built by `tokenFixture` or `deployedTokenFixture` of `../helpers/fixtures`
+ */
+function shouldBehaveLikeERC20(fixture) {
+    describe("Standard ERC-20 conformance", () => {
+        let token, holder, spender, recipient, balance, metadata;
+        let value;
+
+        const balancesOf = (accounts) => Promise.all(accounts.map(account => token.balanceOf(account.address)));
+
+        beforeEach(async () => {
+            ({ token, holder, spender, recipient, balance, metadata } = await loadFixture(fixture));
+            value = balance.div(4);
+        });
+
+        describe("Metadata and supply", () => {
+            it("Exposes name, symbol and decimals", async () => {
+                const [name, symbol, decimals] = await Promise.all([token.name(), token.symbol(), token.decimals()]);
+                expect(name).to.be.a("string");
+                expect(symbol).to.be.a("string");
+                expect(decimals).to.be.within(0, 255);
+                if (metadata !== undefined) {
+                    expect({ name, symbol, decimals }).to.be.deep.equals(metadata);
+                }
+            });
+
+            it("Total supply covers the balance of the holder", async () => {
+                expect(balance).to.be.gt(0);
+                expect(await token.balanceOf(holder.address)).to.be.equals(balance);
+                expect(await token.totalSupply()).to.be.gte(balance);
+            });
+        });
+
+        describe("Transfer", () => {
+            it("Moves the value and emits Transfer", async () => {
+                const [holderBefore, recipientBefore] = await balancesOf([holder, recipient]);
+                const totalSupply = await token.totalSupply();
+
+                await expect(token.connect(holder).transfer(recipient.address, value))
+                    .to.emit(token, "Transfer").withArgs(holder.address, recipient.address, value);
+                expect(await balancesOf([holder, recipient])).to.be.deep.equals([holderBefore.sub(value), recipientBefore.add(value)]);
+                expect(await token.totalSupply()).to.be.equals(totalSupply);
+            });
+
+            it("Transfers the whole balance", async () => {
+                const recipientBefore = await token.balanceOf(recipient.address);
+                await token.connect(holder).transfer(recipient.address, balance);
+                expect(await balancesOf([holder, recipient])).to.be.deep.equals([ethers.constants.Zero, recipientBefore.add(balance)]);
+            });
+
+            it("Try transfer more than the balance", async () => {
+                const [holderBefore, recipientBefore] = await balancesOf([holder, recipient]);
+                await expect(token.connect(holder).transfer(recipient.address, balance.add(1))).to.be.reverted;
+                expect(await balancesOf([holder, recipient])).to.be.deep.equals([holderBefore, recipientBefore]);
+            });
+        });
+
+        describe("Approve and allowance", () => {
+            it("Sets the allowance and emits Approval", async () => {
+                await expect(token.connect(holder).approve(spender.address, value))
+                    .to.emit(token, "Approval").withArgs(holder.address, spender.address, value);
+                expect(await token.allowance(holder.address, spender.address)).to.be.equals(value);
+            });
+
+            it("Approves more than the balance", async () => {
+                await token.connect(holder).approve(spender.address, balance.mul(2));
+                expect(await token.allowance(holder.address, spender.address)).to.be.equals(balance.mul(2));
+            });
+
+            it("Overwrites the previous allowance", async () => {
+                await token.connect(holder).approve(spender.address, value);
+                await expect(token.connect(holder).approve(spender.address, value.div(2)))
+                    .to.emit(token, "Approval").withArgs(holder.address, spender.address, value.div(2));
+                expect(await token.allowance(holder.address, spender.address)).to.be.equals(value.div(2));
+            });
+        });
+
+        describe("TransferFrom", () => {
+            beforeEach(async () => {
+                await token.connect(holder).approve(spender.address, value);
+            });
+
+            it("Moves the value within the allowance, spends it and emits Transfer", async () => {
+                const [holderBefore, recipientBefore] = await balancesOf([holder, recipient]);
+                const transferred = value.div(2);
+
+                await expect(token.connect(spender).transferFrom(holder.address, recipient.address, transferred))
+                    .to.emit(token, "Transfer").withArgs(holder.address, recipient.address, transferred);
+                expect(await balancesOf([holder, recipient])).to.be.deep.equals([holderBefore.sub(transferred), recipientBefore.add(transferred)]);
+                expect(await token.allowance(holder.address, spender.address)).to.be.equals(value.sub(transferred));
+            });
+
+            it("Spends the whole allowance", async () => {
+                await token.connect(spender).transferFrom(holder.address, recipient.address, value);
+                expect(await token.allowance(holder.address, spender.address)).to.be.equals(0);
+            });
+
+            it("Try transferFrom more than the allowance", async () => {
+                await expect(token.connect(spender).transferFrom(holder.address, recipient.address, value.add(1))).to.be.reverted;
+                expect(await token.allowance(holder.address, spender.address)).to.be.equals(value);
+            });
+
+            it("Try transferFrom more than the balance of the owner", async () => {
+                await token.connect(holder).approve(spender.address, balance.add(1));
+                await expect(token.connect(spender).transferFrom(holder.address, recipient.address, balance.add(1))).to.be.reverted;
+            });
+
+            it("Try transferFrom without allowance", async () => {
+                await token.connect(holder).approve(spender.address, 0);
+                await expect(token.connect(spender).transferFrom(holder.address, recipient.address, 1)).to.be.reverted;
+            });
+        });
+    });
+}
+
+module.exports = {
+    shouldBehaveLikeERC20
+};
@@ -0,0 +1,239 @@
+const { ethers } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("../helpers/revert");
+chai.use(solidity);
+chai.use(revertedWithMessage);
+const { expect } = chai;
+
+const { loadFixture } = require("../helpers/fixtures");
+
+const zeroAddress = ethers.constants.AddressZero;
+const unlimited = ethers.constants.MaxUint256;
+const priceUnit = ethers.utils.parseEther("1");
+
+/**
+ * @notice Rules of this project on top of ERC-20: the revert messages of every check, zero values and transfers to
+ * oneself rejected, `increaseAllowance`/`decreaseAllowance` and unlimited allowances instead of the former
+ * zero-first `approve`, and `mint`/`burn` exchanging ether at `mintPrice`/`redemptionPrice`
+ * @param fixture As built by `tokenFixture` of `../helpers/fixtures`, `owner` holding `MINTER_ROLE`
+ */
+function shouldFollowTokenRules(fixture) {
+    describe("Token rules", () => {
+        let token, owner, holder, spender, recipient, other, balance;
+        let value;
+
+        beforeEach(async () => {
+            ({ token, owner, holder, spender, recipient, other, balance } = await loadFixture(fixture));
+            value = balance.div(4);
+        });
+
+        describe("Mint", () => {
+            it("Try mint zero amount", async () => {
+                await expect(token.mint(recipient.address, { value: 0 })).to.be.revertedWithMessage("mint - Invalid ether amount");
+            });
+
+            it("Try mint _recipient is zero address", async () => {
+                await expect(token.mint(zeroAddress, { value: priceUnit })).to.be.revertedWithMessage("mint - Invalid parameter: _recipient");
+            });
+
+            it("Try mint total supply overcame the maximum supply", async () => {
+                const [maxSupply, totalSupply, mintPrice] = await Promise.all([token.maxSupply(), token.totalSupply(), token.mintPrice()]);
+                // The ether that buys one token unit more than the supply left
+                const cost = maxSupply.sub(totalSupply).add(1).mul(priceUnit).add(mintPrice).sub(1).div(mintPrice);
+                await expect(token.mint(recipient.address, { value: cost })).to.be.revertedWithMessage("mint - Total supply exceeds maximum supply");
+            });
+
+            it("Mint issues mintPrice tokens per ether", async () => {
+                const mintPrice = await token.mintPrice();
+                const minted = priceUnit.mul(2).mul(mintPrice).div(priceUnit);
+                const totalSupply = await token.totalSupply();
+
+                await expect(token.mint(recipient.address, { value: priceUnit.mul(2) }))
+                    .to.emit(token, "Transfer").withArgs(zeroAddress, recipient.address, minted);
+                expect(await token.balanceOf(recipient.address)).to.be.equals(minted);
+                expect(await token.totalSupply()).to.be.equals(totalSupply.add(minted));
+            });
+
+            it("Mint sends the ether to the token", async () => {
+                await expect(() => token.mint(recipient.address, { value: priceUnit.mul(2) })).to.changeEtherBalance(token, priceUnit.mul(2));
+            });
+        });
+
+        describe("Transfer", () => {
+            it("Try use _to zero address", async () => {
+                await expect(token.connect(holder).transfer(zeroAddress, value)).to.be.revertedWithMessage("transfer - Invalid parameter: _to");
+            });
+
+            it("Try _to is sender account", async () => {
+                await expect(token.connect(holder).transfer(holder.address, value)).to.be.revertedWithMessage("transfer - Invalid recipient, same as remittent");
+            });
+
+            it("Try _value is zero, which EIP-20 would accept", async () => {
+                await expect(token.connect(holder).transfer(recipient.address, 0)).to.be.revertedWithMessage("transfer - Invalid parameter: _value");
+            });
+
+            it("Try remittent account has insufficient balance", async () => {
+                await expect(token.connect(recipient).transfer(other.address, 1)).to.be.revertedWithMessage("transfer - Insufficient balance");
+            });
+        });
+
+        describe("Approve", () => {
+            it("Try use _spender zero address", async () => {
+                await expect(token.connect(holder).approve(zeroAddress, value)).to.be.revertedWithMessage("approve - Invalid parameter: _spender");
+            });
+
+            it("Approve overwrites a non-zero allowance without setting it to zero first", async () => {
+                await token.connect(holder).approve(spender.address, value);
+                await token.connect(holder).approve(spender.address, value.mul(2));
+                expect(await token.allowance(holder.address, spender.address)).to.be.equals(value.mul(2));
+            });
+        });
+
+        describe("IncreaseAllowance", () => {
+            it("Try use _spender zero address", async () => {
+                await expect(token.connect(holder).increaseAllowance(zeroAddress, value)).to.be.revertedWithMessage("increaseAllowance - Invalid parameter: _spender");
+            });
+
+            it("IncreaseAllowance successful", async () => {
+                await token.connect(holder).approve(spender.address, value);
+                await expect(token.connect(holder).increaseAllowance(spender.address, value))
+                    .to.emit(token, "Approval").withArgs(holder.address, spender.address, value.mul(2));
+                expect(await token.allowance(holder.address, spender.address)).to.be.equals(value.mul(2));
+            });
+        });
+
+        describe("DecreaseAllowance", () => {
+            beforeEach(async () => {
+                await token.connect(holder).approve(spender.address, value);
+            });
+
+            it("Try use _spender zero address", async () => {
+                await expect(token.connect(holder).decreaseAllowance(zeroAddress, value)).to.be.revertedWithMessage("decreaseAllowance - Invalid parameter: _spender");
+            });
+
+            it("Try decrease below zero", async () => {
+                await expect(token.connect(holder).decreaseAllowance(spender.address, value.add(1))).to.be.revertedWithMessage("decreaseAllowance - Allowance below zero");
+            });
+
+            it("DecreaseAllowance successful", async () => {
+                await expect(token.connect(holder).decreaseAllowance(spender.address, value))
+                    .to.emit(token, "Approval").withArgs(holder.address, spender.address, 0);
+                expect(await token.allowance(holder.address, spender.address)).to.be.equals(0);
+            });
+        });
+
+        describe("TransferFrom", () => {
+            beforeEach(async () => {
+                await token.connect(holder).approve(spender.address, value);
+            });
+
+            it("Try use _from zero address", async () => {
+                await expect(token.connect(spender).transferFrom(zeroAddress, recipient.address, value)).to.be.revertedWithMessage("transferFrom - Invalid parameter: _from");
+            });
+
+            it("Try use _to zero address", async () => {
+                await expect(token.connect(spender).transferFrom(holder.address, zeroAddress, value)).to.be.revertedWithMessage("transferFrom - Invalid parameter: _to");
+            });
+
+            it("Try use _to is the same as _from account", async () => {
+                await expect(token.connect(spender).transferFrom(holder.address, holder.address, value)).to.be.revertedWithMessage("transferFrom - Invalid recipient, same as remittent");
+            });
+
+            it("Try _value is zero", async () => {
+                await expect(token.connect(spender).transferFrom(holder.address, recipient.address, 0)).to.be.revertedWithMessage("transferFrom - Invalid parameter: _value");
+            });
+
+            it("Try TransferFrom with insufficient balance", async () => {
+                await expect(token.connect(spender).transferFrom(recipient.address, other.address, 1)).to.be.revertedWithMessage("transferFrom - Insufficient balance");
+            });
+
+            it("Try TransferFrom with no allowance", async () => {
+                await expect(token.connect(other).transferFrom(holder.address, recipient.address, 1)).to.be.revertedWithMessage("transferFrom - Insufficent allowance");
+            });
+
+            it("Try TransferFrom with insufficent allowance", async () => {
+                await expect(token.connect(spender).transferFrom(holder.address, recipient.address, value.add(1))).to.be.revertedWithMessage("transferFrom - Insufficent allowance");
+            });
+
+        });
+
+        describe("Burn", () => {
+            it("Try _from is zero address", async () => {
+                await expect(token.connect(holder).burn(zeroAddress, value)).to.be.revertedWithMessage("burn - Invalid parameter: _from");
+            });
+
+            it("Try _value is zero amount", async () => {
+                await expect(token.connect(holder).burn(holder.address, 0)).to.be.revertedWithMessage("burn - Invalid parameter: _value");
+            });
+
+            it("Try _from account has insufficient tokens to burn", async () => {
+                await expect(token.connect(holder).burn(holder.address, balance.add(1))).to.be.revertedWithMessage("burn - Insufficient balance");
+            });
+
+            it("Try to burn from unauthorized account", async () => {
+                await expect(token.connect(spender).burn(holder.address, value)).to.be.revertedWithMessage("burn - Insufficent allowance");
+            });
+
+            it("Try to burn an amount that overcame the allowance of an approved account", async () => {
+                await token.connect(holder).approve(spender.address, value);
+                await expect(token.connect(spender).burn(holder.address, value.add(1))).to.be.revertedWithMessage("burn - Insufficent allowance");
+            });
+
+            it("Burn pays the holder one ether per redemptionPrice tokens", async () => {
+                const redemptionPrice = await token.redemptionPrice();
+                const payment = value.mul(priceUnit).div(redemptionPrice);
+                const totalSupply = await token.totalSupply();
+                await token.connect(holder).approve(spender.address, value);
+
+                const tx = () => token.connect(spender).burn(holder.address, value);
+                await expect(tx).to.changeEtherBalances([holder, token], [payment, payment.mul(-1)]);
+                expect(await token.balanceOf(holder.address)).to.be.equals(balance.sub(value));
+                expect(await token.totalSupply()).to.be.equals(totalSupply.sub(value));
+            });
+
+            it("Burn emits Burn instead of a Transfer to zero address", async () => {
+                await expect(token.connect(holder).burn(holder.address, value))
+                    .to.emit(token, "Burn").withArgs(holder.address, holder.address, value)
+                    .and.not.to.emit(token, "Transfer");
+            });
+        });
+
+        describe("Allowance spending", () => {
+            it("TransferFrom decrements a limited allowance and emits Approval", async () => {
+                await token.connect(holder).approve(spender.address, value);
+                await expect(token.connect(spender).transferFrom(holder.address, recipient.address, value.div(2)))
+                    .to.emit(token, "Approval").withArgs(holder.address, spender.address, value.sub(value.div(2)));
+            });
+
+            it("Burn decrements a limited allowance", async () => {
+                await token.connect(holder).approve(spender.address, value);
+                await token.connect(spender).burn(holder.address, value.div(2));
+                expect(await token.allowance(holder.address, spender.address)).to.be.equals(value.sub(value.div(2)));
+            });
+
+            it("Unlimited allowance is not decremented", async () => {
+                await token.connect(holder).approve(spender.address, unlimited);
+                await expect(token.connect(spender).transferFrom(holder.address, recipient.address, value)).to.not.emit(token, "Approval");
+                await token.connect(spender).burn(holder.address, value);
+                expect(await token.allowance(holder.address, spender.address)).to.be.equals(unlimited);
+            });
+
+            it("Owner spending its own balance needs no allowance", async () => {
+                await expect(token.connect(holder).transferFrom(holder.address, recipient.address, value)).to.not.emit(token, "Approval");
+                expect(await token.balanceOf(recipient.address)).to.be.equals(value);
+            });
+        });
+
+        describe("Roles", () => {
+            it("Only minters mint", async () => {
+                await expect(token.connect(other).mint(recipient.address, { value: priceUnit })).to.be.revertedWithMessage("mint - Missing role");
+            });
+        });
+    });
+}
+
+module.exports = {
+    shouldFollowTokenRules
+};
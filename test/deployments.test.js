@@ -0,0 +1,172 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("./helpers/revert");
+chai.use(solidity);
+chai.use(revertedWithMessage);
+const { expect } = chai;
+
+const { loadDeployConfig, readManifest, writeManifest, getBytecodeHash, deployContract, deployToken } = require("../lib/deployments");
+const { runTask } = require("./helpers/tasks");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+
+// Constructor parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+const price = ethers.utils.parseEther("100");
+const args = [name, symbol, maxSupply, price];
+
+describe("Deployment tests", () => {
+    let deploymentsPath;
+    // The in-process network under another name, the manifests of "hardhat" are never written
+    const recordedHre = { ...hre, network: { ...hre.network, name: "testnet" } };
+
+    beforeEach(() => {
+        deploymentsPath = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+        process.env.DEPLOYMENTS_PATH = deploymentsPath;
+    });
+
+    afterEach(() => {
+        delete process.env.DEPLOYMENTS_PATH;
+        fs.rmSync(deploymentsPath, { recursive: true, force: true });
+    });
+
+    describe("Deploy contract", () => {
+        it("Records the deployment in the manifest of the network", async () => {
+            const [signer] = await ethers.getSigners();
+            const { deployment, deployed } = await deployContract(recordedHre, "ERC20", contractPath, args);
+            expect(deployed).to.be.equals(true);
+
+            const receipt = await ethers.provider.getTransactionReceipt(deployment.transactionHash);
+            expect(deployment).to.be.deep.equals({
+                contract: contractPath,
+                address: receipt.contractAddress,
+                args: [name, symbol, maxSupply.toString(), price.toString()],
+                transactionHash: receipt.transactionHash,
+                blockNumber: receipt.blockNumber,
+                deployer: signer.address,
+                chainId: hre.network.config.chainId,
+                bytecodeHash: getBytecodeHash(ethers, await hre.artifacts.readArtifact(contractPath))
+            });
+            expect(readManifest("testnet")).to.be.deep.equals({ ERC20: deployment });
+            expect(JSON.parse(fs.readFileSync(path.join(deploymentsPath, "testnet.json"), "utf8"))).to.be.deep.equals({ ERC20: deployment });
+        });
+
+        it("Skips a deployment with the same chain id, bytecode, args and code", async () => {
+            const { deployment } = await deployContract(recordedHre, "ERC20", contractPath, args);
+            const blockNumber = await ethers.provider.getBlockNumber();
+
+            const skipped = await deployContract(recordedHre, "ERC20", contractPath, args);
+            expect(skipped).to.be.deep.equals({ deployment, deployed: false });
+            expect(await ethers.provider.getBlockNumber()).to.be.equals(blockNumber);
+        });
+
+        it("Redeploys with force", async () => {
+            const { deployment } = await deployContract(recordedHre, "ERC20", contractPath, args);
+            const forced = await deployContract(recordedHre, "ERC20", contractPath, args, { force: true });
+            expect(forced.deployed).to.be.equals(true);
+            expect(forced.deployment.address).to.not.be.equals(deployment.address);
+            expect(readManifest("testnet").ERC20).to.be.deep.equals(forced.deployment);
+        });
+
+        it("Redeploys when the args, bytecode, chain id or code differ", async () => {
+            const { deployment } = await deployContract(recordedHre, "ERC20", contractPath, args);
+            const changes = {
+                args: { ...deployment, args: [name, symbol, maxSupply.toString(), "1"] },
+                bytecodeHash: { ...deployment, bytecodeHash: ethers.constants.HashZero },
+                chainId: { ...deployment, chainId: 1 },
+                code: { ...deployment, address: ethers.Wallet.createRandom().address }
+            };
+            for (const [change, recorded] of Object.entries(changes)) {
+                writeManifest("testnet", { ERC20: recorded });
+                const { deployed } = await deployContract(recordedHre, "ERC20", contractPath, args);
+                expect(deployed, change).to.be.equals(true);
+            }
+        });
+
+        it("Keeps the other entries of the manifest", async () => {
+            const other = { contract: "contracts/TokenFactory.sol:TokenFactory", address: ethers.Wallet.createRandom().address };
+            writeManifest("testnet", { TokenFactory: other });
+            const { deployment } = await deployContract(recordedHre, "ERC20", contractPath, args);
+            expect(readManifest("testnet")).to.be.deep.equals({ TokenFactory: other, ERC20: deployment });
+        });
+
+        it("Nothing is recorded on the in-process network", async () => {
+            const { deployed } = await deployToken(hre, { name, symbol, maxSupply: "800", price: "100" });
+            expect(deployed).to.be.equals(true);
+            expect(fs.readdirSync(deploymentsPath)).to.be.empty;
+        });
+    });
+
+    describe("Deploy task", () => {
+        const params = { name, symbol, maxSupply: "800", price: "100" };
+
+        it("Deploys with the params over deploy.config.json", async () => {
+            const { result, output } = await runTask(hre, "token:deploy", { symbol: "TASK" });
+            const token = await ethers.getContractAt(contractPath, result.address);
+            const config = loadDeployConfig("hardhat");
+            expect(await token.symbol()).to.be.equals("TASK");
+            expect(await token.name()).to.be.equals(config.name);
+            expect(await token.maxSupply()).to.be.equals(ethers.utils.parseEther(config.maxSupply));
+            expect(output).to.include(`-- Contract Address: ${result.address}`);
+        });
+
+        it("Skips a recorded deployment unless forced", async () => {
+            // As if recorded by a deploy to a persistent network
+            const { deployment } = await deployToken(hre, params);
+            writeManifest("hardhat", { ERC20: deployment });
+
+            const skipped = await runTask(hre, "token:deploy", params);
+            expect(skipped.result).to.be.deep.equals(deployment);
+            expect(skipped.output).to.include("-- Matching deployment found, skipping. Use --force to redeploy");
+
+            const forced = await runTask(hre, "token:deploy", { ...params, force: true });
+            expect(forced.result.address).to.not.be.equals(deployment.address);
+            expect(forced.output).to.not.include("-- Matching deployment found, skipping. Use --force to redeploy");
+
+            const changed = await runTask(hre, "token:deploy", { ...params, price: "200" });
+            expect(changed.result.address).to.not.be.equals(deployment.address);
+        });
+
+        it("Try deploy with an invalid price", async () => {
+            await expect(runTask(hre, "token:deploy", { ...params, price: "0" })).to.be.revertedWithMessage("constructor - Invalid parameter: _price");
+        });
+    });
+
+    describe("Deploy script", () => {
+        /// Run scripts/deploy.js in a Hardhat process of its own, it exits when done
+        function runScript(env) {
+            const cli = require.resolve("hardhat/internal/cli/cli.js");
+            return spawnSync(process.execPath, [cli, "run", "--no-compile", path.join("scripts", "deploy.js")], {
+                cwd: path.join(__dirname, ".."),
+                encoding: "utf8",
+                timeout: 120000,
+                env: { ...process.env, DEPLOYMENTS_PATH: deploymentsPath, FORCE_COLOR: "0", HARDHAT_NETWORK: "hardhat", ...env }
+            });
+        }
+
+        it("Deploys with the parameters of the environment", function () {
+            this.timeout(120000);
+            const { status, stdout } = runScript({ TOKEN_NAME: "Script Token", TOKEN_PRICE: "100" });
+            expect(status, stdout).to.be.equals(0);
+            expect(stdout).to.include(`-- Parameters: Script Token ${symbol} ${loadDeployConfig("hardhat").maxSupply} 100`);
+            expect(stdout).to.match(/-- Contract Address: 0x[0-9a-fA-F]{40}/);
+            expect(fs.readdirSync(deploymentsPath)).to.be.empty;
+        });
+
+        it("Try deploy with an invalid price", function () {
+            this.timeout(120000);
+            const { status, stderr } = runScript({ TOKEN_PRICE: "0" });
+            expect(status).to.be.equals(1);
+            expect(stderr).to.include("reverted with custom error 'InvalidParameter(");
+        });
+    });
+});
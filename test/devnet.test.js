@@ -0,0 +1,272 @@
+const hre = require("hardhat");
+const { ethers, config } = hre;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+chai.use(solidity);
+const { expect } = chai;
+
+const { resolveAccount, parseSeed, seedToken, getDefaultPrivateKeys, formatEnv } = require("../lib/devnet");
+const { readManifest } = require("../lib/deployments");
+const { startDevnet } = require("../tasks/devnet");
+const { captureOutput } = require("./helpers/tasks");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const amount = (value) => ethers.utils.parseEther(String(value));
+
+describe("Devnet tests", () => {
+    let signers, addresses;
+
+    before(async () => {
+        signers = await ethers.getSigners();
+        addresses = signers.map(signer => signer.address);
+    });
+
+    describe("Seed file", () => {
+        it("Resolves default account indexes and addresses", () => {
+            expect(resolveAccount(1, addresses)).to.be.deep.equals({ address: addresses[1], index: 1 });
+            expect(resolveAccount("2", addresses)).to.be.deep.equals({ address: addresses[2], index: 2 });
+            expect(resolveAccount(addresses[3].toLowerCase(), addresses)).to.be.deep.equals({ address: addresses[3], index: 3 });
+            const outside = ethers.Wallet.createRandom().address;
+            expect(resolveAccount(outside, addresses)).to.be.deep.equals({ address: outside, index: undefined });
+            expect(() => resolveAccount(addresses.length, addresses)).to.throw(`no default account ${addresses.length}`);
+        });
+
+        it("Parses balances, allowances and token parameters", () => {
+            const seed = parseSeed(JSON.stringify({
+                token: { symbol: "DEV" },
+                balances: { "1": "10.5", [addresses[2]]: "3" },
+                allowances: [{ owner: 1, spender: 2, amount: "4" }, { owner: "2", spender: addresses[3], amount: "unlimited" }]
+            }), addresses);
+
+            expect(seed.token).to.be.deep.equals({ symbol: "DEV" });
+            expect(seed.balances).to.be.deep.equals([
+                { address: addresses[1], index: 1, amount: amount("10.5") },
+                { address: addresses[2], index: 2, amount: amount(3) }
+            ]);
+            expect(seed.allowances).to.be.deep.equals([
+                { owner: addresses[1], ownerIndex: 1, spender: addresses[2], amount: amount(4) },
+                { owner: addresses[2], ownerIndex: 2, spender: addresses[3], amount: ethers.constants.MaxUint256 }
+            ]);
+        });
+
+        it("An empty seed deploys without balances", () => {
+            expect(parseSeed("{}", addresses)).to.be.deep.equals({ token: {}, balances: [], allowances: [] });
+        });
+
+        it("Try seed files with invalid entries, reported together", () => {
+            const outside = ethers.Wallet.createRandom().address;
+            const text = JSON.stringify({
+                balances: { "1": "0", "0x1234": "1", "2": "1", [addresses[2]]: "1" },
+                allowances: [{ owner: outside, spender: 1, amount: "1" }, { owner: 1, spender: 1, amount: "1" }, { owner: 1, spender: 2, amount: "lots" }]
+            });
+            const error = (() => {
+                try {
+                    parseSeed(text, addresses);
+                } catch (error) {
+                    return error;
+                }
+            })();
+            expect(error.message).to.include("balance of 1: amount is zero");
+            expect(error.message).to.include("balance of 0x1234: invalid account 0x1234");
+            expect(error.message).to.include(`balance of ${addresses[2]}: same account as 2`);
+            expect(error.message).to.include(`allowance 1: owner ${outside} is not a default account`);
+            expect(error.message).to.include("allowance 2: owner and spender are the same account");
+            expect(error.message).to.include("allowance 3: invalid amount lots");
+            expect(() => parseSeed("[]", addresses)).to.throw("Invalid seed file: expected an object");
+            expect(() => parseSeed("{", addresses)).to.throw("Invalid seed file");
+        });
+    });
+
+    describe("Seeding", () => {
+        let token;
+
+        beforeEach(async () => {
+            const contractFactory = await ethers.getContractFactory(contractPath, signers[0]);
+            // 1000 tokens per ether, so seeding spends little of the ether of the test accounts
+            token = await contractFactory.deploy("Devnet Token", "DEV", amount(100), amount(1000));
+        });
+
+        it("Mints the balances and sends the approvals", async () => {
+            const seed = parseSeed(JSON.stringify({
+                balances: { "1": "50", "2": "0.001" },
+                allowances: [{ owner: 1, spender: 2, amount: "20" }, { owner: 2, spender: 1, amount: "unlimited" }]
+            }), addresses);
+            await seedToken(token, seed, signers);
+
+            expect(await ethers.provider.getBalance(token.address)).to.be.equals(amount("0.050001"));
+            expect(await token.balanceOf(addresses[1])).to.be.equals(amount(50));
+            expect(await token.balanceOf(addresses[2])).to.be.equals(amount("0.001"));
+            expect(await token.allowance(addresses[1], addresses[2])).to.be.equals(amount(20));
+            expect(await token.allowance(addresses[2], addresses[1])).to.be.equals(ethers.constants.MaxUint256);
+            expect(await token.redeemable(addresses[0])).to.be.equals(0);
+        });
+
+        it("Try seed over the maximum supply before minting", async () => {
+            const seed = parseSeed(JSON.stringify({ balances: { "1": "60", "2": "41" } }), addresses);
+            const error = await seedToken(token, seed, signers).catch(error => error);
+            expect(error.message).to.be.equals("The seed mints 101.0 tokens, over the maximum supply of 100.0");
+            expect(await token.totalSupply()).to.be.equals(0);
+        });
+    });
+
+    describe("Output", () => {
+        it("Derives the private keys of the default accounts", () => {
+            const privateKeys = getDefaultPrivateKeys(config.networks.hardhat.accounts);
+            expect(privateKeys).to.have.lengthOf(signers.length);
+            privateKeys.forEach((privateKey, index) => expect(new ethers.Wallet(privateKey).address).to.be.equals(addresses[index]));
+            expect(getDefaultPrivateKeys("remote")).to.be.undefined;
+        });
+
+        it("Writes the env file with the prefix", () => {
+            const devnet = { rpcUrl: "http://127.0.0.1:8545", chainId: 31337, token: { address: addresses[0], deployBlock: 1, abi: [{ type: "event", name: "Transfer" }] } };
+            const lines = formatEnv(devnet, "VITE_").split("\n");
+            expect(lines).to.include.members([
+                "VITE_RPC_URL=http://127.0.0.1:8545",
+                "VITE_CHAIN_ID=31337",
+                `VITE_TOKEN_ADDRESS=${addresses[0]}`,
+                "VITE_TOKEN_DEPLOY_BLOCK=1",
+                "VITE_TOKEN_ABI='[{\"type\":\"event\",\"name\":\"Transfer\"}]'"
+            ]);
+            expect(formatEnv(devnet)).to.include("DEVNET_RPC_URL=");
+        });
+    });
+
+    describe("Devnet task", () => {
+        let tempPath, args, server;
+        // The in-process network as if attached to with --network localhost
+        const attachedHre = { ...hre, network: { ...hre.network, name: "localhost", config: { ...hre.network.config, url: config.networks.localhost.url } } };
+        const seedFile = {
+            token: { name: "Seed Token", symbol: "SEED", maxSupply: "100", price: "1000" },
+            balances: { "1": "50", "2": "0.001" },
+            allowances: [{ owner: 1, spender: 2, amount: "20" }, { owner: 2, spender: 1, amount: "unlimited" }]
+        };
+
+        beforeEach(() => {
+            tempPath = fs.mkdtempSync(path.join(os.tmpdir(), "devnet-"));
+            process.env.DEPLOYMENTS_PATH = path.join(tempPath, "deployments");
+            fs.writeFileSync(path.join(tempPath, "seed.json"), JSON.stringify(seedFile));
+            // The defaults of the task params
+            args = { seed: path.join(tempPath, "seed.json"), out: path.join(tempPath, "out"), envPrefix: "DEVNET_", hostname: "127.0.0.1", port: 8545 };
+            server = undefined;
+        });
+
+        afterEach(async () => {
+            if (server !== undefined) {
+                await server.close();
+            }
+            delete process.env.DEPLOYMENTS_PATH;
+            fs.rmSync(tempPath, { recursive: true, force: true });
+        });
+
+        it("Attaches to the node of the network and writes devnet.json and devnet.env", async () => {
+            const { result, output } = await captureOutput(() => startDevnet(attachedHre, { ...args, envPrefix: "VITE_" }));
+            ({ server } = result);
+            expect(server).to.be.undefined;
+
+            // Recorded by the deploy to the attached network
+            const deployment = readManifest("localhost").ERC20;
+            const { abi } = await hre.artifacts.readArtifact(contractPath);
+            const tokens = { 1: "50.0", 2: "0.001" };
+            const devnet = {
+                network: "localhost",
+                chainId: 31337,
+                rpcUrl: config.networks.localhost.url,
+                token: {
+                    address: deployment.address,
+                    name: "Seed Token",
+                    symbol: "SEED",
+                    decimals: 18,
+                    maxSupply: "100.0",
+                    mintPrice: "1000.0",
+                    redemptionPrice: "1000.0",
+                    deployBlock: deployment.blockNumber,
+                    transactionHash: deployment.transactionHash,
+                    abi
+                },
+                accounts: await Promise.all(signers.map(async (signer, index) => ({
+                    index,
+                    address: signer.address,
+                    ether: ethers.utils.formatEther(await signer.getBalance()),
+                    tokens: tokens[index] || "0.0"
+                }))),
+                allowances: [
+                    { owner: addresses[1], spender: addresses[2], amount: "20.0" },
+                    { owner: addresses[2], spender: addresses[1], amount: "unlimited" }
+                ]
+            };
+            expect(result.devnet).to.be.deep.equals(devnet);
+            expect(fs.readFileSync(path.join(args.out, "devnet.json"), "utf8")).to.be.equals(JSON.stringify(devnet, null, 2) + "\n");
+            expect(fs.readFileSync(path.join(args.out, "devnet.env"), "utf8")).to.be.equals([
+                "# Written by `npx hardhat devnet`, regenerated on every bootstrap",
+                `VITE_RPC_URL=${config.networks.localhost.url}`,
+                "VITE_CHAIN_ID=31337",
+                `VITE_TOKEN_ADDRESS=${deployment.address}`,
+                `VITE_TOKEN_DEPLOY_BLOCK=${deployment.blockNumber}`,
+                `VITE_TOKEN_ABI='${JSON.stringify(abi)}'`,
+                ""
+            ].join("\n"));
+
+            const token = await ethers.getContractAt(contractPath, deployment.address);
+            expect(await token.balanceOf(addresses[1])).to.be.equals(amount(50));
+            expect(await token.allowance(addresses[2], addresses[1])).to.be.equals(ethers.constants.MaxUint256);
+            expect(output).to.include.members([
+                `-- Token Address: ${deployment.address}`,
+                `-- Account 1 ${addresses[1]}: 50.0 SEED`,
+                `-- Allowance ${addresses[1]} -> ${addresses[2]}: 20.0`
+            ]);
+        });
+
+        it("Params of the command line take precedence over the token of the seed", async () => {
+            const { result } = await captureOutput(() => startDevnet(attachedHre, { ...args, symbol: "CLI", price: "500" }));
+            expect(result.devnet.token).to.include({ name: "Seed Token", symbol: "CLI", maxSupply: "100.0", mintPrice: "500.0", redemptionPrice: "500.0" });
+            const token = await ethers.getContractAt(contractPath, result.devnet.token.address);
+            expect(await token.symbol()).to.be.equals("CLI");
+            expect(await token.mintPrice()).to.be.equals(amount(500));
+        });
+
+        it("Try seed over a maximum supply given on the command line", async () => {
+            const error = await captureOutput(() => startDevnet(attachedHre, { ...args, maxSupply: "50" })).catch(error => error);
+            expect(error.message).to.be.equals("The seed mints 50.001 tokens, over the maximum supply of 50.0");
+            expect(error.pluginName).to.be.equals("devnet");
+        });
+
+        it("Try attach to a node that is not local", async () => {
+            const provider = Object.create(ethers.provider, { getNetwork: { value: async () => ({ chainId: 1, name: "homestead" }) } });
+            const mainnetHre = { ...attachedHre, network: { ...attachedHre.network, name: "mainnet" }, ethers: { ...ethers, provider } };
+            const blockNumber = await ethers.provider.getBlockNumber();
+
+            const error = await captureOutput(() => startDevnet(mainnetHre, args)).catch(error => error);
+            expect(error.message).to.be.equals("Network mainnet has chain id 1, devnet only attaches to a local node (31337, 1337)");
+            expect(await ethers.provider.getBlockNumber()).to.be.equals(blockNumber);
+            expect(fs.existsSync(args.out)).to.be.equals(false);
+        });
+
+        it("Serves the in-process network and records the token for --network localhost", async () => {
+            const { result, output } = await captureOutput(() => startDevnet(hre, args));
+            ({ server } = result);
+            const { devnet } = result;
+            expect(devnet.network).to.be.equals("hardhat");
+            expect(devnet.rpcUrl).to.be.equals(config.networks.localhost.url);
+            expect(output).to.include(`-- RPC URL: ${config.networks.localhost.url}`);
+
+            const client = new ethers.providers.JsonRpcProvider(devnet.rpcUrl);
+            expect(await client.getCode(devnet.token.address)).to.be.equals(await ethers.provider.getCode(devnet.token.address));
+            expect(readManifest("localhost").ERC20.address).to.be.equals(devnet.token.address);
+            expect(readManifest("hardhat")).to.be.deep.equals({});
+            // Only a node started by the task has the keys of its accounts
+            devnet.accounts.forEach(({ address, privateKey }) => expect(new ethers.Wallet(privateKey).address).to.be.equals(address));
+        });
+
+        it("Serves on another port without recording the token for --network localhost", async () => {
+            const { result } = await captureOutput(() => startDevnet(hre, { ...args, port: 0 }));
+            ({ server } = result);
+            expect(result.devnet.rpcUrl).to.match(/^http:\/\/127\.0\.0\.1:\d+$/);
+            expect(result.devnet.rpcUrl).to.not.be.equals(config.networks.localhost.url);
+            expect(readManifest("localhost")).to.be.deep.equals({});
+        });
+    });
+});
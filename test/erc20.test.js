@@ -1,398 +1,106 @@
 const { ethers } = require("hardhat");
-const fs = require('fs');
-const path = require('path');
 
 const chai = require("chai");
-const { solidity } = require( "ethereum-waffle");
-const { ConstructorFragment } = require("ethers/lib/utils");
-const { sign } = require("crypto");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("./helpers/revert");
 chai.use(solidity);
+chai.use(revertedWithMessage);
 const { expect } = chai;
 
+const { tokenFixture, deployedTokenFixture } = require("./helpers/fixtures");
+const { shouldBehaveLikeERC20 } = require("./behaviors/erc20.behavior");
+const { shouldFollowTokenRules } = require("./behaviors/token-rules.behavior");
+
 const contractPath = "contracts/ERC20.sol:ERC20";
-const confirmations_number  =  1;
-const zeroAddress = '0x0000000000000000000000000000000000000000';
-let contractInstance;
+const upgradeableContractPath = "contracts/ERC20Upgradeable.sol:ERC20Upgradeable";
+const proxyContractPath = "contracts/ERC1967Proxy.sol:ERC1967Proxy";
+const factoryContractPath = "contracts/TokenFactory.sol:TokenFactory";
+const zeroAddress = ethers.constants.AddressZero;
 
 // Constructor parameters
 const name = "MyERC-20_Token";
 const symbol = "PCIB";
 const maxSupply = ethers.utils.parseEther("800");
+// 100 tokens per ether, so the fixtures spend little of the ether of the test accounts
+const price = ethers.utils.parseEther("100");
+
+const metadata = { name, symbol, decimals: 18 };
+
+// Each variant deploys the token from `owner`, a new variant only needs its deploy function
+const variants = {
+    "ERC20": async (owner) => {
+        const contractFactory = await ethers.getContractFactory(contractPath, owner);
+        return contractFactory.deploy(name, symbol, maxSupply, price);
+    },
+    "ERC20Upgradeable behind ERC1967Proxy": async (owner) => {
+        const contractFactory = await ethers.getContractFactory(upgradeableContractPath, owner);
+        const implementation = await contractFactory.deploy();
+        const initializeData = implementation.interface.encodeFunctionData("initialize", [name, symbol, maxSupply, price]);
+        const proxyFactory = await ethers.getContractFactory(proxyContractPath, owner);
+        const proxyInstance = await proxyFactory.deploy(implementation.address, initializeData);
+        return ethers.getContractAt(upgradeableContractPath, proxyInstance.address, owner);
+    },
+    "ERC20 created by TokenFactory": async (owner) => {
+        const contractFactory = await ethers.getContractFactory(factoryContractPath, owner);
+        const factory = await contractFactory.deploy();
+        const receipt = await (await factory.createToken(name, symbol, maxSupply, price)).wait();
+        const created = receipt.events.find(event => event.event === "TokenCreated");
+        return ethers.getContractAt(contractPath, created.args._token, owner);
+    }
+};
 
 describe("Contract tests", () => {
-    before(async () => {
-        console.log("-----------------------------------------------------------------------------------");
-        console.log(" -- Contract tests start");
-        console.log("-----------------------------------------------------------------------------------");
-
-        // Get Signer and provider
-        [signer, account1, account2, account3] = await ethers.getSigners();
-        provider = ethers.provider;
+    for (const [variant, deploy] of Object.entries(variants)) {
+        describe(variant, () => {
+            const fixture = tokenFixture(deploy, { metadata });
+            shouldBehaveLikeERC20(fixture);
+            shouldFollowTokenRules(fixture);
+        });
+    }
 
-        // Deploy contract
-        const contractFactory = await ethers.getContractFactory(contractPath, signer);
-        contractInstance = await contractFactory.deploy(name, symbol, maxSupply);
-    });
+    // ERC20_ADDRESS=0x... npx hardhat test test/erc20.test.js --network localhost
+    if (process.env.ERC20_ADDRESS) {
+        describe(`Deployed token at ${process.env.ERC20_ADDRESS}`, () => {
+            shouldBehaveLikeERC20(deployedTokenFixture(process.env.ERC20_ADDRESS));
+        });
+    }
 
     describe("Constructor tests", () => {
+        let signer, account1;
+
+        beforeEach(async () => {
+            [signer, account1] = await ethers.getSigners();
+        });
+
         it("Try send empty name", async () => {
             const contractFactory = await ethers.getContractFactory(contractPath, signer);
-            await expect(contractFactory.deploy("", "", 0)).to.be.revertedWith("constructor - Invalid parameter: _name");
+            await expect(contractFactory.deploy("", "", 0, price)).to.be.revertedWithMessage("constructor - Invalid parameter: _name");
         });
 
         it("Try send empty symbol", async () => {
             const contractFactory = await ethers.getContractFactory(contractPath, signer);
-            await expect(contractFactory.deploy("Test", "", 0)).to.be.revertedWith("constructor - Invalid parameter: _symbol");
+            await expect(contractFactory.deploy("Test", "", 0, price)).to.be.revertedWithMessage("constructor - Invalid parameter: _symbol");
         });
 
         it("Initialization test", async () => {
-            const receivedName = await contractInstance.name();
-            const receivedSymbol = await contractInstance.symbol();
-            const receivedmaxSupply = await contractInstance.maxSupply();
-
-            expect(receivedName).to.be.equals(name);
-            expect(receivedSymbol).to.be.equals(symbol);
-            expect(receivedmaxSupply).to.be.equals(maxSupply);
-        });
-    });
-
-    describe("Mint tests", () => {
-        it("Try mint zero amount", async () => {
-            const amountToMint = ethers.utils.parseEther("0");
-            await expect(contractInstance.mint(signer.address, {value: amountToMint})).to.be.revertedWith("mint - Invalid ether amount");
-        });
-        
-        it("Try mint _recipient is zero address ", async () => {
-            const amountToMint = ethers.utils.parseEther("1");
-            await expect(contractInstance.mint(zeroAddress, {value: amountToMint})).to.be.revertedWith("mint - Invalid parameter: _recipient");
-        });
-
-        it("Try mint total supply overcame the maximum supply ", async () => {
-            const amountToMint = maxSupply + 1;
-            await expect(contractInstance.mint(signer.address, {value: amountToMint})).to.be.revertedWith("mint - Total supply exceeds maximum supply");
-        });
-
-        it("Mint successful", async () => {
-            const signerBalanceBefore = await contractInstance.balanceOf(signer.address);
-            const totalSupplyBefore = await contractInstance.totalSupply();
-            
-            const amountToMint = ethers.utils.parseEther("200");
-            const tx = await contractInstance.mint(signer.address, {value: amountToMint});
-
-            tx_result = await provider.waitForTransaction(tx.hash, confirmations_number);
-            if(tx_result.confirmations < 0 || tx_result === undefined) {
-                throw new Error("Transaction failed");
-            }
-
-            // Check balance
-            const signerBalanceAfter = await contractInstance.balanceOf(signer.address);
-            const totalSupplyAfter = await contractInstance.totalSupply();
-
-            expect(parseInt(signerBalanceAfter)).to.be.lessThanOrEqual(parseInt(signerBalanceBefore) + parseInt(amountToMint));
-            expect(parseInt(totalSupplyAfter)).to.be.lessThanOrEqual(parseInt(totalSupplyBefore) + parseInt(amountToMint));
-
-            // Check event emited
-            const eventSignature = "Transfer(address,address,uint256)";
-            const eventSignatureHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(eventSignature));
-                        
-            // Receipt information
-            const eventSignatureHashReceived = tx_result.logs[0].topics[0];
-            const eventFromParametrReceived = ethers.utils.defaultAbiCoder.decode(['address'], tx_result.logs[0].topics[1])[0];
-            const eventToParametrReceived = ethers.utils.defaultAbiCoder.decode(['address'], tx_result.logs[0].topics[2])[0];
-            const eventValueParametrReceived = ethers.utils.defaultAbiCoder.decode(['uint256'], tx_result.logs[0].data)[0];
-
-            // Check event signayure
-            expect(eventSignatureHashReceived).to.be.equals(eventSignatureHash);
-            // Check event _from parameter
-            expect(eventFromParametrReceived).to.be.equals(zeroAddress);
-            // Check event _to parameter
-            expect(eventToParametrReceived).to.be.equals(signer.address);
-            // Check event _value parameter
-            expect(eventValueParametrReceived).to.be.equals(amountToMint);
-        });
-    });
-
-    describe("Transfer tests", () => {
-        it("Try use _to zero address", async () => {
-            const amountToTransfer = ethers.utils.parseEther("1");
-            await expect(contractInstance.transfer(zeroAddress, amountToTransfer)).to.be.revertedWith("transfer - Invalid parameter: _to");
-        });
-
-        it("Try _to is sender account", async () => {
-            const amountToTransfer = ethers.utils.parseEther("1");
-            await expect(contractInstance.transfer(signer.address, amountToTransfer)).to.be.revertedWith("transfer - Invalid recipient, same as remittent");
-        });
-
-        it("Try _value is zero", async () => {
-            const amountToTransfer = ethers.utils.parseEther("0");
-            await expect(contractInstance.transfer(account2.address, amountToTransfer)).to.be.revertedWith("transfer - Invalid parameter: _value");
-        });
-
-        it("Try remittent account has insufficient balance", async () => {
-            const amountToTransfer = ethers.utils.parseEther("1");
-            const newInstance = await contractInstance.connect(account1);
-            await expect(newInstance.transfer(account2.address, amountToTransfer)).to.be.revertedWith("transfer - Insufficient balance");
-        });
-
-        it("Transfer successful", async () => {
-            const signerBalanceBefore = await contractInstance.balanceOf(signer.address);
-            const account1BalanceBefore = await contractInstance.balanceOf(account1.address);
-            
-            const amountToTransfer = ethers.utils.parseEther("1");
-            const tx = await contractInstance.transfer(account1.address, amountToTransfer);
-
-            tx_result = await provider.waitForTransaction(tx.hash, confirmations_number);
-            if(tx_result.confirmations < 0 || tx_result === undefined) {
-                throw new Error("Transaction failed");
-            }
-
-            // Check balance
-            const signerBalanceAfter = await contractInstance.balanceOf(signer.address);
-            const account1BalanceAfter = await contractInstance.balanceOf(account1.address);
-            expect(parseInt(signerBalanceAfter)).to.be.lessThanOrEqual(parseInt(signerBalanceBefore) - parseInt(amountToTransfer));
-            expect(parseInt(account1BalanceAfter)).to.be.equals(parseInt(account1BalanceBefore) + parseInt(amountToTransfer));
-
-            // Check event emited
-            const eventSignature = "Transfer(address,address,uint256)";
-            const eventSignatureHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(eventSignature));
-                        
-            // Receipt information
-            const eventSignatureHashReceived = tx_result.logs[0].topics[0];
-            const eventFromParametrReceived = ethers.utils.defaultAbiCoder.decode(['address'], tx_result.logs[0].topics[1])[0];
-            const eventToParametrReceived = ethers.utils.defaultAbiCoder.decode(['address'], tx_result.logs[0].topics[2])[0];
-            const eventValueParametrReceived = ethers.utils.defaultAbiCoder.decode(['uint256'], tx_result.logs[0].data)[0];
-
-            // Check event signayure
-            expect(eventSignatureHashReceived).to.be.equals(eventSignatureHash);
-            // Check event _from parameter
-            expect(eventFromParametrReceived).to.be.equals(signer.address);
-            // Check event _to parameter
-            expect(eventToParametrReceived).to.be.equals(account1.address);
-            // Check event _value parameter
-            expect(eventValueParametrReceived).to.be.equals(amountToTransfer);
-        });
-    });
-
-    describe("Approve tests", () => {
-        it("Try use _spender zero address", async () => {
-            const amountToApprove = ethers.utils.parseEther("1");
-            await expect(contractInstance.approve(zeroAddress, amountToApprove)).to.be.revertedWith("approve - Invalid parameter: _spender");
-        });
-
-        it("Try _value exceeds the sender's balance", async () => {
-            const amountToApprove = ethers.utils.parseEther("2000");
-            await expect(contractInstance.approve(signer.address, amountToApprove)).to.be.revertedWith("approve - Insufficient balance");
-        });
-
-        it("Approve _spender successful", async () => {
-            const spenderAllowanceBefore = await contractInstance.allowance(signer.address, account1.address);
-            
-            const amountToApprove = ethers.utils.parseEther("3");
-            const tx = await contractInstance.approve(account1.address, amountToApprove);
-
-            tx_result = await provider.waitForTransaction(tx.hash, confirmations_number);
-            if(tx_result.confirmations < 0 || tx_result === undefined) {
-                throw new Error("Transaction failed");
-            }
-
-            // Check balance
-            const spenderAllowanceAfter = await contractInstance.allowance(signer.address, account1.address);
-            expect(parseInt(spenderAllowanceAfter)).to.be.lessThanOrEqual(parseInt(spenderAllowanceBefore) + parseInt(amountToApprove));
-
-            // Check event emited
-            const eventSignature = "Approval(address,address,uint256)";
-            const eventSignatureHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(eventSignature));
-                        
-            // Receipt information
-            const eventSignatureHashReceived = tx_result.logs[0].topics[0];
-            const eventFromParametrReceived = ethers.utils.defaultAbiCoder.decode(['address'], tx_result.logs[0].topics[1])[0];
-            const eventToParametrReceived = ethers.utils.defaultAbiCoder.decode(['address'], tx_result.logs[0].topics[2])[0];
-            const eventValueParametrReceived = ethers.utils.defaultAbiCoder.decode(['uint256'], tx_result.logs[0].data)[0];
-
-            // Check event signayure
-            expect(eventSignatureHashReceived).to.be.equals(eventSignatureHash);
-            // Check event _from parameter
-            expect(eventFromParametrReceived).to.be.equals(signer.address);
-            // Check event _to parameter
-            expect(eventToParametrReceived).to.be.equals(account1.address);
-            // Check event _value parameter
-            expect(eventValueParametrReceived).to.be.equals(amountToApprove);
-        });
-
-        it("Allowance tries to be set to a new value", async () => {
-            const amountToApprove = ethers.utils.parseEther("12");
-            await expect(contractInstance.approve(account1.address, amountToApprove)).to.be.revertedWith("approve - Invalid allowance amount. Set to zero first");
-        });
-
-        it("Allowance tries to be set to a new value, then zero and then higher than zero", async () => {
-            const amountToApprove = ethers.utils.parseEther("12");
-            await expect(contractInstance.approve(account1.address, amountToApprove)).to.be.revertedWith("approve - Invalid allowance amount. Set to zero first");
-            
-            const tx = await contractInstance.approve(account1.address, 0);
-
-            tx_result = await provider.waitForTransaction(tx.hash, confirmations_number);
-            if(tx_result.confirmations < 0 || tx_result === undefined) {
-                throw new Error("Transaction failed");
-            }
-
-            // Check balance
-            const spenderAllowanceAfter = await contractInstance.allowance(signer.address, account1.address);
-            expect(parseInt(spenderAllowanceAfter)).to.be.lessThanOrEqual(0);
-
-            const tx1 = await contractInstance.approve(account1.address, ethers.utils.parseEther("10"));
-
-            tx1_result = await provider.waitForTransaction(tx1.hash, confirmations_number);
-            if(tx1_result.confirmations < 0 || tx1_result === undefined) {
-                throw new Error("Transaction failed");
-            }
-
-            // Check balance
-            const spenderAllowanceAfter1 = await contractInstance.allowance(signer.address, account1.address);
-            expect(parseInt(spenderAllowanceAfter1)).to.be.lessThanOrEqual(parseInt(ethers.utils.parseEther("10")));
-        });
-
-    });
-
-    describe("TransferFrom tests", () => {
-        it("Try use _from zero address", async () => {
-            const amountToTransfer = ethers.utils.parseEther("1");
-            await expect(contractInstance.transferFrom(zeroAddress, account1.address, amountToTransfer)).to.be.revertedWith("transferFrom - Invalid parameter: _from");
-        });
-
-        it("Try use _to zero address", async () => {
-            const amountToTransfer = ethers.utils.parseEther("1");
-            await expect(contractInstance.transferFrom(signer.address, zeroAddress, amountToTransfer)).to.be.revertedWith("transferFrom - Invalid parameter: _to");
-        });
-
-        it("Try use _to is the same as _from account", async () => {
-            const amountToTransfer = ethers.utils.parseEther("1");
-            await expect(contractInstance.transferFrom(signer.address, signer.address, amountToTransfer)).to.be.revertedWith("transferFrom - Invalid recipient, same as remittent");
-        });
-
-        it("Try _value is zero", async () => {
-            const amountToTransfer = ethers.utils.parseEther("0");
-            await expect(contractInstance.transferFrom(signer.address, account1.address, amountToTransfer)).to.be.revertedWith("transferFrom - Invalid parameter: _value");
-        });
-
-        it("Try TransferFrom with insufficient balance", async () => {
-            const amountToTransfer = ethers.utils.parseEther("2000");
-            await expect(contractInstance.transferFrom(account2.address, signer.address, amountToTransfer)).to.be.revertedWith("transferFrom - Insufficient balance");
-        });
-
-        it("Try TransferFrom with no allowance", async () => {
-            const amountToTransfer = ethers.utils.parseEther("1");
-            await expect(contractInstance.transferFrom(account1.address, signer.address, amountToTransfer)).to.be.revertedWith("transferFrom - Insufficent allowance");
-        });
-
-        it("Try TransferFrom with insufficent allowance", async () => {
-            const amountToTransfer = ethers.utils.parseEther("30");
-            const newInstance = await contractInstance.connect(account1);
-            await expect(newInstance.transferFrom(signer.address, account1.address, amountToTransfer)).to.be.revertedWith("transferFrom - Insufficent allowance");
-        });  
-
-        it("TransferFrom successful", async () => {
-            const signerBalanceBefore = await contractInstance.balanceOf(signer.address);
-            const account1BalanceBefore = await contractInstance.balanceOf(account1.address);
-            
-            const amountToTransfer = ethers.utils.parseEther("1");
-            const tx = await contractInstance.transferFrom(signer.address, account1.address, amountToTransfer);
-
-            tx_result = await provider.waitForTransaction(tx.hash, confirmations_number);
-            if(tx_result.confirmations < 0 || tx_result === undefined) {
-                throw new Error("Transaction failed");
-            }
-
-            // Check balance
-            const signerBalanceAfter = await contractInstance.balanceOf(signer.address);
-            const account1BalanceAfter = await contractInstance.balanceOf(account1.address);
-            expect(parseInt(signerBalanceAfter)).to.be.equals(parseInt(signerBalanceBefore) - parseInt(amountToTransfer));
-            expect(parseInt(account1BalanceAfter)).to.be.equals(parseInt(account1BalanceBefore) + parseInt(amountToTransfer));
-
-            // Check event emited
-            const eventSignature = "Transfer(address,address,uint256)";
-            const eventSignatureHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(eventSignature));
-                        
-            // Receipt information
-            const eventSignatureHashReceived = tx_result.logs[0].topics[0];
-            const eventFromParametrReceived = ethers.utils.defaultAbiCoder.decode(['address'], tx_result.logs[0].topics[1])[0];
-            const eventToParametrReceived = ethers.utils.defaultAbiCoder.decode(['address'], tx_result.logs[0].topics[2])[0];
-            const eventValueParametrReceived = ethers.utils.defaultAbiCoder.decode(['uint256'], tx_result.logs[0].data)[0];
-
-            // Check event signayure
-            expect(eventSignatureHashReceived).to.be.equals(eventSignatureHash);
-            // Check event _from parameter
-            expect(eventFromParametrReceived).to.be.equals(signer.address);
-            // Check event _to parameter
-            expect(eventToParametrReceived).to.be.equals(account1.address);
-            // Check event _value parameter
-            expect(eventValueParametrReceived).to.be.equals(amountToTransfer);
-        });
-    });
-
-    describe("Burn tests", () => {
-        it("Try _from is zero address", async () => {
-            const amountToBurn = ethers.utils.parseEther("1");
-            await expect(contractInstance.burn(zeroAddress, amountToBurn)).to.be.revertedWith("burn - Invalid parameter: _from");
-        });
-        
-        it("Try _value is zero amount", async () => {
-            const amountToBurn = ethers.utils.parseEther("0");
-            await expect(contractInstance.burn(signer.address, amountToBurn)).to.be.revertedWith("burn - Invalid parameter: _value");
-        });
-
-        it("Try _from account has insufficient tokens to burn", async () => {
-            const amountToBurn = ethers.utils.parseEther("200000");
-            await expect(contractInstance.burn(signer.address, amountToBurn)).to.be.revertedWith("burn - Insufficient balance");
-        });
-
-        it("Try to burn from unauthorized account", async () => {
-            const amountToBurn = ethers.utils.parseEther("1");
-            await expect(contractInstance.burn(account1.address, amountToBurn)).to.be.revertedWith("burn - Insufficent allowance");
-        });
+            const contractFactory = await ethers.getContractFactory(contractPath, signer);
+            const contractInstance = await contractFactory.deploy(name, symbol, maxSupply, price);
 
-        it("Try to burn an amount that overcame the allowance of an approved account", async () => {
-            const newInstance = await contractInstance.connect(account1);
-            const amountToBurn = ethers.utils.parseEther("2000");
-            await expect(newInstance.burn(signer.address, amountToBurn)).to.be.revertedWith("burn - Insufficient balance");
+            expect(await contractInstance.name()).to.be.equals(name);
+            expect(await contractInstance.symbol()).to.be.equals(symbol);
+            expect(await contractInstance.maxSupply()).to.be.equals(maxSupply);
+            expect(await contractInstance.totalSupply()).to.be.equals(0);
         });
 
-        it("Burn 5 tokens from signer account", async () => {
-            const signerBalanceBefore = await contractInstance.balanceOf(signer.address);
-            const totalSupplyBefore = await contractInstance.totalSupply();
-
-            const amountToBurn = ethers.utils.parseEther("5");
-            const tx = await contractInstance.burn(signer.address, amountToBurn);
-
-            tx_result = await provider.waitForTransaction(tx.hash, confirmations_number);
-            if(tx_result.confirmations < 0 || tx_result === undefined) {
-                throw new Error("Transaction failed");
-            }
-
-            // Check balance
-            const signerBalanceAfter = await contractInstance.balanceOf(signer.address);
-            const totalSupplyAfter = await contractInstance.totalSupply();
-
-            expect(parseInt(signerBalanceAfter)).to.be.equals(parseInt(signerBalanceBefore) - parseInt(amountToBurn));
-            expect(parseInt(totalSupplyAfter)).to.be.equals(parseInt(totalSupplyBefore) - parseInt(amountToBurn));
-
-            // Check event emited
-            const eventSignature = "Burn(address,address,uint256)";
-            const eventSignatureHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(eventSignature));
-                        
-            // Receipt information
-            const eventSignatureHashReceived = tx_result.logs[0].topics[0];
-            const eventFromParametrReceived = ethers.utils.defaultAbiCoder.decode(['address'], tx_result.logs[0].topics[1])[0];
-            const eventCommandedByParametrReceived = ethers.utils.defaultAbiCoder.decode(['address'], tx_result.logs[0].topics[2])[0];
-            const eventValueParametrReceived = ethers.utils.defaultAbiCoder.decode(['uint256'], tx_result.logs[0].data)[0];
+        it("Mint with unlimited maximum supply", async () => {
+            const contractFactory = await ethers.getContractFactory(contractPath, signer);
+            const unlimitedInstance = await contractFactory.deploy(name, symbol, 0, price);
 
-            // Check event signayure
-            expect(eventSignatureHashReceived).to.be.equals(eventSignatureHash);
-            // Check event _from parameter
-            expect(eventFromParametrReceived).to.be.equals(signer.address);
-            // Check event _to parameter
-            expect(eventCommandedByParametrReceived).to.be.equals(signer.address);
-            // Check event _value parameter
-            expect(eventValueParametrReceived).to.be.equals(amountToBurn);
+            const amountToMint = ethers.utils.parseEther("10");
+            const minted = amountToMint.mul(100);
+            await expect(unlimitedInstance.mint(signer.address, { value: amountToMint })).to.emit(unlimitedInstance, "Transfer").withArgs(zeroAddress, signer.address, minted);
+            await unlimitedInstance.mint(account1.address, { value: amountToMint });
+            expect(await unlimitedInstance.totalSupply()).to.be.equals(minted.mul(2));
         });
     });
-});
\ No newline at end of file
+});
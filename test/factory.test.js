@@ -0,0 +1,143 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("./helpers/revert");
+chai.use(solidity);
+chai.use(revertedWithMessage);
+const { expect } = chai;
+
+const { roles } = require("../lib/token-client");
+const { parseSalt, predictTokenAddress, listTokens } = require("../lib/factory");
+
+const contractPath = "contracts/TokenFactory.sol:TokenFactory";
+const tokenContractPath = "contracts/ERC20.sol:ERC20";
+const zeroAddress = ethers.constants.AddressZero;
+const zeroSalt = ethers.constants.HashZero;
+
+// Token parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+const price = ethers.utils.parseEther("1");
+
+describe("Token factory tests", () => {
+    let signer, account1;
+    let factory;
+
+    beforeEach(async () => {
+        [signer, account1] = await ethers.getSigners();
+
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        factory = await contractFactory.deploy();
+    });
+
+    async function getCreatedToken(tx) {
+        const receipt = await tx.wait();
+        const created = receipt.events.find(event => event.event === "TokenCreated");
+        return ethers.getContractAt(tokenContractPath, created.args._token);
+    }
+
+    describe("Create", () => {
+        it("Creates a token with the given parameters", async () => {
+            const token = await getCreatedToken(await factory.connect(account1).createToken(name, symbol, maxSupply, price));
+            expect(await token.name()).to.be.equals(name);
+            expect(await token.symbol()).to.be.equals(symbol);
+            expect(await token.maxSupply()).to.be.equals(maxSupply);
+            expect(await token.totalSupply()).to.be.equals(0);
+        });
+
+        it("Creation emits TokenCreated", async () => {
+            const tx = await factory.connect(account1).createToken(name, symbol, maxSupply, price);
+            const token = await getCreatedToken(tx);
+            await expect(tx).to.emit(factory, "TokenCreated").withArgs(token.address, account1.address, name, symbol, maxSupply, price, zeroSalt);
+        });
+
+        it("Creator holds the roles and accepts the ownership", async () => {
+            const token = await getCreatedToken(await factory.connect(account1).createToken(name, symbol, maxSupply, price));
+            expect(await token.hasRole(roles.minter, account1.address)).to.be.equals(true);
+            expect(await token.hasRole(roles.pauser, account1.address)).to.be.equals(true);
+            expect(await token.hasRole(roles.snapshot, account1.address)).to.be.equals(true);
+            expect(await token.hasRole(roles.minter, factory.address)).to.be.equals(false);
+            expect(await token.hasRole(roles.pauser, factory.address)).to.be.equals(false);
+            expect(await token.hasRole(roles.snapshot, factory.address)).to.be.equals(false);
+            expect(await token.owner()).to.be.equals(factory.address);
+            expect(await token.pendingOwner()).to.be.equals(account1.address);
+
+            await token.connect(account1).acceptOwnership();
+            expect(await token.owner()).to.be.equals(account1.address);
+            await token.connect(account1).mint(account1.address, { value: ethers.utils.parseEther("1") });
+            expect(await token.balanceOf(account1.address)).to.be.equals(ethers.utils.parseEther("1"));
+        });
+
+        it("Try create with invalid parameters", async () => {
+            await expect(factory.createToken("", symbol, maxSupply, price)).to.be.revertedWithMessage("constructor - Invalid parameter: _name");
+            await expect(factory.createTokenDeterministic(name, "", maxSupply, price, zeroSalt)).to.be.revertedWithMessage("constructor - Invalid parameter: _symbol");
+        });
+    });
+
+    describe("Deterministic create", () => {
+        const salt = parseSalt(ethers, "sprint-42");
+
+        it("Deploys at the predicted address", async () => {
+            const predicted = await factory.predictTokenAddress(name, symbol, maxSupply, price, salt, signer.address);
+            const { bytecode } = await hre.artifacts.readArtifact(tokenContractPath);
+            expect(predictTokenAddress(ethers, bytecode, factory.address, signer.address, { name, symbol, maxSupply, price }, salt)).to.be.equals(predicted);
+
+            await expect(factory.createTokenDeterministic(name, symbol, maxSupply, price, salt))
+                .to.emit(factory, "TokenCreated").withArgs(predicted, signer.address, name, symbol, maxSupply, price, salt);
+            expect(await factory.creatorOf(predicted)).to.be.equals(signer.address);
+        });
+
+        it("Address depends on the creator and the parameters", async () => {
+            const predicted = await factory.predictTokenAddress(name, symbol, maxSupply, price, salt, signer.address);
+            expect(await factory.predictTokenAddress(name, symbol, maxSupply, price, salt, account1.address)).to.not.be.equals(predicted);
+            expect(await factory.predictTokenAddress(name, symbol, 0, price, salt, signer.address)).to.not.be.equals(predicted);
+        });
+
+        it("Try create twice with the same salt and parameters", async () => {
+            await factory.createTokenDeterministic(name, symbol, maxSupply, price, salt);
+            await expect(factory.createTokenDeterministic(name, symbol, maxSupply, price, salt)).to.be.revertedWithMessage("createTokenDeterministic - Token already exists");
+            // Another creator gets another address for the same salt
+            await factory.connect(account1).createTokenDeterministic(name, symbol, maxSupply, price, salt);
+        });
+
+        it("Text salts are hashed, 32 bytes hex salts are kept", () => {
+            expect(parseSalt(ethers, "sprint-42")).to.be.equals(ethers.utils.id("sprint-42"));
+            expect(parseSalt(ethers, salt)).to.be.equals(salt);
+        });
+    });
+
+    describe("Registry", () => {
+        it("Enumerates the tokens in creation order", async () => {
+            const first = await getCreatedToken(await factory.createToken(name, symbol, maxSupply, price));
+            const second = await getCreatedToken(await factory.connect(account1).createToken("Second", "SND", 0, price));
+            const third = await getCreatedToken(await factory.createTokenDeterministic("Third", "TRD", maxSupply, price, parseSalt(ethers, "third")));
+
+            expect(await factory.tokenCount()).to.be.equals(3);
+            expect(await factory.tokens(1)).to.be.equals(second.address);
+            expect(await factory.getTokens(0, 10)).to.be.deep.equals([first.address, second.address, third.address]);
+            expect(await factory.getTokens(1, 1)).to.be.deep.equals([second.address]);
+            expect(await factory.getTokens(3, 10)).to.be.deep.equals([]);
+            expect(await factory.getTokens(0, ethers.constants.MaxUint256)).to.be.deep.equals([first.address, second.address, third.address]);
+            expect(await factory.getTokens(2, ethers.constants.MaxUint256)).to.be.deep.equals([third.address]);
+            expect(await factory.getTokens(ethers.constants.MaxUint256, ethers.constants.MaxUint256)).to.be.deep.equals([]);
+            expect(await factory.creatorOf(second.address)).to.be.equals(account1.address);
+            expect(await factory.creatorOf(account1.address)).to.be.equals(zeroAddress);
+        });
+
+        it("Lists the tokens with their state", async () => {
+            await factory.createToken(name, symbol, maxSupply, price);
+            const token = await getCreatedToken(await factory.connect(account1).createToken("Second", "SND", 0, price));
+            await token.connect(account1).acceptOwnership();
+
+            const tokens = await listTokens(ethers, factory, { pageSize: 1 });
+            expect(tokens.map(({ index, symbol, creator, owner }) => ({ index, symbol, creator, owner }))).to.be.deep.equals([
+                { index: 0, symbol, creator: signer.address, owner: factory.address },
+                { index: 1, symbol: "SND", creator: account1.address, owner: account1.address }
+            ]);
+            expect(tokens[1].maxSupply).to.be.equals(0);
+        });
+    });
+});
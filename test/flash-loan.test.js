@@ -0,0 +1,224 @@
+const { ethers, network } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("./helpers/revert");
+chai.use(solidity);
+chai.use(revertedWithMessage);
+const { expect } = chai;
+
+const { decodeCustomError, parseTokenError, MaxSupplyExceededError, InsufficientBalanceError, InsufficientAllowanceError } = require("../lib/errors");
+const { TokenClient } = require("../lib/token-client");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const borrowerContractPath = "contracts/mocks/FlashBorrowerMocks.sol:FlashBorrowerMock";
+const zeroAddress = ethers.constants.AddressZero;
+
+// Constructor parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+// 100 tokens per ether, so the fixtures spend little of the ether of the test accounts
+const price = ethers.utils.parseEther("100");
+
+const amount = (value) => ethers.utils.parseEther(String(value));
+
+// Values of `FlashBorrowerMock.Action`
+const Action = { Repay: 0, SkipApproval: 1, WrongReturnValue: 2, TransferLoan: 3, BurnLoan: 4, FlashLoanAgain: 5, Withdraw: 6 };
+
+describe("Flash loan tests", () => {
+    let signer, account1, account2;
+    let contractInstance, borrower;
+
+    beforeEach(async () => {
+        [signer, account1, account2] = await ethers.getSigners();
+
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        contractInstance = await contractFactory.deploy(name, symbol, maxSupply, price);
+        await contractInstance.mint(account1.address, { value: amount(1) });
+
+        const borrowerFactory = await ethers.getContractFactory(borrowerContractPath, signer);
+        borrower = await borrowerFactory.deploy(contractInstance.address);
+    });
+
+    describe("Lender views", () => {
+        it("Lends what mint could still issue under the maximum supply", async () => {
+            expect(await contractInstance.maxFlashLoan(contractInstance.address)).to.be.equals(amount(700));
+            expect(await contractInstance.flashFee(contractInstance.address, amount(700))).to.be.equals(0);
+        });
+
+        it("Lends up to 2^224 - 1 units with an unlimited supply", async () => {
+            const contractFactory = await ethers.getContractFactory(contractPath, signer);
+            const unlimited = await contractFactory.deploy(name, symbol, 0, price);
+            await unlimited.mint(account1.address, { value: amount(1) });
+            const cap = ethers.BigNumber.from(2).pow(224).sub(1);
+            expect(await unlimited.maxFlashLoan(unlimited.address)).to.be.equals(cap.sub(amount(100)));
+        });
+
+        it("Does not lend other tokens nor while paused", async () => {
+            expect(await contractInstance.maxFlashLoan(account1.address)).to.be.equals(0);
+            await expect(contractInstance.flashFee(account1.address, 1)).to.be.revertedWithMessage("flashFee - Invalid parameter: _token");
+            await contractInstance.pause();
+            expect(await contractInstance.maxFlashLoan(contractInstance.address)).to.be.equals(0);
+        });
+    });
+
+    describe("Successful loans", () => {
+        it("Mints to the receiver for the callback and burns the repayment", async () => {
+            const tx = contractInstance.connect(account2).flashLoan(borrower.address, contractInstance.address, amount(50), "0x1234");
+            await expect(tx).to.emit(contractInstance, "Transfer").withArgs(zeroAddress, borrower.address, amount(50));
+            await expect(tx).to.emit(contractInstance, "Approval").withArgs(borrower.address, contractInstance.address, 0);
+            await expect(tx).to.emit(contractInstance, "Burn").withArgs(borrower.address, account2.address, amount(50));
+
+            expect(await borrower.initiator()).to.be.equals(account2.address);
+            expect(await borrower.fee()).to.be.equals(0);
+            expect(await borrower.data()).to.be.equals("0x1234");
+            expect(await borrower.balanceDuringLoan()).to.be.equals(amount(50));
+            expect(await borrower.totalSupplyDuringLoan()).to.be.equals(amount(150));
+
+            expect(await contractInstance.totalSupply()).to.be.equals(amount(100));
+            expect(await contractInstance.balanceOf(borrower.address)).to.be.equals(0);
+            expect(await contractInstance.allowance(borrower.address, contractInstance.address)).to.be.equals(0);
+        });
+
+        it("Lends the whole maxFlashLoan", async () => {
+            await borrower.flashBorrow(amount(700), "0x");
+            expect(await borrower.totalSupplyDuringLoan()).to.be.equals(maxSupply);
+            expect(await contractInstance.totalSupply()).to.be.equals(amount(100));
+        });
+
+        it("Leaves snapshots and past total supply unchanged", async () => {
+            await contractInstance.delegate(signer.address);
+            await contractInstance.snapshot();
+            const receipt = await (await borrower.flashBorrow(amount(50), "0x")).wait();
+            await network.provider.send("evm_mine");
+
+            expect(await contractInstance.totalSupplyAt(1)).to.be.equals(amount(100));
+            expect(await contractInstance.balanceOfAt(borrower.address, 1)).to.be.equals(0);
+            expect(await contractInstance.getPastTotalSupply(receipt.blockNumber)).to.be.equals(amount(100));
+            expect(await contractInstance.getPastTotalSupply(receipt.blockNumber - 1)).to.be.equals(amount(100));
+        });
+
+        it("Borrowed tokens vote only during the callback", async () => {
+            // The loan and the repayment share the checkpoint of their block, which keeps the value after the repayment
+            await contractInstance.connect(account1).delegate(account2.address);
+            await borrower.delegate(account2.address);
+            const tx = borrower.flashBorrow(amount(50), "0x");
+            await expect(tx).to.emit(contractInstance, "DelegateVotesChanged").withArgs(account2.address, amount(100), amount(150));
+            const receipt = await (await tx).wait();
+            await network.provider.send("evm_mine");
+
+            expect(await contractInstance.getPastVotes(account2.address, receipt.blockNumber)).to.be.equals(amount(100));
+            expect(await contractInstance.getVotes(account2.address)).to.be.equals(amount(100));
+        });
+
+        it("Sends loans through TokenClient", async () => {
+            const client = TokenClient.attach(contractInstance.address, account2);
+            expect(await client.maxFlashLoan()).to.be.equals(amount(700));
+            expect(await client.flashFee("1")).to.be.equals(0);
+            const { events } = await client.flashLoan(borrower.address, "2.5");
+            expect(events.map(({ name }) => name)).to.include.members(["Transfer", "Burn"]);
+        });
+    });
+
+    describe("Failed loans", () => {
+        it("Try flash loan with invalid parameters", async () => {
+            await expect(contractInstance.flashLoan(zeroAddress, contractInstance.address, amount(1), "0x"))
+                .to.be.revertedWithMessage("flashLoan - Invalid parameter: _receiver");
+            await expect(contractInstance.flashLoan(borrower.address, account1.address, amount(1), "0x"))
+                .to.be.revertedWithMessage("flashLoan - Invalid parameter: _token");
+            await expect(contractInstance.flashLoan(borrower.address, contractInstance.address, 0, "0x"))
+                .to.be.revertedWithMessage("flashLoan - Invalid parameter: _amount");
+        });
+
+        it("Try flash loan over the maximum supply", async () => {
+            await expect(borrower.flashBorrow(amount(700).add(1), "0x"))
+                .to.be.revertedWithMessage("flashLoan - Total supply exceeds maximum supply");
+            const error = parseTokenError(await borrower.flashBorrow(amount(700).add(1), "0x").catch(error => error));
+            expect(error).to.be.instanceOf(MaxSupplyExceededError);
+            expect(error.parameter).to.be.equals("_amount");
+        });
+
+        it("Try flash loan while paused", async () => {
+            await contractInstance.pause();
+            await expect(borrower.flashBorrow(amount(1), "0x")).to.be.revertedWithMessage("flashLoan - Contract is paused");
+        });
+
+        it("Try flash loan to a receiver that does not approve the repayment", async () => {
+            await borrower.setAction(Action.SkipApproval, zeroAddress);
+            await expect(borrower.flashBorrow(amount(10), "0x")).to.be.revertedWithMessage("flashLoan - Insufficent allowance");
+            const error = parseTokenError(await borrower.flashBorrow(amount(10), "0x").catch(error => error));
+            expect(error).to.be.instanceOf(InsufficientAllowanceError);
+            expect(error.parameter).to.be.equals("_receiver");
+            expect(await contractInstance.totalSupply()).to.be.equals(amount(100));
+        });
+
+        it("Try flash loan to a receiver returning a wrong value", async () => {
+            await borrower.setAction(Action.WrongReturnValue, zeroAddress);
+            await expect(borrower.flashBorrow(amount(10), "0x")).to.be.revertedWithMessage("flashLoan - Invalid flash loan callback");
+        });
+
+        it("Try flash loan to an account without onFlashLoan", async () => {
+            await expect(contractInstance.flashLoan(account1.address, contractInstance.address, amount(1), "0x")).to.be.reverted;
+            await expect(contractInstance.flashLoan(contractInstance.address, contractInstance.address, amount(1), "0x")).to.be.reverted;
+        });
+
+        it("Try start the callback from an account other than the token", async () => {
+            await expect(borrower.onFlashLoan(signer.address, contractInstance.address, amount(1), 0, "0x")).to.be.reverted;
+        });
+    });
+
+    describe("Reentrancy during the callback", () => {
+        it("Transferring the loan away fails the repayment", async () => {
+            await borrower.setAction(Action.TransferLoan, account2.address);
+            await expect(borrower.flashBorrow(amount(10), "0x")).to.be.revertedWithMessage("flashLoan - Insufficient balance");
+            const error = parseTokenError(await borrower.flashBorrow(amount(10), "0x").catch(error => error));
+            expect(error).to.be.instanceOf(InsufficientBalanceError);
+            expect(error.parameter).to.be.equals("_receiver");
+            expect(await contractInstance.balanceOf(account2.address)).to.be.equals(0);
+        });
+
+        it("A receiver holding its own tokens repays a loan it transferred", async () => {
+            await contractInstance.connect(account1).transfer(borrower.address, amount(10));
+            await borrower.setAction(Action.TransferLoan, account2.address);
+            await borrower.flashBorrow(amount(10), "0x");
+
+            expect(await contractInstance.balanceOf(account2.address)).to.be.equals(amount(10));
+            expect(await contractInstance.balanceOf(borrower.address)).to.be.equals(0);
+            expect(await contractInstance.totalSupply()).to.be.equals(amount(100));
+        });
+
+        it("Burning the loan fails the repayment", async () => {
+            await borrower.setAction(Action.BurnLoan, zeroAddress);
+            await expect(borrower.flashBorrow(amount(10), "0x")).to.be.revertedWithMessage("flashLoan - Insufficient balance");
+            expect(await ethers.provider.getBalance(borrower.address)).to.be.equals(0);
+            expect(await ethers.provider.getBalance(contractInstance.address)).to.be.equals(amount(1));
+        });
+
+        it("A receiver burning the loan pays it back with its own tokens, which stay burned", async () => {
+            await contractInstance.connect(account1).transfer(borrower.address, amount(10));
+            await borrower.setAction(Action.BurnLoan, zeroAddress);
+            await borrower.flashBorrow(amount(10), "0x");
+
+            expect(await ethers.provider.getBalance(borrower.address)).to.be.equals(amount("0.1"));
+            expect(await contractInstance.balanceOf(borrower.address)).to.be.equals(0);
+            expect(await contractInstance.totalSupply()).to.be.equals(amount(90));
+            expect(await ethers.provider.getBalance(contractInstance.address)).to.be.equals(amount("0.9"));
+        });
+
+        it("Try nested flash loans", async () => {
+            await borrower.setAction(Action.FlashLoanAgain, zeroAddress);
+            await borrower.flashBorrow(amount(10), "0x");
+            expect(decodeCustomError(await borrower.reentryError()).message).to.be.equals("flashLoan - Reentrant call");
+            expect(await borrower.totalSupplyDuringLoan()).to.be.equals(amount(110));
+            expect(await borrower.maxFlashLoanDuringLoan()).to.be.equals(0);
+            expect(await contractInstance.totalSupply()).to.be.equals(amount(100));
+        });
+
+        it("Try withdraw during the callback", async () => {
+            await borrower.setAction(Action.Withdraw, zeroAddress);
+            await borrower.flashBorrow(amount(10), "0x");
+            expect(decodeCustomError(await borrower.reentryError()).message).to.be.equals("withdraw - Reentrant call");
+        });
+    });
+});
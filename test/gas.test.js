@@ -0,0 +1,35 @@
+const { artifacts } = require("hardhat");
+
+const chai = require("chai");
+const { expect } = chai;
+
+const { scenarios, getBenchmarkedMethods, compareGas, formatMarkdown } = require("../lib/gas");
+
+describe("Gas benchmark tests", () => {
+    it("Every state changing function has a scenario", async () => {
+        const { abi } = await artifacts.readArtifact("ERC20");
+        const covered = new Set(scenarios.map(scenario => scenario.method));
+        const missing = getBenchmarkedMethods(abi).filter(method => !covered.has(method));
+        expect(missing, "Add a scenario to lib/gas.js").to.be.empty;
+    });
+
+    it("Compare flags regressions beyond the threshold only", () => {
+        const baseline = { transfer: { "existing recipient": 1000, "first-time recipient": 2000 }, mint: { "existing recipient": 500 } };
+        const results = { transfer: { "existing recipient": 1005, "first-time recipient": 2100 }, approve: { "new allowance": 300 } };
+        const rows = compareGas(baseline, results, 1);
+        const status = row => rows.find(({ method, scenario }) => method === row[0] && scenario === row[1]).status;
+
+        expect(status(["transfer", "existing recipient"])).to.be.equals("unchanged");
+        expect(status(["transfer", "first-time recipient"])).to.be.equals("regression");
+        expect(status(["mint", "existing recipient"])).to.be.equals("removed");
+        expect(status(["approve", "new allowance"])).to.be.equals("new");
+        expect(compareGas(baseline, { transfer: { "existing recipient": 900 } }, 1)[0].status).to.be.equals("improvement");
+    });
+
+    it("Markdown report has a row per scenario", () => {
+        const rows = compareGas({ transfer: { "existing recipient": 1000 } }, { transfer: { "existing recipient": 1100 } }, 5);
+        const markdown = formatMarkdown(rows, 5);
+        expect(markdown).to.contain("Regression threshold: 5%");
+        expect(markdown).to.contain("| transfer | existing recipient | 1000 | 1100 | +100 | 10.00% | regression |");
+    });
+});
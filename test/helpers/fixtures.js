@@ -0,0 +1,73 @@
+const { ethers, network } = require("hardhat");
+
+const priceUnit = ethers.utils.parseEther("1");
+
+// State saved by `loadFixture`, by fixture function
+const snapshots = new Map();
+
+/**
+ * @notice Run `fixture` once and give every later call the chain state it left, with `evm_snapshot`/`evm_revert`
+ * @dev Call it from a `beforeEach`, so each test starts from the fixture whatever ran before it. The fixture runs
+ * again when its snapshot is gone, which happens when a fixture loaded earlier reverts the chain before it
+ * @param fixture An async function without parameters, keep the same function across calls
+ * @return The value returned by the fixture
+ */
+async function loadFixture(fixture) {
+    const saved = snapshots.get(fixture);
+    if (saved !== undefined && await network.provider.send("evm_revert", [saved.id])) {
+        // A snapshot is consumed by the revert, take it again for the next test
+        saved.id = await network.provider.send("evm_snapshot");
+        return saved.result;
+    }
+    const result = await fixture();
+    snapshots.set(fixture, { id: await network.provider.send("evm_snapshot"), result });
+    return result;
+}
+
+/**
+ * @notice Fixture of a token of this project with a funded holder, for the shared behaviors of `../behaviors`
+ * @param deploy Async function deploying the token from `owner`, who holds `MINTER_ROLE`. Returns the contract
+ * @param options.metadata `{ name, symbol, decimals }` the deployed token must report
+ * @param options.holderEther The ether the holder's tokens are minted with
+ * @return A fixture resolving to `{ token, owner, holder, spender, recipient, other, balance, metadata }`, `token`
+ * connected to `owner` and `balance` the tokens of `holder`. The other accounts hold no tokens and no allowances
+ */
+function tokenFixture(deploy, { metadata, holderEther = priceUnit } = {}) {
+    return async () => {
+        const [owner, holder, spender, recipient, other] = await ethers.getSigners();
+        const token = await deploy(owner);
+        await (await token.mint(holder.address, { value: holderEther })).wait();
+        return { token, owner, holder, spender, recipient, other, balance: await token.balanceOf(holder.address), metadata };
+    };
+}
+
+/**
+ * @notice Fixture attaching to a token already deployed on the network, e.g. a local node
+ * @dev Only the standard ERC-20 functions are used. The holder is the first account holding tokens, the next
+ * accounts are the spender, the recipient and the other account. They may already hold tokens and allowances, the
+ * standard behaviors only check the changes they make
+ * @param address The address of the token
+ */
+function deployedTokenFixture(address) {
+    return async () => {
+        if (!ethers.utils.isAddress(address) || await ethers.provider.getCode(address) === "0x") {
+            throw new Error(`No contract deployed at ${address} on network ${network.name}`);
+        }
+        const signers = await ethers.getSigners();
+        const token = await ethers.getContractAt("contracts/ERC20.sol:ERC20", address);
+        for (const [index, holder] of signers.entries()) {
+            const balance = await token.balanceOf(holder.address);
+            if (!balance.isZero()) {
+                const [spender, recipient, other] = signers.filter((signer, position) => position !== index);
+                return { token, owner: holder, holder, spender, recipient, other, balance };
+            }
+        }
+        throw new Error(`No account of network ${network.name} holds tokens of ${address}, mint or transfer some first`);
+    };
+}
+
+module.exports = {
+    loadFixture,
+    tokenFixture,
+    deployedTokenFixture
+};
@@ -0,0 +1,36 @@
+const { getRevertReason } = require("../../lib/errors");
+
+/**
+ * Chai plugin adding `revertedWithMessage(message)`, the counterpart of waffle `revertedWith` for the custom
+ * errors of `contracts/ERC20.sol`: the revert is decoded with `lib/errors.js` and compared with the
+ * "<method> - <reason>" message, e.g. `await expect(tx).to.be.revertedWithMessage("burn - Insufficent allowance")`
+ */
+function revertedWithMessage(chai) {
+    chai.Assertion.addMethod("revertedWithMessage", function (message) {
+        const onSuccess = (value) => {
+            this.assert(false, `Expected transaction to be reverted with "${message}"`, `Expected transaction NOT to be reverted with "${message}"`, message);
+            return value;
+        };
+        const onError = (error) => {
+            const reason = getRevertReason(error);
+            this.assert(
+                reason === message,
+                reason === undefined
+                    ? `Expected transaction to be reverted with "${message}", but other exception was thrown: ${error}`
+                    : `Expected transaction to be reverted with "${message}", but it reverted with "${reason}"`,
+                `Expected transaction NOT to be reverted with "${message}"`,
+                message,
+                reason
+            );
+            return error;
+        };
+        const derivedPromise = Promise.resolve(this._obj).then(onSuccess, onError);
+        this.then = derivedPromise.then.bind(derivedPromise);
+        this.catch = derivedPromise.catch.bind(derivedPromise);
+        return this;
+    });
+}
+
+module.exports = {
+    revertedWithMessage
+};
@@ -0,0 +1,29 @@
+const util = require('util');
+
+/**
+ * Await `run()` keeping its console output out of the mocha report, e.g. for the functions behind a task.
+ * `output` holds the logged lines. A failing `run` rejects with its error
+ */
+async function captureOutput(run) {
+    const output = [];
+    const log = console.log;
+    console.log = (...values) => output.push(util.format(...values));
+    try {
+        return { result: await run(), output };
+    } finally {
+        console.log = log;
+    }
+}
+
+/**
+ * Run a task of `hardhat.config.js` on the in-process network with `hre.run`, keeping its console output out of the
+ * mocha report, e.g. `const { result, output } = await runTask(hre, "token:verify", { address })`
+ */
+async function runTask(hre, name, args = {}) {
+    return captureOutput(() => hre.run(name, args));
+}
+
+module.exports = {
+    captureOutput,
+    runTask
+};
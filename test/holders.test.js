@@ -0,0 +1,71 @@
+const { ethers } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+chai.use(solidity);
+const { expect } = chai;
+
+const { getHolderBalances } = require("../lib/holders");
+const { getLeaf, buildMerkleTree, verifyProof } = require("../lib/merkle");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const maxSupply = ethers.utils.parseEther("1000");
+const price = ethers.utils.parseEther("1");
+
+describe("Holder snapshot tests", () => {
+    let signer, account1, account2, account3;
+    let contractInstance, snapshotBlock;
+
+    before(async () => {
+        [signer, account1, account2, account3] = await ethers.getSigners();
+
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        contractInstance = await contractFactory.deploy("MyERC-20_Token", "PCIB", maxSupply, price);
+
+        await contractInstance.mint(signer.address, { value: ethers.utils.parseEther("10") });
+        await contractInstance.transfer(account1.address, ethers.utils.parseEther("3"));
+        const tx = await contractInstance.transfer(account2.address, ethers.utils.parseEther("2"));
+        snapshotBlock = (await tx.wait()).blockNumber;
+
+        // Changes after the snapshot block must not show up in it
+        await contractInstance.connect(account2).transfer(account3.address, ethers.utils.parseEther("2"));
+    });
+
+    it("Exports balances at a historical block", async () => {
+        const { blockNumber, holders } = await getHolderBalances(contractInstance, { blockTag: snapshotBlock });
+        expect(blockNumber).to.be.equals(snapshotBlock);
+        const balances = Object.fromEntries(holders.map(({ account, balance }) => [account, balance.toString()]));
+        expect(balances).to.be.deep.equals({
+            [signer.address]: ethers.utils.parseEther("5").toString(),
+            [account1.address]: ethers.utils.parseEther("3").toString(),
+            [account2.address]: ethers.utils.parseEther("2").toString()
+        });
+    });
+
+    it("Excludes accounts with zero balance", async () => {
+        const { holders } = await getHolderBalances(contractInstance);
+        const accounts = holders.map(({ account }) => account);
+        expect(accounts).to.not.include(account2.address);
+        expect(accounts).to.include(account3.address);
+    });
+
+    it("Merkle proofs verify for every holder", async () => {
+        const { holders } = await getHolderBalances(contractInstance, { blockTag: snapshotBlock });
+        const { root, claims } = buildMerkleTree(holders.map(({ account, balance }) => ({ account, amount: balance })));
+
+        for (const { account, balance } of holders) {
+            const claim = claims[account];
+            expect(claim.amount).to.be.equals(balance.toString());
+            expect(verifyProof(claim.proof, root, getLeaf(account, balance))).to.be.true;
+        }
+    });
+
+    it("Merkle proofs reject a different amount or account", async () => {
+        const entries = [signer, account1, account2, account3].map((account, index) => ({ account: account.address, amount: index + 1 }));
+        const { root, claims } = buildMerkleTree(entries);
+
+        expect(verifyProof(claims[account1.address].proof, root, getLeaf(account1.address, 2))).to.be.true;
+        expect(verifyProof(claims[account1.address].proof, root, getLeaf(account1.address, 3))).to.be.false;
+        expect(verifyProof(claims[account1.address].proof, root, getLeaf(account2.address, 2))).to.be.false;
+    });
+});
@@ -0,0 +1,104 @@
+const { ethers, network } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+chai.use(solidity);
+const { expect } = chai;
+
+const { TokenIndexer } = require("../lib/indexer");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const maxSupply = ethers.utils.parseEther("1000");
+const price = ethers.utils.parseEther("1");
+
+describe("Indexer tests", () => {
+    let signer, account1, account2;
+    let contractInstance, deployBlock, storePath;
+
+    const createIndexer = () => new TokenIndexer({
+        provider: ethers.provider,
+        address: contractInstance.address,
+        storePath,
+        startBlock: deployBlock,
+        reorgDepth: 5
+    });
+
+    before(async () => {
+        [signer, account1, account2] = await ethers.getSigners();
+        storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "index.json");
+
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        contractInstance = await contractFactory.deploy("MyERC-20_Token", "PCIB", maxSupply, price);
+        deployBlock = (await contractInstance.deployTransaction.wait()).blockNumber;
+
+        await contractInstance.mint(signer.address, { value: ethers.utils.parseEther("10") });
+        await contractInstance.transfer(account1.address, ethers.utils.parseEther("4"));
+        await contractInstance.approve(account1.address, ethers.utils.parseEther("2"));
+        await contractInstance.connect(account1).burn(signer.address, ethers.utils.parseEther("1"));
+    });
+
+    after(() => {
+        fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+    });
+
+    it("Derives balances, allowances and supply from events", async () => {
+        const indexer = createIndexer();
+        const lastBlock = await indexer.sync();
+
+        expect(lastBlock).to.be.equals(await ethers.provider.getBlockNumber());
+        expect(indexer.balanceOf(signer.address)).to.be.equals(ethers.utils.parseEther("5"));
+        expect(indexer.balanceOf(account1.address)).to.be.equals(ethers.utils.parseEther("4"));
+        // The burn spent 1 of the approved 2
+        expect(indexer.allowance(signer.address, account1.address)).to.be.equals(ethers.utils.parseEther("1"));
+        expect(indexer.totalSupply()).to.be.equals(ethers.utils.parseEther("9"));
+        expect(indexer.holderCount()).to.be.equals(2);
+        expect(indexer.burns()).to.have.lengthOf(1);
+        expect(indexer.burns()[0].commandedBy).to.be.equals(account1.address);
+        expect(indexer.historyOf(account1.address)).to.have.lengthOf(4);
+        expect(await indexer.crossCheck()).to.be.empty;
+    });
+
+    it("Resumes from the last checkpoint", async () => {
+        const checkpoint = createIndexer().store.lastBlock.number;
+        await contractInstance.transfer(account2.address, ethers.utils.parseEther("1"));
+
+        const indexer = createIndexer();
+        expect(indexer.store.lastBlock.number).to.be.equals(checkpoint);
+        await indexer.sync();
+
+        expect(indexer.balanceOf(account2.address)).to.be.equals(ethers.utils.parseEther("1"));
+        expect(indexer.holderCount()).to.be.equals(3);
+        expect(await indexer.crossCheck()).to.be.empty;
+    });
+
+    it("Rolls back and reindexes after a reorg", async () => {
+        const indexer = createIndexer();
+        const snapshotId = await network.provider.send("evm_snapshot");
+
+        await contractInstance.transfer(account2.address, ethers.utils.parseEther("3"));
+        await indexer.sync();
+        expect(indexer.balanceOf(account2.address)).to.be.equals(ethers.utils.parseEther("4"));
+
+        // Replace the last block with a different one at the same height, plus a new block
+        await network.provider.send("evm_revert", [snapshotId]);
+        await contractInstance.connect(account1).transfer(account2.address, ethers.utils.parseEther("2"));
+        await network.provider.send("evm_mine");
+        await indexer.sync();
+
+        expect(indexer.balanceOf(signer.address)).to.be.equals(ethers.utils.parseEther("4"));
+        expect(indexer.balanceOf(account1.address)).to.be.equals(ethers.utils.parseEther("2"));
+        expect(indexer.balanceOf(account2.address)).to.be.equals(ethers.utils.parseEther("3"));
+        expect(await indexer.crossCheck()).to.be.empty;
+    });
+
+    it("Cross-check reports balances that differ from the chain", async () => {
+        const indexer = createIndexer();
+        indexer.store.state.balances[account2.address] = "1";
+        const mismatches = await indexer.crossCheck();
+        expect(mismatches).to.have.lengthOf(1);
+        expect(mismatches[0].key).to.be.equals(`balanceOf(${account2.address})`);
+    });
+});
@@ -0,0 +1,277 @@
+const { ethers } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+chai.use(solidity);
+const { expect } = chai;
+
+const { parseTokenError, MaxSupplyExceededError } = require("../lib/errors");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const unlimited = ethers.constants.MaxUint256;
+const priceUnit = ethers.utils.parseEther("1");
+
+// Fixed by default so every run of the suite checks the same sequences. FUZZ_SEED=<seed> explores others, a
+// failure prints the seed to re-run it with
+const defaultSeed = 1337;
+const seed = Number(process.env.FUZZ_SEED || defaultSeed);
+const steps = Number(process.env.FUZZ_STEPS || 100);
+const actorCount = 4;
+
+/**
+ * @notice Seeded pseudo random generator (mulberry32)
+ * @return A function returning floats in [0, 1)
+ */
+function createRandom(initialSeed) {
+    let state = initialSeed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @notice Random sequences of token operations from several signers, checking the invariants after every step
+ * @param maxSupply The constructor maximum supply. Zero for unlimited
+ * @param price The constructor price, in token units per ether
+ */
+function describeInvariants(title, maxSupply, price, runSeed) {
+    describe(title, () => {
+        let actors, contractInstance, random;
+        // Expected allowance of every owner/spender pair, updated only by approvals and spending
+        const expectedAllowances = {};
+
+        const pick = (list) => list[Math.floor(random() * list.length)];
+        // Up to 1.5 times `bound`, so part of the operations revert
+        const randomAmount = (bound) => {
+            const max = bound.mul(3).div(2).add(ethers.utils.parseEther("1"));
+            return max.mul(Math.floor(random() * 10000)).div(10000);
+        };
+        const key = (owner, spender) => `${owner.address}:${spender.address}`;
+
+        const operations = [
+            {
+                name: "mint",
+                weight: 2,
+                run: async () => {
+                    const sender = pick(actors);
+                    const recipient = pick(actors);
+                    const value = randomAmount(ethers.utils.parseEther("20"));
+                    const totalSupply = await contractInstance.totalSupply();
+                    return {
+                        description: `mint(${recipient.address}) value ${value} by ${sender.address}`,
+                        tx: () => contractInstance.connect(sender).mint(recipient.address, { value }),
+                        // The cap only rejects mints that would exceed a non-zero maxSupply
+                        onRevert: (error) => {
+                            if (error instanceof MaxSupplyExceededError) {
+                                const minted = value.mul(price).div(priceUnit);
+                                expect(!maxSupply.isZero() && totalSupply.add(minted).gt(maxSupply), `${error.message} with totalSupply ${totalSupply}`).to.be.equals(true);
+                            }
+                        }
+                    };
+                }
+            },
+            {
+                name: "transfer",
+                weight: 3,
+                run: async () => {
+                    const sender = pick(actors);
+                    const recipient = pick(actors);
+                    const value = randomAmount(await contractInstance.balanceOf(sender.address));
+                    return { description: `transfer(${recipient.address}, ${value}) by ${sender.address}`, tx: () => contractInstance.connect(sender).transfer(recipient.address, value) };
+                }
+            },
+            {
+                name: "approve",
+                weight: 2,
+                run: async () => {
+                    const owner = pick(actors);
+                    const spender = pick(actors);
+                    const value = random() < 0.15 ? unlimited : randomAmount(ethers.utils.parseEther("10"));
+                    return {
+                        description: `approve(${spender.address}, ${value}) by ${owner.address}`,
+                        tx: () => contractInstance.connect(owner).approve(spender.address, value),
+                        onSuccess: () => { expectedAllowances[key(owner, spender)] = value; }
+                    };
+                }
+            },
+            {
+                name: "transferFrom",
+                weight: 3,
+                run: async () => {
+                    const spender = pick(actors);
+                    const owner = pick(actors);
+                    const recipient = pick(actors);
+                    const value = randomAmount(await contractInstance.balanceOf(owner.address));
+                    return {
+                        description: `transferFrom(${owner.address}, ${recipient.address}, ${value}) by ${spender.address}`,
+                        tx: () => contractInstance.connect(spender).transferFrom(owner.address, recipient.address, value),
+                        onSuccess: () => spend(owner, spender, value)
+                    };
+                }
+            },
+            {
+                name: "burn",
+                weight: 2,
+                run: async () => {
+                    const spender = pick(actors);
+                    const owner = pick(actors);
+                    const value = randomAmount(await contractInstance.balanceOf(owner.address));
+                    return {
+                        description: `burn(${owner.address}, ${value}) by ${spender.address}`,
+                        tx: () => contractInstance.connect(spender).burn(owner.address, value),
+                        onSuccess: () => spend(owner, spender, value)
+                    };
+                }
+            },
+            {
+                name: "redeem",
+                weight: 2,
+                run: async () => {
+                    const spender = pick(actors);
+                    const owner = pick(actors);
+                    const value = randomAmount(await contractInstance.balanceOf(owner.address));
+                    return {
+                        description: `redeem(${owner.address}, ${value}) by ${spender.address}`,
+                        tx: () => contractInstance.connect(spender).redeem(owner.address, value),
+                        onSuccess: () => spend(owner, spender, value)
+                    };
+                }
+            },
+            {
+                name: "delegate",
+                weight: 1,
+                run: async () => {
+                    const delegator = pick(actors);
+                    // Zero address stops counting the balance as votes
+                    const delegatee = random() < 0.2 ? ethers.constants.AddressZero : pick(actors).address;
+                    return { description: `delegate(${delegatee}) by ${delegator.address}`, tx: () => contractInstance.connect(delegator).delegate(delegatee) };
+                }
+            },
+            {
+                name: "withdraw",
+                weight: 1,
+                run: async () => {
+                    const payee = pick(actors);
+                    const recipient = pick(actors);
+                    return { description: `withdraw(${recipient.address}) by ${payee.address}`, tx: () => contractInstance.connect(payee).withdraw(recipient.address) };
+                }
+            }
+        ];
+
+        function spend(owner, spender, value) {
+            const current = expectedAllowances[key(owner, spender)];
+            if (owner.address !== spender.address && !current.eq(unlimited)) {
+                expectedAllowances[key(owner, spender)] = current.sub(value);
+            }
+        }
+
+        function pickOperation() {
+            const totalWeight = operations.reduce((total, operation) => total + operation.weight, 0);
+            let target = random() * totalWeight;
+            for (const operation of operations) {
+                target -= operation.weight;
+                if (target < 0) {
+                    return operation;
+                }
+            }
+            return operations[operations.length - 1];
+        }
+
+        async function checkInvariants(context) {
+            const [totalSupply, totalRedeemable, etherBalance, balances, credits, delegates, votes] = await Promise.all([
+                contractInstance.totalSupply(),
+                contractInstance.totalRedeemable(),
+                ethers.provider.getBalance(contractInstance.address),
+                Promise.all(actors.map(actor => contractInstance.balanceOf(actor.address))),
+                Promise.all(actors.map(actor => contractInstance.redeemable(actor.address))),
+                Promise.all(actors.map(actor => contractInstance.delegates(actor.address))),
+                Promise.all(actors.map(actor => contractInstance.getVotes(actor.address)))
+            ]);
+            const sum = (values) => values.reduce((total, value) => total.add(value), ethers.constants.Zero);
+            const sumOfBalances = sum(balances);
+
+            expect(sumOfBalances, `${context}: sum of balances equals totalSupply`).to.be.equals(totalSupply);
+            // Redeemed ether and mint dust stay in the contract until they are withdrawn
+            expect(totalRedeemable, `${context}: totalRedeemable equals the credited ether`).to.be.equals(sum(credits));
+            // Mint rounds the cost up and redemption rounds the payment down, so the reserve never falls short
+            const reserve = etherBalance.sub(totalRedeemable);
+            const owed = totalSupply.mul(priceUnit).div(price);
+            expect(reserve.gte(owed), `${context}: reserve ${reserve} covers the redemption of totalSupply, ${owed}`).to.be.equals(true);
+            if (price.eq(priceUnit)) {
+                expect(reserve, `${context}: at parity the reserve equals totalSupply`).to.be.equals(totalSupply);
+            }
+            // Every balance change moves the votes of the delegates involved
+            actors.forEach((delegate, index) => {
+                const delegated = sum(balances.filter((balance, delegator) => delegates[delegator] === delegate.address));
+                expect(votes[index], `${context}: votes of ${delegate.address} equal the balances delegated to it`).to.be.equals(delegated);
+            });
+            if (!maxSupply.isZero()) {
+                expect(totalSupply.lte(maxSupply), `${context}: totalSupply ${totalSupply} within maxSupply`).to.be.equals(true);
+            }
+
+            for (const owner of actors) {
+                for (const spender of actors) {
+                    const allowance = await contractInstance.allowance(owner.address, spender.address);
+                    expect(allowance, `${context}: allowance of ${key(owner, spender)} only changes by approvals and spending`)
+                        .to.be.equals(expectedAllowances[key(owner, spender)]);
+                }
+            }
+        }
+
+        before(async () => {
+            random = createRandom(runSeed);
+            const signers = await ethers.getSigners();
+            actors = signers.slice(0, actorCount);
+
+            const contractFactory = await ethers.getContractFactory(contractPath, actors[0]);
+            contractInstance = await contractFactory.deploy("MyERC-20_Token", "PCIB", maxSupply, price);
+            const minterRole = await contractInstance.MINTER_ROLE();
+            for (const actor of actors.slice(1)) {
+                await contractInstance.grantRole(minterRole, actor.address);
+            }
+            for (const owner of actors) {
+                for (const spender of actors) {
+                    expectedAllowances[key(owner, spender)] = ethers.constants.Zero;
+                }
+            }
+        });
+
+        it(`Holds the invariants over ${steps} random operations (seed ${runSeed})`, async function () {
+            this.timeout(steps * 2000);
+            let reverted = 0;
+            for (let step = 0; step < steps; step++) {
+                const operation = pickOperation();
+                const { description, tx, onSuccess, onRevert } = await operation.run();
+                try {
+                    await (await tx()).wait();
+                    if (onSuccess) {
+                        onSuccess();
+                    }
+                } catch (error) {
+                    // Only the guards of the contract may reject an operation
+                    const tokenError = parseTokenError(error);
+                    if (tokenError === undefined) {
+                        throw error;
+                    }
+                    if (onRevert) {
+                        onRevert(tokenError);
+                    }
+                    reverted++;
+                }
+                await checkInvariants(`seed ${runSeed}, step ${step}, ${description}`);
+            }
+            expect(reverted, "Some operations must succeed").to.be.lessThan(steps);
+        });
+    });
+}
+
+describe("Invariant tests", () => {
+    describeInvariants("Capped supply", ethers.utils.parseEther("100"), priceUnit, seed);
+    describeInvariants("Unlimited supply", ethers.constants.Zero, priceUnit, seed + 1);
+    // Most mints leave dust at 0.3 tokens per ether
+    describeInvariants("Capped supply, non unit price", ethers.utils.parseEther("5"), ethers.utils.parseEther("0.3"), seed + 2);
+});
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+
+const chai = require("chai");
+const { expect } = chai;
+
+const { operators, maskSource, generateMutants, applyMutant, createWorkspace, removeWorkspace, runTests, testMutant, parseFailedTest, summarize, formatHtml } = require("../lib/mutation");
+
+const source = [
+    "pragma solidity >=0.8.0;",
+    "contract Sample {",
+    "    mapping(address => uint256) public balanceOf; // a => b > c",
+    "    function move(address _to, uint256 _value) external {",
+    "        _isZeroAddress(_to, 'a >= b;');",
+    "        _hasSufficientBalance(msg.sender,",
+    "            _value);",
+    "        require(_value <= 10, \"too > big\");",
+    "        if (_isLocked()) { return; }",
+    "        balanceOf[msg.sender] -= _value;",
+    "        balanceOf[_to] += _value;",
+    "        emit Moved(_to, _value);",
+    "    }",
+    "    function _isLocked() private view returns (bool) {",
+    "        return balanceOf[msg.sender] == 0;",
+    "    }",
+    "}"
+].join("\n");
+
+describe("Mutation testing tests", () => {
+    const byOperator = (mutants, operator) => mutants.filter(mutant => mutant.operator === operator);
+
+    it("Masks comments and strings keeping the offsets", () => {
+        const masked = maskSource(source);
+        expect(masked).to.have.lengthOf(source.length);
+        expect(masked.split("\n")).to.have.lengthOf(source.split("\n").length);
+        expect(masked).to.not.include("a => b");
+        expect(masked).to.not.include("too > big");
+        expect(masked).to.include("mapping(address => uint256)");
+    });
+
+    it("Flips comparisons outside comments, strings, mappings and pragmas", () => {
+        const comparisons = byOperator(generateMutants(source), "comparison");
+        expect(comparisons.map(({ line, original, replacement }) => [line, original, replacement])).to.be.deep.equals([
+            [8, "<=", ">"],
+            [8, "<=", "<"],
+            [15, "==", "!="]
+        ]);
+    });
+
+    it("Drops whole guard statements only", () => {
+        const guards = byOperator(generateMutants(source), "drop-guard");
+        expect(guards.map(({ original }) => original)).to.be.deep.equals([
+            "_isZeroAddress(_to, 'a >= b;');",
+            "_hasSufficientBalance(msg.sender,\n            _value);",
+            "require(_value <= 10, \"too > big\");"
+        ]);
+    });
+
+    it("Swaps assignments and removes emits", () => {
+        const mutants = generateMutants(source);
+        expect(byOperator(mutants, "swap-assignment").map(({ original, replacement }) => original + replacement)).to.be.deep.equals(["-=+=", "+=-="]);
+        expect(byOperator(mutants, "remove-emit").map(({ description }) => description)).to.be.deep.equals(["Remove the Moved event"]);
+    });
+
+    it("Numbers mutants by position with their location", () => {
+        const mutants = generateMutants(source);
+        expect(mutants.map(({ id }) => id)).to.be.deep.equals(mutants.map((mutant, index) => index + 1));
+        const swap = byOperator(mutants, "swap-assignment")[0];
+        expect(swap).to.include({ line: 10, column: 31, code: "balanceOf[msg.sender] -= _value;" });
+        expect(applyMutant(source, swap).split("\n")[9]).to.be.equals("        balanceOf[msg.sender] += _value;");
+    });
+
+    it("Selects operators and rejects unknown ones", () => {
+        expect(generateMutants(source, { operators: ["remove-emit"] })).to.have.lengthOf(1);
+        expect(() => generateMutants(source, { operators: ["remove-loops"] })).to.throw("Unknown mutation operators: remove-loops");
+    });
+
+    it("Every operator mutates contracts/ERC20.sol", () => {
+        const contract = fs.readFileSync(path.join(__dirname, "..", "contracts", "ERC20.sol"), "utf8");
+        const mutants = generateMutants(contract);
+        for (const operator of operators) {
+            expect(byOperator(mutants, operator), operator).to.not.be.empty;
+        }
+        for (const mutant of mutants) {
+            expect(applyMutant(contract, mutant)).to.not.be.equals(contract);
+        }
+    });
+
+    it("Kills a mutant in a copy of the repository", async function () {
+        // Compiles every contract from scratch in the workspace
+        this.timeout(600000);
+        const root = path.join(__dirname, "..");
+        const sourcePath = path.join("contracts", "ERC20.sol");
+        const contract = fs.readFileSync(path.join(root, sourcePath), "utf8");
+        const [mutant] = generateMutants(contract, { operators: ["remove-emit"] }).filter(({ description }) => description === "Remove the Approval event");
+        const approvalTest = [
+            "const { ethers } = require(\"hardhat\");",
+            "const chai = require(\"chai\");",
+            "const { solidity } = require(\"ethereum-waffle\");",
+            "chai.use(solidity);",
+            "describe(\"Approval tests\", () => {",
+            "    it(\"Emits Approval\", async () => {",
+            "        const [, spender] = await ethers.getSigners();",
+            "        const token = await (await ethers.getContractFactory(\"contracts/ERC20.sol:ERC20\")).deploy(\"Token\", \"TKN\", 0, 1);",
+            "        await chai.expect(token.approve(spender.address, 1)).to.emit(token, \"Approval\");",
+            "    });",
+            "});"
+        ].join("\n");
+
+        const workspace = createWorkspace(root);
+        try {
+            expect(fs.existsSync(path.join(workspace, ".git"))).to.be.false;
+            expect(fs.existsSync(path.join(workspace, "hardhat.config.js"))).to.be.true;
+            fs.writeFileSync(path.join(workspace, "test", "approval.test.js"), approvalTest);
+
+            const options = { tests: [path.join("test", "approval.test.js")], timeout: 300000 };
+            expect(runTests(workspace, options).status).to.be.equals("passed");
+            const result = testMutant(workspace, sourcePath, mutant, options);
+            expect(result).to.include({ status: "killed", killedBy: "Approval tests > Emits Approval" });
+            expect(fs.readFileSync(path.join(workspace, sourcePath), "utf8")).to.be.equals(contract);
+        } finally {
+            removeWorkspace(workspace);
+        }
+        expect(fs.existsSync(workspace)).to.be.false;
+        expect(fs.existsSync(path.join(root, "node_modules", "hardhat"))).to.be.true;
+    });
+
+    it("Reads the first failing test from the mocha output", () => {
+        const output = [
+            "  Contract tests",
+            "    1) Try transfer",
+            "",
+            "  0 passing (2s)",
+            "  1 failing",
+            "",
+            "  1) Contract tests",
+            "       Transfer",
+            "         Try transfer:",
+            "     AssertionError: Expected transaction to be reverted"
+        ].join("\n");
+        expect(parseFailedTest(output)).to.be.equals("Contract tests > Transfer > Try transfer");
+        expect(parseFailedTest("  3 passing (1s)")).to.be.undefined;
+    });
+
+    it("Score leaves out mutants that do not compile", () => {
+        const summary = summarize([{ status: "killed" }, { status: "timeout" }, { status: "survived" }, { status: "invalid" }]);
+        expect(summary).to.be.deep.equals({ total: 4, killed: 1, survived: 1, timeout: 1, invalid: 1, score: 66.67 });
+        expect(summarize([{ status: "invalid" }]).score).to.be.equals(0);
+    });
+
+    it("HTML report escapes the source", () => {
+        const mutants = generateMutants(source, { operators: ["comparison"] }).map(mutant => ({ ...mutant, status: "survived" }));
+        const html = formatHtml({ source: "contracts/Sample.sol", tests: [], summary: summarize(mutants), mutants });
+        expect(html).to.include("require(_value &lt;= 10, &quot;too &gt; big&quot;);");
+        expect(html).to.include("contracts/Sample.sol:8:");
+        expect(html.match(/<tr class="survived">/g)).to.have.lengthOf(3);
+    });
+});
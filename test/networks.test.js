@@ -0,0 +1,96 @@
+const { ethers } = require("hardhat");
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const chai = require("chai");
+const { expect } = chai;
+
+const { interpolate, resolveNetworks, getHardhatNetworks, getMissingVariablesMessage } = require("../lib/networks");
+const { createKeystore, loadKeystoreSigner, getKeystorePassword } = require("../lib/keystore");
+
+const declarations = {
+    ganache: { chainId: 1337, url: "${GANACHE_URL}", privateKey: "${GANACHE_KEY}" },
+    sepolia: { chainId: 11155111, url: "${SEPOLIA_URL}", keystore: "${SEPOLIA_KEYSTORE}" }
+};
+
+// Default Hardhat account #1, public test key
+const privateKey = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+// Low scrypt cost so the tests do not spend seconds deriving keys
+const fastScrypt = { scrypt: { N: 1024 } };
+
+describe("Network config tests", () => {
+    it("Interpolates variables and reports the missing ones", () => {
+        expect(interpolate("https://node/${KEY}", { KEY: "abc" })).to.be.deep.equals({ value: "https://node/abc", missing: [] });
+        expect(interpolate("${A}/${B}", { A: "x", B: "  " }).missing).to.be.deep.equals(["B"]);
+        expect(interpolate(1337, {})).to.be.deep.equals({ value: 1337, missing: [] });
+    });
+
+    it("Enables only the networks whose variables are set", () => {
+        const { networks, disabled } = resolveNetworks(declarations, { GANACHE_URL: "http://127.0.0.1:7545", GANACHE_KEY: privateKey, SEPOLIA_URL: "" });
+        expect(networks.ganache).to.be.deep.equals({ chainId: 1337, url: "http://127.0.0.1:7545", accounts: [privateKey] });
+        expect(networks.sepolia).to.be.undefined;
+        expect(disabled).to.be.deep.equals({ sepolia: ["SEPOLIA_URL", "SEPOLIA_KEYSTORE"] });
+    });
+
+    it("Keystore networks keep the keystore path", () => {
+        const { networks } = resolveNetworks(declarations, { SEPOLIA_URL: "https://sepolia", SEPOLIA_KEYSTORE: "/keys/deployer.json" });
+        expect(networks.sepolia).to.be.deep.equals({ chainId: 11155111, url: "https://sepolia", keystore: "/keys/deployer.json" });
+    });
+
+    it("Rejects invalid declarations", () => {
+        expect(() => resolveNetworks({ broken: { chainId: 1 } }, {})).to.throw("Network broken of the networks config has no url");
+        expect(() => resolveNetworks({ both: { url: "http://x", privateKey: "0x1", keystore: "k.json" } }, {})).to.throw("sets both privateKey and keystore");
+    });
+
+    it("Declares disabled networks with their missing variables", () => {
+        const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "networks-")), "networks.config.json");
+        fs.writeFileSync(configPath, JSON.stringify(declarations));
+        try {
+            const networks = getHardhatNetworks({}, configPath);
+            expect(networks.ganache.missingVariables).to.be.deep.equals(["GANACHE_URL", "GANACHE_KEY"]);
+            expect(getMissingVariablesMessage("ganache", networks.ganache.missingVariables))
+                .to.be.equals("Network ganache is disabled, set these variables in .env or in the environment: GANACHE_URL, GANACHE_KEY");
+        } finally {
+            fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
+        }
+    });
+});
+
+describe("Keystore tests", () => {
+    let keystorePath;
+
+    before(async () => {
+        keystorePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "keystore-")), "deployer.json");
+        const { json } = await createKeystore(privateKey, "secret", fastScrypt);
+        fs.writeFileSync(keystorePath, json);
+    });
+
+    after(() => {
+        fs.rmSync(path.dirname(keystorePath), { recursive: true, force: true });
+    });
+
+    it("Signs transactions with the decrypted keystore", async () => {
+        const signer = await loadKeystoreSigner(keystorePath, ethers.provider, "secret");
+        const [account0, account1] = await ethers.getSigners();
+        expect(signer.address).to.be.equals(account1.address);
+
+        const contractFactory = await ethers.getContractFactory("contracts/ERC20.sol:ERC20", signer);
+        const contractInstance = await contractFactory.deploy("MyERC-20_Token", "PCIB", 0, ethers.utils.parseEther("1"));
+        expect(await contractInstance.owner()).to.be.equals(account1.address);
+        expect(await contractInstance.owner()).to.not.be.equals(account0.address);
+    });
+
+    it("Fails with a clear message on a wrong password or a missing file", async () => {
+        const wrongPassword = await loadKeystoreSigner(keystorePath, ethers.provider, "wrong").catch(error => error);
+        expect(wrongPassword.message).to.be.equals(`Cannot decrypt keystore ${keystorePath}: invalid password`);
+
+        const missingFile = await loadKeystoreSigner(`${keystorePath}.missing`, ethers.provider, "secret").catch(error => error);
+        expect(missingFile.message).to.match(/^Keystore file not found/);
+    });
+
+    it("Reads the password from KEYSTORE_PASSWORD before prompting", async () => {
+        expect(await getKeystorePassword({ KEYSTORE_PASSWORD: "secret" }, () => "prompted")).to.be.equals("secret");
+        expect(await getKeystorePassword({}, () => "prompted")).to.be.equals("prompted");
+    });
+});
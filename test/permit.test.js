@@ -0,0 +1,115 @@
+const { ethers } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("./helpers/revert");
+chai.use(solidity);
+chai.use(revertedWithMessage);
+const { expect } = chai;
+
+const { getPermitDomain, signPermit } = require("../lib/permit");
+const { TokenClient } = require("../lib/token-client");
+const { ExpiredDeadlineError, InvalidSignatureError } = require("../lib/errors");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const zeroAddress = ethers.constants.AddressZero;
+
+// Constructor parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+const price = ethers.utils.parseEther("1");
+
+describe("Permit tests", () => {
+    let signer, account1, account2;
+    let contractInstance;
+
+    const getDeadline = async (offset = 3600) => (await ethers.provider.getBlock("latest")).timestamp + offset;
+
+    beforeEach(async () => {
+        [signer, account1, account2] = await ethers.getSigners();
+
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        contractInstance = await contractFactory.deploy(name, symbol, maxSupply, price);
+        await contractInstance.mint(signer.address, { value: ethers.utils.parseEther("10") });
+    });
+
+    it("Domain separator follows EIP-712", async () => {
+        const domain = await getPermitDomain(contractInstance);
+        expect(await contractInstance.DOMAIN_SEPARATOR()).to.be.equals(ethers.utils._TypedDataEncoder.hashDomain(domain));
+    });
+
+    it("Permit successful", async () => {
+        const value = ethers.utils.parseEther("3");
+        const permit = await signPermit(signer, contractInstance, { spender: account1.address, value, deadline: await getDeadline() });
+
+        // Relayed by the spender, the owner sends no transaction
+        const tx = contractInstance.connect(account1).permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+        await expect(tx).to.emit(contractInstance, "Approval").withArgs(signer.address, account1.address, value);
+
+        expect(await contractInstance.allowance(signer.address, account1.address)).to.be.equals(value);
+        expect(await contractInstance.nonces(signer.address)).to.be.equals(1);
+
+        await contractInstance.connect(account1).transferFrom(signer.address, account2.address, value);
+        expect(await contractInstance.balanceOf(account2.address)).to.be.equals(value);
+    });
+
+    it("Permit overwrites a non-zero allowance", async () => {
+        await contractInstance.approve(account1.address, ethers.utils.parseEther("1"));
+        const permit = await signPermit(signer, contractInstance, { spender: account1.address, value: 5, deadline: await getDeadline() });
+        await contractInstance.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+        expect(await contractInstance.allowance(signer.address, account1.address)).to.be.equals(5);
+    });
+
+    it("Try expired deadline", async () => {
+        const permit = await signPermit(signer, contractInstance, { spender: account1.address, value: 1, deadline: await getDeadline(-1) });
+        await expect(contractInstance.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s))
+            .to.be.revertedWithMessage("permit - Expired deadline");
+    });
+
+    it("Try replayed nonce", async () => {
+        const permit = await signPermit(signer, contractInstance, { spender: account1.address, value: 1, deadline: await getDeadline() });
+        await contractInstance.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+        await expect(contractInstance.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s))
+            .to.be.revertedWithMessage("permit - Invalid signature");
+    });
+
+    it("Try signature of a future nonce", async () => {
+        const permit = await signPermit(signer, contractInstance, { spender: account1.address, value: 1, deadline: await getDeadline(), nonce: 1 });
+        await expect(contractInstance.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s))
+            .to.be.revertedWithMessage("permit - Invalid signature");
+    });
+
+    it("Try wrong signer", async () => {
+        const permit = await signPermit(account2, contractInstance, { spender: account1.address, value: 1, deadline: await getDeadline() });
+        await expect(contractInstance.permit(signer.address, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s))
+            .to.be.revertedWithMessage("permit - Invalid signature");
+    });
+
+    it("Try tampered value", async () => {
+        const permit = await signPermit(signer, contractInstance, { spender: account1.address, value: 1, deadline: await getDeadline() });
+        await expect(contractInstance.permit(permit.owner, permit.spender, 2, permit.deadline, permit.v, permit.r, permit.s))
+            .to.be.revertedWithMessage("permit - Invalid signature");
+    });
+
+    it("Try zero address owner and spender", async () => {
+        const permit = await signPermit(signer, contractInstance, { spender: account1.address, value: 1, deadline: await getDeadline() });
+        await expect(contractInstance.permit(zeroAddress, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s))
+            .to.be.revertedWithMessage("permit - Invalid parameter: _owner");
+        await expect(contractInstance.permit(permit.owner, zeroAddress, permit.value, permit.deadline, permit.v, permit.r, permit.s))
+            .to.be.revertedWithMessage("permit - Invalid parameter: _spender");
+    });
+
+    it("Client surfaces permit errors as typed errors", async () => {
+        const client = TokenClient.attach(contractInstance.address, account1);
+        const expired = await signPermit(signer, contractInstance, { spender: account1.address, value: 1, deadline: await getDeadline(-1) });
+        const error = await client.permit(expired).catch(error => error);
+        expect(error).to.be.instanceOf(ExpiredDeadlineError);
+        expect(error.parameter).to.be.equals("_deadline");
+
+        const forged = await signPermit(account2, contractInstance, { spender: account1.address, value: 1, deadline: await getDeadline() });
+        const forgedError = await client.permit({ ...forged, owner: signer.address }).catch(error => error);
+        expect(forgedError).to.be.instanceOf(InvalidSignatureError);
+        expect(forgedError.method).to.be.equals("permit");
+    });
+});
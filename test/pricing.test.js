@@ -0,0 +1,195 @@
+const { ethers } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("./helpers/revert");
+chai.use(solidity);
+chai.use(revertedWithMessage);
+const { expect } = chai;
+
+const { TokenClient } = require("../lib/token-client");
+const { priceUnit, quoteMint, quoteMintCost, quoteRedeem, quoteRedeemAmount } = require("../lib/pricing");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+
+// Constructor parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+// 0.3 tokens per ether: most ether amounts leave dust
+const price = ethers.utils.parseEther("0.3");
+
+describe("Pricing tests", () => {
+    let signer, account1, account2;
+    let contractFactory, contractInstance;
+
+    beforeEach(async () => {
+        [signer, account1, account2] = await ethers.getSigners();
+
+        contractFactory = await ethers.getContractFactory(contractPath, signer);
+        contractInstance = await contractFactory.deploy(name, symbol, maxSupply, price);
+    });
+
+    describe("Prices", () => {
+        it("Constructor sets both prices and emits PricesUpdated", async () => {
+            expect(await contractInstance.mintPrice()).to.be.equals(price);
+            expect(await contractInstance.redemptionPrice()).to.be.equals(price);
+            await expect(contractInstance.deployTransaction).to.emit(contractInstance, "PricesUpdated").withArgs(price, price);
+        });
+
+        it("Try deploy with zero price", async () => {
+            await expect(contractFactory.deploy(name, symbol, maxSupply, 0)).to.be.revertedWithMessage("constructor - Invalid parameter: _price");
+        });
+
+        it("Owner sets the prices", async () => {
+            const mintPrice = ethers.utils.parseEther("2");
+            const redemptionPrice = ethers.utils.parseEther("3");
+            await expect(contractInstance.setPrices(mintPrice, redemptionPrice)).to.emit(contractInstance, "PricesUpdated").withArgs(mintPrice, redemptionPrice);
+            expect(await contractInstance.mintPrice()).to.be.equals(mintPrice);
+            expect(await contractInstance.redemptionPrice()).to.be.equals(redemptionPrice);
+        });
+
+        it("Try set prices", async () => {
+            await expect(contractInstance.connect(account1).setPrices(price, price)).to.be.revertedWithMessage("setPrices - Caller is not the owner");
+            await expect(contractInstance.setPrices(0, price)).to.be.revertedWithMessage("setPrices - Invalid parameter: _mintPrice");
+            await expect(contractInstance.setPrices(price, 0)).to.be.revertedWithMessage("setPrices - Invalid parameter: _redemptionPrice");
+        });
+    });
+
+    describe("Mint", () => {
+        it("Issues the tokens rounded down and credits the dust to the sender", async () => {
+            // 10 ether and 1 wei buy 3 tokens, which cost exactly 10 ether
+            const value = ethers.utils.parseEther("10").add(1);
+            const tx = contractInstance.mint(account1.address, { value });
+            await expect(tx).to.emit(contractInstance, "Transfer").withArgs(ethers.constants.AddressZero, account1.address, ethers.utils.parseEther("3"));
+            await expect(tx).to.emit(contractInstance, "Credited").withArgs(signer.address, 1);
+
+            expect(await contractInstance.balanceOf(account1.address)).to.be.equals(ethers.utils.parseEther("3"));
+            expect(await contractInstance.redeemable(signer.address)).to.be.equals(1);
+            expect(await contractInstance.totalRedeemable()).to.be.equals(1);
+            await expect(() => contractInstance.withdraw(account2.address)).to.changeEtherBalance(account2, 1);
+        });
+
+        it("Exact cost leaves no dust", async () => {
+            await expect(contractInstance.mint(account1.address, { value: ethers.utils.parseEther("10") })).to.not.emit(contractInstance, "Credited");
+            expect(await contractInstance.totalRedeemable()).to.be.equals(0);
+        });
+
+        it("Try mint with less ether than a token unit costs", async () => {
+            // 3 wei buy 0.9 token units
+            await expect(contractInstance.mint(account1.address, { value: 3 })).to.be.revertedWithMessage("mint - Invalid ether amount");
+            await contractInstance.mint(account1.address, { value: 4 });
+            expect(await contractInstance.balanceOf(account1.address)).to.be.equals(1);
+            // 4 wei for 1 unit: the unit costs 4 wei rounded up, no dust
+            expect(await contractInstance.redeemable(signer.address)).to.be.equals(0);
+        });
+
+        it("Maximum supply applies to the tokens issued, not to the ether sent", async () => {
+            // 800 tokens cost 2666.67 ether, far above the maximum supply in token units
+            const cost = quoteMintCost(maxSupply, price);
+            await contractInstance.mint(account1.address, { value: cost });
+            expect(await contractInstance.totalSupply()).to.be.equals(maxSupply);
+            await expect(contractInstance.mint(account1.address, { value: 4 })).to.be.revertedWithMessage("mint - Total supply exceeds maximum supply");
+        });
+
+        it("Mint reaches the maximum supply to the token unit above one unit per wei", async () => {
+            // At 3 units per wei the supply moves in steps of 3 units, 800 tokens is not a multiple
+            await contractInstance.setPrices(ethers.utils.parseEther("3"), price);
+            const value = maxSupply.div(3);
+            await contractInstance.mint(account1.address, { value });
+            expect(await contractInstance.totalSupply()).to.be.equals(maxSupply.sub(2));
+            await expect(contractInstance.mint(account1.address, { value: 1 })).to.be.revertedWithMessage("mint - Total supply exceeds maximum supply");
+        });
+    });
+
+    describe("Redemption", () => {
+        beforeEach(async () => {
+            await contractInstance.mint(account1.address, { value: ethers.utils.parseEther("20") });
+        });
+
+        it("Burn and redeem pay the ether rounded down", async () => {
+            // 1 token at 0.3 tokens per ether pays 3.33 ether
+            const payment = quoteRedeem(ethers.utils.parseEther("1"), price);
+            expect(payment).to.be.equals("3333333333333333333");
+            await expect(() => contractInstance.connect(account1).burn(account1.address, ethers.utils.parseEther("1"))).to.changeEtherBalance(account1, payment);
+            await expect(contractInstance.connect(account1).redeem(account1.address, ethers.utils.parseEther("1")))
+                .to.emit(contractInstance, "Credited").withArgs(account1.address, payment);
+            expect(await contractInstance.totalRedeemable()).to.be.equals(payment);
+        });
+
+        it("Try redeem less tokens than a wei is worth", async () => {
+            await contractInstance.setPrices(price, ethers.utils.parseEther("3"));
+            // 2 units at 3 units per wei pay 0.67 wei
+            await expect(contractInstance.connect(account1).redeem(account1.address, 2)).to.be.revertedWithMessage("redeem - Invalid parameter: _value");
+            await expect(contractInstance.connect(account1).burn(account1.address, 2)).to.be.revertedWithMessage("burn - Invalid parameter: _value");
+            await contractInstance.connect(account1).redeem(account1.address, 5);
+            expect(await contractInstance.redeemable(account1.address)).to.be.equals(1);
+        });
+
+        it("Redemptions cannot use the ether owed to others", async () => {
+            // Redeeming pays twice the ether the tokens were minted for
+            await contractInstance.setPrices(price, price.div(2));
+            await contractInstance.connect(account1).redeem(account1.address, ethers.utils.parseEther("3"));
+            expect(await contractInstance.redeemable(account1.address)).to.be.equals(ethers.utils.parseEther("20"));
+            // The 20 ether held are owed to account1 until withdrawn
+            await expect(contractInstance.connect(account1).burn(account1.address, 1)).to.be.revertedWithMessage("burn - Insufficient reserve");
+            await expect(contractInstance.connect(account1).redeem(account1.address, 1)).to.be.revertedWithMessage("redeem - Insufficient reserve");
+            await expect(() => contractInstance.connect(account1).withdraw(account1.address)).to.changeEtherBalance(account1, ethers.utils.parseEther("20"));
+            expect(await contractInstance.totalRedeemable()).to.be.equals(0);
+        });
+    });
+
+    describe("Quotes", () => {
+        it("Quotes match the contract from one unit per ether to 10^18 units per wei", async () => {
+            const prices = ["1", "3", price, priceUnit.sub(1), priceUnit, priceUnit.mul(7).div(3), priceUnit.mul(priceUnit)];
+            const values = [1, 7, ethers.utils.parseEther("1"), ethers.utils.parseEther("1").sub(1), ethers.utils.parseEther("123.456789")];
+            const unlimitedInstance = await contractFactory.deploy(name, symbol, 0, price);
+            for (const mintPrice of prices) {
+                await unlimitedInstance.setPrices(mintPrice, mintPrice);
+                for (const value of values) {
+                    const quote = quoteMint(value, mintPrice);
+                    const context = `${value} wei at ${mintPrice}`;
+                    if (quote.tokens.isZero()) {
+                        await expect(unlimitedInstance.mint(account1.address, { value }), context).to.be.revertedWithMessage("mint - Invalid ether amount");
+                        continue;
+                    }
+                    const balance = await unlimitedInstance.balanceOf(account1.address);
+                    const credited = await unlimitedInstance.redeemable(signer.address);
+                    await unlimitedInstance.mint(account1.address, { value });
+                    expect(await unlimitedInstance.balanceOf(account1.address), context).to.be.equals(balance.add(quote.tokens));
+                    expect(await unlimitedInstance.redeemable(signer.address), context).to.be.equals(credited.add(quote.dust));
+                    expect(quote.cost.add(quote.dust), context).to.be.equals(value);
+                    // Minting the quoted cost issues at least the quoted tokens without dust
+                    expect(quoteMint(quoteMintCost(quote.tokens, mintPrice), mintPrice).dust, context).to.be.equals(0);
+
+                    const payment = quoteRedeem(quote.tokens, mintPrice);
+                    expect(payment.lte(quote.cost), `${context}: redemption pays at most the cost`).to.be.equals(true);
+                    if (!payment.isZero()) {
+                        expect(quoteRedeem(quoteRedeemAmount(payment, mintPrice), mintPrice).gte(payment), context).to.be.equals(true);
+                        const redeemed = await unlimitedInstance.redeemable(account1.address);
+                        await unlimitedInstance.connect(account1).redeem(account1.address, quote.tokens);
+                        expect(await unlimitedInstance.redeemable(account1.address), context).to.be.equals(redeemed.add(payment));
+                    }
+                }
+            }
+        });
+
+        it("TokenClient quotes and mints at the current prices", async () => {
+            const client = TokenClient.attach(contractInstance.address, signer);
+            expect(await client.mintPrice()).to.be.equals(price);
+
+            const quote = await client.quoteMint("10.000000000000000001");
+            expect(quote.tokens).to.be.equals(ethers.utils.parseEther("3"));
+            expect(quote.dust).to.be.equals(1);
+            expect(await client.quoteMintCost("3")).to.be.equals(ethers.utils.parseEther("10"));
+
+            const receipt = await client.mint(account1.address, "1.5");
+            expect(receipt.events.map(event => event.name)).to.be.deep.equals(["Transfer"]);
+            expect(await client.balanceOf(account1.address)).to.be.equals(ethers.utils.parseEther("1.5"));
+
+            await client.setPrices("2", "4");
+            expect(await client.redemptionPrice()).to.be.equals(ethers.utils.parseEther("4"));
+            expect(await client.quoteRedeem("1")).to.be.equals(ethers.utils.parseEther("0.25"));
+        });
+    });
+});
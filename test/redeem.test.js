@@ -0,0 +1,132 @@
+const { ethers } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("./helpers/revert");
+chai.use(solidity);
+chai.use(revertedWithMessage);
+const { expect } = chai;
+
+const { decodeCustomError } = require("../lib/errors");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const mocksPath = "contracts/mocks/ReceiverMocks.sol";
+
+// Constructor parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+const price = ethers.utils.parseEther("1");
+
+const value = ethers.utils.parseEther("4");
+
+describe("Redemption tests", () => {
+    let signer, account1, account2;
+    let contractInstance;
+
+    beforeEach(async () => {
+        [signer, account1, account2] = await ethers.getSigners();
+
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        contractInstance = await contractFactory.deploy(name, symbol, maxSupply, price);
+        await contractInstance.mint(account1.address, { value: ethers.utils.parseEther("10") });
+    });
+
+    async function deployReceiver(mockName) {
+        const mockFactory = await ethers.getContractFactory(`${mocksPath}:${mockName}`, signer);
+        const receiver = await mockFactory.deploy(contractInstance.address);
+        await contractInstance.mint(receiver.address, { value: ethers.utils.parseEther("10") });
+        return receiver;
+    }
+
+    describe("Redeem", () => {
+        it("Redeem burns the tokens and credits the ether", async () => {
+            const tx = contractInstance.connect(account1).redeem(account1.address, value);
+            await expect(tx).to.emit(contractInstance, "Burn").withArgs(account1.address, account1.address, value);
+            await expect(tx).to.emit(contractInstance, "Credited").withArgs(account1.address, value);
+            await expect(() => tx).to.changeEtherBalance(account1, 0);
+
+            expect(await contractInstance.balanceOf(account1.address)).to.be.equals(ethers.utils.parseEther("6"));
+            expect(await contractInstance.totalSupply()).to.be.equals(ethers.utils.parseEther("6"));
+            expect(await contractInstance.redeemable(account1.address)).to.be.equals(value);
+            // The contract still holds the credited ether
+            expect(await ethers.provider.getBalance(contractInstance.address)).to.be.equals(ethers.utils.parseEther("10"));
+        });
+
+        it("Third party redeem spends the allowance and credits the sender", async () => {
+            await contractInstance.connect(account1).approve(account2.address, value);
+            await expect(contractInstance.connect(account2).redeem(account1.address, value))
+                .to.emit(contractInstance, "Credited").withArgs(account2.address, value);
+            expect(await contractInstance.allowance(account1.address, account2.address)).to.be.equals(0);
+            expect(await contractInstance.redeemable(account2.address)).to.be.equals(value);
+            expect(await contractInstance.redeemable(account1.address)).to.be.equals(0);
+        });
+
+        it("Try redeem with the burn checks", async () => {
+            await expect(contractInstance.connect(account1).redeem(account1.address, ethers.utils.parseEther("11"))).to.be.revertedWithMessage("redeem - Insufficient balance");
+            await expect(contractInstance.connect(account2).redeem(account1.address, value)).to.be.revertedWithMessage("redeem - Insufficent allowance");
+            await expect(contractInstance.connect(account1).redeem(account1.address, 0)).to.be.revertedWithMessage("redeem - Invalid parameter: _value");
+            await contractInstance.pause();
+            await expect(contractInstance.connect(account1).redeem(account1.address, value)).to.be.revertedWithMessage("redeem - Contract is paused");
+        });
+    });
+
+    describe("Withdraw", () => {
+        it("Withdraw sends the credited ether to the chosen recipient", async () => {
+            await contractInstance.connect(account1).redeem(account1.address, value);
+            const tx = contractInstance.connect(account1).withdraw(account2.address);
+            await expect(tx).to.emit(contractInstance, "Withdrawn").withArgs(account1.address, account2.address, value);
+            await expect(() => tx).to.changeEtherBalances([contractInstance, account2], [value.mul(-1), value]);
+            expect(await contractInstance.redeemable(account1.address)).to.be.equals(0);
+        });
+
+        it("Withdraw is allowed while paused", async () => {
+            await contractInstance.connect(account1).redeem(account1.address, value);
+            await contractInstance.pause();
+            await expect(() => contractInstance.connect(account1).withdraw(account1.address)).to.changeEtherBalance(account1, value);
+        });
+
+        it("Try withdraw without credit or to zero address", async () => {
+            await expect(contractInstance.connect(account1).withdraw(account1.address)).to.be.revertedWithMessage("withdraw - Nothing to withdraw");
+            await contractInstance.connect(account1).redeem(account1.address, value);
+            await expect(contractInstance.connect(account1).withdraw(ethers.constants.AddressZero)).to.be.revertedWithMessage("withdraw - Invalid parameter: _recipient");
+            await contractInstance.connect(account1).withdraw(account1.address);
+            await expect(contractInstance.connect(account1).withdraw(account1.address)).to.be.revertedWithMessage("withdraw - Nothing to withdraw");
+        });
+    });
+
+    describe("Contract accounts", () => {
+        it("Gas consuming wallet cannot burn but can redeem and withdraw", async () => {
+            const wallet = await deployReceiver("GasConsumingReceiverMock");
+            // `transfer` forwards 2300 gas, not enough for the `receive` of the wallet
+            await expect(wallet.burn(value)).to.be.reverted;
+
+            await wallet.redeem(value);
+            await expect(() => wallet.withdraw(wallet.address)).to.changeEtherBalance(wallet, value);
+            expect(await wallet.received()).to.be.equals(value);
+            expect(await wallet.deposits()).to.be.equals(1);
+            expect(await contractInstance.balanceOf(wallet.address)).to.be.equals(ethers.utils.parseEther("6"));
+        });
+
+        it("Reverting wallet keeps its credit and withdraws to another recipient", async () => {
+            const wallet = await deployReceiver("RevertingReceiverMock");
+            await wallet.redeem(value);
+            await expect(wallet.withdraw(wallet.address)).to.be.revertedWithMessage("withdraw - Ether transfer failed");
+            expect(await contractInstance.redeemable(wallet.address)).to.be.equals(value);
+
+            await expect(() => wallet.withdraw(account2.address)).to.changeEtherBalance(account2, value);
+            expect(await contractInstance.redeemable(wallet.address)).to.be.equals(0);
+        });
+
+        it("Reentrant withdraw is rejected", async () => {
+            const wallet = await deployReceiver("ReentrantReceiverMock");
+            await wallet.redeem(value);
+            await expect(() => wallet.withdraw(wallet.address)).to.changeEtherBalance(wallet, value);
+
+            expect(await wallet.reentered()).to.be.equals(true);
+            expect(decodeCustomError(await wallet.reentryError()).message).to.be.equals("withdraw - Reentrant call");
+            expect(await contractInstance.redeemable(wallet.address)).to.be.equals(0);
+            expect(await ethers.provider.getBalance(contractInstance.address)).to.be.equals(await contractInstance.totalSupply());
+        });
+    });
+});
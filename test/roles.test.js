@@ -0,0 +1,220 @@
+const { ethers } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("./helpers/revert");
+chai.use(solidity);
+chai.use(revertedWithMessage);
+const { expect } = chai;
+
+const { TokenClient, roles } = require("../lib/token-client");
+const { NotOwnerError, MissingRoleError, ContractPausedError, ContractNotPausedError } = require("../lib/errors");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const zeroAddress = ethers.constants.AddressZero;
+
+// Constructor parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+const price = ethers.utils.parseEther("1");
+
+describe("Roles and pause tests", () => {
+    let signer, account1, account2;
+    let contractInstance;
+    let PAUSER_ROLE, MINTER_ROLE;
+
+    beforeEach(async () => {
+        [signer, account1, account2] = await ethers.getSigners();
+
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        contractInstance = await contractFactory.deploy(name, symbol, maxSupply, price);
+        await contractInstance.mint(signer.address, { value: ethers.utils.parseEther("10") });
+        PAUSER_ROLE = await contractInstance.PAUSER_ROLE();
+        MINTER_ROLE = await contractInstance.MINTER_ROLE();
+    });
+
+    describe("Deploy", () => {
+        it("Deployer is the owner, pauser, minter and snapshot taker", async () => {
+            expect(await contractInstance.owner()).to.be.equals(signer.address);
+            expect(await contractInstance.pendingOwner()).to.be.equals(zeroAddress);
+            expect(await contractInstance.paused()).to.be.equals(false);
+            expect(await contractInstance.hasRole(PAUSER_ROLE, signer.address)).to.be.equals(true);
+            expect(await contractInstance.hasRole(MINTER_ROLE, signer.address)).to.be.equals(true);
+            expect(await contractInstance.hasRole(roles.snapshot, signer.address)).to.be.equals(true);
+            expect(PAUSER_ROLE).to.be.equals(roles.pauser);
+            expect(MINTER_ROLE).to.be.equals(roles.minter);
+            expect(await contractInstance.SNAPSHOT_ROLE()).to.be.equals(roles.snapshot);
+        });
+
+        it("Deploy emits the ownership and role events", async () => {
+            const deployTx = contractInstance.deployTransaction;
+            await expect(deployTx).to.emit(contractInstance, "OwnershipTransferred").withArgs(zeroAddress, signer.address);
+            await expect(deployTx).to.emit(contractInstance, "RoleGranted").withArgs(MINTER_ROLE, signer.address, signer.address);
+        });
+    });
+
+    describe("Role administration", () => {
+        it("Owner grants a role", async () => {
+            await expect(contractInstance.grantRole(MINTER_ROLE, account1.address))
+                .to.emit(contractInstance, "RoleGranted").withArgs(MINTER_ROLE, account1.address, signer.address);
+            expect(await contractInstance.hasRole(MINTER_ROLE, account1.address)).to.be.equals(true);
+        });
+
+        it("Granting a role twice does not emit", async () => {
+            await expect(contractInstance.grantRole(MINTER_ROLE, signer.address)).to.not.emit(contractInstance, "RoleGranted");
+        });
+
+        it("Try grant to zero address", async () => {
+            await expect(contractInstance.grantRole(MINTER_ROLE, zeroAddress)).to.be.revertedWithMessage("grantRole - Invalid parameter: _account");
+        });
+
+        it("Try grant a role from a non owner account", async () => {
+            await expect(contractInstance.connect(account1).grantRole(MINTER_ROLE, account1.address)).to.be.revertedWithMessage("grantRole - Caller is not the owner");
+        });
+
+        it("Owner revokes a role", async () => {
+            await contractInstance.grantRole(PAUSER_ROLE, account1.address);
+            await expect(contractInstance.revokeRole(PAUSER_ROLE, account1.address))
+                .to.emit(contractInstance, "RoleRevoked").withArgs(PAUSER_ROLE, account1.address, signer.address);
+            expect(await contractInstance.hasRole(PAUSER_ROLE, account1.address)).to.be.equals(false);
+        });
+
+        it("Try revoke a role from a non owner account", async () => {
+            await expect(contractInstance.connect(account1).revokeRole(PAUSER_ROLE, signer.address)).to.be.revertedWithMessage("revokeRole - Caller is not the owner");
+        });
+
+        it("Account renounces its role", async () => {
+            await contractInstance.grantRole(PAUSER_ROLE, account1.address);
+            await expect(contractInstance.connect(account1).renounceRole(PAUSER_ROLE))
+                .to.emit(contractInstance, "RoleRevoked").withArgs(PAUSER_ROLE, account1.address, account1.address);
+            expect(await contractInstance.hasRole(PAUSER_ROLE, account1.address)).to.be.equals(false);
+        });
+    });
+
+    describe("Two-step ownership transfer", () => {
+        it("Ownership changes only when the pending owner accepts", async () => {
+            await expect(contractInstance.transferOwnership(account1.address))
+                .to.emit(contractInstance, "OwnershipTransferStarted").withArgs(signer.address, account1.address);
+            expect(await contractInstance.owner()).to.be.equals(signer.address);
+            expect(await contractInstance.pendingOwner()).to.be.equals(account1.address);
+
+            await expect(contractInstance.connect(account1).acceptOwnership())
+                .to.emit(contractInstance, "OwnershipTransferred").withArgs(signer.address, account1.address);
+            expect(await contractInstance.owner()).to.be.equals(account1.address);
+            expect(await contractInstance.pendingOwner()).to.be.equals(zeroAddress);
+
+            await expect(contractInstance.grantRole(MINTER_ROLE, account2.address)).to.be.revertedWithMessage("grantRole - Caller is not the owner");
+            await contractInstance.connect(account1).grantRole(MINTER_ROLE, account2.address);
+            expect(await contractInstance.hasRole(MINTER_ROLE, account2.address)).to.be.equals(true);
+        });
+
+        it("Try transfer ownership from a non owner account", async () => {
+            await expect(contractInstance.connect(account1).transferOwnership(account1.address)).to.be.revertedWithMessage("transferOwnership - Caller is not the owner");
+        });
+
+        it("Try accept from an account that is not the pending owner", async () => {
+            await contractInstance.transferOwnership(account1.address);
+            await expect(contractInstance.connect(account2).acceptOwnership()).to.be.revertedWithMessage("acceptOwnership - Caller is not the pending owner");
+        });
+
+        it("Transfer to zero address cancels the pending transfer", async () => {
+            await contractInstance.transferOwnership(account1.address);
+            await contractInstance.transferOwnership(zeroAddress);
+            await expect(contractInstance.connect(account1).acceptOwnership()).to.be.revertedWithMessage("acceptOwnership - Caller is not the pending owner");
+        });
+    });
+
+    describe("Mint role", () => {
+        it("Try mint without minter role", async () => {
+            await expect(contractInstance.connect(account1).mint(account1.address, { value: 1 })).to.be.revertedWithMessage("mint - Missing role");
+        });
+
+        it("Granted minter can mint", async () => {
+            await contractInstance.grantRole(MINTER_ROLE, account1.address);
+            await expect(contractInstance.connect(account1).mint(account1.address, { value: 5 }))
+                .to.emit(contractInstance, "Transfer").withArgs(zeroAddress, account1.address, 5);
+        });
+
+        it("Revoked minter cannot mint", async () => {
+            await contractInstance.revokeRole(MINTER_ROLE, signer.address);
+            await expect(contractInstance.mint(signer.address, { value: 1 })).to.be.revertedWithMessage("mint - Missing role");
+        });
+    });
+
+    describe("Pause", () => {
+        it("Try pause without pauser role", async () => {
+            await expect(contractInstance.connect(account1).pause()).to.be.revertedWithMessage("pause - Missing role");
+        });
+
+        it("Pauser pauses and unpauses", async () => {
+            await expect(contractInstance.pause()).to.emit(contractInstance, "Paused").withArgs(signer.address);
+            expect(await contractInstance.paused()).to.be.equals(true);
+            await expect(contractInstance.unpause()).to.emit(contractInstance, "Unpaused").withArgs(signer.address);
+            expect(await contractInstance.paused()).to.be.equals(false);
+        });
+
+        it("Try pause twice", async () => {
+            await contractInstance.pause();
+            await expect(contractInstance.pause()).to.be.revertedWithMessage("pause - Contract is paused");
+        });
+
+        it("Try unpause when not paused", async () => {
+            await expect(contractInstance.unpause()).to.be.revertedWithMessage("unpause - Contract is not paused");
+        });
+
+        it("Try unpause without pauser role", async () => {
+            await contractInstance.pause();
+            await expect(contractInstance.connect(account1).unpause()).to.be.revertedWithMessage("unpause - Missing role");
+        });
+
+        it("Paused contract blocks transfer, transferFrom, mint and burn", async () => {
+            await contractInstance.approve(account1.address, ethers.utils.parseEther("5"));
+            await contractInstance.pause();
+
+            const amount = ethers.utils.parseEther("1");
+            await expect(contractInstance.transfer(account1.address, amount)).to.be.revertedWithMessage("transfer - Contract is paused");
+            await expect(contractInstance.connect(account1).transferFrom(signer.address, account2.address, amount)).to.be.revertedWithMessage("transferFrom - Contract is paused");
+            await expect(contractInstance.mint(signer.address, { value: amount })).to.be.revertedWithMessage("mint - Contract is paused");
+            await expect(contractInstance.burn(signer.address, amount)).to.be.revertedWithMessage("burn - Contract is paused");
+
+            await contractInstance.unpause();
+            await expect(contractInstance.transfer(account1.address, amount)).to.emit(contractInstance, "Transfer");
+        });
+
+        it("Paused contract still accepts approvals", async () => {
+            await contractInstance.pause();
+            await expect(contractInstance.approve(account1.address, 1)).to.emit(contractInstance, "Approval");
+        });
+    });
+
+    describe("Client", () => {
+        it("Client administers roles by name", async () => {
+            const client = TokenClient.attach(contractInstance.address, signer);
+            await client.grantRole("pauser", account1.address);
+            expect(await client.hasRole("pauser", account1.address)).to.be.equals(true);
+
+            await client.connect(account1).pause();
+            expect(await client.paused()).to.be.equals(true);
+        });
+
+        it("Client surfaces role errors as typed errors", async () => {
+            const client = TokenClient.attach(contractInstance.address, account1);
+            expect(await client.grantRole("minter", account1.address).catch(error => error)).to.be.instanceOf(NotOwnerError);
+            expect(await client.acceptOwnership().catch(error => error)).to.be.instanceOf(NotOwnerError);
+            expect(await client.pause().catch(error => error)).to.be.instanceOf(MissingRoleError);
+            expect(await client.connect(signer).unpause().catch(error => error)).to.be.instanceOf(ContractNotPausedError);
+
+            await client.connect(signer).pause();
+            const error = await client.connect(signer).transfer(account1.address, "1").catch(error => error);
+            expect(error).to.be.instanceOf(ContractPausedError);
+            expect(error.method).to.be.equals("transfer");
+        });
+
+        it("Client rejects unknown role names", async () => {
+            const client = TokenClient.attach(contractInstance.address, signer);
+            const error = await client.grantRole("burner", account1.address).catch(error => error);
+            expect(error.message).to.match(/Unknown role "burner"/);
+        });
+    });
+});
@@ -0,0 +1,147 @@
+const { ethers } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("./helpers/revert");
+chai.use(solidity);
+chai.use(revertedWithMessage);
+const { expect } = chai;
+
+const { roles } = require("../lib/token-client");
+const { getHolderBalances } = require("../lib/holders");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+
+// Constructor parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+const price = ethers.utils.parseEther("1");
+
+const amount = (value) => ethers.utils.parseEther(String(value));
+
+describe("Balance snapshot tests", () => {
+    let signer, account1, account2, account3;
+    let contractInstance;
+
+    beforeEach(async () => {
+        [signer, account1, account2, account3] = await ethers.getSigners();
+
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        contractInstance = await contractFactory.deploy(name, symbol, maxSupply, price);
+        await contractInstance.mint(account1.address, { value: amount(10) });
+    });
+
+    describe("Snapshot", () => {
+        it("Snapshot emits the new id", async () => {
+            expect(await contractInstance.currentSnapshotId()).to.be.equals(0);
+            expect(await contractInstance.callStatic.snapshot()).to.be.equals(1);
+            await expect(contractInstance.snapshot()).to.emit(contractInstance, "Snapshot").withArgs(1);
+            await expect(contractInstance.snapshot()).to.emit(contractInstance, "Snapshot").withArgs(2);
+            expect(await contractInstance.currentSnapshotId()).to.be.equals(2);
+        });
+
+        it("Only snapshot role members take snapshots", async () => {
+            expect(await contractInstance.hasRole(roles.snapshot, signer.address)).to.be.equals(true);
+            await expect(contractInstance.connect(account1).snapshot()).to.be.revertedWithMessage("snapshot - Missing role");
+            await contractInstance.grantRole(roles.snapshot, account1.address);
+            await expect(contractInstance.connect(account1).snapshot()).to.emit(contractInstance, "Snapshot").withArgs(1);
+        });
+
+        it("Try read a snapshot not taken", async () => {
+            await expect(contractInstance.balanceOfAt(account1.address, 0)).to.be.revertedWithMessage("balanceOfAt - Invalid parameter: _snapshotId");
+            await expect(contractInstance.totalSupplyAt(1)).to.be.revertedWithMessage("totalSupplyAt - Invalid parameter: _snapshotId");
+            await contractInstance.snapshot();
+            expect(await contractInstance.totalSupplyAt(1)).to.be.equals(amount(10));
+            await expect(contractInstance.balanceOfAt(account1.address, 2)).to.be.revertedWithMessage("balanceOfAt - Invalid parameter: _snapshotId");
+        });
+    });
+
+    describe("Recorded values", () => {
+        it("Unchanged accounts read their current balance", async () => {
+            await contractInstance.snapshot();
+            expect(await contractInstance.balanceOfAt(account1.address, 1)).to.be.equals(amount(10));
+            expect(await contractInstance.balanceOfAt(account2.address, 1)).to.be.equals(0);
+        });
+
+        it("Transfer, transferFrom, mint, burn and redeem keep the snapshot values", async () => {
+            await contractInstance.snapshot();
+            await contractInstance.connect(account1).transfer(account2.address, amount(1));
+            await contractInstance.connect(account1).approve(account3.address, amount(2));
+            await contractInstance.connect(account3).transferFrom(account1.address, account3.address, amount(2));
+            await contractInstance.mint(account2.address, { value: amount(5) });
+            await contractInstance.connect(account1).burn(account1.address, amount(1));
+            await contractInstance.connect(account2).redeem(account2.address, amount(3));
+
+            expect(await contractInstance.balanceOfAt(account1.address, 1)).to.be.equals(amount(10));
+            expect(await contractInstance.balanceOfAt(account2.address, 1)).to.be.equals(0);
+            expect(await contractInstance.balanceOfAt(account3.address, 1)).to.be.equals(0);
+            expect(await contractInstance.totalSupplyAt(1)).to.be.equals(amount(10));
+
+            expect(await contractInstance.balanceOf(account1.address)).to.be.equals(amount(6));
+            expect(await contractInstance.balanceOf(account2.address)).to.be.equals(amount(3));
+            expect(await contractInstance.totalSupply()).to.be.equals(amount(11));
+        });
+
+        it("Consecutive snapshots without changes share the value", async () => {
+            await contractInstance.snapshot();
+            await contractInstance.connect(account1).transfer(account2.address, amount(4));
+            await contractInstance.snapshot();
+            await contractInstance.snapshot();
+            await contractInstance.snapshot();
+            await contractInstance.connect(account1).transfer(account2.address, amount(1));
+
+            expect(await contractInstance.balanceOfAt(account1.address, 1)).to.be.equals(amount(10));
+            for (const id of [2, 3, 4]) {
+                expect(await contractInstance.balanceOfAt(account1.address, id)).to.be.equals(amount(6));
+                expect(await contractInstance.balanceOfAt(account2.address, id)).to.be.equals(amount(4));
+            }
+            expect(await contractInstance.balanceOf(account1.address)).to.be.equals(amount(5));
+        });
+
+        it("Every snapshot matches the balances when it was taken", async () => {
+            const accounts = [account1, account2, account3];
+            const expected = [];
+            const operations = [
+                () => contractInstance.connect(account1).transfer(account2.address, amount(1.5)),
+                () => contractInstance.mint(account3.address, { value: amount(2) }),
+                () => contractInstance.connect(account3).transfer(account1.address, amount(0.5)),
+                () => contractInstance.connect(account2).burn(account2.address, amount(1)),
+                () => contractInstance.connect(account1).redeem(account1.address, amount(3)),
+                () => contractInstance.connect(account3).transfer(account2.address, amount(1.5))
+            ];
+            for (const operation of operations) {
+                await contractInstance.snapshot();
+                expected.push({
+                    balances: await Promise.all(accounts.map(account => contractInstance.balanceOf(account.address))),
+                    totalSupply: await contractInstance.totalSupply()
+                });
+                await operation();
+                await operation().catch(() => {});
+            }
+
+            for (const [index, { balances, totalSupply }] of expected.entries()) {
+                const id = index + 1;
+                for (const [accountIndex, account] of accounts.entries()) {
+                    expect(await contractInstance.balanceOfAt(account.address, id), `snapshot ${id}, account ${accountIndex + 1}`).to.be.equals(balances[accountIndex]);
+                }
+                expect(await contractInstance.totalSupplyAt(id), `snapshot ${id}`).to.be.equals(totalSupply);
+            }
+        });
+    });
+
+    describe("Holder export", () => {
+        it("Exports the holder balances at a snapshot", async () => {
+            await contractInstance.connect(account1).transfer(account2.address, amount(4));
+            await contractInstance.snapshot();
+            await contractInstance.connect(account2).transfer(account3.address, amount(4));
+
+            const { holders } = await getHolderBalances(contractInstance, { snapshotId: 1 });
+            const balances = Object.fromEntries(holders.map(({ account, balance }) => [account, balance.toString()]));
+            expect(balances).to.be.deep.equals({
+                [account1.address]: amount(6).toString(),
+                [account2.address]: amount(4).toString()
+            });
+        });
+    });
+});
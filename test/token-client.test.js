@@ -0,0 +1,271 @@
+const { ethers } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+chai.use(solidity);
+const { expect } = chai;
+
+const { TokenClient } = require("../lib/token-client");
+const {
+    TokenError,
+    InvalidParameterError,
+    InvalidRecipientError,
+    InsufficientBalanceError,
+    InsufficientAllowanceError,
+    InvalidEtherAmountError,
+    MaxSupplyExceededError,
+    AllowanceBelowZeroError,
+    decodeCustomError,
+    getRevertReason,
+    parseTokenError
+} = require("../lib/errors");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const zeroAddress = ethers.constants.AddressZero;
+
+// Constructor parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("100");
+const price = ethers.utils.parseEther("1");
+
+/**
+ * Await `promise` and check it rejected with a `errorClass` error for `method` and `parameter`
+ */
+async function expectTokenError(promise, errorClass, method, parameter) {
+    let thrown;
+    try {
+        await promise;
+    } catch (error) {
+        thrown = error;
+    }
+    expect(thrown, "Expected a revert").to.be.instanceOf(errorClass);
+    expect(thrown).to.be.instanceOf(TokenError);
+    expect(thrown.code).to.be.equals(errorClass.code);
+    expect(thrown.method).to.be.equals(method);
+    expect(thrown.parameter).to.be.equals(parameter);
+}
+
+describe("TokenClient tests", () => {
+    let signer, account1, account2;
+    let client, client1;
+
+    before(async () => {
+        [signer, account1, account2] = await ethers.getSigners();
+
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        const contractInstance = await contractFactory.deploy(name, symbol, maxSupply, price);
+        client = TokenClient.attach(contractInstance.address, signer);
+        client1 = client.connect(account1);
+    });
+
+    describe("Read helpers", () => {
+        it("Info returns the constructor parameters", async () => {
+            const info = await client.info();
+            expect(info.address).to.be.equals(client.address);
+            expect(info.name).to.be.equals(name);
+            expect(info.symbol).to.be.equals(symbol);
+            expect(info.decimals).to.be.equals(18);
+            expect(info.totalSupply).to.be.equals(0);
+            expect(info.maxSupply).to.be.equals(maxSupply);
+        });
+
+        it("Amounts are converted with decimals", async () => {
+            expect(await client.parseAmount("1.5")).to.be.equals(ethers.utils.parseEther("1.5"));
+            expect(await client.parseAmount(ethers.BigNumber.from(7))).to.be.equals(7);
+            expect(await client.formatAmount(ethers.utils.parseEther("2.25"))).to.be.equals("2.25");
+        });
+    });
+
+    describe("Write helpers", () => {
+        it("Mint returns the parsed receipt", async () => {
+            const receipt = await client.mint(signer.address, "10");
+            expect(receipt.events).to.have.lengthOf(1);
+            expect(receipt.events[0].name).to.be.equals("Transfer");
+            expect(receipt.events[0].args._from).to.be.equals(zeroAddress);
+            expect(receipt.events[0].args._to).to.be.equals(signer.address);
+            expect(receipt.events[0].args._value).to.be.equals(ethers.utils.parseEther("10"));
+            expect(await client.balanceOf(signer.address)).to.be.equals(ethers.utils.parseEther("10"));
+        });
+
+        it("Transfer, approve, transferFrom and burn return their events", async () => {
+            let receipt = await client.transfer(account1.address, "2");
+            expect(receipt.events[0].name).to.be.equals("Transfer");
+
+            receipt = await client.approve(account1.address, "3");
+            expect(receipt.events[0].name).to.be.equals("Approval");
+            expect(await client.allowance(signer.address, account1.address)).to.be.equals(ethers.utils.parseEther("3"));
+
+            // Spending the allowance emits Approval with the remaining value before the Transfer
+            receipt = await client1.transferFrom(signer.address, account2.address, "1");
+            expect(receipt.events.map(event => event.name)).to.be.deep.equals(["Approval", "Transfer"]);
+            expect(receipt.events[0].args._value).to.be.equals(ethers.utils.parseEther("2"));
+            expect(receipt.events[1].args._to).to.be.equals(account2.address);
+
+            receipt = await client1.burn(signer.address, "1");
+            expect(receipt.events[1].name).to.be.equals("Burn");
+            expect(receipt.events[1].args._commandedBy).to.be.equals(account1.address);
+            expect(await client.totalSupply()).to.be.equals(ethers.utils.parseEther("9"));
+        });
+
+        it("IncreaseAllowance and decreaseAllowance adjust the allowance", async () => {
+            const allowanceBefore = await client.allowance(signer.address, account1.address);
+
+            let receipt = await client.increaseAllowance(account1.address, "2");
+            expect(receipt.events[0].name).to.be.equals("Approval");
+            expect(receipt.events[0].args._value).to.be.equals(allowanceBefore.add(ethers.utils.parseEther("2")));
+
+            receipt = await client.decreaseAllowance(account1.address, "0.5");
+            expect(await client.allowance(signer.address, account1.address)).to.be.equals(allowanceBefore.add(ethers.utils.parseEther("1.5")));
+        });
+    });
+
+    describe("Constructor errors", () => {
+        it("Empty name", async () => {
+            const contractFactory = await ethers.getContractFactory(contractPath, signer);
+            const error = await contractFactory.deploy("", symbol, 0, price).catch(parseTokenError);
+            expect(error).to.be.instanceOf(InvalidParameterError);
+            expect(error.method).to.be.equals("constructor");
+            expect(error.parameter).to.be.equals("_name");
+        });
+
+        it("Empty symbol", async () => {
+            const contractFactory = await ethers.getContractFactory(contractPath, signer);
+            const error = await contractFactory.deploy(name, "", 0, price).catch(parseTokenError);
+            expect(error).to.be.instanceOf(InvalidParameterError);
+            expect(error.method).to.be.equals("constructor");
+            expect(error.parameter).to.be.equals("_symbol");
+        });
+    });
+
+    describe("Transfer errors", () => {
+        it("Zero address recipient", async () => {
+            await expectTokenError(client.transfer(zeroAddress, "1"), InvalidParameterError, "transfer", "_to");
+        });
+
+        it("Recipient same as remittent", async () => {
+            await expectTokenError(client.transfer(signer.address, "1"), InvalidRecipientError, "transfer", "_to");
+        });
+
+        it("Zero amount", async () => {
+            await expectTokenError(client.transfer(account1.address, "0"), InvalidParameterError, "transfer", "_value");
+        });
+
+        it("Insufficient balance", async () => {
+            await expectTokenError(client.transfer(account1.address, "1000"), InsufficientBalanceError, "transfer", "_value");
+        });
+    });
+
+    describe("TransferFrom errors", () => {
+        it("Zero address remittent", async () => {
+            await expectTokenError(client.transferFrom(zeroAddress, account1.address, "1"), InvalidParameterError, "transferFrom", "_from");
+        });
+
+        it("Zero address recipient", async () => {
+            await expectTokenError(client.transferFrom(signer.address, zeroAddress, "1"), InvalidParameterError, "transferFrom", "_to");
+        });
+
+        it("Recipient same as remittent", async () => {
+            await expectTokenError(client.transferFrom(signer.address, signer.address, "1"), InvalidRecipientError, "transferFrom", "_to");
+        });
+
+        it("Zero amount", async () => {
+            await expectTokenError(client.transferFrom(signer.address, account1.address, "0"), InvalidParameterError, "transferFrom", "_value");
+        });
+
+        it("Insufficient balance", async () => {
+            await expectTokenError(client.transferFrom(signer.address, account1.address, "1000"), InsufficientBalanceError, "transferFrom", "_value");
+        });
+
+        it("Insufficient allowance", async () => {
+            await expectTokenError(client.transferFrom(account1.address, account2.address, "1"), InsufficientAllowanceError, "transferFrom", "_value");
+        });
+    });
+
+    describe("Approve errors", () => {
+        it("Zero address spender", async () => {
+            await expectTokenError(client.approve(zeroAddress, "1"), InvalidParameterError, "approve", "_spender");
+        });
+
+        it("Zero address spender on increaseAllowance", async () => {
+            await expectTokenError(client.increaseAllowance(zeroAddress, "1"), InvalidParameterError, "increaseAllowance", "_spender");
+        });
+
+        it("Decrease allowance below zero", async () => {
+            await expectTokenError(client.decreaseAllowance(account2.address, "1"), AllowanceBelowZeroError, "decreaseAllowance", "_subtractedValue");
+        });
+    });
+
+    describe("Mint errors", () => {
+        it("Zero ether amount", async () => {
+            await expectTokenError(client.mint(signer.address, "0"), InvalidEtherAmountError, "mint", "msg.value");
+        });
+
+        it("Zero address recipient", async () => {
+            await expectTokenError(client.mint(zeroAddress, "1"), InvalidParameterError, "mint", "_recipient");
+        });
+
+        it("Total supply exceeds maximum supply", async () => {
+            await expectTokenError(client.mint(signer.address, "100"), MaxSupplyExceededError, "mint", "_value");
+        });
+    });
+
+    describe("Burn errors", () => {
+        it("Zero address account", async () => {
+            await expectTokenError(client.burn(zeroAddress, "1"), InvalidParameterError, "burn", "_from");
+        });
+
+        it("Zero amount", async () => {
+            await expectTokenError(client.burn(signer.address, "0"), InvalidParameterError, "burn", "_value");
+        });
+
+        it("Insufficient balance", async () => {
+            await expectTokenError(client.burn(signer.address, "1000"), InsufficientBalanceError, "burn", "_value");
+        });
+
+        it("Insufficient allowance", async () => {
+            await expectTokenError(client.burn(account1.address, "1"), InsufficientAllowanceError, "burn", "_value");
+        });
+    });
+
+    describe("Error parsing", () => {
+        it("Ignores errors that are not contract reverts", async () => {
+            expect(parseTokenError(new Error("network down"))).to.be.undefined;
+            expect(parseTokenError({ message: "reverted with reason string 'unrelated'" })).to.be.undefined;
+        });
+
+        it("Decodes custom errors to the legacy messages", async () => {
+            const errorsInterface = new ethers.utils.Interface(["error InvalidParameter(bytes32 _method, bytes32 _parameter)", "error MissingRole(bytes32 _method, bytes32 _role)"]);
+            const toBytes32 = ethers.utils.formatBytes32String;
+
+            const data = errorsInterface.encodeErrorResult("InvalidParameter", [toBytes32("transfer"), toBytes32("_to")]);
+            const decoded = decodeCustomError(data);
+            expect(decoded.name).to.be.equals("InvalidParameter");
+            expect(decoded.args).to.be.deep.equals(["transfer", "_to"]);
+            expect(decoded.message).to.be.equals("transfer - Invalid parameter: _to");
+
+            const role = ethers.utils.id("MINTER_ROLE");
+            const missingRole = decodeCustomError(errorsInterface.encodeErrorResult("MissingRole", [toBytes32("mint"), role]));
+            expect(missingRole.args).to.be.deep.equals(["mint", role]);
+            expect(missingRole.message).to.be.equals("mint - Missing role");
+
+            expect(decodeCustomError("0x08c379a0")).to.be.undefined;
+        });
+
+        it("Finds the revert data of in-process and JSON-RPC errors", async () => {
+            const data = new ethers.utils.Interface(["error ContractPaused(bytes32 _method)"])
+                .encodeErrorResult("ContractPaused", [ethers.utils.formatBytes32String("burn")]);
+
+            expect(getRevertReason({ data })).to.be.equals("burn - Contract is paused");
+            expect(getRevertReason({ code: -32603, data: { message: "Error: VM Exception", data } })).to.be.equals("burn - Contract is paused");
+            const body = JSON.stringify({ jsonrpc: "2.0", id: 1, error: { code: 3, message: "execution reverted", data } });
+            expect(getRevertReason({ code: "UNPREDICTABLE_GAS_LIMIT", error: { body } })).to.be.equals("burn - Contract is paused");
+        });
+
+        it("Keeps parsing revert strings of contracts deployed before custom errors", async () => {
+            const error = parseTokenError({ message: "VM Exception while processing transaction: reverted with reason string 'burn - Insufficent allowance'" });
+            expect(error).to.be.instanceOf(InsufficientAllowanceError);
+            expect(error.method).to.be.equals("burn");
+        });
+    });
+});
@@ -0,0 +1,152 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+chai.use(solidity);
+const { expect } = chai;
+
+const { runTask } = require("./helpers/tasks");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const zeroAddress = ethers.constants.AddressZero;
+
+// Constructor parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+// 100 tokens per ether, so the tests spend little of the ether of the test accounts
+const price = ethers.utils.parseEther("100");
+
+const amount = (value) => ethers.utils.parseEther(String(value));
+
+describe("Token task tests", () => {
+    let signer, account1, account2;
+    let tokenInstance;
+    let address;
+
+    beforeEach(async () => {
+        [signer, account1, account2] = await ethers.getSigners();
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        tokenInstance = await contractFactory.deploy(name, symbol, maxSupply, price);
+        address = tokenInstance.address;
+    });
+
+    describe("Queries", () => {
+        it("Prints the state of the token", async () => {
+            await tokenInstance.mint(account1.address, { value: amount("0.025") });
+            const { output } = await runTask(hre, "token:info", { address });
+            expect(output).to.include.members([
+                `-- Address: ${address}`,
+                `-- Name: ${name}`,
+                `-- Symbol: ${symbol}`,
+                "-- Decimals: 18",
+                "-- Total supply: 2.5",
+                "-- Max supply: 800.0",
+                "-- Mint price: 100.0 per ether",
+                "-- Ether balance: 0.025"
+            ]);
+
+            const unlimited = await (await ethers.getContractFactory(contractPath, signer)).deploy(name, symbol, 0, price);
+            expect((await runTask(hre, "token:info", { address: unlimited.address })).output).to.include("-- Max supply: unlimited");
+        });
+
+        it("Prints the balance, delegate and votes of an account", async () => {
+            await tokenInstance.mint(account1.address, { value: amount("0.01") });
+            await tokenInstance.connect(account1).delegate(account2.address);
+            const { output } = await runTask(hre, "token:balance", { address, account: account1.address });
+            expect(output).to.include.members([
+                `-- Balance of ${account1.address}: 1.0 ${symbol}`,
+                `-- Delegates its votes to: ${account2.address}`,
+                "-- Votes: 0.0"
+            ]);
+        });
+
+        it("Quotes a mint and a redemption", async () => {
+            const { result, output } = await runTask(hre, "token:quote", { address, tokens: "1.5" });
+            expect(result.cost).to.be.equals(amount("0.015"));
+            expect(result.payment).to.be.equals(amount("0.015"));
+            expect(output).to.include("-- Minting 1.5 tokens costs: 0.015 ether");
+
+            const { result: quote } = await runTask(hre, "token:quote", { address, ether: "0.02" });
+            expect(quote.tokens).to.be.equals(amount(2));
+            expect(quote.dust).to.be.equals(0);
+        });
+    });
+
+    describe("Transactions", () => {
+        it("Mints the amount in whole tokens paying its cost", async () => {
+            const { output } = await runTask(hre, "token:mint", { address, to: account1.address, amount: "1.5" });
+            expect(await tokenInstance.balanceOf(account1.address)).to.be.equals(amount("1.5"));
+            expect(await ethers.provider.getBalance(address)).to.be.equals(amount("0.015"));
+            expect(output).to.include("-- Cost: 0.015 ether");
+            expect(output).to.include(`-- Event Transfer(_from=${zeroAddress}, _to=${account1.address}, _value=1.5)`);
+        });
+
+        it("Signs with the account at --signer", async () => {
+            await tokenInstance.mint(account1.address, { value: amount("0.1") });
+            await runTask(hre, "token:transfer", { address, to: account2.address, amount: "2.25", signer: 1 });
+            expect(await tokenInstance.balanceOf(account1.address)).to.be.equals(amount("7.75"));
+            expect(await tokenInstance.balanceOf(account2.address)).to.be.equals(amount("2.25"));
+        });
+
+        it("Approves unlimited and transfers on behalf of the owner", async () => {
+            await tokenInstance.mint(account1.address, { value: amount("0.1") });
+            await runTask(hre, "token:approve", { address, spender: account2.address, amount: "unlimited", signer: 1 });
+            expect(await tokenInstance.allowance(account1.address, account2.address)).to.be.equals(ethers.constants.MaxUint256);
+
+            await runTask(hre, "token:transfer-from", { address, from: account1.address, to: signer.address, amount: "3", signer: 2 });
+            expect(await tokenInstance.balanceOf(signer.address)).to.be.equals(amount(3));
+            expect(await tokenInstance.allowance(account1.address, account2.address)).to.be.equals(ethers.constants.MaxUint256);
+        });
+
+        it("Burns tokens paying back the ether at the redemption price", async () => {
+            await tokenInstance.mint(account1.address, { value: amount("0.02") });
+            const { output } = await runTask(hre, "token:burn", { address, from: account1.address, amount: "0.5", signer: 1 });
+            expect(await tokenInstance.balanceOf(account1.address)).to.be.equals(amount("1.5"));
+            expect(await ethers.provider.getBalance(address)).to.be.equals(amount("0.015"));
+            expect(output).to.include(`-- Event Burn(_from=${account1.address}, _commandedBy=${account1.address}, _value=0.5)`);
+        });
+
+        it("Sets the prices, the redemption price defaulting to the mint price", async () => {
+            await runTask(hre, "token:set-prices", { address, mintPrice: "200" });
+            expect(await tokenInstance.mintPrice()).to.be.equals(amount(200));
+            expect(await tokenInstance.redemptionPrice()).to.be.equals(amount(200));
+
+            await runTask(hre, "token:set-prices", { address, mintPrice: "200", redemptionPrice: "250.5" });
+            expect(await tokenInstance.redemptionPrice()).to.be.equals(amount("250.5"));
+        });
+    });
+
+    describe("Errors", () => {
+        const runError = (taskName, args) => runTask(hre, taskName, args).catch(error => error);
+
+        it("Try invalid addresses and amounts", async () => {
+            expect((await runError("token:transfer", { address, to: "0x1234", amount: "1" })).message).to.be.equals("Invalid parameter: to (0x1234)");
+            expect((await runError("token:transfer", { address: "token", to: account1.address, amount: "1" })).message).to.be.equals("Invalid parameter: address (token)");
+            expect((await runError("token:transfer", { address, to: account1.address, amount: "one" })).message).to.be.equals("Invalid amount: one");
+            // More decimals than the token has
+            expect((await runError("token:transfer", { address, to: account1.address, amount: "0.0000000000000000001" })).message).to.be.equals("Invalid amount: 0.0000000000000000001");
+            expect((await runError("token:quote", { address })).message).to.be.equals("Pass either --ether or --tokens");
+        });
+
+        it("Try missing params, signers or contracts", async () => {
+            expect((await runError("token:mint", { address, amount: "1" })).message).to.include("The 'to' parameter expects a value");
+            expect((await runError("token:transfer", { address, to: account1.address, amount: "1", signer: 99 })).message).to.be.equals("No account configured at index 99");
+            const account = ethers.Wallet.createRandom().address;
+            expect((await runError("token:info", { address: account })).message).to.be.equals(`No contract deployed at ${account} on network hardhat`);
+        });
+
+        it("Try transactions the token reverts, with the message of the contract", async () => {
+            let error = await runError("token:transfer", { address, to: account1.address, amount: "1" });
+            expect(error.message).to.be.equals("transfer - Insufficient balance");
+            expect(error.pluginName).to.be.equals("token");
+
+            error = await runError("token:set-prices", { address, mintPrice: "200", signer: 1 });
+            expect(error.message).to.be.equals("setPrices - Caller is not the owner");
+
+            error = await runError("token:mint", { address, to: account1.address, amount: "801" });
+            expect(error.message).to.be.equals("mint - Total supply exceeds maximum supply");
+        });
+    });
+});
@@ -0,0 +1,224 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("./helpers/revert");
+chai.use(solidity);
+chai.use(revertedWithMessage);
+const { expect } = chai;
+
+const { getStorageLayout, compareStorageLayouts } = require("../lib/storage-layout");
+const { getImplementationAddress, deployProxy, upgradeProxy } = require("../lib/upgrades");
+
+const contractPath = "contracts/ERC20Upgradeable.sol:ERC20Upgradeable";
+const proxyContractPath = "contracts/ERC1967Proxy.sol:ERC1967Proxy";
+const contractV2Path = "contracts/mocks/ERC20UpgradeableV2.sol:ERC20UpgradeableV2";
+
+// Initialize parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+const price = ethers.utils.parseEther("1");
+
+// The variable of a normalized storage layout
+const find = (variables, label) => variables.find(variable => variable.label === label);
+
+describe("Upgradeable token tests", () => {
+    let signer, account1;
+    let implementation, contractInstance;
+
+    beforeEach(async () => {
+        [signer, account1] = await ethers.getSigners();
+
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        implementation = await contractFactory.deploy();
+        const initializeData = implementation.interface.encodeFunctionData("initialize", [name, symbol, maxSupply, price]);
+        const proxyFactory = await ethers.getContractFactory(proxyContractPath, signer);
+        const proxyInstance = await proxyFactory.deploy(implementation.address, initializeData);
+        contractInstance = await ethers.getContractAt(contractPath, proxyInstance.address, signer);
+    });
+
+    describe("Deploy", () => {
+        it("Proxy is initialized with the token parameters", async () => {
+            expect(await contractInstance.name()).to.be.equals(name);
+            expect(await contractInstance.symbol()).to.be.equals(symbol);
+            expect(await contractInstance.decimals()).to.be.equals(18);
+            expect(await contractInstance.maxSupply()).to.be.equals(maxSupply);
+            expect(await contractInstance.owner()).to.be.equals(signer.address);
+            expect(await contractInstance.hasRole(await contractInstance.MINTER_ROLE(), signer.address)).to.be.equals(true);
+            expect(await getImplementationAddress(ethers, contractInstance.address)).to.be.equals(implementation.address);
+        });
+
+        it("Proxy and implementation cannot be initialized again", async () => {
+            await expect(contractInstance.initialize(name, symbol, maxSupply, price)).to.be.revertedWithMessage("initialize - Already initialized");
+            await expect(implementation.connect(account1).initialize(name, symbol, maxSupply, price)).to.be.revertedWithMessage("initialize - Already initialized");
+        });
+
+        it("Proxy deploy bubbles up the initialization revert", async () => {
+            const initializeData = implementation.interface.encodeFunctionData("initialize", ["", symbol, maxSupply, price]);
+            const proxyFactory = await ethers.getContractFactory(proxyContractPath, signer);
+            await expect(proxyFactory.deploy(implementation.address, initializeData)).to.be.revertedWithMessage("initialize - Invalid parameter: _name");
+        });
+
+        it("Proxy deploy reverts for an implementation without code", async () => {
+            const proxyFactory = await ethers.getContractFactory(proxyContractPath, signer);
+            await expect(proxyFactory.deploy(account1.address, "0x")).to.be.revertedWithMessage("constructor - Invalid implementation");
+        });
+
+        it("Token works through the proxy", async () => {
+            const value = ethers.utils.parseEther("3");
+            await contractInstance.mint(signer.address, { value });
+            await contractInstance.transfer(account1.address, value);
+            expect(await contractInstance.balanceOf(account1.address)).to.be.equals(value);
+            expect(await ethers.provider.getBalance(contractInstance.address)).to.be.equals(value);
+            expect(await implementation.totalSupply()).to.be.equals(0);
+        });
+    });
+
+    describe("Upgrade", () => {
+        let implementationV2;
+
+        beforeEach(async () => {
+            const contractFactory = await ethers.getContractFactory(contractV2Path, signer);
+            implementationV2 = await contractFactory.deploy();
+        });
+
+        it("Owner upgrades keeping the state", async () => {
+            const value = ethers.utils.parseEther("5");
+            await contractInstance.mint(account1.address, { value });
+
+            await expect(contractInstance.upgradeTo(implementationV2.address))
+                .to.emit(contractInstance, "Upgraded").withArgs(implementationV2.address);
+            const contractV2 = await ethers.getContractAt(contractV2Path, contractInstance.address, signer);
+            expect(await getImplementationAddress(ethers, contractInstance.address)).to.be.equals(implementationV2.address);
+            expect(await contractV2.version()).to.be.equals("2");
+            expect(await contractV2.balanceOf(account1.address)).to.be.equals(value);
+            expect(await contractV2.totalSupply()).to.be.equals(value);
+            expect(await contractV2.owner()).to.be.equals(signer.address);
+
+            await contractV2.setUpgradedAt();
+            expect(await contractV2.upgradedAt()).to.be.equals(await ethers.provider.getBlockNumber());
+            expect(await contractV2.totalSupply()).to.be.equals(value);
+        });
+
+        it("Only the owner upgrades", async () => {
+            await expect(contractInstance.connect(account1).upgradeTo(implementationV2.address)).to.be.revertedWithMessage("upgradeTo - Caller is not the owner");
+        });
+
+        it("Upgrade reverts on the implementation itself", async () => {
+            await expect(implementation.upgradeTo(implementationV2.address)).to.be.revertedWithMessage("upgradeTo - Unauthorized call context");
+            await expect(contractInstance.proxiableUUID()).to.be.revertedWithMessage("proxiableUUID - Unauthorized call context");
+        });
+
+        it("Upgrade reverts for an invalid implementation", async () => {
+            await expect(contractInstance.upgradeTo(account1.address)).to.be.revertedWithMessage("upgradeTo - Invalid implementation");
+            const tokenFactory = await ethers.getContractFactory("contracts/ERC20.sol:ERC20", signer);
+            const token = await tokenFactory.deploy(name, symbol, maxSupply, price);
+            await expect(contractInstance.upgradeTo(token.address)).to.be.revertedWithMessage("upgradeTo - Invalid implementation");
+            await expect(contractInstance.upgradeTo(contractInstance.address)).to.be.revertedWithMessage("upgradeTo - Invalid implementation");
+        });
+    });
+});
+
+describe("Storage layout tests", () => {
+    let layout;
+
+    before(async () => {
+        layout = await getStorageLayout(hre, contractPath);
+    });
+
+    it("Reads the layout from the compiler output", async () => {
+        expect(layout.map(({ label }) => label)).to.be.deep.equals([
+            "name", "symbol", "decimals", "totalSupply", "maxSupply", "owner", "pendingOwner", "paused",
+            "balanceOf", "allowance", "nonces", "hasRole", "redeemable", "_entered",
+            "mintPrice", "redemptionPrice", "totalRedeemable", "currentSnapshotId", "_balanceSnapshots", "_totalSupplySnapshots",
+            "delegates", "_delegateCheckpoints", "_totalSupplyCheckpoints"
+        ]);
+        expect(find(layout, "paused")).to.include({ slot: 6, offset: 20, type: "bool" });
+        expect(find(layout, "allowance")).to.include({ slot: 8, offset: 0, type: "mapping(address => mapping(address => uint256))" });
+    });
+
+    it("Accepts appended variables", async () => {
+        const layoutV2 = await getStorageLayout(hre, contractV2Path);
+        expect(compareStorageLayouts(layout, layoutV2)).to.be.deep.equals({ compatible: true, problems: [], appended: ["upgradedAt"] });
+    });
+
+    it("Refuses reordered variables", () => {
+        const balanceOf = find(layout, "balanceOf");
+        const allowance = find(layout, "allowance");
+        const next = layout.map(variable => {
+            if (variable === balanceOf) {
+                return { ...allowance, slot: balanceOf.slot };
+            }
+            return variable === allowance ? { ...balanceOf, slot: allowance.slot } : variable;
+        });
+        const { compatible, problems } = compareStorageLayouts(layout, next);
+        expect(compatible).to.be.equals(false);
+        expect(problems.map(({ kind, label }) => `${kind} ${label}`)).to.be.deep.equals(["moved balanceOf", "moved allowance"]);
+    });
+
+    it("Refuses retyped variables", () => {
+        const next = layout.map(variable => variable.label === "totalSupply" ? { ...variable, type: "uint128", numberOfBytes: 16 } : variable);
+        const { problems } = compareStorageLayouts(layout, next);
+        expect(problems).to.be.deep.equals([{ kind: "retyped", label: "totalSupply", message: "totalSupply changed type from uint256 to uint128" }]);
+    });
+
+    it("Refuses removed, renamed and inserted variables", () => {
+        const withoutNonces = layout.filter(variable => variable.label !== "nonces");
+        expect(compareStorageLayouts(layout, withoutNonces).problems.map(({ kind }) => kind)).to.be.deep.equals(["removed"]);
+
+        const renamed = layout.map(variable => variable.label === "nonces" ? { ...variable, label: "permitNonces" } : variable);
+        expect(compareStorageLayouts(layout, renamed).problems.map(({ kind, label }) => `${kind} ${label}`)).to.be.deep.equals(["renamed nonces"]);
+
+        // A flag packed after `paused`, in the previously unused bytes of slot 6
+        const inserted = [...layout, { label: "frozen", slot: 6, offset: 21, type: "bool", numberOfBytes: 1 }];
+        expect(compareStorageLayouts(layout, inserted).problems.map(({ kind, label }) => `${kind} ${label}`)).to.be.deep.equals(["inserted frozen"]);
+    });
+});
+
+describe("Upgrade deployment tests", () => {
+    const params = { name, symbol, maxSupply: "800", price: "1" };
+
+    it("Records the proxy, the implementation and its storage layout", async () => {
+        const { deployment, deployed } = await deployProxy(hre, params);
+        expect(deployed).to.be.equals(true);
+        expect(deployment.contract).to.be.equals(contractPath);
+        expect(deployment.args).to.be.deep.equals([name, symbol, maxSupply.toString(), price.toString()]);
+        expect(await getImplementationAddress(ethers, deployment.proxy)).to.be.equals(deployment.implementation);
+        expect(deployment.storageLayout).to.be.deep.equals(await getStorageLayout(hre, contractPath));
+        expect(deployment.upgrades).to.be.deep.equals([]);
+        const contractInstance = await ethers.getContractAt(contractPath, deployment.proxy);
+        expect(await contractInstance.maxSupply()).to.be.equals(maxSupply);
+    });
+
+    it("Upgrades and records the history", async () => {
+        const { deployment } = await deployProxy(hre, params);
+        const unchanged = await upgradeProxy(hre, contractPath, { deployment });
+        expect(unchanged.upgraded).to.be.equals(false);
+
+        const { deployment: upgraded, upgraded: isUpgraded } = await upgradeProxy(hre, contractV2Path, { deployment });
+        expect(isUpgraded).to.be.equals(true);
+        expect(upgraded.proxy).to.be.equals(deployment.proxy);
+        expect(upgraded.contract).to.be.equals(contractV2Path);
+        expect(await getImplementationAddress(ethers, deployment.proxy)).to.be.equals(upgraded.implementation);
+        expect(upgraded.upgrades).to.have.length(1);
+        expect(upgraded.upgrades[0]).to.include({ previousImplementation: deployment.implementation, implementation: upgraded.implementation });
+        expect(find(upgraded.storageLayout, "upgradedAt")).to.include({ slot: 23 });
+    });
+
+    it("Refuses an upgrade with an incompatible layout", async () => {
+        const { deployment } = await deployProxy(hre, params);
+        // As if the deployed version declared `allowance` before `balanceOf`
+        const storageLayout = deployment.storageLayout.map(variable => {
+            if (variable.label === "balanceOf") {
+                return { ...variable, slot: variable.slot + 1 };
+            }
+            return variable.label === "allowance" ? { ...variable, slot: variable.slot - 1 } : variable;
+        });
+        const error = await upgradeProxy(hre, contractV2Path, { deployment: { ...deployment, storageLayout } }).catch(error => error);
+        expect(error.message).to.have.string(`Storage layout of ${contractV2Path} is incompatible with the implementation of proxy ${deployment.proxy}`);
+        expect(error.message).to.have.string("moved: balanceOf moved from slot 8, offset 0 to slot 7, offset 0");
+        expect(await getImplementationAddress(ethers, deployment.proxy)).to.be.equals(deployment.implementation);
+    });
+});
@@ -0,0 +1,136 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const chai = require("chai");
+const { expect } = chai;
+
+const { stripMetadata, compareBytecode } = require("../lib/bytecode");
+const { runTask } = require("./helpers/tasks");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const upgradeableContractPath = "contracts/ERC20Upgradeable.sol:ERC20Upgradeable";
+const proxyContractPath = "contracts/ERC1967Proxy.sol:ERC1967Proxy";
+
+// Constructor parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+const price = ethers.utils.parseEther("100");
+
+describe("Bytecode tests", () => {
+    let deployedBytecode;
+
+    before(async () => {
+        ({ deployedBytecode } = await hre.artifacts.readArtifact(contractPath));
+    });
+
+    /// `bytecode` with its metadata replaced by `metadata`, a hex string without 0x
+    const withMetadata = (bytecode, metadata) => stripMetadata(bytecode) + metadata + (metadata.length / 2).toString(16).padStart(4, "0");
+
+    it("Strips the metadata section given by the last two bytes", () => {
+        const metadataLength = parseInt(deployedBytecode.slice(-4), 16);
+        const stripped = stripMetadata(deployedBytecode);
+        expect(stripped).to.be.equals(deployedBytecode.slice(0, deployedBytecode.length - (metadataLength + 2) * 2));
+        // The CBOR map of solc starts with a2 (two entries) or a1 and ends with the solc version
+        expect(deployedBytecode.slice(stripped.length, stripped.length + 2)).to.match(/^a[12]$/);
+        expect(stripMetadata(deployedBytecode.slice(2))).to.be.equals(stripped);
+    });
+
+    it("Leaves code without a valid metadata length as is", () => {
+        expect(stripMetadata("0x")).to.be.equals("0x");
+        expect(stripMetadata("60")).to.be.equals("0x60");
+        expect(stripMetadata("0x6080ffff")).to.be.equals("0x6080ffff");
+    });
+
+    it("Matches code that only differs in the metadata or the case", () => {
+        const other = withMetadata(deployedBytecode, "a1" + "ab".repeat(40));
+        expect(other).to.not.be.equals(deployedBytecode);
+        expect(compareBytecode(other, deployedBytecode)).to.be.deep.equals({ match: true });
+        expect(compareBytecode(deployedBytecode.toUpperCase().replace("0X", "0x"), deployedBytecode)).to.be.deep.equals({ match: true });
+    });
+
+    it("Reports the sizes and the first different byte", () => {
+        const code = stripMetadata(deployedBytecode);
+        const size = (code.length - 2) / 2;
+        // Byte 10 changed
+        const changed = code.slice(0, 22) + (code.slice(22, 24) === "00" ? "01" : "00") + code.slice(24);
+        expect(compareBytecode(withMetadata(changed, "a1"), deployedBytecode)).to.be.deep.equals({ match: false, actualSize: size, expectedSize: size, firstDifference: 10 });
+        expect(compareBytecode(withMetadata(code.slice(0, -4), "a1"), deployedBytecode)).to.be.deep.equals({ match: false, actualSize: size - 2, expectedSize: size, firstDifference: size - 2 });
+    });
+});
+
+describe("Verify task tests", () => {
+    let signer;
+    let tokenInstance;
+    let expected;
+
+    beforeEach(async () => {
+        [signer] = await ethers.getSigners();
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        tokenInstance = await contractFactory.deploy(name, symbol, maxSupply, price);
+        expected = { address: tokenInstance.address, name, symbol, maxSupply: "800", price: "100" };
+    });
+
+    it("Passes for the compiled token with its constructor args", async () => {
+        const { output } = await runTask(hre, "token:verify", expected);
+        expect(output).to.include.members([
+            `-- Address: ${tokenInstance.address}`,
+            `-- Runtime bytecode matches ${contractPath}`,
+            `-- Constructor args match: ${name} ${symbol} ${maxSupply.toString()} ${price.toString()}`
+        ]);
+    });
+
+    it("Try verify with other constructor args", async () => {
+        const error = await runTask(hre, "token:verify", { ...expected, symbol: "OTHER", maxSupply: "801" }).catch(error => error);
+        expect(error.message).to.include(`Deployment does not match ${contractPath}`);
+        expect(error.message).to.include(`symbol: on-chain "${symbol}", expected "OTHER"`);
+        expect(error.message).to.include(`maxSupply: on-chain "${maxSupply.toString()}", expected "${ethers.utils.parseEther("801").toString()}"`);
+        expect(error.message).to.not.include("runtime bytecode");
+        expect(error.message).to.not.include("name:");
+    });
+
+    it("Try verify with another price or after the prices changed", async () => {
+        let error = await runTask(hre, "token:verify", { ...expected, price: "200" }).catch(error => error);
+        const other = ethers.utils.parseEther("200").toString();
+        expect(error.message).to.include(`mintPrice: on-chain "${price.toString()}", expected "${other}"`);
+        expect(error.message).to.include(`redemptionPrice: on-chain "${price.toString()}", expected "${other}"`);
+
+        await tokenInstance.setPrices(price, ethers.utils.parseEther("200"));
+        error = await runTask(hre, "token:verify", expected).catch(error => error);
+        expect(error.message).to.include(`redemptionPrice: on-chain "${other}", expected "${price.toString()}"`);
+        expect(error.message).to.not.include("mintPrice");
+
+        error = await runTask(hre, "token:verify", { ...expected, price: "a lot" }).catch(error => error);
+        expect(error.message).to.be.equals("Invalid parameter: price (a lot)");
+    });
+
+    it("Try verify another contract with the same state", async () => {
+        // ERC20Upgradeable behind a proxy answers as the token but runs other code
+        const implementation = await (await ethers.getContractFactory(upgradeableContractPath, signer)).deploy();
+        const initializeData = implementation.interface.encodeFunctionData("initialize", [name, symbol, maxSupply, price]);
+        const proxyInstance = await (await ethers.getContractFactory(proxyContractPath, signer)).deploy(implementation.address, initializeData);
+
+        const error = await runTask(hre, "token:verify", { ...expected, address: proxyInstance.address }).catch(error => error);
+        expect(error.message).to.include("runtime bytecode: on-chain");
+        expect(error.message).to.include("first difference at byte");
+        expect(error.message).to.not.include("name:");
+    });
+
+    it("Try verify a contract that is not a token", async () => {
+        // Creation code of a contract whose runtime code is a single STOP
+        const transaction = await signer.sendTransaction({ data: "0x6001600c60003960016000f300" });
+        const { contractAddress } = await transaction.wait();
+        const error = await runTask(hre, "token:verify", { ...expected, address: contractAddress }).catch(error => error);
+        expect(error.message).to.include("runtime bytecode: on-chain 1 bytes");
+        expect(error.message).to.include("decimals: not readable on-chain, not a token");
+    });
+
+    it("Try verify an address without code or without expected args", async () => {
+        const account = ethers.Wallet.createRandom().address;
+        let error = await runTask(hre, "token:verify", { ...expected, address: account }).catch(error => error);
+        expect(error.message).to.be.equals(`No contract deployed at ${account} on network hardhat`);
+
+        error = await runTask(hre, "token:verify", { address: tokenInstance.address, name, symbol, maxSupply: "800" }).catch(error => error);
+        expect(error.message).to.be.equals("Unknown expected price: no matching deployment recorded, pass it as a parameter");
+    });
+});
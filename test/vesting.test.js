@@ -0,0 +1,349 @@
+const { ethers, network } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("./helpers/revert");
+chai.use(solidity);
+chai.use(revertedWithMessage);
+const { expect } = chai;
+
+const { parseDuration, parseSchedules, vestedAmount, getUnlockTimeline, readSchedules, fundVesting } = require("../lib/vesting");
+
+const tokenContractPath = "contracts/ERC20.sol:ERC20";
+const vestingContractPath = "contracts/TokenVesting.sol:TokenVesting";
+const zeroAddress = ethers.constants.AddressZero;
+
+// Constructor parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+// 100 tokens per ether, so the fixtures spend little of the ether of the test accounts
+const price = ethers.utils.parseEther("100");
+
+const amount = (value) => ethers.utils.parseEther(String(value));
+
+describe("Token vesting tests", () => {
+    let signer, account1, account2, account3;
+    let tokenInstance, vestingInstance;
+    let start;
+    const cliff = 1000;
+    const duration = 10000;
+
+    /// Send `send` in a block mined at `timestamp`
+    async function at(timestamp, send) {
+        await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+        return (await send()).wait();
+    }
+
+    const createVesting = (beneficiary, value, revocable = true) =>
+        vestingInstance.createVesting(beneficiary, value, start, cliff, duration, revocable);
+
+    beforeEach(async () => {
+        [signer, account1, account2, account3] = await ethers.getSigners();
+
+        const tokenFactory = await ethers.getContractFactory(tokenContractPath, signer);
+        tokenInstance = await tokenFactory.deploy(name, symbol, maxSupply, price);
+        await tokenInstance.mint(signer.address, { value: amount(1) });
+
+        const vestingFactory = await ethers.getContractFactory(vestingContractPath, signer);
+        vestingInstance = await vestingFactory.deploy(tokenInstance.address);
+        await tokenInstance.approve(vestingInstance.address, amount(100));
+
+        start = (await ethers.provider.getBlock("latest")).timestamp + 1000;
+    });
+
+    describe("Deployment", () => {
+        it("Sets the token and the deployer as owner", async () => {
+            expect(await vestingInstance.token()).to.be.equals(tokenInstance.address);
+            expect(await vestingInstance.owner()).to.be.equals(signer.address);
+            expect(await vestingInstance.totalVesting()).to.be.equals(0);
+        });
+
+        it("Try deploy with zero address token", async () => {
+            const vestingFactory = await ethers.getContractFactory(vestingContractPath, signer);
+            await expect(vestingFactory.deploy(zeroAddress)).to.be.revertedWithMessage("constructor - Invalid parameter: _token");
+        });
+    });
+
+    describe("Create vesting", () => {
+        it("Takes the tokens from the owner with transferFrom", async () => {
+            const tx = createVesting(account1.address, amount(40));
+            await expect(tx).to.emit(vestingInstance, "VestingCreated").withArgs(account1.address, amount(40), start, cliff, duration, true);
+            await expect(tx).to.emit(tokenInstance, "Transfer").withArgs(signer.address, vestingInstance.address, amount(40));
+
+            expect(await tokenInstance.balanceOf(vestingInstance.address)).to.be.equals(amount(40));
+            expect(await tokenInstance.allowance(signer.address, vestingInstance.address)).to.be.equals(amount(60));
+            expect(await vestingInstance.totalVesting()).to.be.equals(amount(40));
+            expect(await vestingInstance.beneficiaryCount()).to.be.equals(1);
+            expect(await vestingInstance.beneficiaries(0)).to.be.equals(account1.address);
+
+            const schedule = await vestingInstance.schedules(account1.address);
+            expect(schedule.amount).to.be.equals(amount(40));
+            expect(schedule.released).to.be.equals(0);
+            expect(schedule.start).to.be.equals(start);
+            expect(schedule.cliff).to.be.equals(cliff);
+            expect(schedule.duration).to.be.equals(duration);
+            expect(schedule.revocable).to.be.true;
+            expect(schedule.revoked).to.be.false;
+        });
+
+        it("Try create vesting from a non owner", async () => {
+            await tokenInstance.transfer(account1.address, amount(10));
+            await tokenInstance.connect(account1).approve(vestingInstance.address, amount(10));
+            await expect(vestingInstance.connect(account1).createVesting(account2.address, amount(10), start, cliff, duration, true))
+                .to.be.revertedWithMessage("createVesting - Caller is not the owner");
+        });
+
+        it("Try create vesting with invalid parameters", async () => {
+            await expect(createVesting(zeroAddress, amount(1))).to.be.revertedWithMessage("createVesting - Invalid parameter: _beneficiary");
+            await expect(createVesting(account1.address, 0)).to.be.revertedWithMessage("createVesting - Invalid parameter: _amount");
+            await expect(vestingInstance.createVesting(account1.address, amount(1), start, 0, 0, true))
+                .to.be.revertedWithMessage("createVesting - Invalid parameter: _duration");
+            await expect(vestingInstance.createVesting(account1.address, amount(1), start, duration + 1, duration, true))
+                .to.be.revertedWithMessage("createVesting - Invalid parameter: _cliff");
+        });
+
+        it("Try create a second vesting for the same beneficiary", async () => {
+            await createVesting(account1.address, amount(10));
+            await expect(createVesting(account1.address, amount(10))).to.be.revertedWithMessage("createVesting - Vesting already exists");
+        });
+
+        it("Try create a vesting again after revoking it with nothing vested", async () => {
+            await createVesting(account1.address, amount(10));
+            await at(start + cliff - 1, () => vestingInstance.revoke(account1.address));
+            expect((await vestingInstance.schedules(account1.address)).amount).to.be.equals(0);
+
+            await expect(createVesting(account1.address, amount(10))).to.be.revertedWithMessage("createVesting - Vesting already exists");
+            expect(await vestingInstance.beneficiaryCount()).to.be.equals(1);
+        });
+
+        it("Try create vesting without allowance", async () => {
+            await tokenInstance.approve(vestingInstance.address, 0);
+            await expect(createVesting(account1.address, amount(10))).to.be.revertedWithMessage("transferFrom - Insufficent allowance");
+        });
+    });
+
+    describe("Release", () => {
+        beforeEach(async () => {
+            await createVesting(account1.address, amount(50));
+        });
+
+        it("Nothing vests before the cliff", async () => {
+            expect(await vestingInstance.vestedAmount(account1.address, start - 1)).to.be.equals(0);
+            expect(await vestingInstance.vestedAmount(account1.address, start + cliff - 1)).to.be.equals(0);
+            await network.provider.send("evm_setNextBlockTimestamp", [start + cliff - 1]);
+            await expect(vestingInstance.release(account1.address)).to.be.revertedWithMessage("release - Nothing to release");
+        });
+
+        it("Vests linearly from the start once the cliff is reached", async () => {
+            expect(await vestingInstance.vestedAmount(account1.address, start + cliff)).to.be.equals(amount(5));
+            expect(await vestingInstance.vestedAmount(account1.address, start + duration / 2)).to.be.equals(amount(25));
+            expect(await vestingInstance.vestedAmount(account1.address, start + 3333)).to.be.equals(amount(50).mul(3333).div(duration));
+            expect(await vestingInstance.vestedAmount(account1.address, start + duration)).to.be.equals(amount(50));
+            expect(await vestingInstance.vestedAmount(account1.address, start + duration * 2)).to.be.equals(amount(50));
+        });
+
+        it("Any account releases the vested tokens to the beneficiary", async () => {
+            const receipt = await at(start + 2500, () => vestingInstance.connect(account2).release(account1.address));
+            const released = receipt.events.find(event => event.event === "TokensReleased");
+            expect(released.args._beneficiary).to.be.equals(account1.address);
+            expect(released.args._value).to.be.equals(amount("12.5"));
+
+            expect(await tokenInstance.balanceOf(account1.address)).to.be.equals(amount("12.5"));
+            expect(await tokenInstance.balanceOf(account2.address)).to.be.equals(0);
+            expect((await vestingInstance.schedules(account1.address)).released).to.be.equals(amount("12.5"));
+            expect(await vestingInstance.totalVesting()).to.be.equals(amount("37.5"));
+        });
+
+        it("Releases only what vested since the last release", async () => {
+            await at(start + 2000, () => vestingInstance.release(account1.address));
+            expect(await tokenInstance.balanceOf(account1.address)).to.be.equals(amount(10));
+
+            const receipt = await at(start + 6000, () => vestingInstance.release(account1.address));
+            expect(receipt.events.find(event => event.event === "TokensReleased").args._value).to.be.equals(amount(20));
+            expect(await tokenInstance.balanceOf(account1.address)).to.be.equals(amount(30));
+        });
+
+        it("Releases everything after the end", async () => {
+            await network.provider.send("evm_increaseTime", [1000 + duration]);
+            await network.provider.send("evm_mine");
+            expect(await vestingInstance.releasable(account1.address)).to.be.equals(amount(50));
+
+            await vestingInstance.release(account1.address);
+            expect(await tokenInstance.balanceOf(account1.address)).to.be.equals(amount(50));
+            expect(await tokenInstance.balanceOf(vestingInstance.address)).to.be.equals(0);
+            expect(await vestingInstance.totalVesting()).to.be.equals(0);
+            await expect(vestingInstance.release(account1.address)).to.be.revertedWithMessage("release - Nothing to release");
+        });
+
+        it("A cliff as long as the duration is a timelock", async () => {
+            await vestingInstance.createVesting(account2.address, amount(10), start, duration, duration, false);
+            expect(await vestingInstance.vestedAmount(account2.address, start + duration - 1)).to.be.equals(0);
+            expect(await vestingInstance.vestedAmount(account2.address, start + duration)).to.be.equals(amount(10));
+        });
+
+        it("Try release without a schedule", async () => {
+            await expect(vestingInstance.release(account3.address)).to.be.revertedWithMessage("release - Nothing to release");
+        });
+
+        it("Try release while the token is paused", async () => {
+            await tokenInstance.pause();
+            await network.provider.send("evm_setNextBlockTimestamp", [start + duration]);
+            await expect(vestingInstance.release(account1.address)).to.be.revertedWithMessage("transfer - Contract is paused");
+        });
+    });
+
+    describe("Revoke", () => {
+        it("Returns the unvested tokens to the owner and keeps the vested ones releasable", async () => {
+            await createVesting(account1.address, amount(50));
+            const balance = await tokenInstance.balanceOf(signer.address);
+
+            const receipt = await at(start + 4000, () => vestingInstance.revoke(account1.address));
+            const revoked = receipt.events.find(event => event.event === "VestingRevoked");
+            expect(revoked.args._vested).to.be.equals(amount(20));
+            expect(revoked.args._refund).to.be.equals(amount(30));
+
+            expect(await tokenInstance.balanceOf(signer.address)).to.be.equals(balance.add(amount(30)));
+            expect(await vestingInstance.totalVesting()).to.be.equals(amount(20));
+            expect(await vestingInstance.vestedAmount(account1.address, start + duration)).to.be.equals(amount(20));
+
+            await vestingInstance.release(account1.address);
+            expect(await tokenInstance.balanceOf(account1.address)).to.be.equals(amount(20));
+            expect(await tokenInstance.balanceOf(vestingInstance.address)).to.be.equals(0);
+        });
+
+        it("Revoking before the cliff returns everything", async () => {
+            await createVesting(account1.address, amount(50));
+            await at(start + cliff - 1, () => vestingInstance.revoke(account1.address));
+            expect(await tokenInstance.balanceOf(vestingInstance.address)).to.be.equals(0);
+            await expect(vestingInstance.release(account1.address)).to.be.revertedWithMessage("release - Nothing to release");
+        });
+
+        it("Try revoke from a non owner", async () => {
+            await createVesting(account1.address, amount(50));
+            await expect(vestingInstance.connect(account1).revoke(account1.address)).to.be.revertedWithMessage("revoke - Caller is not the owner");
+        });
+
+        it("Try revoke a non revocable, revoked or missing schedule", async () => {
+            await createVesting(account1.address, amount(10), false);
+            await createVesting(account2.address, amount(10));
+            await vestingInstance.revoke(account2.address);
+
+            await expect(vestingInstance.revoke(account1.address)).to.be.revertedWithMessage("revoke - Vesting not revocable");
+            await expect(vestingInstance.revoke(account2.address)).to.be.revertedWithMessage("revoke - Vesting not revocable");
+            await expect(vestingInstance.revoke(account3.address)).to.be.revertedWithMessage("revoke - Vesting not revocable");
+        });
+    });
+
+    describe("Schedule files", () => {
+        const file = (schedules, defaults) => JSON.stringify({ defaults, schedules });
+
+        it("Parses durations and dates", () => {
+            expect(parseDuration(90)).to.be.equals(90);
+            expect(parseDuration("90d")).to.be.equals(90 * 86400);
+            expect(parseDuration("6mo")).to.be.equals(180 * 86400);
+            expect(parseDuration("4y")).to.be.equals(4 * 365 * 86400);
+            expect(() => parseDuration("4 years")).to.throw("invalid duration 4 years");
+
+            const [schedule] = parseSchedules(file([{ beneficiary: account1.address.toLowerCase(), amount: "1.5" }],
+                { start: "2025-01-01T00:00:00Z", cliff: "1y", duration: "4y" }), 18);
+            expect(schedule).to.be.deep.equals({
+                entry: 1,
+                beneficiary: account1.address,
+                amount: amount("1.5"),
+                start: 1735689600,
+                cliff: 365 * 86400,
+                duration: 4 * 365 * 86400,
+                revocable: false
+            });
+        });
+
+        it("Reports every invalid entry", () => {
+            const text = file([
+                { beneficiary: account1.address, amount: "10" },
+                { beneficiary: zeroAddress, amount: "0", cliff: "5y" },
+                { beneficiary: account1.address, amount: "10", revocable: "yes" },
+                { amount: "10", duration: 0 }
+            ], { start: 1735689600, cliff: 0, duration: "4y" });
+
+            const error = (() => {
+                try {
+                    parseSchedules(text, 18);
+                } catch (error) {
+                    return error;
+                }
+            })();
+            expect(error.message).to.be.equals([
+                "Invalid schedule file",
+                "  - schedule 2: invalid beneficiary 0x0000000000000000000000000000000000000000",
+                "  - schedule 2: amount is zero",
+                "  - schedule 2: cliff is longer than the duration",
+                "  - schedule 3: invalid revocable yes",
+                "  - schedule 3: duplicated beneficiary, first seen at schedule 1",
+                "  - schedule 4: missing beneficiary",
+                "  - schedule 4: duration is zero"
+            ].join("\n"));
+            expect(() => parseSchedules("{}", 18)).to.throw("Invalid schedule file: expected a \"schedules\" array");
+        });
+
+        it("Computes the vesting curve as the contract", async () => {
+            const schedule = { amount: amount(77), start, cliff, duration };
+            await createVesting(account1.address, schedule.amount);
+            for (const offset of [-1, 0, cliff - 1, cliff, 1234, 7777, duration - 1, duration, duration + 1]) {
+                expect(vestedAmount(schedule, start + offset)).to.be.equals(await vestingInstance.vestedAmount(account1.address, start + offset));
+            }
+        });
+
+        it("Lists the unlocks at the cliff, every interval and the end", () => {
+            const timeline = getUnlockTimeline({ amount: amount(100), start: 0, cliff: 2500, duration }, 2000);
+            expect(timeline.map(({ timestamp }) => timestamp)).to.be.deep.equals([2500, 4000, 6000, 8000, 10000]);
+            expect(timeline.map(({ vested }) => vested)).to.be.deep.equals([amount(25), amount(40), amount(60), amount(80), amount(100)]);
+        });
+
+        it("Funds the schedules once with a single approval", async () => {
+            await tokenInstance.approve(vestingInstance.address, 0);
+            const schedules = parseSchedules(file([
+                { beneficiary: account1.address, amount: "30" },
+                { beneficiary: account2.address, amount: "20", revocable: true }
+            ], { start, cliff, duration }), 18);
+
+            const progress = [];
+            const { created, skipped } = await fundVesting(tokenInstance, vestingInstance, schedules, {
+                onProgress: (schedule, receipt) => progress.push([schedule.entry, receipt.status])
+            });
+            expect(created).to.have.length(2);
+            expect(skipped).to.have.length(0);
+            expect(progress).to.be.deep.equals([[1, 1], [2, 1]]);
+            expect(await tokenInstance.balanceOf(vestingInstance.address)).to.be.equals(amount(50));
+            expect(await tokenInstance.allowance(signer.address, vestingInstance.address)).to.be.equals(0);
+
+            const onChain = await readSchedules(vestingInstance);
+            expect(onChain.map(({ beneficiary, amount, revocable }) => [beneficiary, amount, revocable]))
+                .to.be.deep.equals([[account1.address, amount(30), false], [account2.address, amount(20), true]]);
+
+            const again = await fundVesting(tokenInstance, vestingInstance, schedules);
+            expect(again.created).to.have.length(0);
+            expect(again.skipped).to.have.length(2);
+            expect(await tokenInstance.balanceOf(vestingInstance.address)).to.be.equals(amount(50));
+        });
+
+        it("Try fund schedules that conflict, exceed the balance or from a non owner", async () => {
+            await createVesting(account1.address, amount(10));
+            const schedules = parseSchedules(file([
+                { beneficiary: account1.address, amount: "20" },
+                { beneficiary: account2.address, amount: "95" }
+            ], { start, cliff, duration }), 18);
+
+            const error = await fundVesting(tokenInstance, vestingInstance, schedules).catch(error => error);
+            expect(error.message).to.be.equals([
+                "Cannot fund the vesting contract",
+                `  - schedule 1: ${account1.address} already has a different schedule`,
+                `  - insufficient balance: ${amount(95)} needed, ${amount(90)} available`
+            ].join("\n"));
+            expect(await vestingInstance.beneficiaryCount()).to.be.equals(1);
+
+            const notOwner = await fundVesting(tokenInstance, vestingInstance.connect(account1), schedules).catch(error => error);
+            expect(notOwner.message).to.be.equals(`${account1.address} is not the owner of the vesting contract ${vestingInstance.address}`);
+        });
+    });
+});
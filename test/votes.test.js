@@ -0,0 +1,256 @@
+const { ethers, network } = require("hardhat");
+
+const chai = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { revertedWithMessage } = require("./helpers/revert");
+chai.use(solidity);
+chai.use(revertedWithMessage);
+const { expect } = chai;
+
+const { signDelegation, signPermit } = require("../lib/permit");
+const { getTopDelegates } = require("../lib/delegates");
+const { TokenClient } = require("../lib/token-client");
+
+const contractPath = "contracts/ERC20.sol:ERC20";
+const zeroAddress = ethers.constants.AddressZero;
+
+// Constructor parameters
+const name = "MyERC-20_Token";
+const symbol = "PCIB";
+const maxSupply = ethers.utils.parseEther("800");
+const price = ethers.utils.parseEther("1");
+
+const amount = (value) => ethers.utils.parseEther(String(value));
+
+describe("Vote delegation tests", () => {
+    let signer, account1, account2, account3;
+    let contractInstance;
+
+    const getExpiry = async (offset = 3600) => (await ethers.provider.getBlock("latest")).timestamp + offset;
+
+    /// Send the transactions of `sends` in a single block
+    async function inOneBlock(sends) {
+        await network.provider.send("evm_setAutomine", [false]);
+        try {
+            const txs = [];
+            for (const send of sends) {
+                txs.push(await send());
+            }
+            await network.provider.send("evm_mine");
+            const receipts = await Promise.all(txs.map(tx => tx.wait()));
+            return receipts[0].blockNumber;
+        } finally {
+            await network.provider.send("evm_setAutomine", [true]);
+        }
+    }
+
+    beforeEach(async () => {
+        [signer, account1, account2, account3] = await ethers.getSigners();
+
+        const contractFactory = await ethers.getContractFactory(contractPath, signer);
+        contractInstance = await contractFactory.deploy(name, symbol, maxSupply, price);
+        await contractInstance.mint(account1.address, { value: amount(10) });
+        await contractInstance.mint(account2.address, { value: amount(5) });
+    });
+
+    describe("Delegate", () => {
+        it("Balances do not vote until delegated", async () => {
+            expect(await contractInstance.delegates(account1.address)).to.be.equals(zeroAddress);
+            expect(await contractInstance.getVotes(account1.address)).to.be.equals(0);
+            expect(await contractInstance.numCheckpoints(account1.address)).to.be.equals(0);
+        });
+
+        it("Self-delegation votes with the own balance", async () => {
+            const tx = contractInstance.connect(account1).delegate(account1.address);
+            await expect(tx).to.emit(contractInstance, "DelegateChanged").withArgs(account1.address, zeroAddress, account1.address);
+            await expect(tx).to.emit(contractInstance, "DelegateVotesChanged").withArgs(account1.address, 0, amount(10));
+
+            expect(await contractInstance.delegates(account1.address)).to.be.equals(account1.address);
+            expect(await contractInstance.getVotes(account1.address)).to.be.equals(amount(10));
+            const { blockNumber } = await (await tx).wait();
+            const checkpoint = await contractInstance.checkpoints(account1.address, 0);
+            expect(checkpoint.fromBlock).to.be.equals(blockNumber);
+            expect(checkpoint.votes).to.be.equals(amount(10));
+        });
+
+        it("Self-delegation without balance changes no votes", async () => {
+            await expect(contractInstance.connect(account3).delegate(account3.address)).to.not.emit(contractInstance, "DelegateVotesChanged");
+            expect(await contractInstance.delegates(account3.address)).to.be.equals(account3.address);
+            expect(await contractInstance.numCheckpoints(account3.address)).to.be.equals(0);
+        });
+
+        it("Redelegation moves the votes to the new delegate", async () => {
+            await contractInstance.connect(account1).delegate(account1.address);
+            await contractInstance.connect(account2).delegate(account3.address);
+
+            const tx = contractInstance.connect(account1).delegate(account3.address);
+            await expect(tx).to.emit(contractInstance, "DelegateChanged").withArgs(account1.address, account1.address, account3.address);
+            await expect(tx).to.emit(contractInstance, "DelegateVotesChanged").withArgs(account1.address, amount(10), 0);
+            await expect(tx).to.emit(contractInstance, "DelegateVotesChanged").withArgs(account3.address, amount(5), amount(15));
+
+            await contractInstance.connect(account2).delegate(zeroAddress);
+            expect(await contractInstance.getVotes(account1.address)).to.be.equals(0);
+            expect(await contractInstance.getVotes(account3.address)).to.be.equals(amount(10));
+        });
+
+        it("Transfer, transferFrom, mint, burn and redeem move the votes of the delegates", async () => {
+            await contractInstance.connect(account1).delegate(account1.address);
+            await contractInstance.connect(account2).delegate(account3.address);
+
+            await expect(contractInstance.connect(account1).transfer(account2.address, amount(1)))
+                .to.emit(contractInstance, "DelegateVotesChanged").withArgs(account3.address, amount(5), amount(6));
+            await contractInstance.connect(account2).approve(signer.address, amount(2));
+            await contractInstance.transferFrom(account2.address, account1.address, amount(2));
+            expect(await contractInstance.getVotes(account1.address)).to.be.equals(amount(11));
+            expect(await contractInstance.getVotes(account3.address)).to.be.equals(amount(4));
+
+            await contractInstance.mint(account2.address, { value: amount(3) });
+            await contractInstance.connect(account1).burn(account1.address, amount(1));
+            await contractInstance.connect(account2).redeem(account2.address, amount(2));
+            expect(await contractInstance.getVotes(account1.address)).to.be.equals(amount(10));
+            expect(await contractInstance.getVotes(account3.address)).to.be.equals(amount(5));
+
+            // Undelegated balances move no votes
+            await expect(contractInstance.connect(account1).transfer(signer.address, amount(1)))
+                .to.emit(contractInstance, "DelegateVotesChanged").withArgs(account1.address, amount(10), amount(9));
+            expect(await contractInstance.getVotes(signer.address)).to.be.equals(0);
+        });
+
+        it("TokenClient delegates and reads the votes", async () => {
+            const client = TokenClient.attach(contractInstance.address, account1);
+            const receipt = await client.delegate(account2.address);
+            expect(receipt.events.map(event => event.name)).to.be.deep.equals(["DelegateChanged", "DelegateVotesChanged"]);
+            expect(await client.delegates(account1.address)).to.be.equals(account2.address);
+            expect(await client.getVotes(account2.address)).to.be.equals(amount(10));
+            expect(await client.getPastVotes(account2.address, receipt.blockNumber - 1)).to.be.equals(0);
+            expect(await client.getPastTotalSupply(receipt.blockNumber - 1)).to.be.equals(amount(15));
+
+            const delegation = await signDelegation(account2, contractInstance, { delegatee: account1.address, expiry: await getExpiry() });
+            await client.delegateBySig(delegation);
+            expect(await client.getVotes(account1.address)).to.be.equals(amount(5));
+        });
+    });
+
+    describe("Past votes", () => {
+        it("Past votes and total supply follow the checkpoints", async () => {
+            const { blockNumber: delegated } = await (await contractInstance.connect(account1).delegate(account1.address)).wait();
+            const { blockNumber: transferred } = await (await contractInstance.connect(account1).transfer(account2.address, amount(4))).wait();
+            const { blockNumber: minted } = await (await contractInstance.mint(account1.address, { value: amount(1) })).wait();
+            await network.provider.send("evm_mine");
+
+            expect(await contractInstance.getPastVotes(account1.address, delegated - 1)).to.be.equals(0);
+            expect(await contractInstance.getPastVotes(account1.address, delegated)).to.be.equals(amount(10));
+            expect(await contractInstance.getPastVotes(account1.address, transferred)).to.be.equals(amount(6));
+            expect(await contractInstance.getPastVotes(account1.address, minted)).to.be.equals(amount(7));
+            expect(await contractInstance.getPastTotalSupply(delegated)).to.be.equals(amount(15));
+            expect(await contractInstance.getPastTotalSupply(minted)).to.be.equals(amount(16));
+            expect(await contractInstance.getPastTotalSupply(0)).to.be.equals(0);
+        });
+
+        it("Try read votes of a block not mined", async () => {
+            const blockNumber = await ethers.provider.getBlockNumber();
+            // Calls run in the context of the next block
+            await expect(contractInstance.getPastVotes(account1.address, blockNumber + 1))
+                .to.be.revertedWithMessage("getPastVotes - Invalid parameter: _blockNumber");
+            await expect(contractInstance.getPastTotalSupply(blockNumber + 5))
+                .to.be.revertedWithMessage("getPastTotalSupply - Invalid parameter: _blockNumber");
+        });
+
+        it("Redelegation mid-block keeps one checkpoint with the votes at the end of the block", async () => {
+            await contractInstance.connect(account1).delegate(account1.address);
+            const before = await ethers.provider.getBlockNumber();
+
+            const blockNumber = await inOneBlock([
+                () => contractInstance.connect(account1).delegate(account2.address),
+                () => contractInstance.connect(account1).transfer(account3.address, amount(3)),
+                () => contractInstance.connect(account1).delegate(account3.address)
+            ]);
+            await network.provider.send("evm_mine");
+
+            expect(await contractInstance.getPastVotes(account1.address, before)).to.be.equals(amount(10));
+            expect(await contractInstance.getPastVotes(account1.address, blockNumber)).to.be.equals(0);
+            expect(await contractInstance.getPastVotes(account2.address, blockNumber)).to.be.equals(0);
+            expect(await contractInstance.getPastVotes(account3.address, blockNumber)).to.be.equals(amount(7));
+            // account2 held the votes only within the block: a single checkpoint back to zero
+            expect(await contractInstance.numCheckpoints(account2.address)).to.be.equals(1);
+            expect((await contractInstance.checkpoints(account2.address, 0)).votes).to.be.equals(0);
+            expect(await contractInstance.numCheckpoints(account1.address)).to.be.equals(2);
+            expect(await contractInstance.numCheckpoints(account3.address)).to.be.equals(1);
+        });
+    });
+
+    describe("Delegate by signature", () => {
+        it("Relayed delegation uses the nonce of the signer", async () => {
+            const delegation = await signDelegation(account1, contractInstance, { delegatee: account3.address, expiry: await getExpiry() });
+            const tx = contractInstance.connect(account2).delegateBySig(delegation.delegatee, delegation.nonce, delegation.expiry, delegation.v, delegation.r, delegation.s);
+            await expect(tx).to.emit(contractInstance, "DelegateChanged").withArgs(account1.address, zeroAddress, account3.address);
+
+            expect(await contractInstance.getVotes(account3.address)).to.be.equals(amount(10));
+            expect(await contractInstance.nonces(account1.address)).to.be.equals(1);
+        });
+
+        it("Try replayed signature", async () => {
+            const delegation = await signDelegation(account1, contractInstance, { delegatee: account1.address, expiry: await getExpiry() });
+            const args = [delegation.delegatee, delegation.nonce, delegation.expiry, delegation.v, delegation.r, delegation.s];
+            await contractInstance.delegateBySig(...args);
+            // Undo the delegation so the replay would change state again
+            await contractInstance.connect(account1).delegate(zeroAddress);
+            await expect(contractInstance.delegateBySig(...args)).to.be.revertedWithMessage("delegateBySig - Invalid signature");
+            expect(await contractInstance.getVotes(account1.address)).to.be.equals(0);
+        });
+
+        it("Permits and delegations share the nonces", async () => {
+            const deadline = await getExpiry();
+            const permit = await signPermit(account1, contractInstance, { spender: account2.address, value: 1, deadline });
+            const delegation = await signDelegation(account1, contractInstance, { delegatee: account1.address, expiry: deadline });
+            expect(delegation.nonce).to.be.equals(permit.nonce);
+
+            await contractInstance.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+            await expect(contractInstance.delegateBySig(delegation.delegatee, delegation.nonce, delegation.expiry, delegation.v, delegation.r, delegation.s))
+                .to.be.revertedWithMessage("delegateBySig - Invalid signature");
+        });
+
+        it("Try expired, future nonce or malleable signatures", async () => {
+            const expired = await signDelegation(account1, contractInstance, { delegatee: account1.address, expiry: await getExpiry(-1) });
+            await expect(contractInstance.delegateBySig(expired.delegatee, expired.nonce, expired.expiry, expired.v, expired.r, expired.s))
+                .to.be.revertedWithMessage("delegateBySig - Expired deadline");
+
+            const future = await signDelegation(account1, contractInstance, { delegatee: account1.address, expiry: await getExpiry(), nonce: 1 });
+            await expect(contractInstance.delegateBySig(future.delegatee, future.nonce, future.expiry, future.v, future.r, future.s))
+                .to.be.revertedWithMessage("delegateBySig - Invalid signature");
+
+            // Malleable `s`, above the upper half of the curve order
+            const valid = await signDelegation(account1, contractInstance, { delegatee: account1.address, expiry: await getExpiry() });
+            await expect(contractInstance.delegateBySig(valid.delegatee, valid.nonce, valid.expiry, valid.v, valid.r, ethers.constants.MaxUint256))
+                .to.be.revertedWithMessage("delegateBySig - Invalid signature");
+        });
+    });
+
+    describe("Top delegates", () => {
+        it("Ranks the delegates by votes at a block", async () => {
+            await contractInstance.connect(account1).delegate(account2.address);
+            await contractInstance.connect(account2).delegate(account3.address);
+            const blockNumber = await ethers.provider.getBlockNumber();
+            await contractInstance.connect(account2).delegate(account2.address);
+            await network.provider.send("evm_mine");
+
+            const past = await getTopDelegates(contractInstance, { blockTag: blockNumber });
+            expect(past.totalSupply).to.be.equals(amount(15));
+            expect(past.delegates.map(({ account, votes }) => [account, votes.toString()])).to.be.deep.equals([
+                [account2.address, amount(10).toString()],
+                [account3.address, amount(5).toString()]
+            ]);
+
+            const current = await getTopDelegates(contractInstance, { limit: 1 });
+            expect(current.delegates).to.have.length(1);
+            expect(current.delegates[0].account).to.be.equals(account2.address);
+            expect(current.delegates[0].votes).to.be.equals(amount(15));
+        });
+
+        it("Try rank the delegates at the latest block", async () => {
+            const blockNumber = await ethers.provider.getBlockNumber();
+            const error = await getTopDelegates(contractInstance, { blockTag: blockNumber }).catch(error => error);
+            expect(error.message).to.include(`Block ${blockNumber} is not mined yet`);
+        });
+    });
+});